@@ -0,0 +1,73 @@
+/**
+ * MathJaxToLaTeX - Background service worker
+ *
+ * Adds the right-click "Copy as" entries for equations. The entries are
+ * always there; the chosen one is sent to the frame that was right-clicked,
+ * where content.js copies the equation under the pointer or says that there
+ * is none. The keyboard commands are passed on to the page the same way.
+ * It also makes every change of the history of copied equations, see
+ * modules/history-store.js.
+ */
+
+importScripts('modules/history-store.js');
+
+const CONTEXT_MENU_PARENT_ID = 'mathjax-to-latex';
+
+// Entries under the parent item; the ids are the keys of CONTEXT_MENU_ACTIONS in content.js
+const CONTEXT_MENU_ITEMS = [
+  { id: 'copy-latex', title: 'Copy as LaTeX' },
+  { id: 'copy-inline-latex', title: 'Copy as inline $…$' },
+  { id: 'copy-display-latex', title: 'Copy as display \\[…\\]' },
+  { id: 'copy-mathml', title: 'Copy MathML' },
+  { id: 'copy-aria-label', title: 'Copy aria-label' }
+];
+
+const CONTEXT_MENU_CONTEXTS = ['page', 'selection', 'link', 'image'];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_PARENT_ID,
+      title: 'MathJax to LaTeX',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        ...item,
+        parentId: CONTEXT_MENU_PARENT_ID,
+        contexts: CONTEXT_MENU_CONTEXTS
+      });
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !CONTEXT_MENU_ITEMS.some(item => item.id === info.menuItemId)) return;
+
+  chrome.tabs.sendMessage(
+    tab.id,
+    { action: 'copyEquation', menuItemId: info.menuItemId },
+    { frameId: info.frameId || 0 },
+    () => void chrome.runtime.lastError
+  );
+});
+
+// Messages for the keyboard commands in manifest.json, handled by content.js
+const COMMAND_MESSAGES = {
+  'copy-all-equations': { action: 'copyAllEquations' },
+  'next-equation': { action: 'focusEquation', direction: 'next' },
+  'previous-equation': { action: 'focusEquation', direction: 'previous' }
+};
+
+// Sent to every frame of the tab, as the focus may be inside an iframe; only
+// the frame holding the focus acts on them, see isCommandFrame in content.js
+chrome.commands.onCommand.addListener((command, tab) => {
+  const message = COMMAND_MESSAGES[command];
+  if (!message || !tab) return;
+
+  chrome.tabs.sendMessage(tab.id, message, () => void chrome.runtime.lastError);
+});
+
+// History changes from content.js in every frame and tab, and from the popup
+chrome.runtime.onMessage.addListener(self.historyStore.handleHistoryMessage);
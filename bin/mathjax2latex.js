@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * mathjax2latex - extract every equation from saved HTML pages
+ *
+ * Usage: mathjax2latex [--json] [--format <name>] <page.html> [more.html ...]
+ *
+ * Prints one LaTeX line per equation in document order, or a JSON array
+ * with the element index, renderer, aria-label and LaTeX of each equation.
+ * --format switches the output to AsciiMath, Typst or Unicode text. Parts of
+ * an equation that could not be converted are reported on standard error, as
+ * are files that cannot be read; the exit status is then 1, after all the
+ * equations that could be converted have been printed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../modules/lite-dom.js');
+const { findEquations, describeEquation } = require('../modules/equation-extractor.js');
+const { output: OUTPUT_CONFIG } = require('../config/settings.js');
+
+const USAGE = `Usage: mathjax2latex [options] <file.html> [file.html ...]
+
+Extracts every MathJax equation from saved HTML pages and prints its LaTeX.
+
+Options:
+  --json            Print a JSON array with index, renderer, display, aria-label, LaTeX
+                    and diagnostics
+  --format <name>   Output format: latex (default), asciimath, typst or unicode
+  -h, --help        Show this help
+
+Use "-" as the file name to read from standard input.`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments without the node and script paths
+ * @return {Object} - { json, format, help, files }
+ */
+function parseArgs(args) {
+  const options = { json: false, format: 'latex', help: false, files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--format' || arg.startsWith('--format=')) {
+      const format = arg === '--format' ? args[++i] : arg.slice('--format='.length);
+      if (!OUTPUT_CONFIG.formats.includes(format)) {
+        throw new Error(`Unknown format: ${format}`);
+      }
+      options.format = format;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read a page from disk or standard input
+ */
+function readPage(file) {
+  return fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+}
+
+/**
+ * Extract and convert all equations of one page
+ * @param {string} file - File name, used in JSON output
+ * @param {string} html - Page markup
+ * @param {string} [format='latex'] - Output format
+ * @return {Array<Object>} - Equation descriptions
+ */
+function extractPage(file, html, format = 'latex') {
+  const doc = parseMarkup(html);
+  return findEquations(doc).map((element, index) => ({
+    file,
+    ...describeEquation(element, index, format)
+  }));
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  // A file that cannot be read or parsed is reported and the others still converted
+  const results = [];
+  let failed = 0;
+  for (const file of options.files) {
+    try {
+      results.push(...extractPage(file, readPage(file), options.format));
+    } catch (error) {
+      console.error(`[ERROR] ${file}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Diagnostics go to standard error with --json too, where they are also in the array
+  results.forEach(result => {
+    if (!options.json) console.log(result[options.format]);
+    result.diagnostics.forEach(diagnostic => {
+      console.error(`[WARNING] ${result.file} #${result.index}: ${diagnostic.message}`);
+    });
+  });
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+
+  const warned = results.some(result => result.diagnostics.length > 0);
+  return failed || warned ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, extractPage, main };
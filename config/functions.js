@@ -5,8 +5,8 @@ const STANDARD_FUNCTIONS = [
   'sin', 'cos', 'tan', 'cot', 'sec', 'csc',
   'arcsin', 'arccos', 'arctan', 'arccot', 'arcsec', 'arccsc',
   'sinh', 'cosh', 'tanh', 'coth', 'sech', 'csch',
-  'log', 'ln', 'exp', 'lim', 'max', 'min',
-  'sup', 'inf'
+  'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min',
+  'sup', 'inf', 'det', 'dim', 'ker', 'deg', 'arg', 'gcd', 'hom'
 ];
 
 /**
@@ -2,7 +2,9 @@
  * Centralized configuration settings for MathJax to LaTeX Extension
  * 
  * This file contains all configuration constants and settings
- * to avoid magic numbers and strings throughout the codebase
+ * to avoid magic numbers and strings throughout the codebase.
+ * They are the defaults: choices made on the options page are merged
+ * over them by modules/settings-store.js.
  */
 
 const ExtensionConfig = {
@@ -61,12 +63,56 @@ const ExtensionConfig = {
     wrapTextInCommand: true           // Wrap text content in \text{} command
   },
 
+  // Output settings
+  output: {
+    format: 'latex',                                     // Format copied on click: 'latex', 'asciimath', 'typst' or 'unicode'
+    formats: ['latex', 'asciimath', 'typst', 'unicode'], // Supported output formats
+    mathmlClipboard: false,                              // Also copy MathML as text/html for Word and LibreOffice
+    recoverSource: true,                                 // Copy the page's own TeX source as LaTeX when MathJax kept it
+    verifyRoundTrip: false,                              // Render copied LaTeX again with the page's MathJax v3 and compare
+    // Math delimiters around copied LaTeX for inline and display equations:
+    // 'none', 'dollar' ($…$), 'double-dollar' ($$…$$), 'paren' (\(…\)), 'bracket' (\[…\]) or 'equation*'
+    delimiters: {
+      inline: 'none',
+      display: 'none'
+    },
+    // Layout of "copy all equations": 'list' (numbered, in the output format),
+    // 'latex' (document body) or 'markdown', both with the paragraph text kept
+    copyAllLayout: 'list'
+  },
+
+  // Mouse interaction
+  interaction: {
+    clickToCopy: true,  // Copy on left click; turn off where equations react to clicks and use the context menu
+    copySelection: true // Copying selected text gives the equations in it as $…$ LaTeX
+  },
+
+  // History of copied equations shown in the popup
+  history: {
+    enabled: true,  // Record copied equations
+    maxEntries: 50  // Oldest entries beyond this are dropped
+  },
+
   // Element selectors
   selectors: {
     mathJaxContainers: 'mjx-container.MathJax:not(.mathjax-copyable)',
+    allMathJaxContainers: 'mjx-container.MathJax', // Includes containers already made copyable
     mathGElements: 'g[data-mml-node="math"]',
     assistiveMML: 'mjx-assistive-mml math',
     chtmlMath: 'mjx-math',
+    // MathJax 2 output: frames of the HTML-CSS, CommonHTML, SVG and NativeMML outputs,
+    // their hidden MathML and the previews shown until typesetting is done
+    mathJaxV2Frames: '.MathJax[id$="-Frame"], .MathJax_CHTML[id$="-Frame"], .MathJax_SVG[id$="-Frame"], .MathJax_MathML[id$="-Frame"]',
+    mathJaxV2AssistiveMML: '.MJX_Assistive_MathML math',
+    mathJaxV2Previews: '.MathJax_Preview',
+    // KaTeX output, its MathML copy and the TeX annotation inside it
+    katexElements: '.katex',
+    katexMathML: '.katex-mathml math',
+    katexTexAnnotation: '.katex-mathml annotation[encoding="application/x-tex"]',
+    katexDisplay: '.katex-display',
+    // MathML rendered by the browser itself and the TeX annotation it may carry
+    nativeMath: 'math',
+    mathTexAnnotation: 'annotation[encoding="application/x-tex"]',
     menuPanels: [
       '.mat-mdc-menu-panel',
       '#mat-menu-panel-0',
@@ -2,39 +2,29 @@
  * MathJaxToLaTeX - Content Script
  *
  * This script provides functionality for:
- * 1. Converting MathJax elements to LaTeX
- * 2. Enabling copy functionality for MathJax elements
+ * 1. Converting MathJax elements to LaTeX, AsciiMath, Typst or Unicode text
+ * 2. Enabling copy functionality for MathJax elements, by mouse and keyboard
  * 3. Disabling unwanted menu panels on kampus.sanomapro.fi
  * 4. Managing text selection behavior on kampus.sanomapro.fi
  */
 
-// Configuration
-const CONFIG = {
-  copiedFeedbackDuration: 2000, // Duration to show "Copied!" feedback in ms
-  styleCheckInterval: 5000,     // Interval to check if style elements are still in place
-  mutationObserverDelay: 100,   // Debounce delay for mutation observer
-  domainSpecific: {
-    kampus: 'kampus.sanomapro.fi'
-  },
-  // Feature toggles for kampus.sanomapro.fi specific functionality
-  kampusFeatures: {
-    disableMenuPanels: true,     // Set to true to disable menu panels on kampus.sanomapro.fi
-    manageTextSelection: true    // Set to true to manage text selection behavior on kampus.sanomapro.fi
-  },
-  // Logging configuration
-  logging: {
-    enabled: false,  // Set to false in production
-    levels: ['error', 'warning'] // Only log these levels in production
-  }
-};
+// Configuration: the ExtensionConfig defaults until the user's settings
+// from the options page are loaded, see loadUserSettings
+let CONFIG = ExtensionConfig;
 
 // Get utilities from global scope (loaded from utils.js)
 const utils = window.extensionUtils || {};
 const {
   safeParseHTML,
+  isDisplayEquation,
+  prepareClipboardText,
   copyToClipboardWithFeedback,
   showCopiedFeedback,
+  showFeedbackAt,
+  announceToScreenReader,
   attachEventWithCleanup,
+  querySelectorAllDeep,
+  getOpenShadowRoots,
   createObserverWithCleanup,
   setIntervalWithCleanup,
   debounce,
@@ -50,9 +40,12 @@ class LRUCache {
     this.currentSizeBytes = 0;
   }
   
-  _estimateSize(str) {
+  _estimateSize(value) {
+    if (value && typeof value === 'object') {
+      value = JSON.stringify(value);
+    }
     // Rough estimate: 2 bytes per character for Unicode strings
-    return str ? str.length * 2 : 0;
+    return value ? value.length * 2 : 0;
   }
   
   get(key) {
@@ -122,12 +115,72 @@ let observers = {
 };
 let intervalIds = [];
 
+// Equation under the last right click, copied when a context-menu entry is chosen,
+// and where on the page the click was
+let contextMenuEquation = null;
+let contextMenuPoint = null;
+
+// Whether the text deselection handlers are attached
+let textDeselectionInstalled = false;
+
+// Stops applying changes made on the options page
+let stopWatchingSettings = null;
+
+// Open shadow roots the MathJax observer watches and styles.css is added to
+let watchedShadowRoots = new WeakSet();
+
+// Elements added to the page since the MathJax observer last looked at them
+let pendingAddedElements = new Set();
+
+/**
+ * Get the output format for copied equations from the extension configuration
+ * @returns {string} - 'latex', 'asciimath', 'typst' or 'unicode'
+ */
+function getOutputFormat() {
+  return CONFIG.output.format;
+}
+
+/**
+ * Get the configured math delimiters for copied LaTeX
+ * @returns {Object} - Wrapping modes { inline, display }, e.g. 'dollar' or 'equation*'
+ */
+function getLatexDelimiters() {
+  return CONFIG.output.delimiters;
+}
+
+/**
+ * Get clean MathML to copy alongside the text when the configuration asks for it
+ * @param {Element} element - The clicked MathJax container or SVG math node
+ * @returns {string|null} - MathML, or null when disabled or unavailable
+ */
+function getClipboardMathML(element) {
+  if (!CONFIG.output.mathmlClipboard) return null;
+  if (typeof convertMathToMathML !== 'function') return null;
+
+  try {
+    return window.equationExtractor.getEquationMathML(element);
+  } catch (error) {
+    logError('Error converting to MathML for the clipboard', error);
+    return null;
+  }
+}
+
 /**
  * Converts MathML to LaTeX format with error handling
  * @param {string} mathmlInput - The MathML input to convert
  * @returns {string} - The converted LaTeX string
  */
 function convertToLatex(mathmlInput) {
+  return convertToFormat(mathmlInput, 'latex');
+}
+
+/**
+ * Converts MathML to an output format with error handling
+ * @param {string} mathmlInput - The MathML input to convert
+ * @param {string} [format] - Output format, the configured one by default
+ * @returns {string} - The converted equation
+ */
+function convertToFormat(mathmlInput, format = getOutputFormat()) {
   try {
     // Validate input
     if (!mathmlInput || typeof mathmlInput !== 'string') {
@@ -135,11 +188,13 @@ function convertToLatex(mathmlInput) {
       return "Invalid input provided";
     }
     
-    // Use cache if we have this input
-    const cachedResult = conversionCache.get(mathmlInput);
+    // Use cache if we have this input, reporting its diagnostics again
+    const cacheKey = format + ':' + mathmlInput;
+    const cachedResult = conversionCache.get(cacheKey);
     if (cachedResult !== null) {
-      logDebug('Using cached LaTeX result');
-      return cachedResult;
+      logDebug('Using cached ' + format + ' result');
+      cachedResult.diagnostics.forEach(({ code, detail }) => window.conversionLogger.diagnostic(code, detail));
+      return cachedResult.output;
     }
     
     // Parse the MathML input safely
@@ -156,28 +211,30 @@ function convertToLatex(mathmlInput) {
       return "No valid MathML found";
     }
     
-    logDebug('Starting LaTeX conversion');
+    logDebug('Starting ' + format + ' conversion');
     
-    // Convert to LaTeX using the function from translate.js
-    if (typeof convertMathMLToLatex !== 'function') {
-      logError('convertMathMLToLatex function not available');
+    // Convert using the function from translate.js
+    if (typeof convertMathToFormat !== 'function') {
+      logError('convertMathToFormat function not available');
       return "Conversion function not available";
     }
     
-    const latex = convertMathMLToLatex(mathNode);
+    const { output, diagnostics } = window.conversionLogger.collectDiagnostics(
+      () => convertMathToFormat(mathNode, format)
+    );
     
     // Validate result
-    if (!latex || typeof latex !== 'string') {
+    if (!output || typeof output !== 'string') {
       logError('Invalid conversion result');
       return "Conversion failed";
     }
     
     // Cache the result
-    conversionCache.set(mathmlInput, latex);
+    conversionCache.set(cacheKey, { output, diagnostics: diagnostics.slice() });
     
-    return latex;
+    return output;
   } catch (error) {
-    logError('LaTeX Conversion Failed', error);
+    logError('Conversion Failed', error);
     return `Error: ${error.message || 'Unknown error'}`;
   }
 }
@@ -210,251 +267,452 @@ function logError(message, error) {
 }
 
 /**
- * Sets up overlay functionality for MathJax elements with error handling
+ * Check whether a left click copies the equation; pages whose equations react
+ * to clicks can turn this off and use the context menu instead
+ * @returns {boolean}
  */
-function setupMathJaxOverlay() {
+function isClickToCopyEnabled() {
+  return CONFIG.interaction.clickToCopy;
+}
+
+/**
+ * Get the clipboard options shared by every copy
+ * @param {Object} [extra] - Options for this copy, e.g. { mathml, delimiters, diagnostics }
+ * @returns {Object} - Options for copyToClipboardWithFeedback
+ */
+function getCopyOptions(extra = {}) {
+  return {
+    feedbackDuration: CONFIG.feedback.duration,
+    removeTrailingPeriod: CONFIG.text.removeSingleTrailingPeriod,
+    ...extra
+  };
+}
+
+// Events of the page-world bridge, page-bridge.js; the names must match there
+const SOURCE_REQUEST_EVENT = 'mathjax-to-latex:request-source';
+const SOURCE_RESPONSE_EVENT = 'mathjax-to-latex:source';
+
+/**
+ * Get the TeX source MathJax v2 keeps in a <script type="math/tex"> after
+ * the rendering
+ * @param {Element} element - Equation element
+ * @returns {string|null}
+ */
+function findTexScriptSource(element) {
+  const frame = window.mathjaxV2.findMathJaxV2Frame(element);
+  return frame ? window.mathjaxV2.getMathJaxV2Source(frame) : null;
+}
+
+/**
+ * Get the TeX source KaTeX and native MathML keep in an annotation of their MathML
+ * @param {Element} element - Equation element
+ * @returns {string|null}
+ */
+function findTexAnnotationSource(element) {
+  const katex = window.katexOutput.findKatexElement(element);
+  if (katex) return window.katexOutput.getKatexSource(katex);
+
+  const math = window.nativeMathML.findNativeMathElement(element);
+  return math ? window.nativeMathML.getNativeMathSource(math) : null;
+}
+
+/**
+ * Ask page-bridge.js for the TeX source MathJax v3 keeps in its document,
+ * which only the page's own JavaScript can read. Events are dispatched
+ * synchronously, so the answer is in before dispatchEvent returns.
+ * @param {Element} element - Equation element
+ * @returns {string|null}
+ */
+function requestMathJaxSource(element) {
+  const container = element.closest('mjx-container');
+  if (!container) return null;
+
+  let source = null;
+  const receiveSource = (event) => {
+    try {
+      source = JSON.parse(event.detail).source;
+    } catch (error) {
+      logDebug('Unreadable answer from the page bridge', error);
+    }
+  };
+
+  document.addEventListener(SOURCE_RESPONSE_EVENT, receiveSource);
   try {
-    // Find both standard MathJax containers and g elements with data-mml-node="math"
-    const mathJaxContainers = document.querySelectorAll('mjx-container.MathJax:not(.mathjax-copyable)');
-    const mathGElements = document.querySelectorAll('g[data-mml-node="math"]');
-  
-    // Process standard MathJax containers
-    mathJaxContainers.forEach(element => {
-      try {
-        element.classList.add('mathjax-copyable');
-        
-        const clickHandler = function(event) {
-          try {
-            // Get the aria-label for user feedback
-            const ariaLabel = element.getAttribute('aria-label');
-            if (ariaLabel) {
-              logDebug('Clicked math expression: "' + ariaLabel + '"');
-            }
-      
-            // Check if this is CHTML or SVG format
-            const jaxType = element.getAttribute('jax') || '';
-            
-            if (jaxType.toUpperCase() === 'CHTML') {
-              // Handle CHTML format
-              logDebug('Processing CHTML format MathJax');
-        
-              // Option 1: If assistive MathML is available, we can use it directly
-              const assistiveMML = element.querySelector('mjx-assistive-mml math');
-              if (assistiveMML) {
-                logDebug('Using assistive MathML for conversion');
-          
-                try {
-                  // Use the specialized assistive MathML processor directly here
-                  if (typeof convertMathMLFromAssistiveMML === 'function') {
-                    const latexContent = convertMathMLFromAssistiveMML(assistiveMML);
-                    logDebug('Generated LaTeX:', latexContent);
-                    
-                    copyToClipboardWithFeedback(latexContent, element, 'Copied to clipboard');
-                  } else {
-                    throw new Error('convertMathMLFromAssistiveMML not available');
-                  }
-                } catch (error) {
-                  logError('Error converting assistive MathML', error);
-            
-                  // Fallback: try direct MathML from assistive-mml
-                  try {
-                    const mathML = assistiveMML.outerHTML;
-                    const tempDiv = safeParseHTML(mathML);
-                    
-                    if (tempDiv) {
-                      // Try fallback direct processing
-                      const latexContent = processAssistiveMathML(tempDiv.querySelector('math'));
-                      logDebug('Fallback LaTeX:', latexContent);
-                      
-                      copyToClipboardWithFeedback(latexContent, element, 'Copied to clipboard (fallback)');
-                    } else {
-                      copyAriaLabelAsText(element);
-                    }
-                  } catch (fallbackError) {
-                    logError('Fallback conversion also failed', fallbackError);
-                    // Final fallback: use the aria-label attribute
-                    copyAriaLabelAsText(element);
-                  }
-                }
-          
-                event.preventDefault();
-                event.stopPropagation();
-                return;
-              }
-              
-              // Option 2: Use the CHTML structure directly
-              const mathElement = element.querySelector('mjx-math');
-              if (mathElement) {
-                logDebug('Using CHTML structure for conversion');
-                if (typeof convertMathMLToLatex === 'function') {
-                  const latexContent = convertMathMLToLatex(element);
-                  copyToClipboardWithFeedback(latexContent, element, 'Copied to clipboard');
-                }
-                
-                event.preventDefault();
-                event.stopPropagation();
-                return;
-              }
-            }
-      
-            // Original SVG handling
-            const mathElements = element.querySelectorAll('g[data-mml-node="math"]');
-            
-            if (mathElements.length > 0) {
-              let htmlContent = '';
-              mathElements.forEach(math => {
-                htmlContent += math.outerHTML;
-              });
-              
-              if (htmlContent) {
-                const latexContent = convertToLatex(htmlContent);
-                copyToClipboardWithFeedback(latexContent, element, 'Copied to clipboard');
-              }
-            } else {
-              const ariaLabel = element.getAttribute('aria-label');
-              if (ariaLabel) {
-                copyToClipboardWithFeedback(ariaLabel, element, 'Copied aria-label to clipboard');
-              }
-            }
-            
-            event.preventDefault();
-            event.stopPropagation();
-          } catch (error) {
-            logError('Error in click handler', error);
-          }
-        };
-        
-        attachEventWithCleanup(element, 'click', clickHandler, cleanupFunctions);
-      } catch (error) {
-        logError('Error processing MathJax container', error);
-      }
-    });
-  
-    // Process g elements with data-mml-node="math"
-    mathGElements.forEach(element => {
+    // composed carries the request out of a web component's shadow root to the bridge
+    container.dispatchEvent(new CustomEvent(SOURCE_REQUEST_EVENT, { bubbles: true, composed: true }));
+  } finally {
+    document.removeEventListener(SOURCE_RESPONSE_EVENT, receiveSource);
+  }
+
+  return typeof source === 'string' && source.trim() ? source.trim() : null;
+}
+
+// Events of the page-world bridge for rendering LaTeX again; the names must match page-bridge.js
+const TEX2MML_REQUEST_EVENT = 'mathjax-to-latex:request-tex2mml';
+const TEX2MML_RESPONSE_EVENT = 'mathjax-to-latex:tex2mml';
+
+/**
+ * Ask page-bridge.js to render LaTeX with the page's MathJax.tex2mml
+ * @param {Element} container - mjx-container the LaTeX was copied from
+ * @param {string} latex
+ * @returns {Object|null} - { mathml } or { error }, or null when the page has no MathJax v3 TeX input
+ */
+function requestTex2mml(container, latex) {
+  let answer = null;
+  const receiveAnswer = (event) => {
+    try {
+      answer = JSON.parse(event.detail);
+    } catch (error) {
+      logDebug('Unreadable answer from the page bridge', error);
+    }
+  };
+
+  document.addEventListener(TEX2MML_RESPONSE_EVENT, receiveAnswer);
+  try {
+    container.dispatchEvent(new CustomEvent(TEX2MML_REQUEST_EVENT, {
+      bubbles: true,
+      composed: true,
+      detail: JSON.stringify({ latex })
+    }));
+  } finally {
+    document.removeEventListener(TEX2MML_RESPONSE_EVENT, receiveAnswer);
+  }
+
+  return answer && (answer.mathml || answer.error) ? answer : null;
+}
+
+/**
+ * Check copied LaTeX by rendering it again with the page's MathJax and
+ * comparing the result with the equation; differences are reported as
+ * 'round-trip-mismatch' diagnostics
+ * @param {Element} element - Equation element the LaTeX was converted from
+ * @param {string} latex - The converted LaTeX
+ * @returns {boolean|null} - Whether the LaTeX renders to the same equation, or null when it cannot be checked
+ */
+function verifyRoundTrip(element, latex) {
+  const container = element.closest('mjx-container');
+  const rendered = container && window.roundTrip.findRenderedMath(container);
+  if (!rendered) return null;
+
+  const answer = requestTex2mml(container, latex);
+  if (!answer) {
+    logDebug('No MathJax v3 TeX input on the page to check the LaTeX with');
+    return null;
+  }
+
+  const logger = window.conversionLogger;
+  const parsed = answer.mathml ? safeParseHTML(answer.mathml) : null;
+  const math = parsed && parsed.querySelector('math');
+  if (!math) {
+    logger.diagnostic('round-trip-error', answer.error || 'no MathML came back');
+    return false;
+  }
+
+  const { error, mismatches } = window.roundTrip.compareRenderedMath(rendered, math);
+  if (error) {
+    logger.diagnostic('round-trip-error', error);
+    return false;
+  }
+
+  mismatches.forEach(mismatch => logger.diagnostic('round-trip-mismatch', mismatch));
+  if (!mismatches.length) {
+    logger.success('Copied LaTeX renders to the same equation', latex);
+  }
+  return mismatches.length === 0;
+}
+
+/**
+ * Get the TeX the author wrote for an equation, when the page still has it
+ * @param {Element} element - MathJax container, MathJax 2 frame, KaTeX equation, native <math> element, or the SVG math node of a bare SVG equation
+ * @returns {string|null} - The TeX source, or null to reconstruct it from the rendering
+ */
+function recoverTexSource(element) {
+  if (!CONFIG.output.recoverSource) return null;
+
+  try {
+    return findTexScriptSource(element)
+      || findTexAnnotationSource(element)
+      || requestMathJaxSource(element);
+  } catch (error) {
+    logError('Error recovering the TeX source', error);
+    return null;
+  }
+}
+
+/**
+ * Convert an equation element to an output format. LaTeX is the author's
+ * TeX source when the page has it and is otherwise rebuilt from the rendering.
+ * @param {Element} element - MathJax container, MathJax 2 frame, KaTeX equation, native <math> element, or the SVG math node of a bare SVG equation
+ * @param {string} format - Output format
+ * @returns {string|null} - The converted equation, or null when the element has no math to convert
+ */
+function convertEquationElement(element, format) {
+  if (format === 'latex') {
+    const source = recoverTexSource(element);
+    if (source !== null) {
+      logDebug('Using the TeX source of the equation');
+      return source;
+    }
+  }
+  return convertRenderedEquation(element, format);
+}
+
+/**
+ * Convert an equation element from its rendering or MathML, without looking
+ * for its TeX source
+ * @param {Element} element - As for convertEquationElement
+ * @param {string} format - Output format
+ * @returns {string|null} - The converted equation, or null when the element has no math to convert
+ */
+function convertRenderedEquation(element, format) {
+  // MathJax 2 output, converted from the MathML kept alongside it
+  if (window.mathjaxV2.isMathJaxV2Frame(element)) {
+    return window.mathjaxV2.convertMathJaxV2Frame(element, format, convertMathMLFromAssistiveMML);
+  }
+
+  // KaTeX output, converted from its MathML; its TeX annotation was tried above
+  if (window.katexOutput.isKatexElement(element)) {
+    return window.katexOutput.convertKatexElement(element, format, convertMathMLFromAssistiveMML, false);
+  }
+
+  // MathML rendered by the browser, likewise without its TeX annotation
+  if (window.nativeMathML.isNativeMathElement(element)) {
+    return window.nativeMathML.convertNativeMathElement(element, format, convertMathMLFromAssistiveMML, false);
+  }
+
+  // Bare SVG equation outside an mjx-container
+  if (element.getAttribute('data-mml-node') === 'math') {
+    return convertToFormat(element.outerHTML, format);
+  }
+
+  // Check if this is CHTML or SVG format
+  const jaxType = element.getAttribute('jax') || '';
+
+  if (jaxType.toUpperCase() === 'CHTML') {
+    // Option 1: If assistive MathML is available, we can use it directly
+    const assistiveMML = element.querySelector('mjx-assistive-mml math');
+    if (assistiveMML) {
+      logDebug('Using assistive MathML for conversion');
+      return convertMathMLFromAssistiveMML(assistiveMML, format);
+    }
+
+    // Option 2: Use the CHTML structure directly
+    if (element.querySelector('mjx-math')) {
+      logDebug('Using CHTML structure for conversion');
+      return convertMathToFormat(element, format);
+    }
+  }
+
+  // Convert the whole container so table column alignment can be
+  // read from its assistive MathML
+  if (element.querySelector('g[data-mml-node="math"]')) {
+    return convertToFormat(element.outerHTML, format);
+  }
+
+  return null;
+}
+
+/**
+ * Convert an equation element and collect what the conversion could not handle.
+ * With output.verifyRoundTrip on, LaTeX rebuilt from the rendering is also
+ * checked with verifyRoundTrip; the page's own TeX source is not.
+ * @param {Element} element - Equation element, see convertEquationElement
+ * @param {string} format - Output format
+ * @returns {Object} - { output, diagnostics, verified }; output is null when the equation could
+ *   not be converted, and diagnostics then also says the aria-label is copied instead; verified
+ *   is true when the LaTeX was checked and renders to the same equation
+ */
+function convertEquationWithDiagnostics(element, format) {
+  const logger = window.conversionLogger;
+  let verified = null;
+  const { output, diagnostics } = logger.collectDiagnostics(() => {
+    // The author's own TeX is copied as it is and not checked against itself
+    const source = format === 'latex' ? recoverTexSource(element) : null;
+    if (source !== null) {
+      logDebug('Using the TeX source of the equation');
+      return source;
+    }
+
+    let converted = null;
+    try {
+      converted = convertRenderedEquation(element, format);
+    } catch (error) {
+      logError('Error converting equation', error);
+      logger.diagnostic('conversion-error', error.message);
+    }
+
+    if (converted === null) {
+      logger.diagnostic('fallback', 'The equation could not be converted; its aria-label was copied instead');
+    } else if (format === 'latex' && CONFIG.output.verifyRoundTrip) {
       try {
-        // Skip if already inside a processed mjx-container
-        if (element.closest('mjx-container.mathjax-copyable')) {
-          return;
-        }
-        
-        // Find closest parent that can be made clickable (SVG or containing div)
-        const clickableParent = element.closest('svg') || element.parentElement;
-        if (!clickableParent) return;
-        
-        clickableParent.classList.add('mathjax-copyable');
-        
-        const clickHandler = function(event) {
-          try {
-            // Use the math element directly
-            const htmlContent = element.outerHTML;
-            
-            if (htmlContent) {
-              const latexContent = convertToLatex(htmlContent);
-              copyToClipboardWithFeedback(latexContent, clickableParent, 'Copied to clipboard');
-            }
-            
-            event.preventDefault();
-            event.stopPropagation();
-          } catch (error) {
-            logError('Error in g element click handler', error);
-          }
-        };
-        
-        attachEventWithCleanup(clickableParent, 'click', clickHandler, cleanupFunctions);
+        verified = verifyRoundTrip(element, converted);
       } catch (error) {
-        logError('Error processing g element', error);
+        logError('Error checking the LaTeX', error);
       }
-    });
+    }
+    return converted;
+  });
+
+  return { output, diagnostics, verified: verified === true && diagnostics.length === 0 };
+}
+
+/**
+ * Copy an equation in the configured output format, falling back to its aria-label
+ * @param {Element} element - MathJax container, MathJax 2 frame, KaTeX equation, native <math> element, or the SVG math node of a bare SVG equation
+ * @param {Element} feedbackElement - Element to show the "Copied!" feedback near
+ */
+function copyEquation(element, feedbackElement) {
+  const format = getOutputFormat();
+
+  // Get the aria-label for user feedback
+  const ariaLabel = feedbackElement.getAttribute('aria-label');
+  if (ariaLabel) {
+    logDebug('Copying math expression: "' + ariaLabel + '"');
+  }
+
+  const { output, diagnostics, verified } = convertEquationWithDiagnostics(element, format);
+
+  if (output === null) {
+    // Fallback: use the aria-label attribute
+    copyAriaLabelAsText(feedbackElement, diagnostics);
+    return;
+  }
+
+  logDebug('Generated ' + format + ':', output);
+  const options = getCopyOptions({
+    mathml: getClipboardMathML(element),
+    delimiters: format === 'latex' ? getLatexDelimiters() : null,
+    diagnostics,
+    verified
+  });
+  copyToClipboardWithFeedback(output, feedbackElement, 'Copied to clipboard', options).then(copied => {
+    if (copied) recordHistory(element, output, format, options);
+  });
+}
+
+/**
+ * Add a copied equation to the history shown in the popup
+ * @param {Element} element - The copied equation
+ * @param {string} output - The converted equation
+ * @param {string} format - Output format of the text
+ * @param {Object} options - The options it was copied with, see getCopyOptions
+ */
+function recordHistory(element, output, format, options) {
+  if (!window.historyStore || !CONFIG.history.enabled) return;
+
+  try {
+    // The entry shows what went to the clipboard; the exports add their own
+    // delimiters to LaTeX, whichever format was copied
+    const latex = format === 'latex'
+      ? prepareClipboardText(output, element, { ...options, delimiters: null })
+      : convertEquationElement(element, 'latex');
+    window.historyStore.requestAddHistoryEntry({
+      text: prepareClipboardText(output, element, options),
+      format,
+      latex,
+      display: isDisplayEquation(element),
+      url: window.location.href,
+      title: document.title,
+      timestamp: Date.now()
+    }, CONFIG.history.maxEntries).catch(error => logError('Error saving history', error));
   } catch (error) {
-    logError('Error in setupMathJaxOverlay', error);
+    logError('Error recording history', error);
   }
 }
 
 /**
- * Direct assistive MathML parsing as fallback with error handling
+ * Make an equation copy itself on click. The click is taken, and the feedback
+ * shown, by the feedback element: the equation itself, or the <svg> around
+ * a bare SVG equation.
+ * @param {Element} element - Equation to copy, as taken by copyEquation
+ * @param {Element} feedbackElement - Element that takes the click
+ * @param {string} label - Kind of equation, for the error log
  */
-function processAssistiveMathML(mathNode) {
+function attachCopyHandler(element, feedbackElement, label) {
+  feedbackElement.classList.add('mathjax-copyable');
+
+  const clickHandler = function(event) {
+    try {
+      // Leave the click to the page when copying is on the context menu only
+      if (!isClickToCopyEnabled()) return;
+
+      copyEquation(element, feedbackElement);
+
+      event.preventDefault();
+      event.stopPropagation();
+    } catch (error) {
+      logError(`Error in ${label} click handler`, error);
+    }
+  };
+
+  attachEventWithCleanup(feedbackElement, 'click', clickHandler, cleanupFunctions);
+}
+
+/**
+ * Sets up overlay functionality for MathJax elements with error handling
+ */
+function setupMathJaxOverlay() {
   try {
-    if (!mathNode) return 'No math node found';
-    
-    // Process direct MathML - simpler approach focused on key structures
-    function processMathNode(node) {
-      if (!node) return '';
-      
+    const selectors = CONFIG.selectors;
+    const containerSelector = 'mjx-container.MathJax:not(.mathjax-copyable)';
+    const mathGSelector = 'g[data-mml-node="math"]';
+
+    // Find every kind of equation in one walk of the page and the open shadow
+    // roots of its web components; containers come before the math inside them
+    const selectorList = [
+      containerSelector,
+      selectors.mathJaxV2Frames,
+      selectors.katexElements,
+      selectors.nativeMath,
+      mathGSelector
+    ].join(', ');
+
+    querySelectorAllDeep(document, selectorList).forEach(element => {
       try {
-        if (node.nodeType === 3) { // Text node
-          return node.textContent.trim();
-        }
-        
-        const nodeName = node.nodeName.toLowerCase();
-        
-        // Handle different MathML elements
-        switch (nodeName) {
-          case 'mfrac':
-            const numNode = node.firstElementChild;
-            const denNode = node.lastElementChild;
-            if (numNode && denNode) {
-              return '\\frac{' + processMathNode(numNode) + '}{' + processMathNode(denNode) + '}';
-            }
-            break;
-            
-          case 'msqrt':
-            let sqrtContent = '';
-            for (const child of node.childNodes) {
-              sqrtContent += processMathNode(child);
-            }
-            return '\\sqrt{' + sqrtContent + '}';
-            
-          case 'msup':
-            const baseNode = node.firstElementChild;
-            const supNode = node.lastElementChild;
-            if (baseNode && supNode) {
-              const base = processMathNode(baseNode);
-              const exp = processMathNode(supNode);
-              return base + '^{' + exp + '}';
-            }
-            break;
-            
-          case 'mo':
-            const op = node.textContent.trim();
-            if (op === '±') return '\\pm';
-            if (op === '×') return '\\times';
-            return op;
-            
-          case 'mi':
-          case 'mn':
-          case 'mtext':
-            return node.textContent.trim();
-        }
-        
-        // Default: process all children
-        let result = '';
-        for (const child of node.childNodes) {
-          result += processMathNode(child);
+        if (element.matches(containerSelector)) {
+          attachCopyHandler(element, element, 'MathJax');
+        } else if (element.matches(selectors.mathJaxV2Frames)) {
+          // Leave out the previews shown before typesetting
+          if (element.classList.contains('mathjax-copyable') || !window.mathjaxV2.isMathJaxV2Frame(element)) return;
+          attachCopyHandler(element, element, 'MathJax 2');
+        } else if (element.matches(selectors.katexElements)) {
+          if (element.classList.contains('mathjax-copyable')) return;
+          attachCopyHandler(element, element, 'KaTeX');
+        } else if (element.matches(selectors.nativeMath)) {
+          // <math> elements the browser renders itself
+          if (element.classList.contains('mathjax-copyable') || !window.nativeMathML.isNativeMathElement(element)) return;
+          attachCopyHandler(element, element, 'MathML');
+        } else if (element.matches(mathGSelector)) {
+          // Skip if already inside a processed mjx-container
+          if (element.closest('mjx-container.mathjax-copyable')) return;
+
+          // Find closest parent that can be made clickable (SVG or containing div)
+          const clickableParent = element.closest('svg') || element.parentElement;
+          if (!clickableParent || clickableParent.classList.contains('mathjax-copyable')) return;
+
+          attachCopyHandler(element, clickableParent, 'SVG');
         }
-        return result;
       } catch (error) {
-        logError('Error processing MathML node', error);
-        return '';
+        logError('Error processing equation', error);
       }
-    }
-    
-    return processMathNode(mathNode);
+    });
   } catch (error) {
-    logError('Error in processAssistiveMathML', error);
-    return 'Error processing MathML';
+    logError('Error in setupMathJaxOverlay', error);
   }
 }
 
 /**
  * Fallback to just copying the aria-label text
+ * @param {Element} element - Element with the aria-label
+ * @param {Array<Object>} [diagnostics] - Why the equation itself was not copied, shown as warnings
  */
-function copyAriaLabelAsText(element) {
+function copyAriaLabelAsText(element, diagnostics = []) {
   try {
     const ariaLabel = element.getAttribute('aria-label');
     if (ariaLabel) {
-      copyToClipboardWithFeedback(ariaLabel, element, 'Copied aria-label to clipboard as fallback');
+      copyToClipboardWithFeedback(ariaLabel, element, 'Copied aria-label to clipboard as fallback', getCopyOptions({
+        diagnostics
+      }));
     } else {
       logWarning('No aria-label found for fallback');
     }
@@ -463,13 +721,403 @@ function copyAriaLabelAsText(element) {
   }
 }
 
+// Context-menu entries added by background.js, keyed by menu item id
+const CONTEXT_MENU_ACTIONS = {
+  'copy-latex': (equation) => copyWrappedLatex(equation, { inline: 'none', display: 'none' }),
+  'copy-inline-latex': (equation) => copyWrappedLatex(equation, { inline: 'dollar', display: 'dollar' }),
+  'copy-display-latex': (equation) => copyWrappedLatex(equation, { inline: 'bracket', display: 'bracket' }),
+  'copy-mathml': (equation) => copyEquationMathML(equation),
+  'copy-aria-label': (equation) => copyAriaLabelAsText(equation.feedbackElement)
+};
+
+/**
+ * Find the equation a right-clicked node belongs to
+ * @param {Node} node - Event target
+ * @returns {Object|null} - { element, feedbackElement } as taken by copyEquation, or null outside equations
+ */
+function findEquationElement(node) {
+  const start = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+  if (!start) return null;
+
+  const container = start.closest('mjx-container');
+  if (container) return { element: container, feedbackElement: container };
+
+  const frame = window.mathjaxV2.findMathJaxV2Frame(start);
+  if (frame) return { element: frame, feedbackElement: frame };
+
+  const katex = window.katexOutput.findKatexElement(start);
+  if (katex) return { element: katex, feedbackElement: katex };
+
+  const math = window.nativeMathML.findNativeMathElement(start);
+  if (math) return { element: math, feedbackElement: math };
+
+  const svg = start.closest('svg');
+  const mathNode = svg && svg.querySelector('g[data-mml-node="math"]');
+  return mathNode ? { element: mathNode, feedbackElement: svg } : null;
+}
+
+/**
+ * Copy an equation as LaTeX between delimiters
+ * @param {Object} equation - Result of findEquationElement
+ * @param {Object} delimiters - Wrapping modes { inline, display }, see utils.js
+ */
+function copyWrappedLatex(equation, delimiters) {
+  const { output: latex, diagnostics, verified } = convertEquationWithDiagnostics(equation.element, 'latex');
+  if (latex === null) {
+    copyAriaLabelAsText(equation.feedbackElement, diagnostics);
+    return;
+  }
+
+  const options = getCopyOptions({
+    mathml: getClipboardMathML(equation.element),
+    delimiters,
+    diagnostics,
+    verified
+  });
+  copyToClipboardWithFeedback(latex, equation.feedbackElement, 'Copied LaTeX to clipboard', options).then(copied => {
+    if (copied) recordHistory(equation.element, latex, 'latex', options);
+  });
+}
+
+/**
+ * Copy an equation as MathML markup, which office suites also paste as an equation
+ * @param {Object} equation - Result of findEquationElement
+ */
+function copyEquationMathML(equation) {
+  const mathml = window.equationExtractor.getEquationMathML(equation.element);
+  if (!mathml) {
+    logWarning('No MathML could be built for the equation');
+    return;
+  }
+  copyToClipboardWithFeedback(mathml, equation.feedbackElement, 'Copied MathML to clipboard', getCopyOptions({ mathml }));
+}
+
+/**
+ * Get the node an event started on. Inside a shadow root event.target is the
+ * shadow host, so the first node of the event's path is taken instead.
+ * @param {Event} event
+ * @returns {EventTarget|null}
+ */
+function getEventOrigin(event) {
+  const path = event.composedPath ? event.composedPath() : [];
+  return path.length ? path[0] : event.target;
+}
+
+/**
+ * Remember the equation under a right click, for the context-menu entries
+ * @param {MouseEvent} event - contextmenu event
+ */
+function handleEquationContextMenu(event) {
+  contextMenuEquation = findEquationElement(getEventOrigin(event));
+  contextMenuPoint = { pageX: event.pageX, pageY: event.pageY };
+}
+
+/**
+ * Copy the remembered equation when a context-menu entry is chosen. The
+ * entries show on every right click, so one chosen away from an equation
+ * says there was nothing to copy.
+ * @param {Object} message - { action: 'copyEquation', menuItemId } from background.js
+ */
+function handleContextMenuMessage(message) {
+  if (!message || message.action !== 'copyEquation') return;
+
+  const action = CONTEXT_MENU_ACTIONS[message.menuItemId];
+  if (!action) {
+    logWarning('Unknown context-menu entry ' + message.menuItemId);
+    return;
+  }
+  if (!contextMenuEquation) {
+    logWarning('No equation to copy for context-menu entry ' + message.menuItemId);
+    if (contextMenuPoint) {
+      showFeedbackAt('No equation here to copy', contextMenuPoint.pageX, contextMenuPoint.pageY, CONFIG.feedback.duration);
+    }
+    announceToScreenReader('No equation under the pointer to copy');
+    return;
+  }
+
+  try {
+    action(contextMenuEquation);
+  } catch (error) {
+    logError('Error copying equation from the context menu', error);
+  }
+}
+
+/**
+ * Sets up the context-menu copy entries. The listeners are removed in cleanup()
+ * rather than through cleanupFunctions, which drops its oldest entries on busy pages
+ */
+function setupContextMenu() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) return;
+
+  // Capture, so pages that stop the event still tell us what was right-clicked
+  document.addEventListener('contextmenu', handleEquationContextMenu, true);
+  chrome.runtime.onMessage.addListener(handleContextMenuMessage);
+}
+
+// Copy all equations
+/**
+ * Lay out every equation on the page
+ * @param {string} [layout] - 'list', 'latex' or 'markdown'; defaults to output.copyAllLayout
+ * @returns {Object} - { text, count, layout }
+ */
+function collectAllEquations(layout = CONFIG.output.copyAllLayout) {
+  const { text, count } = window.equationList.buildEquationList(document, {
+    layout,
+    format: getOutputFormat(),
+    removeTrailingPeriod: CONFIG.text.removeSingleTrailingPeriod,
+    recoverSource: recoverTexSource
+  });
+  logDebug(`Collected ${count} equations as ${layout}`);
+  return { text, count, layout };
+}
+
+/**
+ * Copy every equation on the page, showing the feedback at the first one
+ * @param {string} [layout] - 'list', 'latex' or 'markdown'
+ */
+function copyAllEquations(layout) {
+  const { text, count } = collectAllEquations(layout);
+  if (!count) {
+    logWarning('No equations to copy on this page');
+    return;
+  }
+
+  const first = window.equationExtractor.findEquations(document)[0];
+  copyToClipboardWithFeedback(text, first.closest('mjx-container') || first, `Copied ${count} equations to clipboard`, getCopyOptions({
+    removeTrailingPeriod: false
+  }));
+}
+
+/**
+ * Answer "copy all equations" from the popup and the keyboard command.
+ * The popup copies the text itself, as the page has no focus while it is open
+ * @param {Object} message - { action: 'collectAllEquations' | 'copyAllEquations', layout }
+ * @param {Object} sender
+ * @param {Function} sendResponse - Receives { text, count, layout } or { error }
+ */
+function handleCopyAllMessage(message, sender, sendResponse) {
+  if (!message) return;
+
+  try {
+    if (message.action === 'collectAllEquations') {
+      sendResponse(collectAllEquations(message.layout));
+    } else if (message.action === 'copyAllEquations' && isCommandFrame()) {
+      copyAllEquations(message.layout);
+    }
+  } catch (error) {
+    logError('Error copying all equations', error);
+    if (message.action === 'collectAllEquations') {
+      sendResponse({ error: error.message });
+    }
+  }
+}
+
+/**
+ * Check whether a keyboard command, which background.js sends to every frame,
+ * is for this frame: the one holding the focus, or the top frame when no frame
+ * of the tab has it. A frame whose focus is in a child frame also reports
+ * hasFocus(), so it leaves the command to that frame.
+ * @returns {boolean}
+ */
+function isCommandFrame() {
+  if (!document.hasFocus()) return window === window.top;
+
+  let focusedElement = document.activeElement;
+  while (focusedElement && focusedElement.shadowRoot && focusedElement.shadowRoot.activeElement) {
+    focusedElement = focusedElement.shadowRoot.activeElement;
+  }
+  return !focusedElement || !/^i?frame$/i.test(focusedElement.tagName);
+}
+
+/**
+ * Sets up "copy all equations"; the listener is removed in cleanup()
+ */
+function setupCopyAll() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) return;
+
+  chrome.runtime.onMessage.addListener(handleCopyAllMessage);
+}
+
+// Page export
+/**
+ * Write the whole page as a LaTeX document or Markdown
+ * @param {string} format - 'tex' or 'markdown'
+ * @returns {Object} - { text, count, title } with the number of equations written
+ */
+function exportPageDocument(format) {
+  const { text, count } = window.pageExporter.exportPage(document, {
+    format,
+    url: window.location.href,
+    removeTrailingPeriod: CONFIG.text.removeSingleTrailingPeriod,
+    recoverSource: recoverTexSource
+  });
+  logDebug(`Exported the page as ${format} with ${count} equations`);
+  return { text, count, title: document.title };
+}
+
+/**
+ * Answer the popup's page export, which saves the file itself
+ * @param {Object} message - { action: 'exportPage', format }
+ * @param {Object} sender
+ * @param {Function} sendResponse - Receives { text, count, title } or { error }
+ */
+function handleExportPageMessage(message, sender, sendResponse) {
+  if (!message || message.action !== 'exportPage') return;
+
+  try {
+    sendResponse(exportPageDocument(message.format));
+  } catch (error) {
+    logError('Error exporting the page', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Sets up the page export; the listener is removed in cleanup()
+ */
+function setupPageExport() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) return;
+
+  chrome.runtime.onMessage.addListener(handleExportPageMessage);
+}
+
+// Keyboard navigation
+/**
+ * Get the equations the keyboard cycles through
+ * @returns {Array<Element>} - Shown elements made copyable by setupMathJaxOverlay, in document order
+ */
+function getNavigableEquations() {
+  return querySelectorAllDeep(document, '.mathjax-copyable')
+    .filter(element => element.getClientRects().length > 0);
+}
+
+/**
+ * Move the focus to the next or previous equation, highlighted like on hover
+ * @param {string} direction - 'next' or 'previous'
+ */
+function focusEquation(direction) {
+  const equations = getNavigableEquations();
+  if (!equations.length) {
+    announceToScreenReader('No equations on this page');
+    return;
+  }
+
+  // The focus inside a web component shows on the page as its host
+  let focusedElement = document.activeElement;
+  while (focusedElement && focusedElement.shadowRoot && focusedElement.shadowRoot.activeElement) {
+    focusedElement = focusedElement.shadowRoot.activeElement;
+  }
+  const active = focusedElement && focusedElement.closest
+    ? focusedElement.closest('.mathjax-copyable')
+    : null;
+  const current = equations.indexOf(active);
+  const step = direction === 'previous' ? -1 : 1;
+  const index = current === -1
+    ? (step > 0 ? 0 : equations.length - 1)
+    : (current + step + equations.length) % equations.length;
+  const target = equations[index];
+
+  // Focusable from script only, so the page's own tab order stays as it is
+  if (!target.hasAttribute('tabindex')) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.classList.add('mathjax-keyboard-focus');
+  target.addEventListener('blur', () => target.classList.remove('mathjax-keyboard-focus'), { once: true });
+  target.focus({ preventScroll: true });
+  target.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Copy the focused equation on Enter, whether it was reached with the
+ * navigation commands or with Tab
+ * @param {KeyboardEvent} event - keydown event
+ */
+function handleEquationKeydown(event) {
+  if (event.key !== 'Enter' || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+  const origin = getEventOrigin(event);
+  const focused = origin && origin.closest ? origin.closest('.mathjax-copyable') : null;
+  const equation = focused && findEquationElement(focused);
+  if (!equation) return;
+
+  try {
+    copyEquation(equation.element, equation.feedbackElement);
+    event.preventDefault();
+    event.stopPropagation();
+  } catch (error) {
+    logError('Error copying the focused equation', error);
+  }
+}
+
+/**
+ * Move between equations when background.js passes on a navigation command
+ * @param {Object} message - { action: 'focusEquation', direction }
+ */
+function handleFocusEquationMessage(message) {
+  if (!message || message.action !== 'focusEquation' || !isCommandFrame()) return;
+
+  try {
+    focusEquation(message.direction);
+  } catch (error) {
+    logError('Error moving to an equation', error);
+  }
+}
+
+/**
+ * Sets up keyboard navigation; the listeners are removed in cleanup()
+ */
+function setupKeyboardNavigation() {
+  // Capture, so MathJax's own keyboard handling on the container does not take Enter first
+  document.addEventListener('keydown', handleEquationKeydown, true);
+
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) return;
+  chrome.runtime.onMessage.addListener(handleFocusEquationMessage);
+}
+
+// Selection copy
+/**
+ * Replace the equations' rendered glyphs with their LaTeX when a selection
+ * holding equations is copied. Copies without equations, and those the page
+ * has already handled itself, are left to the browser.
+ * @param {ClipboardEvent} event - copy event
+ */
+function handleSelectionCopy(event) {
+  if (!CONFIG.interaction.copySelection || event.defaultPrevented || !event.clipboardData) return;
+
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) return;
+
+  try {
+    const copied = window.selectionCopy.buildSelectionCopy(selection.getRangeAt(0), {
+      removeTrailingPeriod: CONFIG.text.removeSingleTrailingPeriod,
+      recoverSource: recoverTexSource
+    });
+    if (!copied) return;
+
+    event.clipboardData.setData('text/plain', copied.text);
+    event.clipboardData.setData('text/html', copied.html);
+    event.preventDefault();
+    logDebug(`Copied a selection with ${copied.count} equations as LaTeX`);
+  } catch (error) {
+    logError('Error copying the selection', error);
+  }
+}
+
+/**
+ * Sets up the selection copy; the listener is removed in cleanup()
+ */
+function setupSelectionCopy() {
+  // Bubbling, after the page's own copy handlers, whose choice is kept
+  document.addEventListener('copy', handleSelectionCopy);
+}
+
 // Utilities
 /**
  * Checks if the current page is on the kampus.sanomapro.fi domain
  * @returns {boolean} - True if on kampus domain
  */
 function isOnKampusDomain() {
-  return window.location.hostname === CONFIG.domainSpecific.kampus;
+  return window.location.hostname === CONFIG.domains.kampus.hostname;
 }
 
 /**
@@ -477,7 +1125,8 @@ function isOnKampusDomain() {
  */
 function permanentlyDisableMenuPanels() {
   try {
-    if (!isOnKampusDomain() || !CONFIG.kampusFeatures.disableMenuPanels) return;
+    if (!isOnKampusDomain() || !CONFIG.domains.kampus.features.disableMenuPanels) return;
+    if (document.getElementById('menu-panel-disabler')) return;
     
     const styleEl = document.createElement('style');
     styleEl.id = 'menu-panel-disabler';
@@ -515,14 +1164,15 @@ function permanentlyDisableMenuPanels() {
       observers.head.disconnect();
     }
     
-    const observerCallback = () => {
-      if (!document.getElementById('menu-panel-disabler')) {
+    // Put the style back when the page removes it, unless the setting was turned off
+    const restoreStyle = () => {
+      if (CONFIG.domains.kampus.features.disableMenuPanels && !document.getElementById('menu-panel-disabler')) {
         document.head.appendChild(styleEl.cloneNode(true));
       }
     };
     
     observers.head = createObserverWithCleanup(
-      observerCallback,
+      restoreStyle,
       document.head,
       { childList: true }
     );
@@ -538,11 +1188,7 @@ function permanentlyDisableMenuPanels() {
       }
     }
     
-    setIntervalWithCleanup(() => {
-      if (!document.getElementById('menu-panel-disabler')) {
-        document.head.appendChild(styleEl.cloneNode(true));
-      }
-    }, CONFIG.styleCheckInterval, intervalIds);
+    setIntervalWithCleanup(restoreStyle, CONFIG.performance.styleCheckInterval, intervalIds);
     
     logDebug('Menu panel disabler installed');
   } catch (error) {
@@ -550,12 +1196,36 @@ function permanentlyDisableMenuPanels() {
   }
 }
 
+/**
+ * Removes the menu panel disabler when the setting is turned off
+ */
+function restoreMenuPanels() {
+  const styleEl = document.getElementById('menu-panel-disabler');
+  if (styleEl) {
+    styleEl.remove();
+  }
+  
+  if (observers.head) {
+    observers.head.disconnect();
+    observers.head = null;
+  }
+}
+
+/**
+ * Checks if text selection is managed; read on every event so the setting applies without a reload
+ * @returns {boolean}
+ */
+function isTextSelectionManaged() {
+  return isOnKampusDomain() && CONFIG.domains.kampus.features.manageTextSelection;
+}
+
 /**
  * Sets up text deselection behavior on kampus.sanomapro.fi with error handling
  */
 function setupTextDeselection() {
   try {
-    if (!isOnKampusDomain() || !CONFIG.kampusFeatures.manageTextSelection) return;
+    if (!isTextSelectionManaged() || textDeselectionInstalled) return;
+    textDeselectionInstalled = true;
     
     logDebug('Setting up text deselection behavior for kampus.sanomapro.fi');
     
@@ -639,6 +1309,8 @@ function setupTextDeselection() {
   
     const mousedownHandler = function(event) {
       try {
+        if (!isTextSelectionManaged()) return;
+        
         // Skip right-click (button 2) to allow context menu on selected text
         if (event.button === 2) {
           logDebug('Right-click detected, preserving text selection for context menu');
@@ -658,6 +1330,8 @@ function setupTextDeselection() {
   
     const mouseupHandler = function(event) {
       try {
+        if (!isTextSelectionManaged()) return;
+        
         // Skip right-click (button 2) to allow context menu on selected text
         if (event.button === 2) {
           return;
@@ -676,6 +1350,8 @@ function setupTextDeselection() {
   
     const clickHandler = function(event) {
       try {
+        if (!isTextSelectionManaged()) return;
+        
         // Skip right-click (button 2) to allow context menu on selected text
         if (event.button === 2) {
           return;
@@ -711,6 +1387,84 @@ function setupTextDeselection() {
   }
 }
 
+// What the MathJax observer watches, in the page body and in each open shadow root
+const MATHJAX_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: false,
+  characterData: false
+};
+
+/**
+ * Check whether an element is or holds equations, looking into its own
+ * shadow root when it is a web component
+ * @param {Element} element - Element added to the page
+ * @returns {boolean}
+ */
+function holdsEquations(element) {
+  const selector = ['mjx-container, .MathJax', CONFIG.selectors.mathJaxV2Frames,
+    CONFIG.selectors.katexElements, CONFIG.selectors.nativeMath].join(', ');
+  if (element.matches(selector) || element.querySelector(selector)) return true;
+  return Boolean(element.shadowRoot && element.shadowRoot.querySelector(selector));
+}
+
+/**
+ * Watch the open shadow roots below a node, which the observer on the body
+ * does not see into, and give them styles.css, which the page's own styles
+ * do not reach
+ * @param {Document|Element} [root=document] - Node to look below
+ */
+function watchShadowRoots(root = document) {
+  if (!observers.mathJax) return;
+
+  getOpenShadowRoots(root).forEach(shadowRoot => {
+    if (watchedShadowRoots.has(shadowRoot)) return;
+    watchedShadowRoots.add(shadowRoot);
+
+    try {
+      observers.mathJax.observe(shadowRoot, MATHJAX_OBSERVER_OPTIONS);
+      if (shadowRoot.querySelector('link.mathjax-copy-styles')) return;
+
+      const stylesheet = document.createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = chrome.runtime.getURL('styles.css');
+      stylesheet.className = 'mathjax-copy-styles';
+      shadowRoot.appendChild(stylesheet);
+    } catch (error) {
+      logError('Error watching a shadow root', error);
+    }
+  });
+}
+
+/**
+ * Look at the elements added since the last call. Only those that are web
+ * components or hold equations are searched for shadow roots, and the
+ * overlay is set up again only when equations were added.
+ */
+function processAddedElements() {
+  const elements = pendingAddedElements;
+  pendingAddedElements = new Set();
+
+  const isInsideAddedElement = (element) => {
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+      if (elements.has(parent)) return true;
+    }
+    return false;
+  };
+
+  let equationsAdded = false;
+  elements.forEach(element => {
+    // Skip elements since removed, or inside another added element
+    if (!element.isConnected || isInsideAddedElement(element)) return;
+
+    const hasEquations = holdsEquations(element);
+    if (hasEquations || element.shadowRoot) watchShadowRoots(element);
+    if (hasEquations) equationsAdded = true;
+  });
+
+  if (equationsAdded) setupMathJaxOverlay();
+}
+
 /**
  * Sets up a mutation observer for MathJax elements with debouncing
  */
@@ -721,33 +1475,30 @@ function setupMathJaxObserver() {
       observers.mathJax.disconnect();
     }
     
-    // Debounced setup function to avoid excessive calls
-    const debouncedSetup = debounce(() => {
-      setupMathJaxOverlay();
-    }, CONFIG.mutationObserverDelay);
+    // Added elements are only collected here and looked at once the page settles
+    const debouncedProcess = debounce(() => {
+      try {
+        processAddedElements();
+      } catch (error) {
+        logError('Error processing added elements', error);
+      }
+    }, CONFIG.performance.mutationObserverDelay);
     
     const observerCallback = (mutations) => {
       try {
-        let mathJaxAdded = false;
+        let elementAdded = false;
         
         for (const mutation of mutations) {
-          if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-            for (const node of mutation.addedNodes) {
-              if (node.nodeType === Node.ELEMENT_NODE) {
-                if (node.tagName === 'MJX-CONTAINER' ||
-                    node.classList?.contains('MathJax') ||
-                    (node.querySelectorAll && node.querySelectorAll('mjx-container, .MathJax').length > 0)) {
-                  mathJaxAdded = true;
-                  break;
-                }
-              }
-            }
+          if (mutation.type !== 'childList') continue;
+          for (const node of mutation.addedNodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            pendingAddedElements.add(node);
+            elementAdded = true;
           }
-          if (mathJaxAdded) break;
         }
         
-        if (mathJaxAdded) {
-          debouncedSetup();
+        if (elementAdded) {
+          debouncedProcess();
         }
       } catch (error) {
         logError('Error in MathJax observer callback', error);
@@ -757,13 +1508,11 @@ function setupMathJaxObserver() {
     observers.mathJax = createObserverWithCleanup(
       observerCallback,
       document.body,
-      {
-        childList: true,
-        subtree: true,
-        attributes: false,
-        characterData: false
-      }
+      MATHJAX_OBSERVER_OPTIONS
     );
+    watchedShadowRoots = new WeakSet();
+    pendingAddedElements = new Set();
+    watchShadowRoots();
   } catch (error) {
     logError('Error setting up MathJax observer', error);
   }
@@ -779,6 +1528,8 @@ function cleanup() {
       observers.mathJax.disconnect();
       observers.mathJax = null;
     }
+    watchedShadowRoots = new WeakSet();
+    pendingAddedElements = new Set();
     
     if (observers.head) {
       observers.head.disconnect();
@@ -804,10 +1555,29 @@ function cleanup() {
       }
     });
     cleanupFunctions = [];
+    textDeselectionInstalled = false;
+    
+    if (stopWatchingSettings) {
+      stopWatchingSettings();
+      stopWatchingSettings = null;
+    }
     
     // Clear cache
     conversionCache.clear();
     
+    // Remove the context-menu, copy-all, page export, keyboard and selection copy listeners
+    document.removeEventListener('contextmenu', handleEquationContextMenu, true);
+    document.removeEventListener('keydown', handleEquationKeydown, true);
+    document.removeEventListener('copy', handleSelectionCopy);
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+      chrome.runtime.onMessage.removeListener(handleContextMenuMessage);
+      chrome.runtime.onMessage.removeListener(handleCopyAllMessage);
+      chrome.runtime.onMessage.removeListener(handleExportPageMessage);
+      chrome.runtime.onMessage.removeListener(handleFocusEquationMessage);
+    }
+    contextMenuEquation = null;
+    contextMenuPoint = null;
+    
     logDebug('Cleanup completed');
   } catch (error) {
     logError('Error during cleanup', error);
@@ -822,19 +1592,12 @@ function initialize() {
     logInfo('Initializing MathJax to LaTeX extension');
     
     setupMathJaxOverlay();
-    
-    if (isOnKampusDomain()) {
-      // Only run kampus-specific features if enabled in CONFIG
-      if (CONFIG.kampusFeatures.manageTextSelection) {
-        setupTextDeselection();
-        logInfo('Text selection management enabled for kampus.sanomapro.fi');
-      }
-      if (CONFIG.kampusFeatures.disableMenuPanels) {
-        permanentlyDisableMenuPanels();
-        logInfo('Menu panel disabling enabled for kampus.sanomapro.fi');
-      }
-    }
-    
+    setupContextMenu();
+    setupCopyAll();
+    setupPageExport();
+    setupKeyboardNavigation();
+    setupSelectionCopy();
+    applyKampusFeatures();
     setupMathJaxObserver();
     
     logInfo('Extension initialized successfully');
@@ -843,13 +1606,68 @@ function initialize() {
   }
 }
 
-// Run initialization when DOM is ready or now if already loaded
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initialize);
-} else {
-  initialize();
+/**
+ * Turns the kampus.sanomapro.fi features on or off to match CONFIG
+ */
+function applyKampusFeatures() {
+  if (!isOnKampusDomain()) return;
+  
+  // Only run kampus-specific features if enabled in CONFIG
+  const features = CONFIG.domains.kampus.features;
+  if (features.manageTextSelection && !textDeselectionInstalled) {
+    setupTextDeselection();
+    logInfo('Text selection management enabled for kampus.sanomapro.fi');
+  }
+  if (features.disableMenuPanels) {
+    permanentlyDisableMenuPanels();
+    logInfo('Menu panel disabling enabled for kampus.sanomapro.fi');
+  } else {
+    restoreMenuPanels();
+  }
+}
+
+/**
+ * Makes a configuration the active one
+ * @param {Object} settings - ExtensionConfig merged with the user's settings
+ */
+function applyUserSettings(settings) {
+  CONFIG = settings;
+  
+  if (window.conversionLogger && window.conversionLogger.configure) {
+    window.conversionLogger.configure(CONFIG.logging);
+  }
+  document.documentElement.classList.toggle('mathjax-context-menu-only', !CONFIG.interaction.clickToCopy);
 }
 
+/**
+ * Loads the user's settings from the options page and keeps applying their
+ * changes to this tab
+ * @returns {Promise<void>} - Resolves once the stored settings are active
+ */
+function loadUserSettings() {
+  const store = window.settingsStore;
+  if (!store) return Promise.resolve();
+  
+  stopWatchingSettings = store.watchSettings(ExtensionConfig, (settings) => {
+    applyUserSettings(settings);
+    applyKampusFeatures();
+    logDebug('Settings updated');
+  });
+  
+  return store.loadSettings(ExtensionConfig)
+    .then(applyUserSettings)
+    .catch(error => logError('Error loading settings, using defaults', error));
+}
+
+// Run initialization when the settings are loaded and the DOM is ready
+loadUserSettings().then(() => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+});
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', cleanup);
 window.addEventListener('unload', cleanup);
@@ -860,6 +1678,7 @@ if (typeof module !== 'undefined' && module.exports) {
     initialize,
     cleanup,
     setupMathJaxOverlay,
-    convertToLatex
+    convertToLatex,
+    convertToFormat
   };
 }
@@ -456,7 +456,7 @@ const unicode_to_tex = {
 };
 
 // Add a helper function to identify function names
-window.identifyFunctionName = function(chars) {
+function identifyFunctionName(chars) {
     const functionName = chars.join('');
     const functionMap = {
         'cos': '\\cos',
@@ -485,4 +485,11 @@ window.identifyFunctionName = function(chars) {
     };
     
     return functionMap[functionName] || null;
-};
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { unicode_to_tex, identifyFunctionName };
+} else {
+  window.identifyFunctionName = identifyFunctionName;
+}
@@ -0,0 +1,91 @@
+/**
+ * MathJax to LaTeX - Node API
+ *
+ * Converts MathML markup to LaTeX outside the browser. The markup is parsed
+ * with the bundled lightweight DOM (modules/lite-dom.js), built into a math
+ * tree by the MathML front-end and serialised by the same LaTeX back-end the
+ * extension uses for every renderer.
+ */
+
+const { parseMarkup } = require('./modules/lite-dom.js');
+const logger = require('./modules/logger.js');
+const nodeProcessor = require('./modules/node-processor.js');
+const { buildMathTree, serializeMathTree } = require('./translate.js');
+
+const DEFAULT_OPTIONS = {
+  fixParentheses: false, // Rewrite ( and ) as \left( and \right) like the extension when copying
+  logging: null          // Optional logger configuration, see modules/logger.js
+};
+
+// Presentation elements accepted as bare markup without a <math> wrapper
+const MATHML_ELEMENTS = [
+  'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mglyph', 'mrow', 'mfrac', 'msqrt', 'mroot',
+  'mstyle', 'merror', 'mpadded', 'mphantom', 'mfenced', 'menclose', 'msub', 'msup', 'msubsup',
+  'munder', 'mover', 'munderover', 'mmultiscripts', 'mtable', 'mtr', 'mlabeledtr', 'mtd',
+  'maction', 'semantics'
+];
+
+/**
+ * Find the <math> element to convert, wrapping bare presentation markup
+ * (e.g. "<mfrac>...</mfrac>") in a <math> element when none is present
+ * @param {string} mathml - MathML markup
+ * @return {Element|null} - The math element, or null when the markup is not MathML
+ */
+function findMathElement(mathml) {
+  const doc = parseMarkup(mathml);
+  const mathNode = doc.querySelector('math');
+  if (mathNode) return mathNode;
+
+  const elements = Array.from(doc.children);
+  if (elements.length === 0 || !elements.every(element => MATHML_ELEMENTS.includes(element.nodeName.toLowerCase()))) {
+    return null;
+  }
+  return parseMarkup('<math>' + mathml + '</math>').querySelector('math');
+}
+
+/**
+ * Convert a MathML string to LaTeX
+ * @param {string} mathml - MathML markup, e.g. "<math><mfrac><mn>1</mn><mn>2</mn></mfrac></math>"
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.fixParentheses=false] - Use \left( and \right) for parentheses
+ * @param {Object} [options.logging] - Logger configuration ({ enabled, levels, verbose })
+ * @return {string} - LaTeX representation of the first <math> element
+ */
+function mathmlToLatex(mathml, options = {}) {
+  return mathmlToLatexResult(mathml, options).latex;
+}
+
+/**
+ * Convert a MathML string to LaTeX and report what the conversion could not handle
+ * @param {string} mathml - MathML markup
+ * @param {Object} [options] - Conversion options, as for mathmlToLatex
+ * @return {Object} - { latex, diagnostics } with diagnostics as [{ code, detail, message }]
+ */
+function mathmlToLatexResult(mathml, options = {}) {
+  if (typeof mathml !== 'string') {
+    throw new TypeError('mathmlToLatex expects a MathML string');
+  }
+
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (settings.logging) {
+    logger.configure(settings.logging);
+  }
+
+  const mathNode = findMathElement(mathml);
+  if (!mathNode) {
+    throw new Error('No MathML element found in input');
+  }
+
+  // Serialized without the extension's finishing step, which fixParentheses opts into
+  const { output, diagnostics } = logger.collectDiagnostics(() => serializeMathTree(buildMathTree(mathNode)));
+  const latex = output.trim();
+  return {
+    latex: settings.fixParentheses ? nodeProcessor.fixParentheses(latex) : latex,
+    diagnostics
+  };
+}
+
+module.exports = {
+  mathmlToLatex,
+  mathmlToLatexResult
+};
@@ -0,0 +1,426 @@
+/**
+ * AsciiMath back-end for the intermediate math tree (see math-tree.js)
+ *
+ * Produces the input syntax of asciimath.org, e.g. "sqrt(x^2+1)/2" or
+ * "sum_(i=1)^n i", which MathJax and many exam and chat tools understand.
+ */
+
+// AsciiMath names for symbols; other characters are written as they are
+const ASCIIMATH_SYMBOLS = {
+  'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'Γ': 'Gamma', 'δ': 'delta', 'Δ': 'Delta',
+  'ϵ': 'epsilon', 'ε': 'varepsilon', 'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'Θ': 'Theta',
+  'ϑ': 'vartheta', 'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'Λ': 'Lambda', 'μ': 'mu',
+  'ν': 'nu', 'ξ': 'xi', 'Ξ': 'Xi', 'π': 'pi', 'Π': 'Pi', 'ρ': 'rho', 'σ': 'sigma',
+  'Σ': 'Sigma', 'τ': 'tau', 'υ': 'upsilon', 'ϕ': 'phi', 'φ': 'varphi', 'Φ': 'Phi',
+  'χ': 'chi', 'ψ': 'psi', 'Ψ': 'Psi', 'ω': 'omega', 'Ω': 'Omega',
+  '−': '-', '⋅': '*', '·': '*', '∗': '**', '⋆': '***', '×': 'xx', '÷': '-:', '∘': '@',
+  '⊕': 'o+', '⊗': 'ox', '⊙': 'o.', '±': '+-', '∓': '-+',
+  '∑': 'sum', '∏': 'prod', '∧': '^^', '⋀': '^^^', '∨': 'vv', '⋁': 'vvv',
+  '∩': 'nn', '⋂': 'nnn', '∪': 'uu', '⋃': 'uuu',
+  '≠': '!=', '≤': '<=', '⩽': '<=', '≥': '>=', '⩾': '>=', '≺': '-<', '≻': '>-',
+  '∈': 'in', '∉': '!in', '⊂': 'sub', '⊃': 'sup', '⊆': 'sube', '⊇': 'supe',
+  '≡': '-=', '≅': '~=', '≈': '~~', '∝': 'prop',
+  '¬': 'not', '⇒': '=>', '⟹': '=>', '⇔': '<=>', '⟺': '<=>', '∀': 'AA', '∃': 'EE',
+  '⊥': '_|_', '⊤': 'TT', '⊢': '|--', '⊨': '|==',
+  '∫': 'int', '∮': 'oint', '∂': 'del', '∇': 'grad', '∞': 'oo', '∅': 'O/', 'ℵ': 'aleph',
+  '∣': '|', '⌊': '|__', '⌋': '__|', '⌈': '|~', '⌉': '~|', '⟨': '(:', '⟩': ':)',
+  '∠': '/_', '∴': ':.', '…': '...', '⋯': 'cdots', '⋮': 'vdots', '⋱': 'ddots',
+  '↑': 'uarr', '↓': 'darr', '→': '->', '⟶': '->', '←': 'larr', '⟵': 'larr', '↔': 'harr',
+  '⇐': 'lArr', '↦': '|->', '↠': '->>', '↣': '>->',
+  '′': "'", '″': "''", '‴': "'''"
+};
+
+// Functions AsciiMath typesets upright; other multi-letter names are quoted
+const ASCIIMATH_FUNCTIONS = [
+  'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan',
+  'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth', 'exp', 'log', 'ln',
+  'det', 'dim', 'mod', 'gcd', 'lcm', 'lub', 'glb', 'min', 'max', 'lim', 'Lim'
+];
+
+// Font commands for mathvariant values
+const ASCIIMATH_VARIANT_COMMANDS = {
+  'bold': 'bb',
+  'bold-italic': 'bb',
+  'double-struck': 'bbb',
+  'script': 'cc',
+  'bold-script': 'cc',
+  'fraktur': 'fr',
+  'bold-fraktur': 'fr',
+  'sans-serif': 'sf',
+  'bold-sans-serif': 'sf',
+  'sans-serif-italic': 'sf',
+  'sans-serif-bold-italic': 'sf',
+  'monospace': 'tt'
+};
+
+// Double-struck letters with a name of their own
+const ASCIIMATH_NUMBER_SETS = { 'C': 'CC', 'N': 'NN', 'Q': 'QQ', 'R': 'RR', 'Z': 'ZZ' };
+
+const ASCIIMATH_OVER_ACCENTS = {
+  '⃗': 'vec',
+  '→': 'vec',
+  '̅': 'bar',
+  '¯': 'bar',
+  '‾': 'bar',
+  '―': 'bar',
+  '^': 'hat',
+  'ˆ': 'hat',
+  '̂': 'hat',
+  '~': 'tilde',
+  '˜': 'tilde',
+  '̃': 'tilde',
+  '˙': 'dot',
+  '̇': 'dot',
+  '¨': 'ddot',
+  '̈': 'ddot',
+  '⏞': 'obrace'
+};
+
+const ASCIIMATH_UNDER_ACCENTS = {
+  '̲': 'ul',
+  '_': 'ul',
+  '¯': 'ul',
+  '―': 'ul',
+  '⏟': 'ubrace'
+};
+
+// Bases whose under/over scripts are written as limits with _ and ^
+const ASCIIMATH_LIMIT_BASES = ['∑', '∏', '∫', '∮', '⋃', '⋂', '⋁', '⋀', 'lim', 'max', 'min'];
+
+// Fences with a different AsciiMath spelling; '' is an invisible fence
+const ASCIIMATH_FENCES = {
+  '': ['{:', ':}'],
+  '⟨': ['(:', ':)'],
+  '〈': ['(:', ':)'],
+  '⟩': ['(:', ':)'],
+  '〉': ['(:', ':)'],
+  '‖': ['||', '||'],
+  '∥': ['||', '||'],
+  '∣': ['|', '|']
+};
+
+// Fence pairs written as a function of their content
+const ASCIIMATH_FENCE_FUNCTIONS = {
+  '⌊⌋': 'floor',
+  '⌈⌉': 'ceil',
+  '‖‖': 'norm'
+};
+
+// Operators written with a space on both sides besides relations
+const ASCIIMATH_BINARY_OPERATORS = '+-−±∓×÷*⋅·∘∙∩∪∧∨⊕⊖⊗⊘∖⋆∗';
+
+// Invisible operators (function application, invisible times, separator and plus)
+const ASCIIMATH_INVISIBLE_OPERATORS = ['⁡', '⁢', '⁣', '⁤'];
+
+/**
+ * Serialize a math tree to AsciiMath
+ * @param {Object} tree - Tree built by one of the front-ends
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {string} - AsciiMath
+ */
+function serializeAsciiMath(tree, nodeProcessor, mathTree) {
+  const context = { nodeProcessor, mathTree };
+  return tidyAsciiMath(toAsciiMath(tree, context));
+}
+
+function toAsciiMath(node, context) {
+  if (!node) return '';
+
+  const serializer = ASCIIMATH_SERIALIZERS[node.type];
+  return serializer ? serializer(node, context) : '';
+}
+
+const ASCIIMATH_SERIALIZERS = {
+  math: (node, context) => serializeAsciiMathRow(node.children, context),
+
+  row: (node, context) => serializeAsciiMathRow(node.children, context),
+
+  identifier: serializeAsciiMathIdentifier,
+
+  number: (node) => node.text,
+
+  operator: (node) => {
+    const text = node.text.trim();
+    if (!text || ASCIIMATH_INVISIBLE_OPERATORS.includes(text)) return '';
+    if (/^\p{L}{2,}$/u.test(text)) return writeAsciiMathName(text);
+    return mapAsciiMathSymbols(text);
+  },
+
+  text: (node) => {
+    const text = node.text.replace(/[\s ]+/g, ' ');
+    if (!text.trim()) return '';
+    if (Array.from(text.trim()).length === 1 && /\p{L}/u.test(text)) return mapAsciiMathSymbols(text.trim());
+    return text.includes('"') ? 'text(' + text + ')' : '"' + text + '"';
+  },
+
+  space: (node) => {
+    if (node.linebreak || node.width === null) return '';
+    if (node.width >= 1.9) return ' qquad ';
+    if (node.width >= 0.9) return ' quad ';
+    return node.width >= 0.15 ? '\\ ' : '';
+  },
+
+  fraction: (node, context) =>
+    groupAsciiMath(node.numerator, context) + '/' + groupAsciiMath(node.denominator, context),
+
+  sqrt: (node, context) => 'sqrt' + wrapAsciiMath(node.body, context),
+
+  root: (node, context) => 'root' + wrapAsciiMath(node.index, context) + wrapAsciiMath(node.body, context),
+
+  scripts: (node, context) =>
+    attachAsciiMathScripts(serializeAsciiMathBase(node.base, context), node.sub, node.sup, context),
+
+  underover: serializeAsciiMathUnderOver,
+
+  multiscripts: (node, context) => {
+    const writePairs = (pairs) => pairs.map(pair => attachAsciiMathScripts('""', pair.sub, pair.sup, context)).join('');
+    return writePairs(node.pre) + serializeAsciiMathBase(node.base, context) + writePairs(node.post);
+  },
+
+  fenced: serializeAsciiMathFenced,
+
+  table: (node, context) => serializeAsciiMathTable(node, context, '', ''),
+
+  enclose: (node, context) => {
+    const content = serializeAsciiMathRow(node.children, context).trim();
+    return /strike/.test(node.notation) ? 'cancel(' + content + ')' : content;
+  },
+
+  phantom: () => ''
+};
+
+/**
+ * Serialize the children of a row, spacing infix operators
+ */
+function serializeAsciiMathRow(children, context) {
+  let result = '';
+  let previous = null;
+
+  for (const child of children) {
+    let text = toAsciiMath(child, context);
+    if (!text) continue;
+
+    if (child.type === 'operator' && isAsciiMathInfixOperator(child, context) &&
+        !context.mathTree.isPrefixSign(child, previous)) {
+      text = ' ' + text.trim() + ' ';
+    }
+
+    result = joinAsciiMath(result, text);
+    previous = child;
+  }
+
+  return result;
+}
+
+/**
+ * Join two pieces of AsciiMath, keeping letters apart so that e.g. "x" "x"
+ * does not read as xx (the times sign), and a script or denominator apart from what follows it
+ */
+function joinAsciiMath(left, right) {
+  if ((/[A-Za-z]$/.test(left) && /^[A-Za-z]/.test(right)) ||
+      (/[0-9]$/.test(left) && /^[A-Za-z]{2}/.test(right)) ||
+      (/[_^/][A-Za-z0-9.]+$/.test(left) && /^[A-Za-z0-9]/.test(right))) {
+    return left + ' ' + right;
+  }
+  return left + right;
+}
+
+/**
+ * Collapse repeated spaces and drop the ones just inside brackets
+ */
+function tidyAsciiMath(text) {
+  return text
+    .replace(/ {2,}/g, ' ')
+    .replace(/\( +/g, '(')
+    .replace(/([^\\]) +\)/g, '$1)')
+    .trim();
+}
+
+function mapAsciiMathSymbols(text) {
+  return Array.from(text).reduce((result, char) => {
+    const symbol = ASCIIMATH_SYMBOLS[char] !== undefined ? ASCIIMATH_SYMBOLS[char] : char;
+    return joinAsciiMath(result, symbol);
+  }, '');
+}
+
+/**
+ * Write a multi-letter name: AsciiMath functions as they are, other names as text
+ */
+function writeAsciiMathName(name) {
+  return ASCIIMATH_FUNCTIONS.includes(name) ? name : '"' + name + '"';
+}
+
+function serializeAsciiMathIdentifier(node) {
+  const text = node.text;
+  if (!text) return '';
+
+  const multiLetter = Array.from(text).length > 1 && /^[A-Za-z]+$/.test(text);
+  if (multiLetter && (!node.variant || node.variant === 'normal')) {
+    return writeAsciiMathName(text);
+  }
+
+  const symbol = mapAsciiMathSymbols(text);
+  if (node.variant === 'double-struck' && ASCIIMATH_NUMBER_SETS[text]) {
+    return ASCIIMATH_NUMBER_SETS[text];
+  }
+
+  const command = ASCIIMATH_VARIANT_COMMANDS[node.variant];
+  return command ? command + '(' + symbol + ')' : symbol;
+}
+
+function isAsciiMathInfixOperator(node, context) {
+  const text = node.text.trim();
+  if (!text || node.texClass === 'ORD') return false;
+  return ASCIIMATH_BINARY_OPERATORS.includes(text) || context.nodeProcessor.isRelationOperator(text);
+}
+
+/**
+ * Check whether a node serializes to a single token that needs no brackets
+ * as a script, fraction part or function argument
+ */
+function isAsciiMathToken(node, text) {
+  if (!node || !['identifier', 'number', 'operator'].includes(node.type)) return false;
+  return /^(\d+(\.\d+)?|[A-Za-z]|[A-Za-z]{2,}|"[^"]*")$/.test(text);
+}
+
+/**
+ * Serialize a fraction part or script, bracketing it unless it is a single token
+ * AsciiMath drops the brackets of grouped arguments when rendering
+ */
+function groupAsciiMath(node, context) {
+  const text = tidyAsciiMath(toAsciiMath(node, context));
+  return isAsciiMathToken(node, text) ? text : '(' + text + ')';
+}
+
+/**
+ * Serialize an argument of sqrt or root, which always needs brackets
+ */
+function wrapAsciiMath(node, context) {
+  const text = tidyAsciiMath(toAsciiMath(node, context));
+  if (node && node.type === 'fenced' && node.open === '(' && node.close === ')') return text;
+  return '(' + text + ')';
+}
+
+/**
+ * Serialize a script base, bracketing bases that are more than one token
+ */
+function serializeAsciiMathBase(base, context) {
+  if (context.mathTree.isEmptyNode(base)) return '""';
+  const text = tidyAsciiMath(toAsciiMath(base, context));
+  if (['identifier', 'number', 'operator', 'fenced', 'underover', 'sqrt', 'root'].includes(base.type)) return text;
+  return '(' + text + ')';
+}
+
+function attachAsciiMathScripts(base, sub, sup, context) {
+  let result = base;
+  if (!context.mathTree.isEmptyNode(sub)) result += '_' + groupAsciiMath(sub, context);
+
+  if (!context.mathTree.isEmptyNode(sup)) {
+    // Primes are written as f' rather than f^(')
+    const supText = ['operator', 'identifier'].includes(sup.type) ? sup.text.trim() : null;
+    if (supText && /^[′″‴']$/.test(supText) && context.mathTree.isEmptyNode(sub)) {
+      return result + mapAsciiMathSymbols(supText);
+    }
+    result += '^' + groupAsciiMath(sup, context);
+  }
+  return result;
+}
+
+/**
+ * Get the accent function for an under/over node whose script is a single accent character
+ * @return {string|null}
+ */
+function getAsciiMathAccent(node) {
+  if (node.over && !node.under && node.over.type === 'operator') {
+    return ASCIIMATH_OVER_ACCENTS[node.over.text.trim()] || null;
+  }
+  if (node.under && !node.over && node.under.type === 'operator') {
+    return ASCIIMATH_UNDER_ACCENTS[node.under.text.trim()] || null;
+  }
+  return null;
+}
+
+function isAsciiMathLimitBase(base) {
+  if (!base) return false;
+  if (base.texClass === 'OP') return true;
+  if (typeof base.text === 'string' && ASCIIMATH_LIMIT_BASES.includes(base.text.trim())) return true;
+
+  // Labels on braces attach as limits too
+  const accent = base.type === 'underover' ? getAsciiMathAccent(base) : null;
+  return accent === 'obrace' || accent === 'ubrace';
+}
+
+function serializeAsciiMathUnderOver(node, context) {
+  const accent = getAsciiMathAccent(node);
+  if (accent) {
+    return accent + '(' + tidyAsciiMath(toAsciiMath(node.base, context)) + ')';
+  }
+
+  const base = serializeAsciiMathBase(node.base, context);
+  if (node.limits || isAsciiMathLimitBase(node.base)) {
+    return attachAsciiMathScripts(base, node.under, node.over, context);
+  }
+
+  let result = base;
+  if (!context.mathTree.isEmptyNode(node.under)) {
+    result = 'underset' + wrapAsciiMath(node.under, context) + '(' + result + ')';
+  }
+  if (!context.mathTree.isEmptyNode(node.over)) {
+    result = 'overset' + wrapAsciiMath(node.over, context) + '(' + result + ')';
+  }
+  return result;
+}
+
+/**
+ * Get the AsciiMath spelling of an opening and closing fence
+ * @return {Array<string>} - [open, close]
+ */
+function getAsciiMathFences(open, close) {
+  const left = ASCIIMATH_FENCES[open] ? ASCIIMATH_FENCES[open][0] : open;
+  const right = ASCIIMATH_FENCES[close] ? ASCIIMATH_FENCES[close][1] : close;
+  return [left, right];
+}
+
+function serializeAsciiMathFenced(node, context) {
+  const mathTree = context.mathTree;
+  const only = mathTree.getOnlyChild({ type: 'row', children: node.children });
+
+  // Fences around a table make a matrix or cases
+  if (only && only.type === 'table') {
+    return serializeAsciiMathTable(only, context, node.open, node.close);
+  }
+
+  // A fraction without a bar in parentheses is a binomial coefficient
+  if (only && only.type === 'fraction' && mathTree.isZeroThickness(only.lineThickness) &&
+      node.open === '(' && node.close === ')') {
+    return '((' + tidyAsciiMath(toAsciiMath(only.numerator, context)) + '),(' +
+      tidyAsciiMath(toAsciiMath(only.denominator, context)) + '))';
+  }
+
+  const inner = tidyAsciiMath(serializeAsciiMathRow(node.children, context));
+  const fenceFunction = ASCIIMATH_FENCE_FUNCTIONS[node.open + node.close];
+  if (fenceFunction) return fenceFunction + '(' + inner + ')';
+
+  const [left, right] = getAsciiMathFences(node.open, node.close);
+  return left + inner + right;
+}
+
+/**
+ * Write a table as AsciiMath matrix rows, e.g. [(a,b),(c,d)]; tables without
+ * fences, such as multi-line equations, use the invisible {: :} brackets
+ */
+function serializeAsciiMathTable(table, context, open, close) {
+  const rows = table.rows.map(row =>
+    '(' + row.cells.map(cell => tidyAsciiMath(toAsciiMath(cell, context))).join(',') + ')'
+  );
+  const [left, right] = getAsciiMathFences(open, close);
+  return left + rows.join(',') + right;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { serializeAsciiMath };
+} else {
+  window.asciimathSerializer = { serializeAsciiMath };
+}
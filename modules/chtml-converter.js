@@ -1,311 +1,359 @@
 /**
- * CHTML MathJax to LaTeX converter
+ * CHTML front-end: builds the intermediate math tree (see math-tree.js) from
+ * MathJax CHTML output
+ *
+ * Each MathML element becomes an mjx-* element (mjx-mi, mjx-mfrac, ...) and
+ * MathJax adds layout elements around the parts (mjx-num, mjx-script, ...).
+ * Characters are mjx-c elements whose class holds the code point.
  */
 
-/**
- * Convert CHTML MathJax node to LaTeX
- */
-function convertCHTMLNode(node, logger, nodeProcessor, operators, functions) {
-  if (!node) return '';
-  
-  // Check for assistive MathML first
-  if (node.querySelector && node.querySelector('mjx-assistive-mml math')) {
-    const mathmlNode = node.querySelector('mjx-assistive-mml math');
-    return convertAssistiveMathML(mathmlNode, logger, nodeProcessor, operators, functions);
-  }
-  
-  const tagName = node.tagName ? node.tagName.toLowerCase() : '';
-  
-  // Handle different CHTML elements with configuration object
-  const handlers = {
-    'mjx-container': () => {
-      const mathElem = node.querySelector && node.querySelector('mjx-math');
-      return mathElem ? convertCHTMLNode(mathElem, logger, nodeProcessor, operators, functions) : '';
-    },
-    
-    'mjx-math': () => nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions)),
-    
-    'mjx-mi': () => handleCHTMLIdentifier(node, nodeProcessor, functions),
-    
-    'mjx-mo': () => handleCHTMLOperator(node, nodeProcessor, operators),
-    
-    'mjx-mn': () => nodeProcessor.getCHTMLContent(node),
-    
-    'mjx-mfrac': () => handleCHTMLFraction(node, logger, nodeProcessor, operators, functions),
-    'mjx-frac': () => handleCHTMLFraction(node, logger, nodeProcessor, operators, functions),
-    
-    'mjx-msqrt': () => handleCHTMLSqrt(node, logger, nodeProcessor, operators, functions),
-    'mjx-sqrt': () => handleCHTMLSqrt(node, logger, nodeProcessor, operators, functions),
-    
-    'mjx-msup': () => handleCHTMLSuperscript(node, logger, nodeProcessor, operators, functions),
-    
-    'mjx-msub': () => handleCHTMLSubscript(node, logger, nodeProcessor, operators, functions),
-    
-    'mjx-texatom': () => nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions)),
-    
-    'mjx-mrow': () => nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions)),
-    
-    'mjx-box': () => nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions))
-  };
-  
-  // Check if we have a handler
-  const handler = handlers[tagName];
-  if (handler) {
-    return handler();
-  }
-  
-  // Handle generic mjx- elements
-  if (tagName.startsWith('mjx-')) {
-    return nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
-  }
-  
-  // Handle text nodes
-  if (node.nodeType === 3) {
-    return node.textContent.trim();
-  }
-  
-  // Default: process children
-  if (node.childNodes) {
-    return nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
-  }
-  
-  return '';
-}
+// MathML elements MathJax renders as mjx-<name>; everything else is layout
+const CHTML_MATH_ELEMENTS = [
+  'math', 'mi', 'mo', 'mn', 'mtext', 'ms', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot',
+  'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mmultiscripts',
+  'mtable', 'mtr', 'mlabeledtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose',
+  'mfenced', 'merror', 'maction', 'texatom', 'semantics'
+];
 
-function handleCHTMLIdentifier(node, nodeProcessor, functions) {
-  const textContent = nodeProcessor.getCHTMLContent(node);
-  
-  if (textContent === 'π') return '\\pi ';
-  if (functions.isStandardFunction(textContent)) {
-    return '\\' + textContent;
-  }
-  
-  return textContent;
+// Elements that only group their children, converted as a row of them
+const CHTML_TRANSPARENT_ELEMENTS = ['mrow', 'mstyle', 'mpadded', 'merror', 'maction', 'semantics', 'mtr', 'mlabeledtr', 'mtd'];
+
+function getCHTMLName(node) {
+  const tagName = node && node.tagName ? node.tagName.toLowerCase() : '';
+  return tagName.startsWith('mjx-') ? tagName.slice(4) : '';
 }
 
-function handleCHTMLOperator(node, nodeProcessor, operators) {
-  const op = nodeProcessor.getCHTMLContent(node);
-  return operators[op] !== undefined ? operators[op] : op;
+function isCHTMLMathNode(node) {
+  return CHTML_MATH_ELEMENTS.includes(getCHTMLName(node));
 }
 
-function handleCHTMLFraction(node, logger, nodeProcessor, operators, functions) {
-  let numerator = '';
-  let denominator = '';
-  
-  if (node.tagName.toLowerCase() === 'mjx-mfrac') {
-    const fracNode = node.querySelector && node.querySelector('mjx-frac');
-    if (fracNode) {
-      return handleCHTMLFraction(fracNode, logger, nodeProcessor, operators, functions);
-    }
-  } else if (node.tagName.toLowerCase() === 'mjx-frac') {
-    const numNode = node.querySelector && node.querySelector('mjx-num');
-    if (numNode) {
-      numerator = nodeProcessor.processChildren(numNode, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
-    }
-    
-    const denNode = node.querySelector && node.querySelector('mjx-den');
-    if (denNode) {
-      denominator = nodeProcessor.processChildren(denNode, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
+/**
+ * Get the math nodes below an element, looking through layout elements
+ */
+function getCHTMLMathChildren(node) {
+  const result = [];
+  for (const child of Array.from(node.children || [])) {
+    if (isCHTMLMathNode(child)) {
+      result.push(child);
+    } else if (getCHTMLName(child) !== 'labels') {
+      result.push(...getCHTMLMathChildren(child));
     }
-    
-    return '\\frac{' + numerator + '}{' + denominator + '}';
   }
-  
-  return nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
+  return result;
 }
 
-function handleCHTMLSqrt(node, logger, nodeProcessor, operators, functions) {
-  let content = '';
-  
-  if (node.tagName.toLowerCase() === 'mjx-msqrt') {
-    for (const child of node.childNodes) {
-      if (child.tagName && child.tagName.toLowerCase() !== 'mjx-sqrt') {
-        content += convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      }
-    }
-    return '\\sqrt{' + content + '}';
-  } else if (node.tagName.toLowerCase() === 'mjx-sqrt') {
-    const boxElem = node.querySelector && node.querySelector('mjx-box');
-    if (boxElem) {
-      content = nodeProcessor.processChildren(boxElem, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
-    } else {
-      for (const child of node.childNodes) {
-        if (child.tagName && child.tagName.toLowerCase() !== 'mjx-surd') {
-          content += convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-        }
-      }
-    }
-    return '\\sqrt{' + content + '}';
+/**
+ * Find a layout part of a node, e.g. mjx-num of a fraction, without entering nested math
+ */
+function findCHTMLPart(node, name) {
+  for (const child of Array.from(node.children || [])) {
+    if (isCHTMLMathNode(child)) continue;
+    if (getCHTMLName(child) === name) return child;
+    const found = findCHTMLPart(child, name);
+    if (found) return found;
   }
-  
-  return nodeProcessor.processChildren(node, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
+  return null;
 }
 
-function handleCHTMLSuperscript(node, logger, nodeProcessor, operators, functions) {
-  let base = '';
-  let exponent = '';
-  
-  let baseFound = false;
-  
-  for (const child of node.childNodes) {
-    if (child.nodeType !== 1) continue;
-    
-    if (!baseFound) {
-      base = convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      baseFound = true;
+// Elements MathJax draws over the content of an menclose, by notation
+const CHTML_ENCLOSE_PARTS = {
+  'ustrike': 'updiagonalstrike',
+  'dstrike': 'downdiagonalstrike',
+  'hstrike': 'horizontalstrike',
+  'vstrike': 'verticalstrike',
+  'cbox': 'circle',
+  'rbox': 'roundedbox'
+};
+
+/**
+ * Read the notation of an menclose from the elements MathJax draws for it and
+ * the borders of its mjx-box
+ * @return {string|null} - Notations as MathML writes them, or null when an element is not known
+ */
+function getCHTMLEncloseNotation(node) {
+  const notations = [];
+  for (const child of Array.from(node.children || [])) {
+    const name = getCHTMLName(child);
+    if (name === 'box') {
+      const style = child.getAttribute('style') || '';
+      if (/(^|;)\s*border:/.test(style)) notations.push('box');
+      ['top', 'right', 'bottom', 'left'].forEach(side => {
+        if (style.includes('border-' + side + ':')) notations.push(side);
+      });
+    } else if (CHTML_ENCLOSE_PARTS[name]) {
+      notations.push(CHTML_ENCLOSE_PARTS[name]);
     } else {
-      if (child.tagName && child.tagName.toLowerCase() === 'mjx-script') {
-        exponent = nodeProcessor.processChildren(child, (subchild) => convertCHTMLNode(subchild, logger, nodeProcessor, operators, functions));
-      } else {
-        exponent = convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      }
-      break;
+      return null;
     }
   }
-  
-  if (!exponent) {
-    const scriptElem = node.querySelector && node.querySelector('mjx-script');
-    if (scriptElem) {
-      exponent = nodeProcessor.processChildren(scriptElem, (child) => convertCHTMLNode(child, logger, nodeProcessor, operators, functions));
-    }
-  }
-  
-  return base + '^{' + (exponent || '2') + '}';
+  return notations.length ? notations.sort().join(' ') : null;
 }
 
-function handleCHTMLSubscript(node, logger, nodeProcessor, operators, functions) {
-  let base = '';
-  let subscript = '';
-  
-  let baseFound = false;
-  for (const child of node.childNodes) {
-    if (child.nodeType !== 1) continue;
-    
-    if (!baseFound) {
-      base = convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      baseFound = true;
-    } else {
-      if (child.tagName && child.tagName.toLowerCase() === 'mjx-script') {
-        subscript = convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      } else {
-        subscript = convertCHTMLNode(child, logger, nodeProcessor, operators, functions);
-      }
-      break;
-    }
-  }
-  
-  return base + '_{' + subscript + '}';
+/**
+ * Get the character a (possibly stretched) operator draws
+ * Stretched characters name the character in the class of their mjx-stretchy-* element
+ */
+function getCHTMLOperatorText(node, nodeProcessor) {
+  const stretchy = node.querySelector && node.querySelector('mjx-stretchy-v, mjx-stretchy-h');
+  const match = stretchy && (stretchy.getAttribute('class') || '').match(/mjx-c([0-9A-F]+)/);
+  if (match) return String.fromCodePoint(parseInt(match[1], 16));
+  return nodeProcessor.getCHTMLContent(node).trim();
+}
+
+function getCHTMLStyleWidth(node) {
+  const match = (node.getAttribute('style') || '').match(/width:\s*(-?\d*\.?\d+)em/);
+  return match ? parseFloat(match[1]) : null;
 }
 
 /**
- * Convert MathML from assistive MML structure to LaTeX
+ * Build a math tree from a CHTML MathJax node
+ * @param {Element} node - An mjx-container, mjx-math or any mjx-* math element
+ * @param {Object} logger - Logger
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {Object|null} - Tree node
  */
-function convertAssistiveMathML(mathmlNode, logger, nodeProcessor, operators, functions) {
-  if (!mathmlNode) {
-    logger.debug('convertAssistiveMathML: Encountered null node, returning empty string.');
-    return '';
-  }
+function buildCHTMLTree(node, logger, nodeProcessor, mathTree) {
+  const tree = buildCHTMLNode(node, logger, nodeProcessor, mathTree);
+  if (!tree || tree.type === 'math') return tree;
+  return mathTree.createNode('math', { children: [tree] });
+}
+
+function buildCHTMLNode(node, logger, nodeProcessor, mathTree) {
+  if (!node) return null;
 
-  const nodeName = mathmlNode.nodeName.toLowerCase();
-  
-  // Handler mapping for different MathML elements
+  const { createNode, createRow } = mathTree;
+  const build = (child) => buildCHTMLNode(child, logger, nodeProcessor, mathTree);
+  const buildContent = (element) => element ? createRow(getCHTMLMathChildren(element).map(build)) : null;
+  const mathChildren = getCHTMLMathChildren(node);
+
+  // Handle different CHTML elements with configuration object
   const handlers = {
-    'math': () => nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions)),
-    
+    'container': () => {
+      const mathElem = node.querySelector && node.querySelector('mjx-math');
+      return mathElem ? build(mathElem) : null;
+    },
+
+    'math': () => mathTree.applyDisplayStyle(createNode('math', {
+      display: node.getAttribute('display') === 'true',
+      children: [buildContent(node)]
+    })),
+
     'mi': () => {
-      const identifier = mathmlNode.textContent.trim();
-      const mathvariant = mathmlNode.getAttribute && mathmlNode.getAttribute('mathvariant');
-      
-      if (identifier === 'π') return '\\pi ';
-      if (identifier === '∂') return '\\partial ';
-      if (functions.isStandardFunction(identifier)) return '\\' + identifier + ' ';
-      if (mathvariant === 'bold') return '\\mathbf{' + identifier + '}';
-      if (mathvariant === 'normal' && identifier === '∇') return '\\nabla ';
-      return identifier;
+      const raw = nodeProcessor.getCHTMLContent(node).trim();
+      const normalized = mathTree.normalizeMathText(raw);
+      let variant = normalized.variant;
+
+      // Plain letters keep their style only in the font class, e.g. \mathcal{L}
+      if (!variant && /^[A-Za-z]+$/.test(raw)) {
+        const glyph = node.querySelector && node.querySelector('mjx-c');
+        variant = nodeProcessor.getFontVariant(glyph ? glyph.getAttribute('class') : null);
+        if (!variant && /(^|\s)mjx-n(\s|$)/.test(node.getAttribute('class') || '') && raw.length === 1) {
+          variant = 'normal';
+        }
+      }
+      return createNode('identifier', {
+        text: normalized.text,
+        variant,
+        texClass: mathTree.getIdentifierClass(normalized.text, variant)
+      });
     },
-    
+
     'mo': () => {
-      const op = mathmlNode.textContent.trim();
-      return operators[op] !== undefined ? operators[op].trim() : op;
-    },
-    
-    'mn': () => mathmlNode.textContent.trim(),
-    
-    'mfrac': () => {
-      const children = Array.from(mathmlNode.children || []);
-      if (children.length >= 2) {
-        const numerator = convertAssistiveMathML(children[0], logger, nodeProcessor, operators, functions);
-        const denominator = convertAssistiveMathML(children[1], logger, nodeProcessor, operators, functions);
-        return '\\frac{' + numerator + '}{' + denominator + '}';
+      const text = getCHTMLOperatorText(node, nodeProcessor);
+      let texClass = null;
+
+      // \left. and \right. draw nothing; mark them so the row still pairs its fences
+      if (!text && node.parentElement) {
+        const siblings = getCHTMLMathChildren(node.parentElement);
+        if (siblings[0] === node) texClass = 'OPEN';
+        if (siblings[siblings.length - 1] === node) texClass = 'CLOSE';
       }
-      return nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions));
-    },
-    
-    'msqrt': () => {
-      const content = nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions));
-      return '\\sqrt{' + content + '}';
+      return createNode('operator', { text, texClass });
     },
-    
-    'msup': () => {
-      const children = Array.from(mathmlNode.children || []);
-      if (children.length >= 2) {
-        const base = convertAssistiveMathML(children[0], logger, nodeProcessor, operators, functions);
-        const exponent = convertAssistiveMathML(children[1], logger, nodeProcessor, operators, functions);
-        return base + '^{' + exponent + '}';
-      }
-      return mathmlNode.textContent.trim();
+
+    'mn': () => createNode('number', {
+      text: mathTree.normalizeMathText(nodeProcessor.getCHTMLContent(node).trim()).text
+    }),
+
+    'mtext': () => createNode('text', { text: nodeProcessor.getCHTMLContent(node) }),
+
+    'mspace': () => createNode('space', { width: getCHTMLStyleWidth(node) }),
+
+    'mfrac': () => {
+      const frac = findCHTMLPart(node, 'frac');
+      if (!frac) return buildContent(node);
+      // \binom and \atop draw no fraction bar
+      const atop = frac.getAttribute('atop') === 'true';
+      return createNode('fraction', {
+        numerator: buildContent(findCHTMLPart(frac, 'num')),
+        denominator: buildContent(findCHTMLPart(frac, 'den')),
+        lineThickness: atop ? '0' : null
+      });
     },
-    
-    'msub': () => {
-      const children = Array.from(mathmlNode.children || []);
-      if (children.length >= 2) {
-        const base = convertAssistiveMathML(children[0], logger, nodeProcessor, operators, functions);
-        const subscript = convertAssistiveMathML(children[1], logger, nodeProcessor, operators, functions);
-        return base + '_{' + subscript + '}';
+
+    'msqrt': () => createNode('sqrt', { body: buildContent(findCHTMLPart(node, 'box')) }),
+
+    'mroot': () => createNode('root', {
+      body: buildContent(findCHTMLPart(node, 'box')),
+      index: buildContent(findCHTMLPart(node, 'root'))
+    }),
+
+    'msup': () => createNode('scripts', { base: build(mathChildren[0]), sup: buildScript(0) }),
+
+    'msub': () => createNode('scripts', { base: build(mathChildren[0]), sub: buildScript(0) }),
+
+    // The script holds the superscript, a spacer and the subscript
+    'msubsup': () => createNode('scripts', {
+      base: build(mathChildren[0]),
+      sup: buildScript(0),
+      sub: buildScript(1)
+    }),
+
+    'munder': () => buildUnderOver(['under']),
+
+    'mover': () => buildUnderOver(['over']),
+
+    'munderover': () => buildUnderOver(['over', 'under']),
+
+    'mtable': () => buildCHTMLTable(node, build, mathTree),
+
+    'texatom': () => {
+      const texClass = node.getAttribute('texclass');
+      const atom = buildContent(node);
+
+      // A lone operator keeps the class of its atom, e.g. {,} or the fences of \binom,
+      // and so does a lone identifier, e.g. \mathrm{Var} or \mathop{x}
+      if (mathChildren.length === 1 && atom && (atom.type === 'operator' || (/^(OP|ORD)$/.test(texClass) && atom.type === 'identifier'))) {
+        atom.texClass = texClass;
       }
-      return mathmlNode.textContent.trim();
+      return atom;
     },
-    
-    'mrow': () => nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions)),
-    
-    'mtext': () => mathmlNode.textContent.trim(),
-    
-    'mover': () => {
-      const children = Array.from(mathmlNode.children || []);
-      if (children.length >= 2) {
-        const base = convertAssistiveMathML(children[0], logger, nodeProcessor, operators, functions);
-        const overContent = children[1].textContent.trim();
-        
-        const isVector = overContent === '\u20D7';
-        const isOverline = overContent === '\u0305' || (mathmlNode.getAttribute && mathmlNode.getAttribute('data-semantic-type') === 'overscore');
-        
-        if (isVector) return '\\overrightarrow{' + base + '}';
-        if (isOverline) return '\\overline{' + base + '}';
-        
-        const over = convertAssistiveMathML(children[1], logger, nodeProcessor, operators, functions);
-        return base + (over.trim() ? '^{' + over + '}' : '');
+
+    'menclose': () => {
+      const notation = getCHTMLEncloseNotation(node);
+      if (!notation) {
+        logger.diagnostic('unknown-node', 'menclose');
+        return buildContent(node);
       }
-      return nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions));
+      return createNode('enclose', { notation, children: [buildContent(node)] });
     },
-    
-    '#text': () => {
-      const text = mathmlNode.textContent.trim();
-      return text || '';
-    }
+
+    'mphantom': () => createNode('phantom', { children: [buildContent(node)] })
   };
-  
-  const handler = handlers[nodeName];
+
+  function buildScript(index) {
+    const script = findCHTMLPart(node, 'script');
+    const scripts = script ? getCHTMLMathChildren(script) : mathChildren.slice(1);
+    return scripts[index] ? build(scripts[index]) : null;
+  }
+
+  /**
+   * Build munder, mover or munderover
+   * Limits are stacked in mjx-under and mjx-over; operators with limits="false"
+   * draw them as scripts in the same order as msubsup
+   * @param {Array<string>} scriptRoles - Roles of the scripts in msubsup order
+   */
+  function buildUnderOver(scriptRoles) {
+    // munderover nests an munder layout for the base and lower limit
+    const box = findCHTMLPart(node, 'box');
+    const innerUnder = box && Array.from(box.children).find(child => getCHTMLName(child) === 'munder');
+    const scope = scriptRoles.length === 2 && innerUnder ? innerUnder : node;
+    const baseNode = findCHTMLPart(scope, 'base');
+    const props = {};
+
+    if (baseNode) {
+      props.base = buildContent(baseNode);
+      scriptRoles.forEach(role => {
+        props[role] = buildContent(findCHTMLPart(role === 'under' ? scope : node, role));
+      });
+    } else {
+      props.base = build(mathChildren[0]);
+      scriptRoles.forEach((role, index) => {
+        props[role] = buildScript(index);
+      });
+    }
+
+    // Scripts of \sum, \lim or \operatorname*{} are limits
+    const baseMath = baseNode ? getCHTMLMathChildren(baseNode)[0] : mathChildren[0];
+    props.limits = getCHTMLName(baseMath) === 'texatom' && baseMath.getAttribute('texclass') === 'OP';
+
+    // Overlines and underlines are drawn by stretching an en dash
+    for (const role of ['under', 'over']) {
+      const script = props[role];
+      if (script && script.type === 'operator' && script.text === '–') script.text = '―';
+    }
+    return createNode('underover', props);
+  }
+
+  const name = getCHTMLName(node);
+  const handler = handlers[name];
   if (handler) {
     return handler();
   }
-  
+
+  // Handle generic mjx- elements (mrow, mstyle, mpadded, ...)
+  if (name) {
+    if (!CHTML_TRANSPARENT_ELEMENTS.includes(name)) {
+      logger.diagnostic('unknown-node', name);
+    }
+    return buildContent(node);
+  }
+
   // Default: process children
-  return nodeProcessor.processChildren(mathmlNode, (child) => convertAssistiveMathML(child, logger, nodeProcessor, operators, functions));
+  logger.debug('buildCHTMLTree: Unexpected element ' + (node.tagName || node.nodeName));
+  logger.diagnostic('unknown-node', (node.tagName || node.nodeName || '').toLowerCase());
+  return node.children ? buildContent(node) : null;
+}
+
+/**
+ * Build a table from mjx-mtable
+ * Display equations draw labels in mjx-labels; otherwise the first cell of an
+ * mjx-mlabeledtr is the label
+ */
+function buildCHTMLTable(node, build, mathTree) {
+  const rows = getCHTMLMathChildren(node).filter(row => ['mtr', 'mlabeledtr'].includes(getCHTMLName(row)));
+  const labelsElement = findCHTMLPart(node, 'labels');
+  const labels = labelsElement
+    ? getCHTMLMathChildren(labelsElement).map(row => getCHTMLMathChildren(row)[0]).filter(Boolean)
+    : [];
+  let labelIndex = 0;
+
+  const tableRows = rows.map(row => {
+    let cells = getCHTMLMathChildren(row).filter(cell => getCHTMLName(cell) === 'mtd');
+
+    let labelNode = null;
+    if (getCHTMLName(row) === 'mlabeledtr') {
+      if (labelsElement) {
+        labelNode = labels[labelIndex++] || null;
+      } else {
+        labelNode = cells[0] || null;
+        cells = cells.slice(1);
+      }
+    }
+
+    return {
+      cells: cells.map(cell => mathTree.createRow(getCHTMLMathChildren(cell).map(build))),
+      label: labelNode ? mathTree.getTreeText(build(labelNode)) : null
+    };
+  });
+
+  // Column alignment is only kept in the cell styles
+  const firstRow = tableRows.length > 0 ? rows[0] : null;
+  const columnalign = firstRow
+    ? getCHTMLMathChildren(firstRow).filter(cell => getCHTMLName(cell) === 'mtd').map(cell => {
+      const match = (cell.getAttribute('style') || '').match(/text-align:\s*(left|right)/);
+      return match ? match[1] : 'center';
+    }).join(' ')
+    : null;
+
+  // CHTML output has no displaystyle either; see applyDisplayStyle
+  return mathTree.createNode('table', { rows: tableRows, columnalign, displaystyle: null });
 }
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { convertCHTMLNode };
+  module.exports = { buildCHTMLTree };
 } else {
-  window.chtmlConverter = { convertCHTMLNode };
-}
\ No newline at end of file
+  window.chtmlConverter = { buildCHTMLTree };
+}
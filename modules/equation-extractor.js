@@ -0,0 +1,241 @@
+/**
+ * Equation discovery and conversion
+ *
+ * Finds rendered equations the way setupMathJaxOverlay does (MathJax
+ * containers, MathJax 2 frames, KaTeX equations, bare SVG math groups, assistive MathML and
+ * native <math> elements) and converts them
+ * with the translate.js entry points. Works on browser documents and on
+ * documents parsed with modules/lite-dom.js.
+ */
+
+/**
+ * Get the selectors from the extension configuration
+ */
+function getSelectors() {
+  const config = typeof ExtensionConfig !== 'undefined'
+    ? ExtensionConfig
+    : require('../config/settings.js');
+  return config.selectors;
+}
+
+/**
+ * Get the conversion entry points from translate.js
+ * @return {Object} - { convertMathToFormat, convertMathMLFromAssistiveMML, convertMathToMathML,
+ *   collectConversionDiagnostics }
+ */
+function getTranslator() {
+  if (typeof window !== 'undefined') {
+    return {
+      convertMathToFormat: window.convertMathToFormat,
+      convertMathMLFromAssistiveMML: window.convertMathMLFromAssistiveMML,
+      convertMathToMathML: window.convertMathToMathML,
+      collectConversionDiagnostics: window.collectConversionDiagnostics
+    };
+  }
+  return require('../translate.js');
+}
+
+/**
+ * Get the MathJax 2 helpers from modules/mathjax-v2.js
+ */
+function getMathJaxV2() {
+  return typeof window !== 'undefined' ? window.mathjaxV2 : require('./mathjax-v2.js');
+}
+
+/**
+ * Get the KaTeX helpers from modules/katex.js
+ */
+function getKatex() {
+  return typeof window !== 'undefined' ? window.katexOutput : require('./katex.js');
+}
+
+/**
+ * Get the native MathML helpers from modules/native-mathml.js
+ */
+function getNativeMath() {
+  return typeof window !== 'undefined' ? window.nativeMathML : require('./native-mathml.js');
+}
+
+/**
+ * Detect which MathJax output produced an equation element
+ * @param {Element} element - Equation element returned by findEquations
+ * @return {string} - 'CHTML', 'SVG', 'MathML', 'KaTeX', or for MathJax 2 'v2-HTML-CSS',
+ *   'v2-CHTML', 'v2-SVG' or 'v2-NativeMML'
+ */
+function detectRenderer(element) {
+  const tagName = element.tagName.toLowerCase();
+  const mathjaxV2 = getMathJaxV2();
+
+  if (mathjaxV2.isMathJaxV2Frame(element)) {
+    return mathjaxV2.detectMathJaxV2Renderer(element);
+  }
+
+  if (getKatex().isKatexElement(element)) return 'KaTeX';
+
+  if (tagName === 'mjx-container') {
+    const jax = (element.getAttribute('jax') || '').toUpperCase();
+    if (jax) return jax;
+    return element.querySelector('mjx-math') ? 'CHTML' : 'SVG';
+  }
+
+  return tagName === 'math' ? 'MathML' : 'SVG';
+}
+
+/**
+ * Find all equations below a root node in document order
+ * Math groups and assistive MathML inside a container are reported once,
+ * through their container
+ * @param {Document|Element} root - Node to search
+ * @return {Array<Element>} - Equation elements
+ */
+function findEquations(root) {
+  if (!root || !root.querySelectorAll) return [];
+
+  const selectors = getSelectors();
+  const mathjaxV2 = getMathJaxV2();
+  const selectorList = [
+    selectors.allMathJaxContainers,
+    selectors.mathJaxV2Frames,
+    selectors.katexElements,
+    selectors.mathGElements,
+    selectors.assistiveMML,
+    selectors.nativeMath
+  ].join(', ');
+
+  return Array.from(root.querySelectorAll(selectorList)).filter(element => {
+    if (element.tagName.toLowerCase() === 'mjx-container') return true;
+    // MathJax 2 frames, but not the previews shown before typesetting
+    if (element.matches(selectors.mathJaxV2Frames)) return mathjaxV2.isMathJaxV2Frame(element);
+    if (element.matches(selectors.katexElements)) return true;
+    // <math> elements of the page itself; those of the renderers above are reported with them
+    if (element.matches(selectors.nativeMath)) return getNativeMath().isNativeMathElement(element);
+
+    const container = element.closest(selectors.allMathJaxContainers);
+    return !container || container === element;
+  });
+}
+
+/**
+ * Convert an equation element, mirroring the click handlers in content.js
+ * @param {Element} element - Equation element returned by findEquations
+ * @param {string} [format='latex'] - 'latex', 'asciimath', 'typst' or 'unicode'
+ * @param {boolean} [useSource=true] - Copy the TeX annotation of KaTeX and MathML equations as
+ *   LaTeX; off rebuilds LaTeX from the MathML, as with output.recoverSource off
+ * @return {string} - The equation, the aria-label as a fallback, or '' if nothing could be converted
+ */
+function convertEquation(element, format = 'latex', useSource = true) {
+  const translator = getTranslator();
+  const selectors = getSelectors();
+  const renderer = detectRenderer(element);
+
+  if (renderer === 'MathML') {
+    return getNativeMath().convertNativeMathElement(element, format, translator.convertMathMLFromAssistiveMML, useSource);
+  }
+
+  if (renderer.startsWith('v2-')) {
+    const output = getMathJaxV2().convertMathJaxV2Frame(element, format, translator.convertMathMLFromAssistiveMML);
+    return output || element.getAttribute('aria-label') || '';
+  }
+
+  if (renderer === 'KaTeX') {
+    return getKatex().convertKatexElement(element, format, translator.convertMathMLFromAssistiveMML, useSource) || '';
+  }
+
+  if (element.tagName.toLowerCase() !== 'mjx-container') {
+    return translator.convertMathToFormat(element, format);
+  }
+
+  if (renderer === 'CHTML') {
+    const assistiveMML = element.querySelector(selectors.assistiveMML);
+    if (assistiveMML) {
+      return translator.convertMathMLFromAssistiveMML(assistiveMML, format);
+    }
+    if (element.querySelector(selectors.chtmlMath)) {
+      return translator.convertMathToFormat(element, format);
+    }
+  }
+
+  const mathNode = element.querySelector(selectors.mathGElements);
+  if (mathNode) {
+    return translator.convertMathToFormat(mathNode, format);
+  }
+
+  return element.getAttribute('aria-label') || '';
+}
+
+/**
+ * Build clean MathML for an equation element. MathJax 2 and KaTeX renderings
+ * cannot be read back, so the MathML kept with them is used.
+ * @param {Element} element - Equation element returned by findEquations, or a bare SVG math node
+ * @return {string|null} - MathML markup, or null when there is none
+ */
+function getEquationMathML(element) {
+  let source = element;
+  if (getMathJaxV2().isMathJaxV2Frame(element)) {
+    source = getMathJaxV2().getMathJaxV2MathML(element);
+  } else if (getKatex().isKatexElement(element)) {
+    source = getKatex().getKatexMathML(element);
+  }
+  return source ? getTranslator().convertMathToMathML(source) || null : null;
+}
+
+/**
+ * Get the aria-label describing an equation, if any
+ */
+function getAriaLabel(element) {
+  const labelled = element.getAttribute('aria-label') ? element : element.closest('[aria-label]');
+  return labelled ? labelled.getAttribute('aria-label') : null;
+}
+
+/**
+ * Convert an equation and collect the details reported by the CLI
+ * @param {Element} element - Equation element returned by findEquations
+ * @param {number} index - Position of the equation in document order
+ * @param {string} [format='latex'] - Output format, also the key of the converted equation
+ * @return {Object} - { index, renderer, display, ariaLabel, latex, diagnostics } with latex named
+ *   after the format; diagnostics lists what the conversion could not handle
+ */
+function describeEquation(element, index, format = 'latex') {
+  const container = element.closest('mjx-container');
+  const renderer = detectRenderer(element);
+  let display = !!container && container.getAttribute('display') === 'true';
+  if (renderer.startsWith('v2-')) {
+    display = getMathJaxV2().isMathJaxV2Display(element);
+  } else if (renderer === 'KaTeX') {
+    display = getKatex().isKatexDisplay(element);
+  } else if (renderer === 'MathML') {
+    display = getNativeMath().isNativeMathDisplay(element);
+  }
+
+  const { output, diagnostics } = getTranslator().collectConversionDiagnostics(
+    () => convertEquation(element, format)
+  );
+
+  return {
+    index,
+    renderer,
+    display,
+    ariaLabel: getAriaLabel(element),
+    [format]: output.trim(),
+    diagnostics
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findEquations,
+    detectRenderer,
+    convertEquation,
+    getEquationMathML,
+    describeEquation
+  };
+} else {
+  window.equationExtractor = {
+    findEquations,
+    detectRenderer,
+    convertEquation,
+    getEquationMathML,
+    describeEquation
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * All equations of a page as one piece of text
+ *
+ * Used by "copy all equations" in content.js. Equations are found with
+ * equation-extractor.js in document order and laid out as
+ *   list     - a numbered list in the chosen output format
+ *   latex    - a LaTeX document body, each paragraph with its text
+ *   markdown - Markdown paragraphs with $…$ and $$…$$ math
+ * The latex and markdown layouts always convert to LaTeX.
+ */
+
+const EQUATION_LIST_LAYOUTS = ['list', 'latex', 'markdown'];
+
+// Elements whose text is kept around the equations they hold
+const EQUATION_PARAGRAPH_SELECTOR = 'p, li, dt, dd, td, th, h1, h2, h3, h4, h5, h6, blockquote, figcaption, caption';
+
+// Elements whose text is never prose
+const EQUATION_SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'mjx-assistive-mml'];
+
+const EQUATION_LIST_DELIMITERS = {
+  latex: { inline: 'dollar', display: 'bracket' },
+  markdown: { inline: 'dollar', display: 'double-dollar' }
+};
+
+/**
+ * Get the helpers from equation-extractor.js and utils.js
+ * @return {Object} - { extractor, utils }
+ */
+function getEquationListHelpers() {
+  if (typeof window !== 'undefined') {
+    return { extractor: window.equationExtractor, utils: window.extensionUtils };
+  }
+  return {
+    extractor: require('./equation-extractor.js'),
+    utils: require('../utils.js')
+  };
+}
+
+function escapeLatexText(text) {
+  return text.replace(/[\\{}#$%&_~^]/g, character => {
+    if (character === '\\') return '\\textbackslash{}';
+    if (character === '~') return '\\textasciitilde{}';
+    if (character === '^') return '\\textasciicircum{}';
+    return '\\' + character;
+  });
+}
+
+function escapeMarkdownText(text) {
+  return text.replace(/[\\`*_$[\]<]/g, '\\$&');
+}
+
+/**
+ * Convert one equation, preferring the TeX source the page kept and falling
+ * back to its aria-label
+ * @return {string} - The equation, or '' if there is nothing to copy
+ */
+function convertListedEquation(element, format, options, helpers) {
+  let text;
+  try {
+    const source = format === 'latex' && options.recoverSource ? options.recoverSource(element) : null;
+    // A caller with recoverSource looks for the page's TeX itself, so null
+    // means there is none or the user turned output.recoverSource off
+    text = source || helpers.extractor.convertEquation(element, format, !options.recoverSource);
+  } catch (error) {
+    text = element.getAttribute('aria-label') || '';
+  }
+
+  text = text.trim();
+  return options.removeTrailingPeriod ? helpers.utils.removeTrailingPeriod(text) : text;
+}
+
+/**
+ * Convert equations to LaTeX between math delimiters
+ * @param {Array<Element>} elements - Equation elements returned by findEquations
+ * @param {Object} delimiters - Wrapping modes { inline, display } for utils.wrapLatex
+ * @param {Object} [options]
+ * @param {boolean} [options.removeTrailingPeriod=false] - Drop a trailing sentence period from each equation
+ * @param {Function} [options.recoverSource] - Returns the TeX source of an equation element, or null to rebuild
+ *   LaTeX from the rendering
+ * @return {Map<Element, Object>} - { wrapped, display } of each equation that could be
+ *   converted, in document order
+ */
+function collectWrappedEquations(elements, delimiters, options = {}) {
+  const helpers = getEquationListHelpers();
+  const equations = new Map();
+
+  elements.forEach(element => {
+    const latex = convertListedEquation(element, 'latex', options, helpers);
+    if (!latex) return;
+
+    const display = helpers.utils.isDisplayEquation(element);
+    equations.set(element, { wrapped: helpers.utils.wrapLatex(latex, delimiters, display), display });
+  });
+  return equations;
+}
+
+/**
+ * Write a paragraph's text with its equations in place. Nested paragraphs
+ * that hold equations of their own are written separately and skipped here.
+ * @param {Element} paragraph - Element matched by EQUATION_PARAGRAPH_SELECTOR
+ * @param {Map<Element, string>} equations - Wrapped LaTeX of each equation
+ * @param {Set<Element>} paragraphs - Every paragraph that holds an equation
+ * @param {Function} escapeText - Escapes prose for the layout
+ * @return {string}
+ */
+function writeEquationParagraph(paragraph, equations, paragraphs, escapeText) {
+  const parts = [];
+
+  const visit = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(escapeText(node.textContent.replace(/\s+/g, ' ')));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    if (equations.has(node)) {
+      parts.push(equations.get(node));
+      return;
+    }
+    if (node !== paragraph && paragraphs.has(node)) return;
+    if (EQUATION_SKIPPED_ELEMENTS.includes(node.tagName.toLowerCase())) return;
+
+    Array.from(node.childNodes).forEach(visit);
+  };
+
+  visit(paragraph);
+  return parts.join('').replace(/ *\n */g, '\n').trim();
+}
+
+/**
+ * Lay out every equation below a root node
+ * @param {Document|Element} root - Node to search
+ * @param {Object} [options]
+ * @param {string} [options.layout='list'] - One of EQUATION_LIST_LAYOUTS
+ * @param {string} [options.format='latex'] - Output format of the list layout
+ * @param {boolean} [options.removeTrailingPeriod=false] - Drop a trailing sentence period from each equation
+ * @param {Function} [options.recoverSource] - Returns the TeX source of an equation element, or null to rebuild
+ *   LaTeX from the rendering
+ * @return {Object} - { text, count }; text is '' when the page has no equations
+ */
+function buildEquationList(root, options = {}) {
+  const helpers = getEquationListHelpers();
+  const layout = EQUATION_LIST_LAYOUTS.includes(options.layout) ? options.layout : 'list';
+  const elements = helpers.extractor.findEquations(root);
+
+  if (layout === 'list') {
+    const lines = elements
+      .map(element => convertListedEquation(element, options.format || 'latex', options, helpers))
+      .filter(Boolean)
+      .map((equation, index) => `${index + 1}. ${equation}`);
+    return { text: lines.join('\n'), count: lines.length };
+  }
+
+  const escapeText = layout === 'latex' ? escapeLatexText : escapeMarkdownText;
+  const equations = new Map();
+  collectWrappedEquations(elements, EQUATION_LIST_DELIMITERS[layout], options).forEach((equation, element) => {
+    // Display math goes on lines of its own
+    equations.set(element, equation.display ? `\n${equation.wrapped}\n` : equation.wrapped);
+  });
+
+  // Each equation is written with the text of the paragraph around it, or
+  // alone when it is not inside one
+  const blocks = [];
+  const paragraphs = new Set();
+  equations.forEach((wrapped, element) => {
+    const paragraph = element.parentElement && element.parentElement.closest(EQUATION_PARAGRAPH_SELECTOR);
+    if (!paragraph) {
+      blocks.push(wrapped.trim());
+    } else if (!paragraphs.has(paragraph)) {
+      paragraphs.add(paragraph);
+      blocks.push(paragraph);
+    }
+  });
+
+  const text = blocks
+    .map(block => (typeof block === 'string'
+      ? block
+      : writeEquationParagraph(block, equations, paragraphs, escapeText)))
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { text, count: equations.size };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EQUATION_LIST_LAYOUTS, buildEquationList, collectWrappedEquations, escapeLatexText, escapeMarkdownText };
+} else {
+  window.equationList = { EQUATION_LIST_LAYOUTS, buildEquationList, collectWrappedEquations, escapeLatexText, escapeMarkdownText };
+}
@@ -0,0 +1,190 @@
+/**
+ * History of copied equations kept in chrome.storage.local
+ *
+ * content.js adds an entry for every equation it copies and the popup lists,
+ * searches and exports them. Both send their changes to the background
+ * service worker, which makes them one at a time for every frame and tab,
+ * and read the history directly. Entries are stored newest first:
+ *   { text, format, latex, display, url, title, timestamp }
+ * where text is what went to the clipboard in the output format, with the
+ * LaTeX delimiters and without a trailing period, and latex the same equation
+ * as LaTeX without delimiters for the .tex and Markdown exports.
+ */
+
+const HISTORY_STORAGE_KEY = 'history';
+
+// Changes to the history run one after another, so an entry added while the
+// previous one is still being written is not lost to a stale read. Only the
+// service worker changes the history, so the queue covers every frame and tab.
+let historyUpdateQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write of the history after the ones queued before it
+ * @param {Function} update - Returns a promise of the new history
+ * @return {Promise<Array>} - The new history
+ */
+function queueHistoryUpdate(update) {
+  const result = historyUpdateQueue.then(update);
+  historyUpdateQueue = result.catch(() => {});
+  return result;
+}
+
+function getHistoryStorage() {
+  return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local
+    ? chrome.storage.local
+    : null;
+}
+
+/**
+ * Read the history
+ * @return {Promise<Array>} - Entries, newest first
+ */
+function readHistory() {
+  const storage = getHistoryStorage();
+  if (!storage) return Promise.resolve([]);
+
+  return new Promise((resolve) => {
+    storage.get({ [HISTORY_STORAGE_KEY]: [] }, (items) => {
+      const entries = !chrome.runtime.lastError && items ? items[HISTORY_STORAGE_KEY] : [];
+      resolve(Array.isArray(entries) ? entries : []);
+    });
+  });
+}
+
+function writeHistory(entries) {
+  const storage = getHistoryStorage();
+  if (!storage) return Promise.reject(new Error('chrome.storage is not available'));
+
+  return new Promise((resolve, reject) => {
+    storage.set({ [HISTORY_STORAGE_KEY]: entries }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(entries);
+      }
+    });
+  });
+}
+
+/**
+ * Add an entry at the top, dropping an older copy of the same equation from
+ * the same page and the oldest entries beyond the cap
+ * @param {Object} entry - { text, format, latex, display, url, title, timestamp }
+ * @param {number} maxEntries - Number of entries to keep
+ * @return {Promise<Array>} - The new history
+ */
+function addHistoryEntry(entry, maxEntries) {
+  return queueHistoryUpdate(() => readHistory().then(entries => {
+    const others = entries.filter(other =>
+      other.text !== entry.text || other.format !== entry.format || other.url !== entry.url);
+    return writeHistory([entry].concat(others).slice(0, Math.max(0, maxEntries)));
+  }));
+}
+
+/**
+ * Remove every entry
+ * @return {Promise<Array>} - The empty history
+ */
+function clearHistory() {
+  return queueHistoryUpdate(() => writeHistory([]));
+}
+
+// Changes content.js and the popup ask the service worker for
+const HISTORY_MESSAGE_ACTIONS = ['addHistoryEntry', 'clearHistory'];
+
+/**
+ * Send a change of the history to the service worker
+ * @param {Object} message - { action, ... } with an action of HISTORY_MESSAGE_ACTIONS
+ * @return {Promise<void>} - Settles once the change is stored
+ */
+function sendHistoryMessage(message) {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+    return Promise.reject(new Error('chrome.runtime is not available'));
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || response.error) {
+        reject(new Error(response ? response.error : 'No answer from the service worker'));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Have the service worker add an entry, see addHistoryEntry
+ * @return {Promise<void>}
+ */
+function requestAddHistoryEntry(entry, maxEntries) {
+  return sendHistoryMessage({ action: 'addHistoryEntry', entry, maxEntries });
+}
+
+/**
+ * Have the service worker remove every entry
+ * @return {Promise<void>}
+ */
+function requestClearHistory() {
+  return sendHistoryMessage({ action: 'clearHistory' });
+}
+
+/**
+ * chrome.runtime.onMessage listener of the service worker that makes the
+ * changes sent with requestAddHistoryEntry and requestClearHistory
+ * @return {boolean} - true when the answer is sent once the change is stored
+ */
+function handleHistoryMessage(message, sender, sendResponse) {
+  if (!message || !HISTORY_MESSAGE_ACTIONS.includes(message.action)) return false;
+
+  const update = message.action === 'addHistoryEntry'
+    ? addHistoryEntry(message.entry, message.maxEntries)
+    : clearHistory();
+  update.then(() => sendResponse({ ok: true }), error => sendResponse({ error: error.message }));
+  return true;
+}
+
+/**
+ * Call back with the history whenever it changes
+ * @param {Function} callback - Receives the entries, newest first
+ * @return {Function} - Stops watching
+ */
+function watchHistory(callback) {
+  if (!getHistoryStorage() || !chrome.storage.onChanged) return () => {};
+
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local' || !changes[HISTORY_STORAGE_KEY]) return;
+    callback(changes[HISTORY_STORAGE_KEY].newValue || []);
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HISTORY_STORAGE_KEY,
+    readHistory,
+    addHistoryEntry,
+    clearHistory,
+    requestAddHistoryEntry,
+    requestClearHistory,
+    handleHistoryMessage,
+    watchHistory
+  };
+} else {
+  // self is the window of content scripts and the popup, and the global scope of the service worker
+  self.historyStore = {
+    HISTORY_STORAGE_KEY,
+    readHistory,
+    addHistoryEntry,
+    clearHistory,
+    requestAddHistoryEntry,
+    requestClearHistory,
+    handleHistoryMessage,
+    watchHistory
+  };
+}
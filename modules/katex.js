@@ -0,0 +1,112 @@
+/**
+ * KaTeX output
+ *
+ * KaTeX renders each equation into a .katex span holding two copies of it:
+ *   <span class="katex">
+ *     <span class="katex-mathml">
+ *       <math><semantics><mrow>…</mrow>
+ *         <annotation encoding="application/x-tex">x^2</annotation>
+ *       </semantics></math>
+ *     </span>
+ *     <span class="katex-html" aria-hidden="true">… rendering …</span>
+ *   </span>
+ * Display equations are wrapped in a .katex-display span. The rendering is
+ * not converted; the TeX annotation is copied as LaTeX and the MathML is
+ * converted for the other formats, or for LaTeX when there is no annotation.
+ */
+
+/**
+ * Get the selectors from the extension configuration
+ */
+function getKatexSelectors() {
+  const config = typeof ExtensionConfig !== 'undefined'
+    ? ExtensionConfig
+    : require('../config/settings.js');
+  return config.selectors;
+}
+
+/**
+ * Find the KaTeX equation a node belongs to
+ * @param {Node} node - An element in or around the rendering
+ * @return {Element|null} - The .katex element, or null outside KaTeX output
+ */
+function findKatexElement(node) {
+  const element = node && node.nodeType === 1 ? node : node && node.parentElement;
+  return element ? element.closest(getKatexSelectors().katexElements) : null;
+}
+
+function isKatexElement(element) {
+  return Boolean(element) && findKatexElement(element) === element;
+}
+
+/**
+ * Get the TeX source KaTeX keeps in the annotation of its MathML
+ * @param {Element} element - .katex element
+ * @return {string|null}
+ */
+function getKatexSource(element) {
+  const annotation = element.querySelector(getKatexSelectors().katexTexAnnotation);
+  const source = annotation ? annotation.textContent.trim() : '';
+  return source || null;
+}
+
+/**
+ * Get the MathML KaTeX renders alongside the equation
+ * @param {Element} element - .katex element
+ * @return {Element|null} - A <math> element, or null for HTML-only output
+ */
+function getKatexMathML(element) {
+  return element.querySelector(getKatexSelectors().katexMathML);
+}
+
+/**
+ * Check whether a KaTeX equation is a display equation
+ * @param {Element} element - .katex element
+ * @return {boolean}
+ */
+function isKatexDisplay(element) {
+  if (element.closest(getKatexSelectors().katexDisplay)) return true;
+
+  const mathml = getKatexMathML(element);
+  return Boolean(mathml) && mathml.getAttribute('display') === 'block';
+}
+
+/**
+ * Convert a KaTeX equation: LaTeX is its TeX annotation when it has one, and
+ * everything else is converted from its MathML
+ * @param {Element} element - .katex element
+ * @param {string} format - Output format
+ * @param {Function} convertMathML - translate.js convertMathMLFromAssistiveMML
+ * @param {boolean} [useSource=true] - Copy the TeX annotation as LaTeX; off rebuilds LaTeX from the MathML
+ * @return {string|null} - null when the equation has nothing to convert into the format
+ */
+function convertKatexElement(element, format, convertMathML, useSource = true) {
+  if (format === 'latex' && useSource) {
+    const source = getKatexSource(element);
+    if (source) return source;
+  }
+
+  const mathml = getKatexMathML(element);
+  return mathml ? convertMathML(mathml, format) : null;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findKatexElement,
+    isKatexElement,
+    getKatexSource,
+    getKatexMathML,
+    isKatexDisplay,
+    convertKatexElement
+  };
+} else {
+  window.katexOutput = {
+    findKatexElement,
+    isKatexElement,
+    getKatexSource,
+    getKatexMathML,
+    isKatexDisplay,
+    convertKatexElement
+  };
+}
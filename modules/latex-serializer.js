@@ -0,0 +1,478 @@
+/**
+ * LaTeX back-end for the intermediate math tree (see math-tree.js)
+ */
+
+/**
+ * Accents drawn over a base, keyed by the accent character
+ */
+const LATEX_OVER_ACCENTS = {
+  '⃗': '\\overrightarrow',
+  '→': '\\overrightarrow',
+  '←': '\\overleftarrow',
+  '↔': '\\overleftrightarrow',
+  '̅': '\\overline',
+  '¯': '\\overline',
+  '‾': '\\overline',
+  '―': '\\overline',
+  '^': '\\hat',
+  'ˆ': '\\hat',
+  '̂': '\\hat',
+  '~': '\\tilde',
+  '˜': '\\tilde',
+  '̃': '\\tilde',
+  '˙': '\\dot',
+  '̇': '\\dot',
+  '¨': '\\ddot',
+  '̈': '\\ddot',
+  'ˇ': '\\check',
+  '˘': '\\breve',
+  '´': '\\acute',
+  '`': '\\grave',
+  '⏞': '\\overbrace'
+};
+
+/**
+ * Accents drawn under a base, keyed by the accent character
+ */
+const LATEX_UNDER_ACCENTS = {
+  '̲': '\\underline',
+  '_': '\\underline',
+  '¯': '\\underline',
+  '―': '\\underline',
+  '⏟': '\\underbrace',
+  '→': '\\underrightarrow',
+  '←': '\\underleftarrow'
+};
+
+// Bases whose under/over scripts are written as limits with _ and ^
+const LATEX_LIMIT_BASES = [
+  '∑', '∏', '∐', '∫', '∬', '∭', '∮', '⋃', '⋂', '⋁', '⋀', '⨁', '⨂', '⨀',
+  'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'
+];
+
+// LaTeX font commands for mathvariant values
+const LATEX_VARIANT_COMMANDS = {
+  'normal': '\\mathrm',
+  'bold': '\\mathbf',
+  'italic': '\\mathit',
+  'bold-italic': '\\boldsymbol',
+  'double-struck': '\\mathbb',
+  'script': '\\mathcal',
+  'bold-script': '\\mathcal',
+  'fraktur': '\\mathfrak',
+  'bold-fraktur': '\\mathfrak',
+  'sans-serif': '\\mathsf',
+  'bold-sans-serif': '\\mathsf',
+  'sans-serif-italic': '\\mathsf',
+  'sans-serif-bold-italic': '\\mathsf',
+  'monospace': '\\mathtt'
+};
+
+// LaTeX commands for menclose notations (space separated values sorted)
+const LATEX_ENCLOSE_COMMANDS = {
+  'box': '\\boxed',
+  'roundedbox': '\\boxed',
+  'updiagonalstrike': '\\cancel',
+  'downdiagonalstrike': '\\bcancel',
+  'downdiagonalstrike updiagonalstrike': '\\xcancel',
+  'top': '\\overline',
+  'bottom': '\\underline',
+  'radical': '\\sqrt'
+};
+
+// Space widths (em) MathJax uses for the TeX spacing commands
+const LATEX_SPACE_COMMANDS = [
+  { width: -0.167, command: '\\!' },
+  { width: 0.167, command: '\\,' },
+  { width: 0.222, command: '\\:' },
+  { width: 0.278, command: '\\;' },
+  { width: 1, command: '\\quad' },
+  { width: 2, command: '\\qquad' }
+];
+
+// Operators written with a space on both sides besides relations
+const LATEX_BINARY_OPERATORS = '+-−±∓×÷*⋅·∘∙∩∪∧∨⊕⊖⊗⊘∖⋆∗';
+
+// Invisible operators (function application, invisible times, separator and plus)
+const LATEX_INVISIBLE_OPERATORS = ['⁡', '⁢', '⁣', '⁤'];
+
+// Fences written with their \left/\right delimiter name when they stand alone
+const LATEX_FENCE_SYMBOLS = ['‖', '⟨', '⟩', '〈', '〉', '⌊', '⌋', '⌈', '⌉'];
+
+const LATEX_PRIMES = { '′': "'", '″': "''", '‴': "'''", "'": "'" };
+
+// ASCII characters with a meaning of their own in TeX, escaped in math mode
+const LATEX_SPECIAL_CHARACTERS = {
+  '#': '\\#',
+  '$': '\\$',
+  '%': '\\%',
+  '&': '\\&',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '\\': '\\backslash',
+  '~': '\\sim',
+  '^': '\\hat{}'
+};
+
+/**
+ * Serialize a math tree to LaTeX
+ * @param {Object} tree - Tree built by one of the front-ends
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @param {Object} operators - OPERATOR_MAPPINGS
+ * @param {Object} functions - { isStandardFunction }
+ * @return {string} - LaTeX
+ */
+function serializeLatex(tree, nodeProcessor, mathTree, operators, functions) {
+  const context = { nodeProcessor, mathTree, operators, functions, topLevelTable: null };
+  return tidyLatex(toLatex(tree, context));
+}
+
+function toLatex(node, context) {
+  if (!node) return '';
+
+  const serializer = LATEX_SERIALIZERS[node.type];
+  return serializer ? serializer(node, context) : '';
+}
+
+const LATEX_SERIALIZERS = {
+  math: (node, context) => {
+    // A table that is the whole display equation can be align*, gather* or tagged
+    const only = context.mathTree.getOnlyChild(node);
+    if (node.display && only && only.type === 'table') {
+      context.topLevelTable = only;
+    }
+    return serializeLatexRow(node.children, context);
+  },
+
+  row: (node, context) => serializeLatexRow(node.children, context),
+
+  identifier: serializeLatexIdentifier,
+
+  number: (node, context) => mapLatexSymbols(node.text, context),
+
+  operator: serializeLatexOperator,
+
+  text: serializeLatexText,
+
+  space: (node) => {
+    if (node.linebreak) return '\\\\';
+    if (node.width === null || node.width === 0) return '';
+    const known = LATEX_SPACE_COMMANDS.find(space => Math.abs(space.width - node.width) < 0.02);
+    return known ? known.command : '\\hspace{' + node.width + 'em}';
+  },
+
+  fraction: (node, context) => {
+    const numerator = toLatex(node.numerator, context).trim();
+    const denominator = toLatex(node.denominator, context).trim();
+    if (context.mathTree.isZeroThickness(node.lineThickness)) {
+      return '\\genfrac{}{}{0pt}{}{' + numerator + '}{' + denominator + '}';
+    }
+    return '\\frac{' + numerator + '}{' + denominator + '}';
+  },
+
+  sqrt: (node, context) => '\\sqrt{' + toLatex(node.body, context).trim() + '}',
+
+  root: (node, context) =>
+    '\\sqrt[' + toLatex(node.index, context).trim() + ']{' + toLatex(node.body, context).trim() + '}',
+
+  scripts: (node, context) =>
+    attachLatexScripts(serializeLatexBase(node.base, context), node.sub, node.sup, context),
+
+  underover: serializeLatexUnderOver,
+
+  multiscripts: (node, context) => {
+    // Each subscript/superscript pair after the first needs an empty base
+    const writePairs = (pairs) => pairs.map((pair, index) =>
+      attachLatexScripts(index > 0 ? '{}' : '', pair.sub, pair.sup, context)
+    ).join('');
+
+    const pre = writePairs(node.pre);
+    return (pre ? '{}' + pre : '') + serializeLatexBase(node.base, context) + writePairs(node.post);
+  },
+
+  fenced: serializeLatexFenced,
+
+  table: (node, context) => serializeLatexTable(node, context),
+
+  enclose: (node, context) => {
+    const notation = node.notation.trim().split(/\s+/).sort().join(' ');
+    const content = serializeLatexRow(node.children, context).trim();
+    const command = LATEX_ENCLOSE_COMMANDS[notation];
+    if (command) return command + '{' + content + '}';
+    // MathJax understands its own \enclose extension for the remaining notations
+    return '\\enclose{' + notation.replace(/ /g, ',') + '}{' + content + '}';
+  },
+
+  phantom: (node, context) => '\\phantom{' + serializeLatexRow(node.children, context).trim() + '}'
+};
+
+/**
+ * Serialize the children of a row, spacing infix operators
+ */
+function serializeLatexRow(children, context) {
+  let result = '';
+  let previous = null;
+
+  for (const child of children) {
+    let latex = toLatex(child, context);
+    if (!latex) continue;
+
+    if (child.type === 'operator' && isLatexInfixOperator(child, context) && !context.mathTree.isPrefixSign(child, previous)) {
+      latex = ' ' + latex.trim() + ' ';
+    }
+
+    result = joinLatex(result, latex);
+    previous = child;
+  }
+
+  return result;
+}
+
+/**
+ * Join two pieces of LaTeX, keeping a command name apart from a following letter
+ */
+function joinLatex(left, right) {
+  if (/\\[A-Za-z]+$/.test(left) && /^[A-Za-z]/.test(right)) {
+    return left + ' ' + right;
+  }
+  return left + right;
+}
+
+/**
+ * Collapse repeated spaces and drop the ones just inside braces
+ */
+function tidyLatex(latex) {
+  let result = latex
+    .replace(/ {2,}/g, ' ')
+    .replace(/\{ +/g, '{')
+    .replace(/([^\\]) +\}/g, '$1}')
+    .trim();
+
+  // Keep a trailing control space "\ " intact
+  if (/\\$/.test(result) && !/\\\\$/.test(result)) result += ' ';
+  return result;
+}
+
+/**
+ * Map token text to LaTeX: ASCII stays as is apart from the TeX special
+ * characters, other characters use the Unicode table
+ */
+function mapLatexSymbols(text, context) {
+  let result = '';
+  for (const char of Array.from(text)) {
+    const codePoint = char.codePointAt(0);
+    let latex = LATEX_SPECIAL_CHARACTERS[char] || (codePoint < 0x80
+      ? char
+      : context.nodeProcessor.getUnicodeMapping(codePoint.toString(16)).trim());
+
+    // The table wraps some commands in braces, e.g. {\pi}; they are not needed here
+    const braced = latex.match(/^\{(\\[A-Za-z]+)\}$/);
+    if (braced) latex = braced[1];
+
+    result = joinLatex(result, latex);
+  }
+  return result;
+}
+
+function serializeLatexIdentifier(node, context) {
+  const text = node.text;
+  if (!text) return '';
+
+  const isPlain = !node.variant || node.variant === 'italic' || node.variant === 'normal';
+  if (isPlain && context.functions.isStandardFunction(text)) return '\\' + text;
+
+  const symbol = mapLatexSymbols(text, context);
+  const multiLetter = Array.from(text).length > 1 && /^[A-Za-z]+$/.test(text);
+
+  // Multi-letter identifiers are upright; operator names get operator spacing
+  if (multiLetter && (!node.variant || node.variant === 'normal')) {
+    return node.texClass === 'OP'
+      ? '\\operatorname{' + text + '}'
+      : '\\mathrm{' + text + '}';
+  }
+
+  if (node.variant === 'italic' && !multiLetter) return symbol;
+
+  let command = LATEX_VARIANT_COMMANDS[node.variant];
+  if (!command) return symbol;
+  if (node.variant === 'bold' && !/^[A-Za-z0-9]+$/.test(text)) command = '\\boldsymbol';
+  if (node.variant === 'normal' && !/^[A-Za-z0-9]+$/.test(text)) return symbol;
+  return command + '{' + symbol + '}';
+}
+
+function serializeLatexOperator(node, context) {
+  const text = node.text.trim();
+  if (!text || LATEX_INVISIBLE_OPERATORS.includes(text)) return '';
+
+  if (context.functions.isStandardFunction(text)) return '\\' + text;
+  if (/^[A-Za-z]{2,}$/.test(text)) return '\\operatorname{' + text + '}';
+
+  // A comma braced into an ordinary atom, e.g. a decimal comma
+  if (text === ',' && node.texClass === 'ORD') return '{,}';
+
+  if (context.operators[text] !== undefined) return context.operators[text].trim();
+  if (LATEX_FENCE_SYMBOLS.includes(text)) return context.nodeProcessor.toLatexDelimiter(text);
+  return mapLatexSymbols(text, context);
+}
+
+function isLatexInfixOperator(node, context) {
+  const text = node.text.trim();
+  if (!text || node.texClass === 'ORD') return false;
+
+  const mapping = context.operators[text];
+  if (mapping !== undefined && /^\s.*\s$/.test(mapping)) return true;
+  return LATEX_BINARY_OPERATORS.includes(text) || context.nodeProcessor.isRelationOperator(text);
+}
+
+function serializeLatexText(node, context) {
+  const raw = node.text;
+  const text = raw.replace(/[\s ]+/g, ' ').trim();
+  // Space-only text is spacing between tokens, which LaTeX adds itself
+  if (!text) return '';
+
+  // A single letter in text is a differential like d or a stray symbol like π
+  if (Array.from(text).length === 1 && /\p{L}/u.test(text)) {
+    return mapLatexSymbols(text, context);
+  }
+
+  const escaped = text.replace(/([#$%&_{}])/g, '\\$1');
+  const before = /^[\s ]/.test(raw) ? '\\ ' : '';
+  const after = /[\s ]$/.test(raw) ? '\\ ' : '';
+  return before + '\\text{' + escaped + '}' + after;
+}
+
+/**
+ * Serialize a script base, bracing bases that already carry scripts
+ */
+function serializeLatexBase(base, context) {
+  if (context.mathTree.isEmptyNode(base)) return '{}';
+  const latex = toLatex(base, context).trim();
+  if (base.type === 'scripts' || (base.type === 'underover' && !getLatexAccent(base))) {
+    return '{' + latex + '}';
+  }
+  return latex;
+}
+
+function attachLatexScripts(base, sub, sup, context) {
+  let result = base;
+
+  const subLatex = context.mathTree.isEmptyNode(sub) ? '' : toLatex(sub, context).trim();
+  if (subLatex) result += '_{' + subLatex + '}';
+
+  if (!context.mathTree.isEmptyNode(sup)) {
+    // Primes are written as f' rather than f^{\prime}
+    const supText = ['operator', 'identifier'].includes(sup.type) ? sup.text.trim() : null;
+    if (supText && LATEX_PRIMES[supText] && !subLatex) {
+      return result + LATEX_PRIMES[supText];
+    }
+    const supLatex = toLatex(sup, context).trim();
+    if (supLatex) result += '^{' + supLatex + '}';
+  }
+
+  return result;
+}
+
+/**
+ * Get the accent command for an under/over node whose script is a single accent character
+ * @return {string|null}
+ */
+function getLatexAccent(node) {
+  if (node.over && !node.under && node.over.type === 'operator') {
+    return LATEX_OVER_ACCENTS[node.over.text.trim()] || null;
+  }
+  if (node.under && !node.over && node.under.type === 'operator') {
+    return LATEX_UNDER_ACCENTS[node.under.text.trim()] || null;
+  }
+  return null;
+}
+
+/**
+ * Check if under/over scripts of a base should be written as limits
+ */
+function isLatexLimitBase(base) {
+  if (!base) return false;
+  if (base.texClass === 'OP') return true;
+  if (LATEX_LIMIT_BASES.includes(getTreeTextForLatex(base))) return true;
+
+  // Labels on \underbrace and \overbrace attach as limits too
+  const accent = base.type === 'underover' ? getLatexAccent(base) : null;
+  return accent === '\\underbrace' || accent === '\\overbrace';
+}
+
+function getTreeTextForLatex(node) {
+  if (!node) return '';
+  if (typeof node.text === 'string') return node.text.trim();
+  if (node.type === 'row') return node.children.map(getTreeTextForLatex).join('');
+  return '';
+}
+
+function serializeLatexUnderOver(node, context) {
+  const accent = getLatexAccent(node);
+  if (accent) {
+    return accent + '{' + toLatex(node.base, context).trim() + '}';
+  }
+
+  const base = serializeLatexBase(node.base, context);
+  if (node.limits || isLatexLimitBase(node.base)) {
+    return attachLatexScripts(base, node.under, node.over, context);
+  }
+
+  let result = base;
+  if (!context.mathTree.isEmptyNode(node.under)) {
+    result = '\\underset{' + toLatex(node.under, context).trim() + '}{' + result + '}';
+  }
+  if (!context.mathTree.isEmptyNode(node.over)) {
+    result = '\\overset{' + toLatex(node.over, context).trim() + '}{' + result + '}';
+  }
+  return result;
+}
+
+function serializeLatexFenced(node, context) {
+  const nodeProcessor = context.nodeProcessor;
+  const only = context.mathTree.getOnlyChild({ type: 'row', children: node.children });
+
+  // Fences around a table make a matrix environment or cases
+  if (only && only.type === 'table') {
+    return serializeLatexTable(only, context, node.open, node.close);
+  }
+
+  // A fraction without a bar in parentheses is a binomial coefficient
+  if (only && only.type === 'fraction' && context.mathTree.isZeroThickness(only.lineThickness) &&
+      node.open === '(' && node.close === ')') {
+    return '\\binom{' + toLatex(only.numerator, context).trim() + '}{' +
+      toLatex(only.denominator, context).trim() + '}';
+  }
+
+  const left = nodeProcessor.toLatexDelimiter(node.open);
+  const inner = serializeLatexRow(node.children, context).trim();
+  return joinLatex('\\left' + left, inner) + '\\right' + nodeProcessor.toLatexDelimiter(node.close);
+}
+
+function serializeLatexTable(table, context, open = '', close = '') {
+  const nodeProcessor = context.nodeProcessor;
+  const rows = table.rows.map(row => row.cells.map(cell => tidyLatex(toLatex(cell, context))).join('&'));
+  const columnCount = Math.max(1, ...table.rows.map(row => row.cells.length));
+
+  const alignment = !open && !close
+    ? context.mathTree.getTableAlignment(table, nodeProcessor.isRelationOperator)
+    : null;
+  if (alignment) {
+    return nodeProcessor.wrapAlignedEnvironment(rows, {
+      gathered: alignment === 'gathered',
+      nested: context.topLevelTable !== table,
+      tags: table.rows.map(row => row.label)
+    });
+  }
+
+  const columnSpec = nodeProcessor.getColumnSpec(table.columnalign, columnCount);
+  return nodeProcessor.wrapTableEnvironment(rows.join('\\\\'), columnSpec, open, close);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { serializeLatex };
+} else {
+  window.latexSerializer = { serializeLatex };
+}
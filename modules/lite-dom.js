@@ -0,0 +1,803 @@
+/**
+ * Lightweight DOM for running the converters outside the browser
+ *
+ * Parses HTML, SVG and MathML markup into a small tree that implements the
+ * subset of the DOM API the converters rely on (childNodes, getAttribute,
+ * querySelector, closest, textContent, ...). It is not a full HTML5 parser,
+ * but it copes with the markup MathJax produces and with pages saved from
+ * the browser.
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open <p>
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Elements that implicitly close an open sibling of the same kind
+const SELF_CLOSING_SIBLINGS = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option']
+};
+
+// Namespaces whose elements the converters know by their local name
+const KNOWN_NAMESPACES = [
+  'http://www.w3.org/1998/Math/MathML',
+  'http://www.w3.org/2000/svg',
+  'http://www.w3.org/1999/xhtml'
+];
+
+let namedEntities;
+
+/**
+ * Get the named character references from html-entities.js
+ * @return {Object} - Characters keyed by entity name
+ */
+function getNamedEntities() {
+  if (namedEntities) return namedEntities;
+  if (typeof window !== 'undefined' && window.htmlEntities) {
+    namedEntities = window.htmlEntities.HTML_ENTITIES;
+  } else if (typeof module !== 'undefined' && module.exports) {
+    namedEntities = require('./html-entities.js').HTML_ENTITIES;
+  }
+  return namedEntities || {};
+}
+
+/**
+ * Decode character references in text or attribute values
+ * @param {string} text - Raw text
+ * @return {string} - Decoded text
+ */
+function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (e) {
+        return match;
+      }
+    }
+    const entities = getNamedEntities();
+    return Object.prototype.hasOwnProperty.call(entities, ref) ? entities[ref] : match;
+  });
+}
+
+/**
+ * Escape text for serialization
+ */
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Base class shared by all node types
+ */
+class LiteNode {
+  constructor(nodeType, nodeName) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get ownerDocument() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node.nodeType === DOCUMENT_NODE ? node : null;
+  }
+
+  get children() {
+    return this.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get lastElementChild() {
+    const children = this.children;
+    return children[children.length - 1] || null;
+  }
+
+  get nextSibling() {
+    return siblingAt(this, 1, false);
+  }
+
+  get previousSibling() {
+    return siblingAt(this, -1, false);
+  }
+
+  get nextElementSibling() {
+    return siblingAt(this, 1, true);
+  }
+
+  get previousElementSibling() {
+    return siblingAt(this, -1, true);
+  }
+
+  get textContent() {
+    return this.childNodes.map(child =>
+      child.nodeType === COMMENT_NODE ? '' : child.textContent
+    ).join('');
+  }
+
+  appendChild(child) {
+    if (child.nodeType === DOCUMENT_FRAGMENT_NODE) {
+      child.childNodes.slice().forEach(node => this.appendChild(node));
+      return child;
+    }
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  insertBefore(child, reference) {
+    if (!reference) return this.appendChild(child);
+    if (child.nodeType === DOCUMENT_FRAGMENT_NODE) {
+      child.childNodes.slice().forEach(node => this.insertBefore(node, reference));
+      return child;
+    }
+    if (child.parentNode) child.parentNode.removeChild(child);
+    const index = this.childNodes.indexOf(reference);
+    child.parentNode = this;
+    this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, child);
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  replaceWith(node) {
+    const parent = this.parentNode;
+    if (!parent) return;
+    parent.insertBefore(node, this);
+    parent.removeChild(this);
+  }
+
+  getRootNode() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node;
+  }
+
+  contains(node) {
+    while (node) {
+      if (node === this) return true;
+      node = node.parentNode;
+    }
+    return false;
+  }
+
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    const matches = [];
+    walkElements(this, element => {
+      if (groups.some(group => matchesGroup(element, group, this))) {
+        matches.push(element);
+      }
+    });
+    return matches;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function siblingAt(node, step, elementsOnly) {
+  if (!node.parentNode) return null;
+  const siblings = node.parentNode.childNodes;
+  for (let i = siblings.indexOf(node) + step; i >= 0 && i < siblings.length; i += step) {
+    if (!elementsOnly || siblings[i].nodeType === ELEMENT_NODE) return siblings[i];
+  }
+  return null;
+}
+
+function walkElements(root, visit) {
+  for (const child of root.childNodes) {
+    if (child.nodeType === ELEMENT_NODE) {
+      visit(child);
+      walkElements(child, visit);
+    }
+  }
+}
+
+class LiteText extends LiteNode {
+  constructor(data) {
+    super(TEXT_NODE, '#text');
+    this.data = data;
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+
+  get outerHTML() {
+    return escapeText(this.data);
+  }
+
+  cloneNode() {
+    return new LiteText(this.data);
+  }
+}
+
+class LiteComment extends LiteNode {
+  constructor(data) {
+    super(COMMENT_NODE, '#comment');
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  get outerHTML() {
+    return '<!--' + this.data + '-->';
+  }
+
+  cloneNode() {
+    return new LiteComment(this.data);
+  }
+}
+
+class LiteElement extends LiteNode {
+  constructor(tagName, attributes = []) {
+    const name = tagName.toLowerCase();
+    super(ELEMENT_NODE, name);
+    this.tagName = name;
+    this.localName = name.indexOf(':') === -1 ? name : name.slice(name.indexOf(':') + 1);
+    this.attributes = attributes;
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  get classList() {
+    const element = this;
+    const read = () => element.className.split(/\s+/).filter(Boolean);
+    const write = (list) => element.setAttribute('class', list.join(' '));
+    return {
+      contains: (name) => read().includes(name),
+      add: (...names) => write(read().concat(names.filter(name => !read().includes(name)))),
+      remove: (...names) => write(read().filter(name => !names.includes(name))),
+      toString: () => element.className,
+      [Symbol.iterator]: () => read()[Symbol.iterator]()
+    };
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find(a => a.name === name);
+    return attr ? attr.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.some(a => a.name === name);
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attributes.find(a => a.name === name);
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributes.push({ name, value: String(value) });
+    }
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter(a => a.name !== name);
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach(child => { child.parentNode = null; });
+    this.childNodes = [];
+    if (value) this.appendChild(new LiteText(String(value)));
+  }
+
+  get textContent() {
+    return super.textContent;
+  }
+
+  get innerHTML() {
+    if (RAW_TEXT_ELEMENTS.has(this.tagName)) return this.textContent;
+    return this.childNodes.map(child => child.outerHTML).join('');
+  }
+
+  get outerHTML() {
+    const attrs = this.attributes.map(a => ` ${a.name}="${escapeAttribute(a.value)}"`).join('');
+    if (VOID_ELEMENTS.has(this.tagName)) {
+      return `<${this.tagName}${attrs}>`;
+    }
+    return `<${this.tagName}${attrs}>${this.innerHTML}</${this.tagName}>`;
+  }
+
+  cloneNode(deep = false) {
+    const clone = new LiteElement(this.tagName, this.attributes.map(attr => ({ ...attr })));
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some(group => matchesGroup(this, group, null));
+  }
+
+  closest(selector) {
+    const groups = parseSelector(selector);
+    let node = this;
+    while (node && node.nodeType === ELEMENT_NODE) {
+      if (groups.some(group => matchesGroup(node, group, null))) return node;
+      node = node.parentNode;
+    }
+    return null;
+  }
+}
+
+class LiteFragment extends LiteNode {
+  constructor() {
+    super(DOCUMENT_FRAGMENT_NODE, '#document-fragment');
+  }
+}
+
+class LiteDocument extends LiteNode {
+  constructor() {
+    super(DOCUMENT_NODE, '#document');
+  }
+
+  get documentElement() {
+    return this.firstElementChild;
+  }
+
+  get head() {
+    return this.querySelector('head');
+  }
+
+  get body() {
+    return this.querySelector('body');
+  }
+
+  createElement(tagName) {
+    return new LiteElement(tagName);
+  }
+
+  createTextNode(data) {
+    return new LiteText(data);
+  }
+
+  createDocumentFragment() {
+    return new LiteFragment();
+  }
+}
+
+/**
+ * Parse a selector list into groups of compound selectors
+ * @param {string} selector - CSS selector list
+ * @return {Array} - Array of groups, each a list of { compound, combinator }
+ */
+const selectorCache = new Map();
+
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+  const groups = splitTopLevel(selector, ',').map(part => parseComplexSelector(part.trim()));
+  selectorCache.set(selector, groups);
+  return groups;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseComplexSelector(text) {
+  const steps = [];
+  let combinator = null;
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i]) || text[i] === '>' || text[i] === '+' || text[i] === '~') {
+      let sawCombinator = null;
+      while (i < text.length && /[\s>+~]/.test(text[i])) {
+        if (text[i] !== ' ' && !/\s/.test(text[i])) sawCombinator = text[i];
+        i++;
+      }
+      combinator = sawCombinator || ' ';
+      continue;
+    }
+
+    const start = i;
+    let depth = 0;
+    let quote = null;
+    while (i < text.length) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === '\'') {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === ']') {
+        depth--;
+      } else if (depth === 0 && /[\s>+~]/.test(ch)) {
+        break;
+      }
+      i++;
+    }
+
+    steps.push({ compound: parseCompound(text.slice(start, i)), combinator: steps.length ? combinator : null });
+    combinator = null;
+  }
+
+  return steps;
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, ids: [], classes: [], attrs: [], nots: [] };
+  const pattern = /^(\*|[\w-]+(?:\\:[\w-]+)?)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]|:not\(((?:[^()]|\([^()]*\))*)\)/y;
+  let i = 0;
+
+  while (i < text.length) {
+    pattern.lastIndex = i;
+    const match = pattern.exec(text);
+    if (!match || match.index !== i) {
+      throw new Error(`Unsupported selector: ${text}`);
+    }
+    if (match[1] !== undefined) {
+      // A type selector is only valid at the start of the compound
+      if (i !== 0) throw new Error(`Unsupported selector: ${text}`);
+      compound.tag = match[1] === '*' ? null : match[1].replace('\\:', ':').toLowerCase();
+    } else if (match[2] !== undefined) {
+      compound.ids.push(match[2]);
+    } else if (match[3] !== undefined) {
+      compound.classes.push(match[3]);
+    } else if (match[4] !== undefined) {
+      const value = match[6] !== undefined ? match[6] : (match[7] !== undefined ? match[7] : match[8]);
+      compound.attrs.push({ name: match[4], op: match[5] || null, value });
+    } else if (match[9] !== undefined) {
+      compound.nots.push(parseSelector(match[9]));
+    }
+    i = pattern.lastIndex;
+  }
+
+  return compound;
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag && element.localName !== compound.tag) {
+    return false;
+  }
+  if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+
+  if (compound.classes.length) {
+    const classes = element.className.split(/\s+/);
+    if (compound.classes.some(cls => !classes.includes(cls))) return false;
+  }
+
+  for (const attr of compound.attrs) {
+    const actual = element.getAttribute(attr.name);
+    if (actual === null) return false;
+    if (!attr.op) continue;
+    const expected = attr.value;
+    const ok = {
+      '=': () => actual === expected,
+      '^=': () => expected !== '' && actual.startsWith(expected),
+      '$=': () => expected !== '' && actual.endsWith(expected),
+      '*=': () => expected !== '' && actual.includes(expected),
+      '~=': () => actual.split(/\s+/).includes(expected),
+      '|=': () => actual === expected || actual.startsWith(expected + '-')
+    }[attr.op];
+    if (!ok || !ok()) return false;
+  }
+
+  return !compound.nots.some(groups => groups.some(group => matchesGroup(element, group, null)));
+}
+
+/**
+ * Match an element against a complex selector, right to left
+ * @param {LiteElement} element - Candidate element
+ * @param {Array} steps - Parsed complex selector
+ * @param {LiteNode|null} scope - Ancestors above this node are not considered
+ */
+function matchesGroup(element, steps, scope) {
+  return matchFrom(element, steps, steps.length - 1, scope);
+}
+
+function matchFrom(element, steps, index, scope) {
+  if (!matchesCompound(element, steps[index].compound)) return false;
+  if (index === 0) return true;
+
+  const combinator = steps[index].combinator;
+  if (combinator === '>') {
+    const parent = element.parentElement;
+    return !!parent && parent !== scope && matchFrom(parent, steps, index - 1, scope);
+  }
+  if (combinator === '+' || combinator === '~') {
+    let sibling = element.previousElementSibling;
+    while (sibling) {
+      if (matchFrom(sibling, steps, index - 1, scope)) return true;
+      if (combinator === '+') return false;
+      sibling = sibling.previousElementSibling;
+    }
+    return false;
+  }
+
+  let ancestor = element.parentElement;
+  while (ancestor && ancestor !== scope) {
+    if (matchFrom(ancestor, steps, index - 1, scope)) return true;
+    ancestor = ancestor.parentElement;
+  }
+  return false;
+}
+
+/**
+ * Parse attributes from the inside of a start tag
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1];
+    if (attributes.some(a => a.name === name)) continue;
+    const raw = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+    attributes.push({ name, value: decodeEntities(raw) });
+  }
+  return attributes;
+}
+
+/**
+ * Resolve the prefix of an element name such as m:math. Elements in the
+ * MathML, SVG and XHTML namespaces get their local name, so <m:math> reads
+ * as <math>. A prefix that is not declared is taken to be MathML inside a
+ * math element and on a math element itself, as in MathML copied out of a
+ * larger XML document.
+ * @param {string} name - Lower-case tag name
+ * @param {Array<Object>} attributes - Attributes of the element
+ * @param {Array<LiteNode>} stack - Open elements
+ * @return {string} - Tag name to use
+ */
+function resolveTagName(name, attributes, stack) {
+  const colon = name.indexOf(':');
+  if (colon === -1) return name;
+
+  const prefix = name.slice(0, colon);
+  const localName = name.slice(colon + 1);
+  const declaration = 'xmlns:' + prefix;
+
+  let namespace = null;
+  const own = attributes.find(a => a.name === declaration);
+  if (own) {
+    namespace = own.value;
+  } else {
+    for (let depth = stack.length - 1; depth > 0 && namespace === null; depth--) {
+      namespace = stack[depth].getAttribute(declaration);
+    }
+  }
+
+  if (namespace !== null) {
+    return KNOWN_NAMESPACES.includes(namespace.trim()) ? localName : name;
+  }
+  const insideMath = stack.some(node => node.tagName === 'math');
+  return localName === 'math' || insideMath ? localName : name;
+}
+
+/**
+ * Close the innermost open element named in `names` if it is open in the
+ * current parent, used to emulate HTML's implied end tags
+ */
+function closeImplied(stack, names) {
+  const top = stack[stack.length - 1];
+  if (top.nodeType === ELEMENT_NODE && names.includes(top.tagName)) {
+    stack.pop();
+  }
+}
+
+/**
+ * Parse markup into a LiteDocument
+ * @param {string} markup - HTML, SVG or MathML source
+ * @return {LiteDocument} - The parsed document
+ */
+function parseMarkup(markup) {
+  if (typeof markup !== 'string') {
+    throw new TypeError('parseMarkup expects a string');
+  }
+
+  const doc = new LiteDocument();
+  const stack = [doc];
+  const current = () => stack[stack.length - 1];
+  let i = 0;
+
+  const appendText = (text) => {
+    if (text) current().appendChild(new LiteText(decodeEntities(text)));
+  };
+
+  while (i < markup.length) {
+    const lt = markup.indexOf('<', i);
+    if (lt === -1) {
+      appendText(markup.slice(i));
+      break;
+    }
+    appendText(markup.slice(i, lt));
+    i = lt;
+
+    if (markup.startsWith('<!--', i)) {
+      const end = markup.indexOf('-->', i + 4);
+      const stop = end === -1 ? markup.length : end;
+      current().appendChild(new LiteComment(markup.slice(i + 4, stop)));
+      i = end === -1 ? markup.length : end + 3;
+      continue;
+    }
+
+    if (markup.startsWith('<![CDATA[', i)) {
+      const end = markup.indexOf(']]>', i + 9);
+      const stop = end === -1 ? markup.length : end;
+      current().appendChild(new LiteText(markup.slice(i + 9, stop)));
+      i = end === -1 ? markup.length : end + 3;
+      continue;
+    }
+
+    if (markup[i + 1] === '!' || markup[i + 1] === '?') {
+      // Doctype or processing instruction
+      const end = markup.indexOf('>', i);
+      i = end === -1 ? markup.length : end + 1;
+      continue;
+    }
+
+    if (markup[i + 1] === '/') {
+      const end = markup.indexOf('>', i);
+      const name = markup.slice(i + 2, end === -1 ? markup.length : end).trim().toLowerCase();
+      i = end === -1 ? markup.length : end + 1;
+
+      // </m:math> closes the element opened as <m:math> and read as <math>
+      const localName = name.slice(name.indexOf(':') + 1);
+      for (let depth = stack.length - 1; depth > 0; depth--) {
+        if (stack[depth].tagName === name || stack[depth].tagName === localName) {
+          stack.length = depth;
+          break;
+        }
+      }
+      continue;
+    }
+
+    const tagMatch = /^<([A-Za-z][^\s\/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/.exec(markup.slice(i));
+    if (!tagMatch) {
+      appendText('<');
+      i++;
+      continue;
+    }
+
+    i += tagMatch[0].length;
+    let attrSource = tagMatch[2];
+    const selfClosing = /\/\s*$/.test(attrSource);
+    if (selfClosing) attrSource = attrSource.replace(/\/\s*$/, '');
+    const attributes = parseAttributes(attrSource);
+    const name = resolveTagName(tagMatch[1].toLowerCase(), attributes, stack);
+
+    if (BLOCK_ELEMENTS.has(name)) closeImplied(stack, ['p']);
+    if (SELF_CLOSING_SIBLINGS[name]) closeImplied(stack, SELF_CLOSING_SIBLINGS[name]);
+
+    const element = new LiteElement(name, attributes);
+    current().appendChild(element);
+
+    if (selfClosing || VOID_ELEMENTS.has(name)) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const closePattern = new RegExp('</' + name + '\\s*>', 'i');
+      const rest = markup.slice(i);
+      const closeMatch = closePattern.exec(rest);
+      const raw = closeMatch ? rest.slice(0, closeMatch.index) : rest;
+      if (raw) {
+        element.appendChild(new LiteText(name === 'textarea' || name === 'title' ? decodeEntities(raw) : raw));
+      }
+      i += closeMatch ? closeMatch.index + closeMatch[0].length : rest.length;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return doc;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseMarkup,
+    decodeEntities,
+    LiteDocument,
+    LiteElement,
+    LiteText
+  };
+} else {
+  window.liteDom = {
+    parseMarkup,
+    decodeEntities,
+    LiteDocument,
+    LiteElement,
+    LiteText
+  };
+}
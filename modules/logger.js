@@ -1,7 +1,20 @@
 /**
  * Logger module for MathML to LaTeX conversion with configurable levels
+ *
+ * Also collects the diagnostics of a conversion: the parts of an equation the
+ * converters could not handle and wrote as best they could.
  */
 
+// Readable descriptions of the diagnostics, keyed by code
+const DIAGNOSTIC_MESSAGES = {
+  'unknown-node': detail => `No conversion for <${detail}>; only the elements inside it were converted`,
+  'unmapped-character': detail => `No LaTeX command for ${detail}; the character was written as is`,
+  'conversion-error': detail => `Part of the equation could not be converted (${detail})`,
+  'round-trip-mismatch': detail => `Re-rendering the copied LaTeX gives a different equation at ${detail}`,
+  'round-trip-error': detail => `MathJax could not render the copied LaTeX: ${detail}`,
+  'fallback': detail => detail
+};
+
 class ConversionLogger {
   constructor() {
     // Default configuration - can be overridden
@@ -13,6 +26,9 @@ class ConversionLogger {
     
     this.conversionInProgress = false;
     this.loggedExpression = false;
+
+    // Diagnostics of the conversions run by collectDiagnostics, null outside them
+    this.diagnostics = null;
   }
 
   /**
@@ -94,6 +110,42 @@ class ConversionLogger {
     this.conversionInProgress = false;
   }
 
+  /**
+   * Record something a conversion could not handle
+   * @param {string} code - Key of DIAGNOSTIC_MESSAGES
+   * @param {string} detail - What it was, e.g. the element name or code point
+   */
+  diagnostic(code, detail) {
+    const describe = DIAGNOSTIC_MESSAGES[code] || DIAGNOSTIC_MESSAGES.fallback;
+    const message = describe(detail);
+    this.debug(`[${code}] ${message}`);
+
+    if (!this.diagnostics) return;
+    if (!this.diagnostics.some(entry => entry.code === code && entry.detail === detail)) {
+      this.diagnostics.push({ code, detail, message });
+    }
+  }
+
+  /**
+   * Run conversions and collect their diagnostics; nested calls add to the
+   * outermost collection
+   * @param {Function} convert - Runs the conversions and returns their output
+   * @returns {Object} - { output, diagnostics } with diagnostics as [{ code, detail, message }]
+   */
+  collectDiagnostics(convert) {
+    if (this.diagnostics) {
+      return { output: convert(), diagnostics: this.diagnostics };
+    }
+
+    const diagnostics = [];
+    this.diagnostics = diagnostics;
+    try {
+      return { output: convert(), diagnostics };
+    } finally {
+      this.diagnostics = null;
+    }
+  }
+
   // Debug helpers
   debugNodeStructure(node, nodeType) {
     if (this.config.verbose) {
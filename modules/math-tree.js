@@ -0,0 +1,472 @@
+/**
+ * Intermediate math tree shared by all renderer front-ends and output serializers
+ *
+ * The front-ends (svg-converter.js, chtml-converter.js, mathml-converter.js)
+ * build this tree from their DOM, and the serializers (latex-serializer.js,
+ * asciimath-serializer.js, typst-serializer.js, unicode-serializer.js) turn
+ * it into text, so a construct only has to be understood once per side.
+ *
+ * Token text is plain Unicode. Mathematical alphanumerics are normalised, so
+ * the italic 𝑥 MathJax draws is stored as "x" and 𝐁 as "B" with variant "bold".
+ *
+ * Node shapes (every node also has a `type`):
+ *   math         { display, children }
+ *   row          { children }
+ *   identifier   { text, variant, texClass }
+ *   number       { text }
+ *   operator     { text, texClass }
+ *   text         { text }                      spaces and no-break spaces kept
+ *   space        { width, linebreak }          width in em, null when unknown
+ *   fraction     { numerator, denominator, lineThickness }
+ *   sqrt         { body }
+ *   root         { body, index }
+ *   scripts      { base, sub, sup }            sub or sup may be null
+ *   underover    { base, under, over, limits } under or over may be null
+ *   multiscripts { base, post, pre }           arrays of { sub, sup }
+ *   fenced       { open, close, children }     '' for a missing fence
+ *   table        { rows, columnalign, displaystyle }
+ *                rows are { cells, label } with a node per cell and label
+ *                the equation label text or null
+ *   enclose      { notation, children }
+ *   phantom      { children }
+ */
+
+const NODE_DEFAULTS = {
+  math: { display: false, children: [] },
+  row: { children: [] },
+  identifier: { text: '', variant: null, texClass: null },
+  number: { text: '' },
+  operator: { text: '', texClass: null },
+  text: { text: '' },
+  space: { width: null, linebreak: false },
+  fraction: { numerator: null, denominator: null, lineThickness: null },
+  sqrt: { body: null },
+  root: { body: null, index: null },
+  scripts: { base: null, sub: null, sup: null },
+  underover: { base: null, under: null, over: null, limits: false },
+  multiscripts: { base: null, post: [], pre: [] },
+  fenced: { open: '(', close: ')', children: [] },
+  table: { rows: [], columnalign: null, displaystyle: false },
+  enclose: { notation: 'longdiv', children: [] },
+  phantom: { children: [] }
+};
+
+/**
+ * Create a tree node
+ * @param {string} type - One of the node types listed above
+ * @param {Object} [props] - Node properties; missing ones get their defaults
+ * @return {Object} - The node
+ */
+function createNode(type, props = {}) {
+  const defaults = NODE_DEFAULTS[type];
+  if (!defaults) {
+    throw new Error(`Unknown math tree node type: ${type}`);
+  }
+  return { type, ...defaults, ...props };
+}
+
+// Matching closing fence for each opening fence
+const FENCE_PAIRS = {
+  '(': ')',
+  '[': ']',
+  '{': '}',
+  '⟨': '⟩',
+  '〈': '〉',
+  '⌊': '⌋',
+  '⌈': '⌉',
+  '|': '|',
+  '∣': '∣',
+  '‖': '‖',
+  '∥': '∥'
+};
+
+const CLOSING_FENCES = Object.values(FENCE_PAIRS);
+
+/**
+ * Check whether a character can be used as a fence after \left or \right
+ */
+function isFenceCharacter(text) {
+  return FENCE_PAIRS[text] !== undefined || CLOSING_FENCES.includes(text);
+}
+
+function isFenceOperator(node, test, texClass) {
+  if (!node || node.type !== 'operator') return false;
+  // \left. and \right. leave an empty fence operator behind
+  return test(node.text) || (node.text === '' && node.texClass === texClass);
+}
+
+/**
+ * Check whether the first and last children enclose the rest, e.g. ( ... ) but
+ * not ( a ) + ( b )
+ */
+function enclosesRow(children) {
+  const open = children[0].text;
+  const close = children[children.length - 1].text;
+  if (open === '' || close === '') return open !== close;
+  if (FENCE_PAIRS[open] !== close) return false;
+  if (open === close) return true;
+
+  let depth = 0;
+  for (let i = 0; i < children.length - 1; i++) {
+    const child = children[i];
+    if (child.type !== 'operator') continue;
+    if (child.text === open) depth++;
+    if (child.text === close) depth--;
+    if (depth === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Create a row from child nodes
+ * Nested rows are merged, a single child is returned as is and a row enclosed
+ * by a matching pair of fences becomes a fenced node
+ * @param {Array<Object|null>} children - Child nodes; null entries are dropped
+ * @return {Object} - A row, fenced or single child node
+ */
+function createRow(children) {
+  const flat = [];
+  for (const child of children) {
+    if (!child) continue;
+    if (child.type === 'row') {
+      flat.push(...child.children);
+    } else {
+      flat.push(child);
+    }
+  }
+
+  if (flat.length === 1) return flat[0];
+
+  if (flat.length >= 2 &&
+      isFenceOperator(flat[0], text => FENCE_PAIRS[text] !== undefined, 'OPEN') &&
+      isFenceOperator(flat[flat.length - 1], text => CLOSING_FENCES.includes(text), 'CLOSE') &&
+      enclosesRow(flat)) {
+    return createNode('fenced', {
+      open: flat[0].text,
+      close: flat[flat.length - 1].text,
+      children: flat.slice(1, -1)
+    });
+  }
+
+  return createNode('row', { children: flat });
+}
+
+// First code point of each 52-letter Latin alphabet in the Mathematical Alphanumeric Symbols block
+const MATH_LATIN_ALPHABETS = [
+  ['bold', 0x1D400],
+  ['italic', 0x1D434],
+  ['bold-italic', 0x1D468],
+  ['script', 0x1D49C],
+  ['bold-script', 0x1D4D0],
+  ['fraktur', 0x1D504],
+  ['double-struck', 0x1D538],
+  ['bold-fraktur', 0x1D56C],
+  ['sans-serif', 0x1D5A0],
+  ['bold-sans-serif', 0x1D5D4],
+  ['sans-serif-italic', 0x1D608],
+  ['sans-serif-bold-italic', 0x1D63C],
+  ['monospace', 0x1D670]
+];
+
+// Greek letters in the order used by the Mathematical Alphanumeric Symbols block
+const MATH_GREEK_LETTERS = Array.from('ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡϴΣΤΥΦΧΨΩ∇αβγδεζηθικλμνξοπρςστυφχψω∂ϵϑϰϕϱϖ');
+
+const MATH_GREEK_ALPHABETS = [
+  ['bold', 0x1D6A8],
+  ['italic', 0x1D6E2],
+  ['bold-italic', 0x1D71C],
+  ['bold-sans-serif', 0x1D756],
+  ['sans-serif-bold-italic', 0x1D790]
+];
+
+const MATH_DIGIT_ALPHABETS = [
+  ['bold', 0x1D7CE],
+  ['double-struck', 0x1D7D8],
+  ['sans-serif', 0x1D7E2],
+  ['bold-sans-serif', 0x1D7EC],
+  ['monospace', 0x1D7F6]
+];
+
+// Letters the Mathematical Alphanumeric Symbols block leaves to Letterlike Symbols
+const LETTERLIKE_CHARACTERS = {
+  'ℎ': ['h', 'italic'],
+  'ℂ': ['C', 'double-struck'],
+  'ℍ': ['H', 'double-struck'],
+  'ℕ': ['N', 'double-struck'],
+  'ℙ': ['P', 'double-struck'],
+  'ℚ': ['Q', 'double-struck'],
+  'ℝ': ['R', 'double-struck'],
+  'ℤ': ['Z', 'double-struck'],
+  'ℬ': ['B', 'script'],
+  'ℰ': ['E', 'script'],
+  'ℱ': ['F', 'script'],
+  'ℋ': ['H', 'script'],
+  'ℐ': ['I', 'script'],
+  'ℒ': ['L', 'script'],
+  'ℳ': ['M', 'script'],
+  'ℛ': ['R', 'script'],
+  'ℯ': ['e', 'script'],
+  'ℊ': ['g', 'script'],
+  'ℴ': ['o', 'script'],
+  'ℭ': ['C', 'fraktur'],
+  'ℌ': ['H', 'fraktur'],
+  'ℑ': ['I', 'fraktur'],
+  'ℜ': ['R', 'fraktur'],
+  'ℨ': ['Z', 'fraktur'],
+  '𝚤': ['ı', 'italic'],
+  '𝚥': ['ȷ', 'italic']
+};
+
+/**
+ * Normalise one character to its plain form and mathvariant
+ * @param {string} char - A single character
+ * @return {Object} - { char, variant } with variant null for plain characters
+ */
+function normalizeMathCharacter(char) {
+  if (LETTERLIKE_CHARACTERS[char]) {
+    const [plain, variant] = LETTERLIKE_CHARACTERS[char];
+    return { char: plain, variant };
+  }
+
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x1D400 || codePoint > 0x1D7FF) {
+    return { char, variant: null };
+  }
+
+  for (const [variant, start] of MATH_LATIN_ALPHABETS) {
+    const offset = codePoint - start;
+    if (offset >= 0 && offset < 52) {
+      const plain = offset < 26 ? 65 + offset : 97 + offset - 26;
+      return { char: String.fromCharCode(plain), variant };
+    }
+  }
+
+  for (const [variant, start] of MATH_GREEK_ALPHABETS) {
+    const offset = codePoint - start;
+    if (offset >= 0 && offset < MATH_GREEK_LETTERS.length) {
+      return { char: MATH_GREEK_LETTERS[offset], variant };
+    }
+  }
+
+  for (const [variant, start] of MATH_DIGIT_ALPHABETS) {
+    const offset = codePoint - start;
+    if (offset >= 0 && offset < 10) {
+      return { char: String.fromCharCode(48 + offset), variant };
+    }
+  }
+
+  return { char, variant: null };
+}
+
+/**
+ * Normalise token text drawn with mathematical alphanumerics
+ * @param {string} text - Token text, e.g. "𝑠𝑖𝑛"
+ * @return {Object} - { text, variant } with the variant of the first styled character
+ */
+function normalizeMathText(text) {
+  let variant = null;
+  const plain = Array.from(text || '').map(char => {
+    const normalized = normalizeMathCharacter(char);
+    if (!variant && normalized.variant) variant = normalized.variant;
+    return normalized.char;
+  }).join('');
+  return { text: plain, variant };
+}
+
+/**
+ * Draw one character in a mathvariant, the reverse of normalizeMathCharacter
+ * @param {string} char - A plain character, e.g. "R"
+ * @param {string|null} variant - A mathvariant, e.g. "double-struck"
+ * @return {string} - The styled character, e.g. "ℝ", or char when it has no styled form
+ */
+function styleMathCharacter(char, variant) {
+  if (!variant || variant === 'normal') return char;
+
+  for (const [styled, [plain, plainVariant]] of Object.entries(LETTERLIKE_CHARACTERS)) {
+    if (plain === char && plainVariant === variant) return styled;
+  }
+
+  const codePoint = char.codePointAt(0);
+  const latin = MATH_LATIN_ALPHABETS.find(([name]) => name === variant);
+  if (latin && /^[A-Za-z]$/.test(char)) {
+    const offset = codePoint < 97 ? codePoint - 65 : codePoint - 97 + 26;
+    return String.fromCodePoint(latin[1] + offset);
+  }
+
+  const greek = MATH_GREEK_ALPHABETS.find(([name]) => name === variant);
+  const greekOffset = MATH_GREEK_LETTERS.indexOf(char);
+  if (greek && greekOffset >= 0) {
+    return String.fromCodePoint(greek[1] + greekOffset);
+  }
+
+  const digits = MATH_DIGIT_ALPHABETS.find(([name]) => name === variant);
+  if (digits && /^[0-9]$/.test(char)) {
+    return String.fromCodePoint(digits[1] + codePoint - 48);
+  }
+
+  return char;
+}
+
+/**
+ * Get the plain text of a tree, e.g. for equation labels and accent detection
+ * @param {Object|null} node - Tree node
+ * @return {string}
+ */
+function getTreeText(node) {
+  if (!node) return '';
+  if (typeof node.text === 'string') return node.text;
+
+  const parts = [];
+  for (const key of ['base', 'numerator', 'denominator', 'body', 'index', 'sub', 'sup', 'under', 'over']) {
+    if (node[key]) parts.push(getTreeText(node[key]));
+  }
+  if (node.children) parts.push(...node.children.map(getTreeText));
+  return parts.join('');
+}
+
+/**
+ * Check whether a node produces no output
+ */
+function isEmptyNode(node) {
+  if (!node) return true;
+  if (node.type === 'row') return node.children.every(isEmptyNode);
+  if (['identifier', 'number', 'operator', 'text'].includes(node.type)) return node.text === '';
+  return false;
+}
+
+/**
+ * Get the single node a math or row node wraps, skipping empty tokens
+ * @param {Object|null} node - Tree node
+ * @return {Object|null} - The wrapped node, or null when there is more than one
+ */
+function getOnlyChild(node) {
+  let current = node;
+  while (current && (current.type === 'math' || current.type === 'row')) {
+    const children = current.children.filter(child => !isEmptyNode(child));
+    if (children.length !== 1) return null;
+    current = children[0];
+  }
+  return current;
+}
+
+/**
+ * Class of an identifier that is not braced into an atom of its own: MathML
+ * takes a multi-letter upright name for a function name, which is how
+ * \operatorname{Var} renders, while \mathrm{Var} is braced into an ordinary atom
+ * @param {string} text - Identifier text
+ * @param {string|null} variant - Identifier variant
+ * @return {string|null} - 'OP' for a function name, otherwise null
+ */
+function getIdentifierClass(text, variant) {
+  return /^[A-Za-z]{2,}$/.test(text) && (!variant || variant === 'normal') ? 'OP' : null;
+}
+
+/**
+ * Check whether a fraction line thickness draws no bar, as in \binom
+ */
+function isZeroThickness(lineThickness) {
+  return lineThickness !== null && lineThickness !== undefined && parseFloat(lineThickness) === 0;
+}
+
+// Operators that can also be a sign in front of an operand
+const PREFIX_SIGNS = '+-−±∓';
+
+/**
+ * Check whether an operator is a sign rather than an infix operator: at the
+ * start of a row or right after another operator, e.g. -1 or (=-1)
+ * @param {Object} node - Operator node
+ * @param {Object|null} previous - The node before it in its row
+ * @return {boolean}
+ */
+function isPrefixSign(node, previous) {
+  if (!PREFIX_SIGNS.includes(node.text.trim())) return false;
+  if (!previous) return true;
+  return previous.type === 'operator' && !/^[)\]}⟩|‖]$/.test(previous.text.trim());
+}
+
+/**
+ * Check whether a cell starts with the empty placeholder and relation that
+ * MathJax creates for "&=" in align-like environments
+ */
+function startsWithAlignedRelation(cell, isRelationOperator) {
+  const children = cell.type === 'row' ? cell.children : [cell];
+  const [first, second] = children;
+  return !!first && !!second &&
+    first.type === 'identifier' && first.text === '' &&
+    second.type === 'operator' && isRelationOperator(second.text);
+}
+
+/**
+ * Set a table that is a whole display equation in display style when the
+ * rendering did not say. SVG and CHTML output drop the displaystyle of
+ * gather and align tables, which is what tells them from a matrix.
+ * @param {Object} math - Math node
+ * @return {Object} - The math node
+ */
+function applyDisplayStyle(math) {
+  const only = getOnlyChild(math);
+  if (only && only.type === 'table' && (only.displaystyle === null || only.displaystyle === undefined)) {
+    only.displaystyle = math.display;
+  }
+  return math;
+}
+
+/**
+ * Decide whether a table is a multi-line equation rather than a matrix
+ * @param {Object} table - Table node
+ * @param {Function} isRelationOperator - Relation test, see node-processor.js
+ * @return {string|null} - 'aligned', 'gathered' or null for other tables
+ */
+function getTableAlignment(table, isRelationOperator) {
+  const labelled = table.rows.some(row => row.label !== null);
+  const columnCount = Math.max(1, ...table.rows.map(row => row.cells.length));
+
+  if (columnCount === 1) {
+    return table.displaystyle || labelled ? 'gathered' : null;
+  }
+
+  const relationColumns = table.rows.some(row =>
+    row.cells.some((cell, index) => index % 2 === 1 && startsWithAlignedRelation(cell, isRelationOperator))
+  );
+  if (relationColumns || labelled) return 'aligned';
+
+  const columnalign = (table.columnalign || '').trim();
+  return table.displaystyle && /^right left( right left)*$/.test(columnalign) ? 'aligned' : null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createNode,
+    createRow,
+    isFenceCharacter,
+    normalizeMathCharacter,
+    normalizeMathText,
+    styleMathCharacter,
+    getTreeText,
+    isEmptyNode,
+    getOnlyChild,
+    getIdentifierClass,
+    isZeroThickness,
+    isPrefixSign,
+    applyDisplayStyle,
+    getTableAlignment
+  };
+} else {
+  window.mathTree = {
+    createNode,
+    createRow,
+    isFenceCharacter,
+    normalizeMathCharacter,
+    normalizeMathText,
+    styleMathCharacter,
+    getTreeText,
+    isEmptyNode,
+    getOnlyChild,
+    getIdentifierClass,
+    isZeroThickness,
+    isPrefixSign,
+    applyDisplayStyle,
+    getTableAlignment
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * MathJax v2 output
+ *
+ * MathJax 2 renders each equation into a "frame" span after a
+ * MathJax_Preview span and before the <script type="math/tex"> holding its
+ * TeX source:
+ *   <span class="MathJax_Preview"></span>
+ *   <span class="MathJax" id="MathJax-Element-1-Frame" data-mathml="<math>…</math>">
+ *     … rendering …
+ *     <span class="MJX_Assistive_MathML"><math>…</math></span>
+ *   </span>
+ *   <script type="math/tex; mode=display" id="MathJax-Element-1">x^2</script>
+ * The frame class names the output: MathJax (HTML-CSS), MathJax_CHTML
+ * (CommonHTML), MathJax_SVG or MathJax_MathML (NativeMML, with a real
+ * <math> inside). The renderings are not converted; the MathML MathJax keeps
+ * alongside them is, and the TeX source stands in when there is none.
+ */
+
+// Frame classes by the renderer names reported by detectMathJaxV2Renderer
+const MATHJAX_V2_RENDERERS = {
+  'MathJax_CHTML': 'v2-CHTML',
+  'MathJax_SVG': 'v2-SVG',
+  'MathJax_MathML': 'v2-NativeMML',
+  'MathJax': 'v2-HTML-CSS'
+};
+
+/**
+ * Get the selectors from the extension configuration
+ */
+function getMathJaxV2Selectors() {
+  const config = typeof ExtensionConfig !== 'undefined'
+    ? ExtensionConfig
+    : require('../config/settings.js');
+  return config.selectors;
+}
+
+/**
+ * Get utils.js, for display detection and parsing in the browser
+ */
+function getMathJaxV2Utils() {
+  return typeof window !== 'undefined' ? window.extensionUtils : require('../utils.js');
+}
+
+/**
+ * Parse a data-mathml attribute into a <math> element
+ * @param {string} markup - MathML markup
+ * @return {Element|null}
+ */
+function parseMathJaxV2MathML(markup) {
+  const root = typeof window !== 'undefined'
+    ? getMathJaxV2Utils().safeParseHTML(markup)
+    : require('./lite-dom.js').parseMarkup(markup);
+  return root ? root.querySelector('math') : null;
+}
+
+/**
+ * Find the MathJax 2 frame a node belongs to
+ * @param {Node} node - An element in or around the rendering
+ * @return {Element|null} - The frame, or null outside MathJax 2 output and in previews
+ */
+function findMathJaxV2Frame(node) {
+  const element = node && node.nodeType === 1 ? node : node && node.parentElement;
+  if (!element) return null;
+
+  const selectors = getMathJaxV2Selectors();
+  const frame = element.closest(selectors.mathJaxV2Frames);
+  return frame && !frame.closest(selectors.mathJaxV2Previews) ? frame : null;
+}
+
+function isMathJaxV2Frame(element) {
+  return Boolean(element) && findMathJaxV2Frame(element) === element;
+}
+
+/**
+ * Get the <script type="math/tex"> holding the TeX source of a frame; its id
+ * is the frame's id without "-Frame"
+ * @param {Element} frame - MathJax 2 frame
+ * @return {Element|null}
+ */
+function getMathJaxV2Script(frame) {
+  const id = frame.id.replace(/-Frame$/, '');
+  let script = frame.nextElementSibling;
+  // Display frames sit in a wrapper div, with the script after the wrapper
+  if (!script && frame.parentElement) {
+    script = frame.parentElement.nextElementSibling;
+  }
+  if (!script || script.id !== id) {
+    const doc = frame.ownerDocument;
+    script = doc && doc.querySelector ? doc.querySelector(`script[id="${id}"]`) : null;
+  }
+  return script && /^math\/tex\b/.test(script.getAttribute('type') || '') ? script : null;
+}
+
+/**
+ * Get the TeX source of a frame
+ * @param {Element} frame - MathJax 2 frame
+ * @return {string|null}
+ */
+function getMathJaxV2Source(frame) {
+  const script = getMathJaxV2Script(frame);
+  const source = script ? script.textContent.trim() : '';
+  return source || null;
+}
+
+/**
+ * Get the MathML MathJax 2 keeps for a frame: the assistive MathML, the
+ * NativeMML output itself or the data-mathml attribute
+ * @param {Element} frame - MathJax 2 frame
+ * @return {Element|null} - A <math> element
+ */
+function getMathJaxV2MathML(frame) {
+  const selectors = getMathJaxV2Selectors();
+
+  const assistive = frame.querySelector(selectors.mathJaxV2AssistiveMML);
+  if (assistive) return assistive;
+
+  if (frame.classList.contains('MathJax_MathML')) {
+    const native = frame.querySelector('math');
+    if (native) return native;
+  }
+
+  const markup = frame.getAttribute('data-mathml');
+  return markup ? parseMathJaxV2MathML(markup) : null;
+}
+
+/**
+ * Check whether a frame is a display equation, from its wrapper or the
+ * mode=display of its script
+ * @param {Element} frame - MathJax 2 frame
+ * @return {boolean}
+ */
+function isMathJaxV2Display(frame) {
+  if (getMathJaxV2Utils().isDisplayEquation(frame)) return true;
+
+  const script = getMathJaxV2Script(frame);
+  return Boolean(script) && /mode\s*=\s*display/.test(script.getAttribute('type'));
+}
+
+/**
+ * Name the MathJax 2 output a frame was rendered with
+ * @param {Element} frame - MathJax 2 frame
+ * @return {string} - 'v2-HTML-CSS', 'v2-CHTML', 'v2-SVG' or 'v2-NativeMML'
+ */
+function detectMathJaxV2Renderer(frame) {
+  const frameClass = Object.keys(MATHJAX_V2_RENDERERS).find(name => frame.classList.contains(name));
+  return MATHJAX_V2_RENDERERS[frameClass] || MATHJAX_V2_RENDERERS.MathJax;
+}
+
+/**
+ * Convert a frame from its MathML, or give its TeX source as LaTeX
+ * @param {Element} frame - MathJax 2 frame
+ * @param {string} format - Output format
+ * @param {Function} convertMathML - translate.js convertMathMLFromAssistiveMML
+ * @return {string|null} - null when the frame has nothing to convert into the format
+ */
+function convertMathJaxV2Frame(frame, format, convertMathML) {
+  const mathml = getMathJaxV2MathML(frame);
+  if (mathml) return convertMathML(mathml, format);
+
+  return format === 'latex' ? getMathJaxV2Source(frame) : null;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findMathJaxV2Frame,
+    isMathJaxV2Frame,
+    getMathJaxV2Source,
+    getMathJaxV2MathML,
+    isMathJaxV2Display,
+    detectMathJaxV2Renderer,
+    convertMathJaxV2Frame
+  };
+} else {
+  window.mathjaxV2 = {
+    findMathJaxV2Frame,
+    isMathJaxV2Frame,
+    getMathJaxV2Source,
+    getMathJaxV2MathML,
+    isMathJaxV2Display,
+    detectMathJaxV2Renderer,
+    convertMathJaxV2Frame
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * MathML front-end: builds the intermediate math tree from presentation MathML,
+ * such as the assistive MathML MathJax places next to CHTML and SVG output
+ */
+
+// Widths MathJax uses for the MathML named spaces, in em
+const MATHML_NAMED_SPACES = {
+  'veryverythinmathspace': 0.056,
+  'verythinmathspace': 0.111,
+  'thinmathspace': 0.167,
+  'mediummathspace': 0.222,
+  'thickmathspace': 0.278,
+  'verythickmathspace': 0.333,
+  'veryverythickmathspace': 0.389,
+  'negativeveryverythinmathspace': -0.056,
+  'negativeverythinmathspace': -0.111,
+  'negativethinmathspace': -0.167,
+  'negativemediummathspace': -0.222,
+  'negativethickmathspace': -0.278,
+  'negativeverythickmathspace': -0.333,
+  'negativeveryverythickmathspace': -0.389
+};
+
+// Length units as a fraction of an em
+const MATHML_UNIT_WIDTHS = {
+  'em': 1,
+  'ex': 0.431,
+  'mu': 1 / 18,
+  'pt': 0.1,
+  'px': 1 / 16
+};
+
+// Elements that only group their children, converted as a row of them
+const MATHML_TRANSPARENT_ELEMENTS = ['mstyle', 'mpadded', 'merror', 'mtr', 'mlabeledtr', 'mtd'];
+
+/**
+ * Get the element children of a MathML node
+ */
+function getMathMLChildren(mathmlNode) {
+  return Array.from(mathmlNode.children || []);
+}
+
+function getMathMLName(mathmlNode) {
+  return mathmlNode && mathmlNode.nodeName ? mathmlNode.nodeName.toLowerCase() : '';
+}
+
+function getMathMLAttribute(mathmlNode, name) {
+  return mathmlNode.getAttribute ? mathmlNode.getAttribute(name) : null;
+}
+
+/**
+ * Get the mathvariant an enclosing mstyle sets for the tokens inside it
+ * @return {string|null}
+ */
+function getMathMLStyleVariant(mathmlNode) {
+  for (let node = mathmlNode.parentElement; node && getMathMLName(node) !== 'math'; node = node.parentElement) {
+    if (getMathMLName(node) === 'mstyle' && getMathMLAttribute(node, 'mathvariant')) {
+      return getMathMLAttribute(node, 'mathvariant');
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a MathML length to em
+ * @param {string|null} length - e.g. "0.167em", "3mu" or "thinmathspace"
+ * @return {number|null} - Width in em, or null when the length is unknown
+ */
+function parseMathMLWidth(length) {
+  const value = (length || '').trim();
+  if (!value) return null;
+  if (MATHML_NAMED_SPACES[value] !== undefined) return MATHML_NAMED_SPACES[value];
+
+  const match = value.match(/^(-?\d*\.?\d+)([a-z]*)$/);
+  if (!match) return null;
+  const unit = match[2] || 'em';
+  if (MATHML_UNIT_WIDTHS[unit] === undefined) return null;
+  return Math.round(parseFloat(match[1]) * MATHML_UNIT_WIDTHS[unit] * 1000) / 1000;
+}
+
+/**
+ * Build a math tree from a MathML element
+ * @param {Element} mathmlNode - A <math> element or any presentation element
+ * @param {Object} logger - Logger
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {Object|null} - Tree node
+ */
+function buildMathMLTree(mathmlNode, logger, nodeProcessor, mathTree) {
+  if (!mathmlNode) {
+    logger.debug('buildMathMLTree: Encountered null node');
+    return null;
+  }
+
+  const { createNode, createRow } = mathTree;
+  const nodeName = getMathMLName(mathmlNode);
+  const build = (child) => buildMathMLTree(child, logger, nodeProcessor, mathTree);
+  const children = getMathMLChildren(mathmlNode);
+  const buildChildren = () => createRow(children.map(build));
+  const child = (index) => children[index] ? build(children[index]) : null;
+
+  // Handler mapping for different MathML elements
+  const handlers = {
+    'math': () => createNode('math', {
+      display: getMathMLAttribute(mathmlNode, 'display') === 'block',
+      children: [buildChildren()]
+    }),
+
+    'mi': () => {
+      const normalized = mathTree.normalizeMathText(mathmlNode.textContent.trim());
+      const variant = getMathMLAttribute(mathmlNode, 'mathvariant') || normalized.variant || getMathMLStyleVariant(mathmlNode);
+      // MathJax marks the text of \mathrm{} as no operator name
+      const autoOp = getMathMLAttribute(mathmlNode, 'data-mjx-auto-op') !== 'false';
+      return createNode('identifier', {
+        text: normalized.text,
+        variant,
+        texClass: getMathMLAttribute(mathmlNode, 'data-mjx-texclass') ||
+          (autoOp ? mathTree.getIdentifierClass(normalized.text, variant) : null)
+      });
+    },
+
+    'mo': () => createNode('operator', {
+      text: mathmlNode.textContent.trim(),
+      texClass: getMathMLAttribute(mathmlNode, 'data-mjx-texclass')
+    }),
+
+    'mn': () => createNode('number', { text: mathTree.normalizeMathText(mathmlNode.textContent.trim()).text }),
+
+    'mtext': () => createNode('text', { text: mathmlNode.textContent }),
+
+    'ms': () => {
+      const lquote = getMathMLAttribute(mathmlNode, 'lquote') || '"';
+      const rquote = getMathMLAttribute(mathmlNode, 'rquote') || '"';
+      return createNode('text', { text: lquote + mathmlNode.textContent.trim() + rquote });
+    },
+
+    'mglyph': () => createNode('text', { text: getMathMLAttribute(mathmlNode, 'alt') || '' }),
+
+    'mspace': () => {
+      const linebreak = getMathMLAttribute(mathmlNode, 'linebreak');
+      return createNode('space', {
+        linebreak: linebreak === 'newline' || linebreak === 'indentingnewline',
+        width: parseMathMLWidth(getMathMLAttribute(mathmlNode, 'width'))
+      });
+    },
+
+    'mfrac': () => {
+      if (children.length < 2) return buildChildren();
+      return createNode('fraction', {
+        numerator: child(0),
+        denominator: child(1),
+        lineThickness: getMathMLAttribute(mathmlNode, 'linethickness')
+      });
+    },
+
+    'msqrt': () => createNode('sqrt', { body: buildChildren() }),
+
+    'mroot': () => {
+      if (children.length < 2) return createNode('sqrt', { body: buildChildren() });
+      return createNode('root', { body: child(0), index: child(1) });
+    },
+
+    'msup': () => createNode('scripts', { base: child(0), sup: child(1) }),
+
+    'msub': () => createNode('scripts', { base: child(0), sub: child(1) }),
+
+    'msubsup': () => createNode('scripts', { base: child(0), sub: child(1), sup: child(2) }),
+
+    'munder': () => createUnderOver(children[0], child(0), child(1), null),
+
+    'mover': () => createUnderOver(children[0], child(0), null, child(1)),
+
+    'munderover': () => createUnderOver(children[0], child(0), child(1), child(2)),
+
+    'mmultiscripts': () => buildMathMLMultiscripts(children, build, mathTree),
+
+    'mtable': () => createNode('table', {
+      rows: buildMathMLTableRows(mathmlNode, build, mathTree),
+      columnalign: getMathMLAttribute(mathmlNode, 'columnalign'),
+      displaystyle: getMathMLAttribute(mathmlNode, 'displaystyle') === 'true'
+    }),
+
+    'mfenced': () => buildMathMLFenced(mathmlNode, children, build, mathTree),
+
+    'menclose': () => createNode('enclose', {
+      notation: getMathMLAttribute(mathmlNode, 'notation') || 'longdiv',
+      children: [buildChildren()]
+    }),
+
+    'mphantom': () => createNode('phantom', { children: [buildChildren()] }),
+
+    'maction': () => {
+      const selection = parseInt(getMathMLAttribute(mathmlNode, 'selection') || '1', 10);
+      const selected = children[selection - 1] || children[0];
+      return selected ? build(selected) : null;
+    },
+
+    // Only the presentation markup is converted; annotations are skipped
+    'semantics': () => child(0),
+
+    'annotation': () => null,
+
+    'annotation-xml': () => null,
+
+    'none': () => null,
+
+    'mprescripts': () => null,
+
+    'mrow': () => {
+      // MathJax braces a lone operator into an ordinary atom, e.g. {,}
+      const texClass = getMathMLAttribute(mathmlNode, 'data-mjx-texclass');
+      if (texClass === 'ORD' && children.length === 1 && getMathMLName(children[0]) === 'mo') {
+        return createNode('operator', { text: children[0].textContent.trim(), texClass });
+      }
+      if (texClass === 'OP' && children.length === 1) {
+        const atom = build(children[0]);
+        if (atom && atom.texClass !== undefined) atom.texClass = 'OP';
+        return atom;
+      }
+      return buildChildren();
+    }
+  };
+
+  /**
+   * Create an under/over node, using limits for large operators
+   */
+  function createUnderOver(baseElement, base, under, over) {
+    const limits = !!baseElement && (
+      getMathMLAttribute(baseElement, 'data-mjx-texclass') === 'OP' ||
+      getMathMLAttribute(baseElement, 'movablelimits') === 'true'
+    );
+    return createNode('underover', { base, under, over, limits });
+  }
+
+  const handler = handlers[nodeName];
+  if (handler) {
+    return handler();
+  }
+
+  // Default: process children (mstyle, mpadded, merror, ...)
+  logger.debug('buildMathMLTree: No handler for ' + nodeName + ', processing children');
+  if (!MATHML_TRANSPARENT_ELEMENTS.includes(nodeName)) {
+    logger.diagnostic('unknown-node', nodeName);
+  }
+  return buildChildren();
+}
+
+function buildMathMLMultiscripts(children, build, mathTree) {
+  if (children.length === 0) return null;
+
+  const post = [];
+  const pre = [];
+  let target = post;
+  const scripts = [];
+
+  for (const child of children.slice(1)) {
+    if (getMathMLName(child) === 'mprescripts') {
+      for (let i = 0; i < scripts.length; i += 2) {
+        target.push({ sub: scripts[i], sup: scripts[i + 1] || null });
+      }
+      scripts.length = 0;
+      target = pre;
+      continue;
+    }
+    scripts.push(build(child));
+  }
+  for (let i = 0; i < scripts.length; i += 2) {
+    target.push({ sub: scripts[i], sup: scripts[i + 1] || null });
+  }
+
+  return mathTree.createNode('multiscripts', { base: build(children[0]), post, pre });
+}
+
+/**
+ * Build the rows of an mtable
+ * The first cell of an mlabeledtr holds the equation label
+ */
+function buildMathMLTableRows(mathmlNode, build, mathTree) {
+  return getMathMLChildren(mathmlNode)
+    .filter(row => ['mtr', 'mlabeledtr'].includes(getMathMLName(row)))
+    .map(row => {
+      const cells = getMathMLChildren(row).filter(cell => getMathMLName(cell) === 'mtd');
+      const labelled = getMathMLName(row) === 'mlabeledtr';
+      const contentCells = labelled ? cells.slice(1) : cells;
+      return {
+        cells: contentCells.map(cell => mathTree.createRow(getMathMLChildren(cell).map(build))),
+        label: labelled && cells[0] ? cells[0].textContent : null
+      };
+    });
+}
+
+function buildMathMLFenced(mathmlNode, children, build, mathTree) {
+  const open = getMathMLAttribute(mathmlNode, 'open');
+  const close = getMathMLAttribute(mathmlNode, 'close');
+  const separatorAttr = getMathMLAttribute(mathmlNode, 'separators');
+  const separators = Array.from((separatorAttr !== null ? separatorAttr : ',').replace(/\s+/g, ''));
+
+  const content = [];
+  children.forEach((child, index) => {
+    if (index > 0 && separators.length > 0) {
+      const text = separators[Math.min(index - 1, separators.length - 1)];
+      content.push(mathTree.createNode('operator', { text }));
+    }
+    content.push(build(child));
+  });
+
+  return mathTree.createNode('fenced', {
+    open: open !== null ? open.trim() : '(',
+    close: close !== null ? close.trim() : ')',
+    children: content.filter(Boolean)
+  });
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildMathMLTree };
+} else {
+  window.mathmlConverter = { buildMathMLTree };
+}
@@ -0,0 +1,261 @@
+/**
+ * MathML back-end for the intermediate math tree (see math-tree.js)
+ *
+ * Writes clean presentation MathML that Word and LibreOffice paste as an
+ * editable equation. MathJax's assistive MathML is preferred when a page
+ * has it; cleanMathML copies it without MathJax's own attributes. Without
+ * it the markup is rebuilt from the tree of the SVG or CHTML output.
+ */
+
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// Over scripts drawn as accents (mover accent="true")
+const MATHML_OVER_ACCENTS = [
+  '⃗', '→', '←', '↔', '̅', '¯', '‾', '―', '^', 'ˆ', '̂', '~', '˜', '̃',
+  '˙', '̇', '¨', '̈', 'ˇ', '˘', '´', '`'
+];
+
+// Under scripts drawn as accents (munder accentunder="true")
+const MATHML_UNDER_ACCENTS = ['̲', '_', '¯', '―'];
+
+// Characters that do nothing once pasted, e.g. the invisible times MathJax adds
+const MATHML_INVISIBLE_OPERATORS = ['⁢', '⁣', '⁤'];
+
+// Presentation attributes worth keeping when cleaning existing MathML
+const MATHML_KEPT_ATTRIBUTES = [
+  'mathvariant', 'display', 'displaystyle', 'scriptlevel', 'dir',
+  'form', 'fence', 'separator', 'stretchy', 'symmetric', 'largeop', 'movablelimits',
+  'accent', 'accentunder', 'lspace', 'rspace', 'minsize', 'maxsize',
+  'linethickness', 'numalign', 'denomalign', 'bevelled',
+  'width', 'height', 'depth', 'voffset', 'linebreak', 'notation',
+  'open', 'close', 'separators', 'lquote', 'rquote',
+  'columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines',
+  'frame', 'framespacing', 'equalrows', 'equalcolumns', 'columnspan', 'rowspan'
+];
+
+// Elements whose text content is the token itself
+const MATHML_TOKEN_ELEMENTS = ['mi', 'mn', 'mo', 'mtext', 'ms', 'mglyph'];
+
+// Elements that only carry non-presentation markup
+const MATHML_DROPPED_ELEMENTS = ['annotation', 'annotation-xml'];
+
+/**
+ * Serialize a math tree to presentation MathML
+ * @param {Object} tree - Tree built by one of the front-ends
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {string} - A <math> element in the MathML namespace
+ */
+function serializeMathML(tree, nodeProcessor, mathTree) {
+  const context = { nodeProcessor, mathTree };
+  if (tree && tree.type === 'math') return toMathML(tree, context);
+
+  return writeMathMLElement('math', { xmlns: MATHML_NAMESPACE }, toMathML(tree, context));
+}
+
+function toMathML(node, context) {
+  if (!node) return '<mrow></mrow>';
+
+  const serializer = MATHML_SERIALIZERS[node.type];
+  return serializer ? serializer(node, context) : '<mrow></mrow>';
+}
+
+const MATHML_SERIALIZERS = {
+  math: (node, context) => writeMathMLElement('math', {
+    xmlns: MATHML_NAMESPACE,
+    display: node.display ? 'block' : null
+  }, writeMathMLChildren(node.children, context)),
+
+  row: (node, context) => writeMathMLElement('mrow', {}, writeMathMLChildren(node.children, context)),
+
+  identifier: (node) => writeMathMLElement('mi', {
+    mathvariant: getMathMLVariant(node)
+  }, escapeMathML(node.text)),
+
+  number: (node) => writeMathMLElement('mn', {}, escapeMathML(node.text)),
+
+  operator: (node) => {
+    const text = node.text.trim();
+    if (MATHML_INVISIBLE_OPERATORS.includes(text)) return '';
+    return writeMathMLElement('mo', {}, escapeMathML(text));
+  },
+
+  text: (node) => writeMathMLElement('mtext', {}, escapeMathML(node.text)),
+
+  space: (node) => {
+    if (node.linebreak) return writeMathMLElement('mspace', { linebreak: 'newline' }, '');
+    if (node.width === null || node.width === 0) return '';
+    return writeMathMLElement('mspace', { width: node.width + 'em' }, '');
+  },
+
+  fraction: (node, context) => writeMathMLElement('mfrac', {
+    linethickness: context.mathTree.isZeroThickness(node.lineThickness) ? '0' : null
+  }, toMathML(node.numerator, context) + toMathML(node.denominator, context)),
+
+  sqrt: (node, context) => writeMathMLElement('msqrt', {}, toMathML(node.body, context)),
+
+  root: (node, context) => writeMathMLElement('mroot', {},
+    toMathML(node.body, context) + toMathML(node.index, context)),
+
+  scripts: (node, context) => {
+    const base = toMathML(node.base, context);
+    if (node.sub && node.sup) {
+      return writeMathMLElement('msubsup', {}, base + toMathML(node.sub, context) + toMathML(node.sup, context));
+    }
+    if (node.sub) return writeMathMLElement('msub', {}, base + toMathML(node.sub, context));
+    if (node.sup) return writeMathMLElement('msup', {}, base + toMathML(node.sup, context));
+    return base;
+  },
+
+  underover: (node, context) => {
+    const base = toMathML(node.base, context);
+    const accent = isMathMLAccent(node.over, MATHML_OVER_ACCENTS, context) ? 'true' : null;
+    const accentunder = isMathMLAccent(node.under, MATHML_UNDER_ACCENTS, context) ? 'true' : null;
+
+    if (node.under && node.over) {
+      return writeMathMLElement('munderover', { accent, accentunder },
+        base + toMathML(node.under, context) + toMathML(node.over, context));
+    }
+    if (node.under) return writeMathMLElement('munder', { accentunder }, base + toMathML(node.under, context));
+    if (node.over) return writeMathMLElement('mover', { accent }, base + toMathML(node.over, context));
+    return base;
+  },
+
+  multiscripts: (node, context) => {
+    const writeScript = (script) => script ? toMathML(script, context) : '<none/>';
+    const writePairs = (pairs) => pairs.map(pair => writeScript(pair.sub) + writeScript(pair.sup)).join('');
+    const prescripts = node.pre.length ? '<mprescripts/>' + writePairs(node.pre) : '';
+    return writeMathMLElement('mmultiscripts', {},
+      toMathML(node.base, context) + writePairs(node.post) + prescripts);
+  },
+
+  fenced: (node, context) => {
+    const writeFence = (fence) => fence
+      ? writeMathMLElement('mo', { fence: 'true', stretchy: 'true' }, escapeMathML(fence))
+      : '';
+    return writeMathMLElement('mrow', {},
+      writeFence(node.open) + writeMathMLChildren(node.children, context) + writeFence(node.close));
+  },
+
+  // Labels are left out: office suites number equations themselves and
+  // most of them drop mlabeledtr rows altogether
+  table: (node, context) => writeMathMLElement('mtable', {
+    columnalign: node.columnalign,
+    displaystyle: node.displaystyle ? 'true' : null
+  }, node.rows.map(row => writeMathMLElement('mtr', {},
+    row.cells.map(cell => writeMathMLElement('mtd', {}, toMathML(cell, context))).join('')
+  )).join('')),
+
+  enclose: (node, context) => writeMathMLElement('menclose', {
+    notation: node.notation
+  }, writeMathMLChildren(node.children, context)),
+
+  phantom: (node, context) => writeMathMLElement('mphantom', {}, writeMathMLChildren(node.children, context))
+};
+
+function writeMathMLChildren(children, context) {
+  return children.map(child => toMathML(child, context)).join('');
+}
+
+/**
+ * Get the mathvariant attribute for an identifier; MathML draws single
+ * letters in italic and longer names upright unless told otherwise
+ */
+function getMathMLVariant(node) {
+  if (!node.variant) return null;
+
+  const single = Array.from(node.text).length === 1;
+  if (node.variant === 'italic' && single) return null;
+  if (node.variant === 'normal' && !single) return null;
+  return node.variant;
+}
+
+function isMathMLAccent(script, accents, context) {
+  const only = script && context.mathTree.getOnlyChild(script);
+  return Boolean(only && only.type === 'operator' && accents.includes(only.text.trim()));
+}
+
+/**
+ * Copy existing MathML, keeping only presentation markup
+ *
+ * Works on browser DOM and lite-dom nodes alike. Semantics wrappers are
+ * replaced by their presentation child and annotations are dropped.
+ * @param {Element} mathmlNode - A <math> element, e.g. from mjx-assistive-mml
+ * @return {string} - A <math> element in the MathML namespace
+ */
+function cleanMathML(mathmlNode) {
+  const name = getCleanMathMLName(mathmlNode);
+  const content = cleanMathMLChildren(mathmlNode, MATHML_TOKEN_ELEMENTS.includes(name));
+  if (name === 'math') {
+    return writeMathMLElement('math', {
+      xmlns: MATHML_NAMESPACE,
+      ...getKeptMathMLAttributes(mathmlNode)
+    }, content);
+  }
+
+  return writeMathMLElement('math', { xmlns: MATHML_NAMESPACE }, cleanMathMLElement(mathmlNode));
+}
+
+function cleanMathMLElement(mathmlNode) {
+  const name = getCleanMathMLName(mathmlNode);
+  if (!name || MATHML_DROPPED_ELEMENTS.includes(name)) return '';
+
+  if (name === 'semantics') {
+    const presentation = Array.from(mathmlNode.children || [])
+      .find(child => !MATHML_DROPPED_ELEMENTS.includes(getCleanMathMLName(child)));
+    return presentation ? cleanMathMLElement(presentation) : '';
+  }
+
+  const content = cleanMathMLChildren(mathmlNode, MATHML_TOKEN_ELEMENTS.includes(name));
+  return writeMathMLElement(name, getKeptMathMLAttributes(mathmlNode), content);
+}
+
+/**
+ * Write the children of an element; text counts only inside token elements,
+ * anywhere else it is the indentation of the source markup
+ */
+function cleanMathMLChildren(mathmlNode, isToken) {
+  if (isToken) return escapeMathML(mathmlNode.textContent || '');
+
+  return Array.from(mathmlNode.childNodes || [])
+    .filter(child => child.nodeType === 1)
+    .map(cleanMathMLElement)
+    .join('');
+}
+
+function getCleanMathMLName(mathmlNode) {
+  const name = mathmlNode && (mathmlNode.localName || mathmlNode.nodeName);
+  return name ? name.toLowerCase().replace(/^m:/, '') : '';
+}
+
+function getKeptMathMLAttributes(mathmlNode) {
+  const attributes = {};
+  for (const attribute of Array.from(mathmlNode.attributes || [])) {
+    if (MATHML_KEPT_ATTRIBUTES.includes(attribute.name)) {
+      attributes[attribute.name] = attribute.value;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Write an element, leaving out attributes that are null
+ */
+function writeMathMLElement(name, attributes, content) {
+  const written = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([attribute, value]) => ' ' + attribute + '="' + escapeMathML(String(value)).replace(/"/g, '&quot;') + '"')
+    .join('');
+  return '<' + name + written + '>' + content + '</' + name + '>';
+}
+
+function escapeMathML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { serializeMathML, cleanMathML };
+} else {
+  window.mathmlSerializer = { serializeMathML, cleanMathML };
+}
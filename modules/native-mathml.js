@@ -0,0 +1,106 @@
+/**
+ * Native MathML
+ *
+ * Pages such as Wikipedia in its MathML mode, MDN and EPUB readers put
+ * <math> elements straight into the page for the browser to render:
+ *   <math display="block">
+ *     <semantics>
+ *       <mrow>…</mrow>
+ *       <annotation encoding="application/x-tex">x^2</annotation>
+ *     </semantics>
+ *   </math>
+ * The <math> elements MathJax and KaTeX keep beside their own renderings
+ * belong to those equations and are left to them. The TeX annotation is
+ * copied as LaTeX when there is one; everything else is converted from the
+ * MathML.
+ */
+
+/**
+ * Get the selectors from the extension configuration
+ */
+function getNativeMathSelectors() {
+  const config = typeof ExtensionConfig !== 'undefined'
+    ? ExtensionConfig
+    : require('../config/settings.js');
+  return config.selectors;
+}
+
+/**
+ * Elements whose <math> is part of another renderer's output
+ * @return {string}
+ */
+function getNativeMathOwners() {
+  const selectors = getNativeMathSelectors();
+  return ['mjx-container', selectors.mathJaxV2Frames, selectors.katexElements].join(', ');
+}
+
+/**
+ * Find the native <math> element a node belongs to
+ * @param {Node} node - An element in or around the equation
+ * @return {Element|null} - The <math> element, or null outside native MathML
+ */
+function findNativeMathElement(node) {
+  const element = node && node.nodeType === 1 ? node : node && node.parentElement;
+  const math = element ? element.closest(getNativeMathSelectors().nativeMath) : null;
+  return math && !math.closest(getNativeMathOwners()) ? math : null;
+}
+
+function isNativeMathElement(element) {
+  return Boolean(element) && findNativeMathElement(element) === element;
+}
+
+/**
+ * Get the TeX source kept in an <annotation encoding="application/x-tex">
+ * @param {Element} math - <math> element
+ * @return {string|null}
+ */
+function getNativeMathSource(math) {
+  const annotation = math.querySelector(getNativeMathSelectors().mathTexAnnotation);
+  const source = annotation ? annotation.textContent.trim() : '';
+  return source || null;
+}
+
+/**
+ * @param {Element} math - <math> element
+ * @return {boolean} - Whether it is displayed as a block
+ */
+function isNativeMathDisplay(math) {
+  return math.getAttribute('display') === 'block';
+}
+
+/**
+ * Convert a native MathML equation: LaTeX is its TeX annotation when it has
+ * one, and everything else is converted from the MathML
+ * @param {Element} math - <math> element
+ * @param {string} format - Output format
+ * @param {Function} convertMathML - translate.js convertMathMLFromAssistiveMML
+ * @param {boolean} [useSource=true] - Copy the TeX annotation as LaTeX; off rebuilds LaTeX from the MathML
+ * @return {string}
+ */
+function convertNativeMathElement(math, format, convertMathML, useSource = true) {
+  if (format === 'latex' && useSource) {
+    const source = getNativeMathSource(math);
+    if (source) return source;
+  }
+
+  return convertMathML(math, format);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findNativeMathElement,
+    isNativeMathElement,
+    getNativeMathSource,
+    isNativeMathDisplay,
+    convertNativeMathElement
+  };
+} else {
+  window.nativeMathML = {
+    findNativeMathElement,
+    isNativeMathElement,
+    getNativeMathSource,
+    isNativeMathDisplay,
+    convertNativeMathElement
+  };
+}
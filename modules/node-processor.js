@@ -150,21 +150,53 @@ function getDataCAttribute(elem) {
 }
 
 /**
- * Get Unicode mapping for a code point
+ * Get the Unicode to LaTeX table from fileunicode.js
+ * In the browser it is a script-level global; in Node it has to be required
+ */
+function getUnicodeTable() {
+  if (typeof unicode_to_tex !== 'undefined') {
+    return unicode_to_tex;
+  }
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('../fileunicode.js').unicode_to_tex;
+  }
+  return null;
+}
+
+/**
+ * Get the shared logger from logger.js, which collects conversion diagnostics
+ */
+function getNodeProcessorLogger() {
+  if (typeof window !== 'undefined' && window.conversionLogger) {
+    return window.conversionLogger;
+  }
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('./logger.js');
+  }
+  return null;
+}
+
+/**
+ * Get Unicode mapping for a code point; characters the table lacks are
+ * reported as 'unmapped-character' diagnostics
  */
 function getUnicodeMapping(codePoint) {
   const formattedCodePoint = "U+" + codePoint.toUpperCase().padStart(4, '0');
   
   // Check if unicode_to_tex exists and has mapping
-  if (typeof unicode_to_tex !== 'undefined' && unicode_to_tex[formattedCodePoint]) {
-    return unicode_to_tex[formattedCodePoint];
+  const unicodeTable = getUnicodeTable();
+  if (unicodeTable && unicodeTable[formattedCodePoint]) {
+    return unicodeTable[formattedCodePoint];
   }
   
+  const logger = getNodeProcessorLogger();
+
   // Try to convert to character
   try {
     const codePointInt = parseInt(codePoint, 16);
     if (!isNaN(codePointInt)) {
       const char = String.fromCodePoint(codePointInt);
+      if (logger) logger.diagnostic('unmapped-character', `${formattedCodePoint} (${char})`);
       // Add space unless it's a combining character
       if ((codePointInt >= 0x0300 && codePointInt <= 0x036F) ||
           (codePointInt >= 0x20D0 && codePointInt <= 0x20FF)) {
@@ -176,6 +208,7 @@ function getUnicodeMapping(codePoint) {
     // Ignore conversion errors
   }
   
+  if (logger) logger.diagnostic('unmapped-character', formattedCodePoint);
   return `[${formattedCodePoint}]`;
 }
 
@@ -233,27 +266,236 @@ function getCHTMLContent(node) {
 }
 
 /**
- * Replaces standalone parentheses with \left( and \right) in the final LaTeX string
+ * Replaces standalone parentheses with \left( and \right) in the final LaTeX string.
+ * Only pairs are replaced, so the ) of a half-open interval such as [0, 1) stays
+ * as it is, and so does text in \text{}.
  */
 function fixParentheses(latexString) {
   if (!latexString) return '';
+
+  const pairs = new Set();
+  const open = [];
+  for (let i = 0; i < latexString.length; i++) {
+    const char = latexString[i];
+    if (char === '\\') {
+      const command = latexString.slice(i).match(/^\\([A-Za-z]+|.)\s*/);
+      i += command[0].length - 1;
+      if (/^(left|right|[bB]igg?[lr]?)$/.test(command[1])) {
+        // The delimiter of \left( or \right) is already sized
+        if (/[()]/.test(latexString[i + 1])) i++;
+      } else if (/^(text\w*|mbox)$/.test(command[1]) && latexString[i + 1] === '{') {
+        i = findClosingBrace(latexString, i + 1);
+      }
+    } else if (char === '(') {
+      open.push(i);
+    } else if (char === ')' && open.length) {
+      pairs.add(open.pop());
+      pairs.add(i);
+    }
+  }
+
+  return latexString.split('').map((char, i) =>
+    pairs.has(i) ? (char === '(' ? '\\left(' : '\\right)') : char).join('');
+}
+
+/**
+ * Find the brace that closes the group opening at an index, or the end of the string
+ */
+function findClosingBrace(latexString, index) {
+  let depth = 0;
+  for (let i = index; i < latexString.length; i++) {
+    if (latexString[i] === '\\') {
+      i++;
+    } else if (latexString[i] === '{') {
+      depth++;
+    } else if (latexString[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return latexString.length - 1;
+}
+
+/**
+ * LaTeX spelling of fence characters for use after \left and \right
+ */
+const LATEX_DELIMITERS = {
+  '': '.',
+  '(': '(',
+  ')': ')',
+  '[': '[',
+  ']': ']',
+  '{': '\\{',
+  '}': '\\}',
+  '|': '|',
+  '\u2223': '|',
+  '\u2016': '\\|',
+  '\u2225': '\\|',
+  '\u27E8': '\\langle',
+  '\u2329': '\\langle',
+  '\u27E9': '\\rangle',
+  '\u232A': '\\rangle',
+  '\u230A': '\\lfloor',
+  '\u230B': '\\rfloor',
+  '\u2308': '\\lceil',
+  '\u2309': '\\rceil',
+  '/': '/'
+};
+
+/**
+ * mathvariant of the MathJax TeX font names used in glyph ids and classes,
+ * e.g. "MJX-1-TEX-C-4C" or "mjx-c4C TEX-C"
+ */
+const FONT_VARIANTS = {
+  'N': 'normal',
+  'I': 'italic',
+  'MI': 'italic',
+  'B': 'bold',
+  'BI': 'bold-italic',
+  'A': 'double-struck',
+  'C': 'script',
+  'CB': 'bold-script',
+  'FR': 'fraktur',
+  'FRB': 'bold-fraktur',
+  'SS': 'sans-serif',
+  'SSB': 'bold-sans-serif',
+  'SSI': 'sans-serif-italic',
+  'T': 'monospace'
+};
+
+/**
+ * Get the mathvariant a glyph was drawn with from its MathJax font name
+ * @param {string|null} fontReference - Glyph id, href or class list naming the font
+ * @return {string|null} - The mathvariant, or null for other fonts
+ */
+function getFontVariant(fontReference) {
+  const match = (fontReference || '').match(/(?:TEX|NCM)-([A-Z]+)\b/);
+  return match && FONT_VARIANTS[match[1]] ? FONT_VARIANTS[match[1]] : null;
+}
+
+/**
+ * Convert a fence character to a LaTeX delimiter
+ * @param {string} fence - The fence character (may be empty)
+ * @return {string} - Delimiter usable after \left or \right
+ */
+function toLatexDelimiter(fence) {
+  const trimmed = (fence || '').trim();
+  return LATEX_DELIMITERS[trimmed] !== undefined ? LATEX_DELIMITERS[trimmed] : trimmed;
+}
+
+/**
+ * Build an array column specification from a MathML columnalign attribute
+ * The last alignment value repeats for the remaining columns
+ * @param {string|null} columnalign - e.g. "left center right"
+ * @param {number} columnCount - Number of columns in the table
+ * @return {string} - e.g. "lcr"
+ */
+function getColumnSpec(columnalign, columnCount) {
+  const letters = { left: 'l', center: 'c', right: 'r' };
+  const aligns = (columnalign || '').trim().split(/\s+/).filter(Boolean);
+  let spec = '';
+  
+  for (let i = 0; i < columnCount; i++) {
+    const align = aligns.length ? aligns[Math.min(i, aligns.length - 1)] : 'center';
+    spec += letters[align] || 'c';
+  }
+  
+  return spec;
+}
+
+/**
+ * Matrix environments keyed by their \left and \right delimiters
+ */
+const MATRIX_ENVIRONMENTS = {
+  '()': 'pmatrix',
+  '[]': 'bmatrix',
+  '||': 'vmatrix',
+  '\\|\\|': 'Vmatrix',
+  '\\{\\}': 'Bmatrix'
+};
+
+/**
+ * Wrap table rows in the LaTeX environment matching its fences and alignment
+ * - { with no closing fence becomes cases
+ * - centered columns inside (), [], ||, ‖‖ or {} become pmatrix, bmatrix, ...
+ * - other alignments become an array, fenced with \left and \right if needed
+ * @param {string} body - Rows joined with & and \\
+ * @param {string} columnSpec - Column specification from getColumnSpec
+ * @param {string} open - Opening fence character ('' for none)
+ * @param {string} close - Closing fence character ('' for none)
+ * @return {string} - LaTeX environment
+ */
+function wrapTableEnvironment(body, columnSpec, open = '', close = '') {
+  const left = open.trim() ? toLatexDelimiter(open) : '';
+  const right = close.trim() ? toLatexDelimiter(close) : '';
+  
+  if (left === '\\{' && !right) {
+    return '\\begin{cases}' + body + '\\end{cases}';
+  }
+  
+  const centered = !columnSpec || /^c+$/.test(columnSpec);
+  const environment = MATRIX_ENVIRONMENTS[left + right];
+  if (centered && environment) {
+    return '\\begin{' + environment + '}' + body + '\\end{' + environment + '}';
+  }
   
-  const leftPlaceholder = "@@LEFT_PAREN@@";
-  const rightPlaceholder = "@@RIGHT_PAREN@@";
+  const inner = centered
+    ? '\\begin{matrix}' + body + '\\end{matrix}'
+    : '\\begin{array}{' + columnSpec + '}' + body + '\\end{array}';
   
-  // Replace existing \left( and \right) with placeholders
-  let processedString = latexString.replace(/\\left\(/g, leftPlaceholder);
-  processedString = processedString.replace(/\\right\)/g, rightPlaceholder);
+  if (!left && !right) return inner;
+  return '\\left' + (left || '.') + ' ' + inner + '\\right' + (right || '.');
+}
+
+/**
+ * Characters MathJax treats as relations (REL texclass) at the start of an aligned column
+ */
+const RELATION_CHARACTERS = '=<>≤≥≦≧⩽⩾≠≈≡∼≃≅∝≐≔≪≫≺≻⪯⪰⊂⊃⊆⊇∈∉∋∣∥⊥:→←↔⇒⇐⇔⟶⟵⟷⟹⟸⟺↦';
+
+/**
+ * Check whether an operator is a relation such as =, ≤ or ⇒
+ * @param {string} text - Operator text (Unicode, not LaTeX)
+ * @return {boolean}
+ */
+function isRelationOperator(text) {
+  const first = Array.from((text || '').trim())[0];
+  return !!first && RELATION_CHARACTERS.includes(first);
+}
+
+/**
+ * Turn a rendered equation label back into \tag
+ * MathJax draws \tag{A} as "(A)" and \tag*{A} as "A"
+ * @param {string} label - Label text
+ * @return {string} - \tag{...}, \tag*{...} or '' for an empty label
+ */
+function formatEquationTag(label) {
+  const text = (label || '').trim();
+  if (!text) return '';
   
-  // Replace standalone ( and )
-  processedString = processedString.replace(/\(/g, '\\left(');
-  processedString = processedString.replace(/\)/g, '\\right)');
+  const match = text.match(/^\((.*)\)$/);
+  return match ? '\\tag{' + match[1] + '}' : '\\tag*{' + text + '}';
+}
+
+/**
+ * Wrap rows of an aligned equation in align*, aligned, gather* or gathered
+ * Tags are only kept in the top-level environments, where amsmath allows them
+ * @param {Array<string>} rows - Rows with cells joined by &
+ * @param {Object} [options]
+ * @param {boolean} [options.gathered=false] - Centered single-column rows
+ * @param {boolean} [options.nested=false] - The table is part of a larger formula
+ * @param {Array<string|null>} [options.tags=[]] - Label text for each row
+ * @return {string} - LaTeX environment
+ */
+function wrapAlignedEnvironment(rows, options = {}) {
+  const { gathered = false, nested = false, tags = [] } = options;
+  const environment = gathered
+    ? (nested ? 'gathered' : 'gather*')
+    : (nested ? 'aligned' : 'align*');
   
-  // Restore the original \left( and \right)
-  processedString = processedString.replace(new RegExp(leftPlaceholder, 'g'), '\\left(');
-  processedString = processedString.replace(new RegExp(rightPlaceholder, 'g'), '\\right)');
+  const body = rows.map((row, index) =>
+    nested ? row : row + formatEquationTag(tags[index])
+  ).join('\\\\');
   
-  return processedString;
+  return '\\begin{' + environment + '}' + body + '\\end{' + environment + '}';
 }
 
 // Export for use in other files
@@ -268,7 +510,14 @@ if (typeof module !== 'undefined' && module.exports) {
     isParenthesizedExpression,
     processInnerContent,
     getCHTMLContent,
-    fixParentheses
+    fixParentheses,
+    toLatexDelimiter,
+    getFontVariant,
+    getColumnSpec,
+    wrapTableEnvironment,
+    isRelationOperator,
+    formatEquationTag,
+    wrapAlignedEnvironment
   };
 } else {
   window.nodeProcessor = {
@@ -281,6 +530,13 @@ if (typeof module !== 'undefined' && module.exports) {
     isParenthesizedExpression,
     processInnerContent,
     getCHTMLContent,
-    fixParentheses
+    fixParentheses,
+    toLatexDelimiter,
+    getFontVariant,
+    getColumnSpec,
+    wrapTableEnvironment,
+    isRelationOperator,
+    formatEquationTag,
+    wrapAlignedEnvironment
   };
 }
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * Whole-page export as a LaTeX document or Markdown
+ *
+ * Walks the page body and writes its prose - headings, paragraphs, lists,
+ * emphasis, links, quotes, code and tables - with every equation found by
+ * equation-extractor.js replaced by its LaTeX, inline or display as it is
+ * rendered on the page. Anything else, such as images and forms, is left out.
+ */
+
+const PAGE_EXPORT_FORMATS = ['tex', 'markdown'];
+
+// Elements that start a block of their own; the rest are written inline
+const PAGE_BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+];
+
+// Elements that hold no prose
+const PAGE_SKIPPED_ELEMENTS = [
+  'button', 'canvas', 'iframe', 'img', 'input', 'mjx-assistive-mml', 'nav', 'noscript',
+  'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'video'
+];
+
+// The extension's own "Copied!" feedback and screen reader announcements
+const PAGE_EXTENSION_UI_CLASSES = ['mathjax-copy-feedback', 'mathjax-sr-only'];
+
+const TEX_SECTION_COMMANDS = ['section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph', 'subparagraph'];
+
+/**
+ * Get the helpers from equation-extractor.js and equation-list.js
+ * @return {Object} - { extractor, equationList }
+ */
+function getPageExportHelpers() {
+  if (typeof window !== 'undefined') {
+    return { extractor: window.equationExtractor, equationList: window.equationList };
+  }
+  return {
+    extractor: require('./equation-extractor.js'),
+    equationList: require('./equation-list.js')
+  };
+}
+
+/**
+ * Writers for each export format. Every method gets text already written in
+ * the format and returns the markup around it.
+ * @param {Object} equationList - equation-list.js exports, for escaping
+ */
+function getPageWriters(equationList) {
+  return {
+    tex: {
+      delimiters: { inline: 'dollar', display: 'bracket' },
+      escape: equationList.escapeLatexText,
+      heading: (level, text) => `\\${TEX_SECTION_COMMANDS[level - 1]}*{${text}}`,
+      emphasis: text => `\\emph{${text}}`,
+      strong: text => `\\textbf{${text}}`,
+      code: text => `\\texttt{${text}}`,
+      link: (text, url) => `\\href{${url.replace(/[\\%#{}]/g, '\\$&')}}{${text}}`,
+      // A blank line; \\ fails at the start of a paragraph
+      lineBreak: '\n\n',
+      list: (items, ordered) => {
+        const environment = ordered ? 'enumerate' : 'itemize';
+        return [
+          `\\begin{${environment}}`,
+          ...items.map(item => `\\item ${item}`),
+          `\\end{${environment}}`
+        ].join('\n');
+      },
+      quote: text => `\\begin{quote}\n${text}\n\\end{quote}`,
+      preformatted: text => `\\begin{verbatim}\n${text}\n\\end{verbatim}`,
+      rule: () => '\\noindent\\rule{\\linewidth}{0.4pt}',
+      table: rows => {
+        const columns = Math.max(...rows.map(row => row.length));
+        return [
+          `\\begin{tabular}{${'l'.repeat(columns)}}`,
+          ...rows.map(row => row.join(' & ') + ' \\\\'),
+          '\\end{tabular}'
+        ].join('\n');
+      },
+      document: (blocks, source) => [
+        // Where the document came from, as comments; left out when unknown
+        ...[source.title.replace(/\s+/g, ' '), source.url].filter(Boolean).map(line => `% ${line}`),
+        '\\documentclass{article}',
+        '\\usepackage[T1]{fontenc}',
+        '\\usepackage{amsmath}',
+        '\\usepackage{amssymb}',
+        '\\usepackage[hidelinks]{hyperref}',
+        '\\begin{document}',
+        '',
+        blocks.join('\n\n'),
+        '',
+        '\\end{document}',
+        ''
+      ].join('\n')
+    },
+
+    markdown: {
+      delimiters: { inline: 'dollar', display: 'double-dollar' },
+      escape: equationList.escapeMarkdownText,
+      heading: (level, text) => `${'#'.repeat(level)} ${text}`,
+      emphasis: text => `*${text}*`,
+      strong: text => `**${text}**`,
+      code: text => '`' + text.replace(/\\([\\`*_$[\]<])/g, '$1') + '`',
+      link: (text, url) => `[${text}](${url.replace(/[()\s]/g, encodeURIComponent)})`,
+      lineBreak: '\\\n',
+      list: (items, ordered) => items
+        .map((item, index) => {
+          const marker = ordered ? `${index + 1}. ` : '- ';
+          return marker + item.replace(/\n(?=.)/g, '\n' + ' '.repeat(marker.length));
+        })
+        .join('\n'),
+      quote: text => text.split('\n').map(line => (line ? '> ' + line : '>')).join('\n'),
+      preformatted: text => '```\n' + text + '\n```',
+      rule: () => '---',
+      table: rows => {
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = row => '| ' + Array.from({ length: columns }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')).join(' | ') + ' |';
+        return [line(rows[0]), line(rows[0].map(() => '---')), ...rows.slice(1).map(line)].join('\n');
+      },
+      document: blocks => blocks.join('\n\n') + '\n'
+    }
+  };
+}
+
+/**
+ * Walks the page and writes it with one of the writers
+ */
+class PageWalker {
+  /**
+   * @param {Object} writer - Entry of getPageWriters
+   * @param {Map<Element, Object>} equations - { wrapped, display } from collectWrappedEquations
+   * @param {string} [baseUrl] - Address relative links are resolved against; without it only absolute links are kept
+   */
+  constructor(writer, equations, baseUrl) {
+    this.writer = writer;
+    this.equations = equations;
+    this.baseUrl = baseUrl;
+  }
+
+  isSkipped(element) {
+    return PAGE_SKIPPED_ELEMENTS.includes(element.tagName.toLowerCase())
+      || element.hasAttribute('hidden')
+      || PAGE_EXTENSION_UI_CLASSES.some(name => element.classList.contains(name));
+  }
+
+  /**
+   * Write the equations drawn inside an SVG that is otherwise left out, e.g. a
+   * MathJax math node whose mjx-container the page has dropped
+   */
+  writeEquationsInside(element) {
+    if (element.tagName.toLowerCase() !== 'svg' || element.hasAttribute('hidden')) return '';
+    return Array.from(this.equations.keys())
+      .filter(equation => element.contains(equation))
+      .map(equation => this.equations.get(equation).wrapped)
+      .join(' ');
+  }
+
+  isBlock(node) {
+    if (node.nodeType !== 1) return false;
+    if (this.equations.has(node)) return this.equations.get(node).display;
+    return PAGE_BLOCK_ELEMENTS.includes(node.tagName.toLowerCase());
+  }
+
+  /**
+   * Write the children of an element as blocks, gathering runs of inline
+   * content into paragraphs
+   * @return {Array<string>}
+   */
+  writeBlocks(element) {
+    const blocks = [];
+    let inline = [];
+    const flush = () => {
+      const text = inline.join('').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+      if (text) blocks.push(text);
+      inline = [];
+    };
+
+    Array.from(element.childNodes).forEach(child => {
+      if (this.isBlock(child)) {
+        flush();
+        const block = this.writeBlock(child);
+        blocks.push(...(Array.isArray(block) ? block : [block]).filter(Boolean));
+      } else {
+        inline.push(this.writeInline(child));
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  /**
+   * @return {string|Array<string>} - One block, or the blocks of a container
+   */
+  writeBlock(element) {
+    const writer = this.writer;
+    const tagName = element.tagName.toLowerCase();
+
+    if (this.equations.has(element)) return this.equations.get(element).wrapped;
+    if (this.isSkipped(element)) return [];
+
+    const heading = /^h([1-6])$/.exec(tagName);
+    if (heading) {
+      const text = this.writeInlineChildren(element).replace(/\s+/g, ' ').trim();
+      return text ? writer.heading(Number(heading[1]), text) : [];
+    }
+
+    switch (tagName) {
+      case 'ul':
+      case 'ol': {
+        const items = Array.from(element.children)
+          .filter(child => child.tagName.toLowerCase() === 'li' && !this.isSkipped(child))
+          .map(item => this.writeBlocks(item).join('\n\n'));
+        return items.length ? writer.list(items, tagName === 'ol') : [];
+      }
+      case 'blockquote': {
+        const text = this.writeBlocks(element).join('\n\n');
+        return text ? writer.quote(text) : [];
+      }
+      case 'pre':
+        return writer.preformatted(element.textContent.replace(/\n+$/, ''));
+      case 'hr':
+        return writer.rule();
+      case 'table':
+        return this.writeTable(element);
+      default:
+        return this.writeBlocks(element);
+    }
+  }
+
+  writeTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .filter(row => row.closest('table') === table)
+      .map(row => Array.from(row.children)
+        .filter(cell => /^t[dh]$/.test(cell.tagName.toLowerCase()))
+        .map(cell => this.writeInlineChildren(cell).replace(/\s+/g, ' ').trim()))
+      .filter(row => row.length);
+    return rows.length ? this.writer.table(rows) : [];
+  }
+
+  writeInlineChildren(element) {
+    return Array.from(element.childNodes).map(child => this.writeInline(child)).join('');
+  }
+
+  writeInline(node) {
+    const writer = this.writer;
+
+    if (node.nodeType === 3) return writer.escape(node.textContent.replace(/\s+/g, ' '));
+    if (node.nodeType !== 1) return '';
+    if (this.equations.has(node)) return this.equations.get(node).wrapped;
+    if (this.isSkipped(node)) return this.writeEquationsInside(node);
+
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === 'br') return writer.lineBreak;
+
+    const text = this.writeInlineChildren(node);
+    // Keep the spaces outside the markup, where Markdown needs them
+    const [, before, inner, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    if (!inner) return text;
+
+    switch (tagName) {
+      case 'em':
+      case 'i':
+        return before + writer.emphasis(inner) + after;
+      case 'strong':
+      case 'b':
+        return before + writer.strong(inner) + after;
+      case 'code':
+      case 'kbd':
+      case 'samp':
+      case 'tt':
+        return before + writer.code(inner) + after;
+      case 'a': {
+        const url = this.resolveUrl(node.getAttribute('href'));
+        return url ? before + writer.link(inner, url) + after : text;
+      }
+      default:
+        return text;
+    }
+  }
+
+  resolveUrl(href) {
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+    try {
+      const url = this.baseUrl ? new URL(href, this.baseUrl) : new URL(href);
+      return /^(https?|mailto):$/.test(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Write a page as a LaTeX document or Markdown
+ * @param {Document} doc - Page to export
+ * @param {Object} [options]
+ * @param {string} [options.format='tex'] - One of PAGE_EXPORT_FORMATS
+ * @param {string} [options.url] - Address of the page, for links and the source comment
+ * @param {boolean} [options.removeTrailingPeriod=false] - Drop a trailing sentence period from each equation
+ * @param {Function} [options.recoverSource] - Returns the TeX source of an equation element, or null to rebuild
+ *   LaTeX from the rendering
+ * @return {Object} - { text, count } with the number of equations written
+ */
+function exportPage(doc, options = {}) {
+  const { extractor, equationList } = getPageExportHelpers();
+  const format = PAGE_EXPORT_FORMATS.includes(options.format) ? options.format : 'tex';
+  const writer = getPageWriters(equationList)[format];
+  const root = doc.body || doc.documentElement || doc;
+
+  const equations = equationList.collectWrappedEquations(extractor.findEquations(root), writer.delimiters, options);
+  const blocks = new PageWalker(writer, equations, options.url).writeBlocks(root);
+  const titleElement = doc.querySelector && doc.querySelector('title');
+
+  return {
+    text: writer.document(blocks, {
+      title: titleElement ? titleElement.textContent.trim() : '',
+      url: options.url || ''
+    }),
+    count: equations.size
+  };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PAGE_EXPORT_FORMATS, exportPage };
+} else {
+  window.pageExporter = { PAGE_EXPORT_FORMATS, exportPage };
+}
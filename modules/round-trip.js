@@ -0,0 +1,343 @@
+/**
+ * Round-trip verification of copied LaTeX
+ *
+ * The LaTeX is rendered again by the page's own MathJax (MathJax.tex2mml,
+ * called through page-bridge.js) and the MathML that comes back is compared
+ * with the equation on the page, read from the data-mml-node attributes of
+ * SVG output, the mjx- elements of CHTML output or MathML elements.
+ * Both sides are reduced to the same shape first: grouping elements such as
+ * mrow and TeXAtom are flattened into their parents, spacing and invisible
+ * operators are left out, and token text is NFKC-normalised so the italic
+ * glyphs of the rendering (U+1D465 for x) read as plain letters. Scripts,
+ * limits and root indexes, which the rendering lays out in its own order, are
+ * put back in MathML order.
+ */
+
+// Presentation MathML elements, the names of SVG data-mml-node values and
+// CHTML mjx- elements that stand for a MathML node
+const ROUND_TRIP_ELEMENTS = [
+  'math', 'mi', 'mn', 'mo', 'mtext', 'ms', 'mspace', 'mglyph', 'mrow', 'mfrac', 'msqrt', 'mroot',
+  'mstyle', 'merror', 'mpadded', 'mphantom', 'mfenced', 'menclose', 'msub', 'msup', 'msubsup',
+  'munder', 'mover', 'munderover', 'mmultiscripts', 'mprescripts', 'none', 'mtable', 'mtr',
+  'mlabeledtr', 'mtd', 'maction', 'semantics', 'annotation', 'annotation-xml', 'texatom'
+];
+
+// Elements whose children are compared as children of their parent
+const ROUND_TRIP_GROUPS = ['mrow', 'texatom', 'mstyle', 'mpadded', 'semantics', 'mfenced'];
+
+// Elements whose children are arguments in fixed places; a group there stays one node
+const ROUND_TRIP_ARGUMENTS = [
+  'mfrac', 'mroot', 'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mmultiscripts'
+];
+
+// Elements whose arguments SVG and CHTML output lay out in another order than MathML
+const ROUND_TRIP_REORDERED = ['msubsup', 'munderover', 'mover', 'munder', 'mroot'];
+
+// Places of arguments in MathML order: the base, then the subscript, underscript
+// or root index, then the superscript or overscript
+const ROUND_TRIP_PLACES = { base: 0, under: 1, index: 1, over: 2 };
+
+// CHTML elements that hold one argument, and its place
+const ROUND_TRIP_CHTML_PLACES = { 'mjx-base': 'base', 'mjx-under': 'under', 'mjx-over': 'over', 'mjx-root': 'index' };
+
+// Elements left out of the comparison
+const ROUND_TRIP_IGNORED = ['mspace', 'mglyph', 'annotation', 'annotation-xml'];
+
+// Elements compared by their text; identifiers, numbers and text are told
+// apart only by their text, as a reader sees them
+const ROUND_TRIP_TOKENS = ['mi', 'mn', 'mo', 'mtext', 'ms'];
+const ROUND_TRIP_TEXT_TOKENS = ['mi', 'mn', 'mtext', 'ms'];
+
+// The radical sign MathJax draws as an mo inside msqrt and mroot
+const ROUND_TRIP_SURD = '\u221A';
+
+// Pieces of stretched delimiters, and the delimiters they are read as
+const ROUND_TRIP_DELIMITER_PIECES = [
+  [/[\u239B-\u239D]/g, '('], [/[\u239E-\u23A0]/g, ')'], [/[\u23A1-\u23A3]/g, '['],
+  [/[\u23A4-\u23A6]/g, ']'], [/[\u23A7-\u23AA]/g, '{'], [/[\u23AB-\u23AD]/g, '}'], [/\u23D0/g, '|'],
+  [/[\uE150\uE151\uE155]/g, '\u23DE'], [/[\uE152\uE153\uE156]/g, '\u23DF'], [/\uE154/g, '']
+];
+const ROUND_TRIP_PIECES = /[\u239B-\u23AD\u23D0\uE150-\uE156]/;
+
+// Glyphs the MathJax fonts draw accents with, and the characters of the accents
+const ROUND_TRIP_GLYPH_VARIANTS = [
+  [/\u20D7/g, '\u2192'], [/\u2035/g, '`'], [/\u2013/g, '\u2015'], [/\u02C6/g, '^']
+];
+
+// Function application, invisible times, invisible separator and invisible plus
+const ROUND_TRIP_INVISIBLE = /[\u2061-\u2064]/g;
+
+// More mismatches than this are not listed
+const MAX_ROUND_TRIP_MISMATCHES = 5;
+
+/**
+ * Get the MathML node type an element stands for
+ * @param {Element} element
+ * @return {string|null} - Lower-case element name, or null for layout elements
+ */
+function getRoundTripType(element) {
+  const typed = element.getAttribute && element.getAttribute('data-mml-node');
+  const tagName = element.tagName ? element.tagName.toLowerCase() : '';
+  const name = typed ? typed.toLowerCase() : tagName.replace(/^mjx-/, '');
+  return ROUND_TRIP_ELEMENTS.includes(name) ? name : null;
+}
+
+/**
+ * Find the math node of a rendered equation
+ * @param {Element} element - mjx-container, SVG math node, mjx-math or <math> element
+ * @return {Element|null}
+ */
+function findRenderedMath(element) {
+  if (!element) return null;
+  if (getRoundTripType(element) === 'math') return element;
+  return element.querySelector('[data-mml-node="math"], mjx-math');
+}
+
+/**
+ * Read the characters of the glyphs in a token: data-c on SVG output and
+ * the mjx-cXXXX class on CHTML output. Stretched delimiters are drawn from
+ * pieces inside the glyph element, which are not read.
+ * @param {Element} element - Token element
+ * @return {string}
+ */
+function readRoundTripGlyphs(element) {
+  return Array.from(element.children || []).map(child => {
+    const classMatch = (child.getAttribute('class') || '').match(/\bmjx-c([0-9A-F]+)\b/i);
+    const code = child.getAttribute('data-c') || (classMatch && classMatch[1]);
+    return code ? String.fromCodePoint(parseInt(code, 16)) : readRoundTripGlyphs(child);
+  }).join('');
+}
+
+/**
+ * Read the text of a token as compared: MathML text, or the rendered glyphs
+ * @param {Element} element - Token element
+ * @return {string}
+ */
+function readRoundTripText(element) {
+  const glyphs = readRoundTripGlyphs(element);
+  let text = (glyphs || element.textContent || '').normalize('NFKC');
+
+  // Only a lone glyph is an accent
+  if (glyphs && text.length === 1) {
+    ROUND_TRIP_GLYPH_VARIANTS.forEach(([variant, character]) => {
+      text = text.replace(variant, character);
+    });
+  }
+
+  // A delimiter or brace stretched from pieces reads as the delimiter once
+  if (glyphs && ROUND_TRIP_PIECES.test(text)) {
+    ROUND_TRIP_DELIMITER_PIECES.forEach(([pieces, delimiter]) => {
+      text = text.replace(pieces, delimiter);
+    });
+    text = text.replace(/(.)\1+/g, '$1');
+  }
+  return text.replace(ROUND_TRIP_INVISIBLE, '').replace(/\s+/g, '');
+}
+
+/**
+ * Read how far up an SVG element is moved, from its translate transform
+ * @param {Element} element
+ * @return {number}
+ */
+function readRoundTripHeight(element) {
+  const match = (element.getAttribute('transform') || '').match(/translate\(\s*[-\d.e]+[\s,]+([-\d.e]+)/);
+  return match ? parseFloat(match[1]) : 0;
+}
+
+/**
+ * Find the arguments of a rendered CHTML element in the mjx- elements that
+ * lay them out, with their places
+ * @param {Element} element - Element to look in
+ * @param {string} type - Type of the rendered node
+ * @param {Array<Object>} placed - Collected { element, place } so far
+ * @return {Array<Object>}
+ */
+function placeCHTMLArguments(element, type, placed = []) {
+  for (const child of Array.from(element.children || [])) {
+    const tagName = child.tagName.toLowerCase();
+    if (ROUND_TRIP_CHTML_PLACES[tagName]) {
+      placed.push({ element: child, place: ROUND_TRIP_CHTML_PLACES[tagName] });
+    } else if (tagName === 'mjx-script') {
+      // Scripts beside the base: the superscript first, then the subscript
+      const scripts = Array.from(child.children).filter(script => getRoundTripType(script));
+      scripts.forEach((script, index) => {
+        const upper = scripts.length > 1 ? index === 0 : type === 'mover';
+        placed.push({ element: script, place: upper ? 'over' : 'under' });
+      });
+    } else if (tagName === 'mjx-box' && type === 'munderover' && child.children.length === 1) {
+      // Display limits: the overscript, then an munder of the base and underscript
+      placeCHTMLArguments(child.children[0], type, placed);
+    } else if (getRoundTripType(child)) {
+      placed.push({ element: child, place: 'base' });
+    } else {
+      placeCHTMLArguments(child, type, placed);
+    }
+  }
+  return placed;
+}
+
+/**
+ * Put the arguments of a rendered element back in MathML order. SVG output
+ * draws the base first and the scripts in any order, CHTML output puts the
+ * overscript and the root index before the base.
+ * @param {Element} element - Rendered msubsup, munderover, mover, munder or mroot
+ * @param {string} type
+ * @return {Array<Element>}
+ */
+function orderRenderedArguments(element, type) {
+  const children = Array.from(element.children || []);
+  if (element.getAttribute('data-mml-node')) {
+    // The scripts from the lowest up
+    const [base, ...scripts] = children;
+    scripts.sort((first, second) => readRoundTripHeight(first) - readRoundTripHeight(second));
+    return base ? [base, ...scripts] : [];
+  }
+  return placeCHTMLArguments(element, type)
+    .sort((first, second) => ROUND_TRIP_PLACES[first.place] - ROUND_TRIP_PLACES[second.place])
+    .map(({ element: argument }) => argument);
+}
+
+/**
+ * Read the child nodes of an element, looking through layout elements and
+ * flattening groups
+ * @param {Element} element
+ * @param {string} parentType - Type of the node the children belong to
+ * @param {Array<Element>} [childElements] - The children in MathML order, when
+ *   the rendering has them in another
+ * @return {Array<Object>} - Nodes as returned by readMathStructure
+ */
+function readRoundTripChildren(element, parentType, childElements = Array.from(element.children || [])) {
+  const children = [];
+  for (const child of childElements) {
+    const type = getRoundTripType(child);
+    if (ROUND_TRIP_IGNORED.includes(type)) continue;
+
+    if (!type) {
+      children.push(...readRoundTripChildren(child, parentType));
+      continue;
+    }
+
+    if (ROUND_TRIP_GROUPS.includes(type)) {
+      const grouped = readRoundTripChildren(child, type);
+      if (ROUND_TRIP_ARGUMENTS.includes(parentType)) {
+        children.push(grouped.length === 1 ? grouped[0] : { type: 'mrow', children: grouped });
+      } else {
+        children.push(...grouped);
+      }
+      continue;
+    }
+
+    const node = readMathStructure(child);
+    // Invisible operators and spacing text
+    if (node.text === '' && (type === 'mo' || type === 'mtext')) continue;
+    if (type === 'mo' && node.text === ROUND_TRIP_SURD && ['msqrt', 'mroot'].includes(parentType)) continue;
+    children.push(node);
+  }
+  return children;
+}
+
+/**
+ * Read the structure of a math node for comparison
+ * @param {Element} element - SVG data-mml-node element, CHTML mjx- element or MathML element
+ * @return {Object} - { type, text } for tokens, { type, children } otherwise
+ */
+function readMathStructure(element) {
+  const type = getRoundTripType(element) || 'mrow';
+  if (ROUND_TRIP_TOKENS.includes(type)) {
+    return { type, text: readRoundTripText(element) };
+  }
+
+  const rendered = element.hasAttribute('data-mml-node') || element.tagName.toLowerCase().startsWith('mjx-');
+  const children = rendered && ROUND_TRIP_REORDERED.includes(type)
+    ? readRoundTripChildren(element, type, orderRenderedArguments(element, type))
+    : readRoundTripChildren(element, type);
+  return { type, children };
+}
+
+/**
+ * Describe a node in a mismatch
+ * @param {Object|undefined} node
+ * @return {string}
+ */
+function describeRoundTripNode(node) {
+  if (!node) return 'nothing';
+  return node.children ? `<${node.type}>` : `<${node.type}>${node.text}</${node.type}>`;
+}
+
+function isSameRoundTripNode(first, second) {
+  return JSON.stringify(first) === JSON.stringify(second);
+}
+
+/**
+ * Compare two structures and list where they differ. Below a node whose
+ * children differ in number, only the first differing child is reported.
+ * @param {Object} expected - Structure of the rendered equation
+ * @param {Object} actual - Structure of the re-rendered LaTeX
+ * @param {string} [path] - Location of the nodes, e.g. "math > mfrac"
+ * @param {Array<string>} [mismatches] - Collected so far
+ * @return {Array<string>} - Mismatches as "path: expected …, got …"
+ */
+function compareMathStructures(expected, actual, path = expected.type, mismatches = []) {
+  if (mismatches.length >= MAX_ROUND_TRIP_MISMATCHES) return mismatches;
+
+  const sameType = expected.type === actual.type ||
+    (ROUND_TRIP_TEXT_TOKENS.includes(expected.type) && ROUND_TRIP_TEXT_TOKENS.includes(actual.type));
+  if (!sameType || expected.text !== actual.text || !expected.children !== !actual.children) {
+    mismatches.push(`${path}: expected ${describeRoundTripNode(expected)}, got ${describeRoundTripNode(actual)}`);
+    return mismatches;
+  }
+  if (!expected.children) return mismatches;
+
+  const childPath = (index, node) => `${path} > ${node.type}${expected.children.length > 1 ? ' #' + (index + 1) : ''}`;
+
+  if (expected.children.length !== actual.children.length) {
+    let index = 0;
+    while (index < expected.children.length && isSameRoundTripNode(expected.children[index], actual.children[index])) {
+      index++;
+    }
+    const node = expected.children[index] || actual.children[index];
+    mismatches.push(`${childPath(index, node)}: expected ${describeRoundTripNode(expected.children[index])}, ` +
+      `got ${describeRoundTripNode(actual.children[index])}`);
+    return mismatches;
+  }
+
+  expected.children.forEach((child, index) => {
+    compareMathStructures(child, actual.children[index], childPath(index, child), mismatches);
+  });
+  return mismatches;
+}
+
+/**
+ * Compare a rendered equation with the MathML its copied LaTeX renders to
+ * @param {Element} rendered - Math node of the equation, see findRenderedMath
+ * @param {Element} mathml - <math> element from MathJax.tex2mml
+ * @return {Object} - { error, mismatches }; error is the message of an <merror>
+ *   when MathJax could not render the LaTeX, and null otherwise
+ */
+function compareRenderedMath(rendered, mathml) {
+  const merror = mathml.querySelector('merror');
+  if (merror) {
+    return { error: merror.getAttribute('data-mjx-error') || merror.textContent.trim(), mismatches: [] };
+  }
+  return {
+    error: null,
+    mismatches: compareMathStructures(readMathStructure(rendered), readMathStructure(mathml))
+  };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findRenderedMath,
+    readMathStructure,
+    compareMathStructures,
+    compareRenderedMath
+  };
+} else {
+  window.roundTrip = {
+    findRenderedMath,
+    readMathStructure,
+    compareMathStructures,
+    compareRenderedMath
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Copying a selection of prose and math
+ *
+ * The text the browser copies from a selection holds the glyphs of the
+ * equations' SVG or CHTML output, which is of no use anywhere else. When a
+ * selection takes in equations, the selected content is copied with each
+ * equation replaced by its LaTeX, $…$ inline and $$…$$ for display
+ * equations, both as plain text and as HTML.
+ */
+
+const SELECTION_COPY_DELIMITERS = { inline: 'dollar', display: 'double-dollar' };
+
+// Elements whose text ends the line before and after them in the plain text
+const SELECTION_BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+  'section', 'table', 'tr', 'ul'
+];
+
+// Elements that hold no copied text, and the extension's own feedback
+const SELECTION_SKIPPED_SELECTOR = 'script, style, noscript, template, .mathjax-copy-feedback, .mathjax-sr-only';
+
+/**
+ * Get the helpers from equation-extractor.js and equation-list.js
+ * @return {Object} - { extractor, equationList }
+ */
+function getSelectionCopyHelpers() {
+  if (typeof window !== 'undefined') {
+    return { extractor: window.equationExtractor, equationList: window.equationList };
+  }
+  return {
+    extractor: require('./equation-extractor.js'),
+    equationList: require('./equation-list.js')
+  };
+}
+
+/**
+ * Write copied content as plain text, a line for each block
+ * @param {Node} node - Fragment or element of the copied content
+ * @return {string}
+ */
+function writeSelectionText(node) {
+  return Array.from(node.childNodes).map(child => {
+    if (child.nodeType === 3) return child.textContent.replace(/\s+/g, ' ');
+    if (child.nodeType !== 1) return '';
+
+    const tagName = child.tagName.toLowerCase();
+    if (tagName === 'br') return '\n';
+    if (tagName === 'pre') return '\n' + child.textContent + '\n';
+    if (tagName === 'td' || tagName === 'th') return writeSelectionText(child) + '\t';
+
+    const text = writeSelectionText(child);
+    return SELECTION_BLOCK_ELEMENTS.includes(tagName) ? '\n' + text + '\n' : text;
+  }).join('');
+}
+
+/**
+ * Build what to copy for a selection that takes in equations
+ * @param {Range} range - Selected range
+ * @param {Object} [options]
+ * @param {boolean} [options.removeTrailingPeriod=false] - Drop a trailing sentence period from each equation
+ * @param {Function} [options.recoverSource] - Returns the TeX source of an equation element, or null to rebuild
+ *   LaTeX from the rendering
+ * @return {Object|null} - { text, html, count }, or null when the selection holds no equation
+ *   and the browser's own copy should go ahead
+ */
+function buildSelectionCopy(range, options = {}) {
+  const { extractor, equationList } = getSelectionCopyHelpers();
+  const ancestor = range.commonAncestorContainer;
+  const root = (ancestor.nodeType === 1 ? ancestor : ancestor.parentNode).getRootNode();
+
+  const selected = extractor.findEquations(root).filter(element => range.intersectsNode(element));
+  if (!selected.length) return null;
+
+  const doc = root.ownerDocument || root;
+  const container = doc.createElement('div');
+
+  // A selection inside one equation copies the whole equation
+  const enclosing = selected.find(element => element.contains(ancestor));
+  if (enclosing) {
+    const equation = equationList.collectWrappedEquations([enclosing], SELECTION_COPY_DELIMITERS, options).get(enclosing);
+    if (!equation) return null;
+    container.textContent = equation.wrapped;
+    return { text: equation.wrapped, html: container.innerHTML, count: 1 };
+  }
+
+  // The fragment keeps each equation the range enters, partly selected ones
+  // as partial copies, so its equations match the selected ones in order
+  const fragment = range.cloneContents();
+  const copies = extractor.findEquations(fragment);
+  if (copies.length !== selected.length) return null;
+
+  const equations = equationList.collectWrappedEquations(selected, SELECTION_COPY_DELIMITERS, options);
+  copies.forEach((copy, index) => {
+    const equation = equations.get(selected[index]);
+    copy.replaceWith(doc.createTextNode(equation ? equation.wrapped : ''));
+  });
+  fragment.querySelectorAll(SELECTION_SKIPPED_SELECTOR).forEach(element => element.remove());
+
+  const text = writeSelectionText(fragment)
+    .split('\n')
+    .map(line => line.replace(/ +$/, '').replace(/^ +/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  container.appendChild(fragment);
+
+  return { text, html: container.innerHTML, count: equations.size };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildSelectionCopy };
+} else {
+  window.selectionCopy = { buildSelectionCopy };
+}
@@ -0,0 +1,151 @@
+/**
+ * User settings kept in chrome.storage.sync
+ *
+ * Only the choices made on the options page are stored. They are merged over
+ * the ExtensionConfig defaults when a page loads and again whenever they
+ * change, so open tabs pick up new settings without a reload.
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Get the storage area, or null outside the extension (e.g. in Node)
+ */
+function getSettingsStorage() {
+  return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync
+    ? chrome.storage.sync
+    : null;
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Check whether a stored value can replace a default: a string, number or
+ * boolean of the same type, or an array for an array. Other defaults, such
+ * as regular expressions, are not user settings.
+ */
+function isSameSettingKind(value, change) {
+  if (Array.isArray(value)) return Array.isArray(change);
+  return ['string', 'number', 'boolean'].includes(typeof value) && typeof change === typeof value;
+}
+
+/**
+ * Merge stored choices over the defaults
+ *
+ * Keys the defaults do not have and values of another type are ignored, so
+ * settings saved by an older version cannot break the configuration.
+ * @param {Object} defaults - ExtensionConfig
+ * @param {Object} overrides - Stored choices, a partial copy of the defaults
+ * @return {Object} - A new frozen configuration
+ */
+function mergeSettings(defaults, overrides) {
+  const merge = (base, changes) => {
+    if (!isPlainObject(changes)) return base;
+
+    const result = {};
+    for (const key of Object.keys(base)) {
+      const value = base[key];
+      const change = changes[key];
+
+      if (isPlainObject(value)) {
+        result[key] = merge(value, change);
+      } else if (isSameSettingKind(value, change)) {
+        result[key] = change;
+      } else {
+        result[key] = value;
+      }
+    }
+    return Object.freeze(result);
+  };
+
+  return merge(defaults, overrides);
+}
+
+/**
+ * Read the stored choices
+ * @return {Promise<Object>} - The choices, {} when nothing is stored
+ */
+function readStoredSettings() {
+  const storage = getSettingsStorage();
+  if (!storage) return Promise.resolve({});
+
+  return new Promise((resolve) => {
+    storage.get({ [SETTINGS_STORAGE_KEY]: {} }, (items) => {
+      resolve(chrome.runtime.lastError || !items ? {} : items[SETTINGS_STORAGE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Load the configuration: stored choices merged over the defaults
+ * @param {Object} defaults - ExtensionConfig
+ * @return {Promise<Object>} - The merged configuration
+ */
+function loadSettings(defaults) {
+  return readStoredSettings().then(stored => mergeSettings(defaults, stored));
+}
+
+/**
+ * Read the value of a number field of the options page. An empty or
+ * unreadable field gives the default, and a number outside the field's
+ * bounds the nearest bound.
+ * @param {string} text - The field's value
+ * @param {Object} bounds - { min, max } of the field, '' when it has none
+ * @param {number} defaultValue - Default of the setting
+ * @return {number}
+ */
+function readNumberSetting(text, bounds, defaultValue) {
+  const value = String(text).trim() === '' ? NaN : Number(text);
+  if (!Number.isFinite(value)) return defaultValue;
+
+  const min = bounds.min === '' || bounds.min === undefined ? -Infinity : Number(bounds.min);
+  const max = bounds.max === '' || bounds.max === undefined ? Infinity : Number(bounds.max);
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Store the user's choices, replacing the ones stored before
+ * @param {Object} choices - A partial copy of ExtensionConfig
+ * @return {Promise<void>}
+ */
+function saveSettings(choices) {
+  const storage = getSettingsStorage();
+  if (!storage) return Promise.reject(new Error('chrome.storage is not available'));
+
+  return new Promise((resolve, reject) => {
+    storage.set({ [SETTINGS_STORAGE_KEY]: choices }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Call back with the merged configuration whenever the stored choices change
+ * @param {Object} defaults - ExtensionConfig
+ * @param {Function} callback - Receives the new configuration
+ * @return {Function} - Stops watching
+ */
+function watchSettings(defaults, callback) {
+  if (!getSettingsStorage() || !chrome.storage.onChanged) return () => {};
+
+  const listener = (changes, areaName) => {
+    if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+    callback(mergeSettings(defaults, changes[SETTINGS_STORAGE_KEY].newValue || {}));
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SETTINGS_STORAGE_KEY, mergeSettings, readNumberSetting, loadSettings, saveSettings, watchSettings };
+} else {
+  window.settingsStore = { SETTINGS_STORAGE_KEY, mergeSettings, readNumberSetting, loadSettings, saveSettings, watchSettings };
+}
@@ -1,6 +1,13 @@
 /**
- * SVG MathJax to LaTeX converter
- * Refactored for better maintainability and smaller function sizes
+ * SVG front-end: builds the intermediate math tree (see math-tree.js) from
+ * MathJax SVG output
+ *
+ * MathJax draws glyphs as <use data-c="..."> elements and drops most MathML
+ * attributes, so where the container still has its assistive MathML the
+ * matching elements there (the "twins") supply mathvariant, texclass, widths
+ * and table attributes, and the content of phantoms, which are not drawn.
+ * Without them, the column alignment of a table and the width of a space are
+ * measured from where the parts are drawn.
  */
 
 // Handler registry for different node types
@@ -9,555 +16,752 @@ const nodeHandlers = {};
 /**
  * Register a handler for a specific node type
  * @param {string} nodeType - The node type to handle
- * @param {Function} handler - The handler function
+ * @param {Function} handler - The handler function, called with (node, context)
  */
 function registerHandler(nodeType, handler) {
   nodeHandlers[nodeType] = handler;
 }
 
 /**
- * Convert SVG MathJax node to LaTeX
+ * Build a math tree from an SVG MathJax node
  * Main entry point - delegates to specific handlers
+ * @param {Element} node - Usually the g[data-mml-node="math"] element
+ * @param {Object} logger - Logger
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @param {Function} [buildMathML] - Builds the tree of an assistive MathML element, for
+ *   parts SVG output does not draw
+ * @return {Object|null} - Tree node
  */
-function convertSVGNode(node, logger, nodeProcessor, operators, functions) {
+function buildSVGTree(node, logger, nodeProcessor, mathTree, buildMathML = null) {
+  const context = { logger, nodeProcessor, mathTree, buildMathML, twins: indexAssistiveTwins(node) };
+  const tree = buildSVGNode(node, context);
+
+  if (getSVGNodeType(node) === 'math' || !tree) return tree;
+  return mathTree.createNode('math', { children: [tree] });
+}
+
+function buildSVGNode(node, context) {
+  const nodeType = getSVGNodeType(node);
   try {
-    const nodeType = node.getAttribute ? node.getAttribute('data-mml-node') : null;
-    
     if (!nodeType) {
-      return nodeProcessor.processChildren(node, (child) =>
-        convertSVGNode(child, logger, nodeProcessor, operators, functions)
-      );
+      const tagName = node.tagName ? node.tagName.toLowerCase() : '';
+      if (['use', 'rect', 'text', 'defs', 'path'].includes(tagName)) return null;
+      return buildSVGRow(node, context);
     }
-    
+
     const handler = nodeHandlers[nodeType];
     if (handler) {
-      return handler(node, logger, nodeProcessor, operators, functions);
+      return handler(node, context);
     }
-    
+
     // Default: process children
-    return nodeProcessor.processChildren(node, (child) =>
-      convertSVGNode(child, logger, nodeProcessor, operators, functions)
-    );
+    if (!SVG_TRANSPARENT_TYPES.includes(nodeType)) {
+      context.logger.diagnostic('unknown-node', nodeType);
+    }
+    return buildSVGRow(node, context);
   } catch (error) {
-    logger.error(`Error converting SVG node type ${nodeType}:`, error);
-    return '';
+    context.logger.error(`Error converting SVG node type ${nodeType}:`, error);
+    context.logger.diagnostic('conversion-error', `${nodeType}: ${error.message}`);
+    return null;
   }
 }
 
-// Register handlers for each node type
-registerHandler('math', (node, logger, nodeProcessor, operators, functions) => {
-  return nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
-});
-    
-registerHandler('semantics', handleSemantics);
+// Node types that only group their children, converted as a row of them
+const SVG_TRANSPARENT_TYPES = ['TeXAtom', 'mstyle', 'mpadded', 'merror', 'maction', 'mtr', 'mlabeledtr', 'mtd'];
+
+function getSVGNodeType(node) {
+  return node && node.getAttribute ? node.getAttribute('data-mml-node') : null;
+}
 
 /**
- * Handle semantics node
+ * Get the child elements that draw math: typed nodes, and untyped wrapper
+ * groups that MathJax adds for positioning
+ */
+function getSVGParts(node) {
+  return Array.from(node.children || []).filter(child => {
+    const tagName = child.tagName ? child.tagName.toLowerCase() : '';
+    return tagName === 'g' || tagName === 'svg';
+  });
+}
+
+function buildSVGRow(node, context) {
+  return context.mathTree.createRow(getSVGParts(node).map(child => buildSVGNode(child, context)));
+}
+
+/**
+ * Map typed SVG nodes to the same elements of the container's assistive MathML
+ * Nodes of a type are only paired when both sides have the same number of them
+ * @return {Map} - SVG element to MathML element
  */
-function handleSemantics(node, logger, nodeProcessor, operators, functions) {
-  // Process only the first child (presentation MathML), ignoring annotations
-  if (node.children && node.children.length > 0) {
-    const mrowChild = node.children[0];
-    
-    // Check if this contains a cases environment (mfenced with mtable)
-    const hasMfenced = mrowChild.querySelector &&
-                       mrowChild.querySelector('[data-mml-node="mfenced"]');
-    
-    if (hasMfenced) {
-      return processSemanticsWithMfenced(mrowChild, logger, nodeProcessor, operators, functions);
+function indexAssistiveTwins(mathNode) {
+  const twins = new Map();
+  const container = mathNode.closest && mathNode.closest('mjx-container');
+  const assistive = container && container.querySelector('mjx-assistive-mml math');
+  if (!assistive || !mathNode.querySelectorAll) return twins;
+
+  // Display equations draw their labels apart from the rows
+  const labelsDrawnApart = !!mathNode.querySelector('[data-labels]');
+
+  for (const type of SVG_TWIN_TYPES) {
+    const svgNodes = Array.from(mathNode.querySelectorAll(`[data-mml-node="${type}"]`))
+      .filter(node => !labelsDrawnApart || !node.closest('[data-labels]'));
+    const mathmlNodes = Array.from(assistive.querySelectorAll(type))
+      .filter(node => !labelsDrawnApart || !isAssistiveLabelNode(node));
+
+    if (svgNodes.length !== mathmlNodes.length) continue;
+    svgNodes.forEach((node, index) => twins.set(node, mathmlNodes[index]));
+  }
+
+  return twins;
+}
+
+const SVG_TWIN_TYPES = ['mi', 'mo', 'mtext', 'mspace', 'mfrac', 'mtable', 'menclose', 'mphantom'];
+
+function isAssistiveLabelNode(node) {
+  for (let current = node; current; current = current.parentElement) {
+    const parent = current.parentElement;
+    if (parent && parent.nodeName.toLowerCase() === 'mlabeledtr' && parent.children[0] === current) {
+      return true;
     }
-    
-    return convertSVGNode(node.children[0], logger, nodeProcessor, operators, functions);
   }
-  
-  return nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
+  return false;
 }
 
+function getTwinAttribute(node, name, context) {
+  const own = node.getAttribute(name);
+  if (own) return own;
+  const twin = context.twins.get(node);
+  return twin ? twin.getAttribute(name) : null;
+}
+
+// Stretchy delimiters and accents are drawn from these pieces; map them back to the character
+const STRETCHY_FENCE_PIECES = {
+  '239B': '(', '239C': '(', '239D': '(',
+  '239E': ')', '239F': ')', '23A0': ')',
+  '23A1': '[', '23A2': '[', '23A3': '[',
+  '23A4': ']', '23A5': ']', '23A6': ']',
+  '23A7': '{', '23A8': '{', '23A9': '{',
+  '23AB': '}', '23AC': '}', '23AD': '}',
+  '23B7': '√',
+  'E150': '⏞', 'E151': '⏞', 'E152': '⏟', 'E153': '⏟'
+};
+
+// Glyphs MathJax repeats to stretch a character, e.g. the shaft of an arrow
+const STRETCHY_EXTENDERS = ['2212', '2013', '23AA', '23D0', 'E154', 'E155', 'E156'];
+
 /**
- * Process semantics node that contains mfenced
+ * Get the code points drawn by a node in document order, as hex strings
+ * Glyphs MathJax cannot draw are groups with a data-c attribute holding
+ * fallback text, which is skipped
  */
-function processSemanticsWithMfenced(mrowChild, logger, nodeProcessor, operators, functions) {
-  const mfenced = Array.from(mrowChild.children || []).find(child =>
-    child.getAttribute && child.getAttribute('data-mml-node') === 'mfenced'
-  );
-  
-  if (!mfenced) return '';
-  
-  // Get any text that follows for inclusion in the cases
-  const siblings = Array.from(mrowChild.children || []);
-  const mfencedIndex = siblings.indexOf(mfenced);
-  let commaAndText = '';
-  
-  for (let i = mfencedIndex + 1; i < siblings.length; i++) {
-    const sibling = siblings[i];
-    const nodeType = sibling.getAttribute && sibling.getAttribute('data-mml-node');
-    
-    if (nodeType === 'mo') {
-      const content = nodeProcessor.getNodeContent(sibling).trim();
-      logger.debug('Found mo node with content: "' + content + '"');
-      if (content === ',') {
-        commaAndText += '{,}';
-        logger.debug('Found comma in semantics');
-      }
-    } else if (nodeType === 'mtext') {
-      const text = nodeProcessor.getNodeContent(sibling).trim();
-      if (text) {
-        // Normalize non-breaking spaces to regular spaces
-        const normalizedText = text.replace(/\u00A0/g, ' ');
-        commaAndText += '\\ \\text{' + normalizedText + '}';
-        logger.debug('Found text in semantics: ' + normalizedText);
+function getSVGGlyphs(node, nodeProcessor) {
+  const glyphs = [];
+  const visit = (element) => {
+    for (const child of Array.from(element.children || [])) {
+      const tagName = child.tagName.toLowerCase();
+      const dataC = tagName === 'use' ? nodeProcessor.getDataCAttribute(child) : child.getAttribute('data-c');
+      if (tagName === 'use' || (tagName === 'g' && dataC)) {
+        if (dataC) glyphs.push(dataC.toUpperCase());
+      } else if (tagName === 'text') {
+        Array.from(child.textContent).forEach(char => glyphs.push(char.codePointAt(0).toString(16).toUpperCase()));
+      } else {
+        visit(child);
       }
-    } else if (nodeType === 'mi') {
-      // Variable like 't' - use single backslash for spacing
-      const varContent = nodeProcessor.getNodeContent(sibling);
-      commaAndText += '\\ ' + varContent;
-      logger.debug('Found variable in semantics: ' + varContent);
     }
-  }
-  
-  logger.debug('Comma and text to append: ' + commaAndText);
-  
-  // Pass the text to mfenced handler
-  return handleMfenced(mfenced, logger, nodeProcessor, operators, functions, commaAndText);
+  };
+  visit(node);
+  return glyphs;
 }
-    
-// Register simple handlers
-registerHandler('mfenced', (node, logger, nodeProcessor, operators, functions) =>
-  handleMfenced(node, logger, nodeProcessor, operators, functions)
-);
 
-registerHandler('mtable', (node, logger, nodeProcessor, operators, functions) =>
-  handleMtable(node, logger, nodeProcessor, operators, functions)
-);
-
-registerHandler('mtr', (node, logger, nodeProcessor, operators, functions) =>
-  handleMtr(node, logger, nodeProcessor, operators, functions)
-);
+function glyphsToText(glyphs) {
+  return glyphs.map(glyph => String.fromCodePoint(parseInt(glyph, 16))).join('');
+}
 
-registerHandler('mtd', (node, logger, nodeProcessor, operators, functions) =>
-  nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  )
-);
+/**
+ * Get the character a (possibly stretched) operator draws
+ */
+function getSVGOperatorText(node, context) {
+  const glyphs = getSVGGlyphs(node, context.nodeProcessor);
+  const piece = glyphs.find(glyph => STRETCHY_FENCE_PIECES[glyph]);
+  if (piece) return STRETCHY_FENCE_PIECES[piece];
+
+  // A stretched character is one glyph repeated, or a glyph plus extenders
+  const distinct = glyphs.filter((glyph, index) => glyphs.indexOf(glyph) === index);
+  if (distinct.length === 1 && glyphs.length > 1 && !/^[0-9A-Za-z]$/.test(glyphsToText(distinct))) {
+    return glyphsToText(distinct);
+  }
+  const drawn = distinct.filter(glyph => !STRETCHY_EXTENDERS.includes(glyph));
+  if (distinct.length > 1 && drawn.length === 1) return glyphsToText(drawn);
 
-registerHandler('mrow', (node, logger, nodeProcessor, operators, functions) =>
-  handleMrow(node, logger, nodeProcessor, operators, functions)
-);
+  if (glyphs.length > 0) return glyphsToText(glyphs);
+  const twin = context.twins.get(node);
+  return twin ? twin.textContent.trim() : '';
+}
 
-registerHandler('mi', (node, logger, nodeProcessor, operators, functions) =>
-  handleMi(node, nodeProcessor, functions)
-);
+/**
+ * Get the text of an mi, mn or mtext node
+ */
+function getSVGTokenText(node, context) {
+  const glyphs = getSVGGlyphs(node, context.nodeProcessor);
+  if (glyphs.length > 0) return glyphsToText(glyphs);
+  const twin = context.twins.get(node);
+  return twin ? twin.textContent : '';
+}
 
-registerHandler('mn', (node, logger, nodeProcessor) =>
-  nodeProcessor.getNodeContent(node)
-);
+// Register handlers for each node type
+registerHandler('math', (node, context) => {
+  const container = node.closest && node.closest('mjx-container');
+  return context.mathTree.applyDisplayStyle(context.mathTree.createNode('math', {
+    display: !!container && container.getAttribute('display') === 'true',
+    children: [buildSVGRow(node, context)]
+  }));
+});
 
-registerHandler('mo', (node, logger, nodeProcessor, operators) =>
-  handleMo(node, nodeProcessor, operators)
-);
+registerHandler('semantics', handleSemantics);
 
-registerHandler('mtext', handleMtext);
+/**
+ * Handle semantics node
+ * Only the first child (presentation MathML) is drawn; annotations are ignored
+ */
+function handleSemantics(node, context) {
+  const parts = getSVGParts(node);
+  if (parts.length === 0) return null;
+
+  const presentation = parts[0];
+  if (getSVGNodeType(presentation) === 'mrow') {
+    const cases = buildCasesWithTrailingText(presentation, context);
+    if (cases) return cases;
+  }
+  return buildSVGNode(presentation, context);
+}
 
 /**
- * Handle mtext node
+ * Build a cases environment followed by text, e.g. "{ ... , where t is real"
+ * Some course pages write the trailing condition after the brace, although it
+ * belongs to the second equation of the system, so it is moved into that row
+ * @return {Object|null} - Fenced tree node, or null if the row has another shape
  */
-function handleMtext(node, logger, nodeProcessor) {
-  const text = nodeProcessor.getNodeContent(node).trim();
-  
-  // Handle special characters
-  if (text === 'π') {
-    return '\\pi ';
-  } else if (text === 'd') {
-    // Don't wrap 'd' in \text{} for differentials
-    return 'd';
-  } else if (text) {
-    // Normalize non-breaking spaces to regular spaces
-    const normalizedText = text.replace(/\u00A0/g, ' ');
-    // Wrap other text in \text{}
-    return '\\text{' + normalizedText + '}';
+function buildCasesWithTrailingText(mrow, context) {
+  const { mathTree, logger } = context;
+  const siblings = getSVGParts(mrow);
+  const mfencedIndex = siblings.findIndex(child => getSVGNodeType(child) === 'mfenced');
+  if (mfencedIndex === -1 || mfencedIndex === siblings.length - 1) return null;
+
+  const fenced = buildSVGNode(siblings[mfencedIndex], context);
+  const table = fenced && fenced.type === 'fenced' && fenced.children.length === 1 ? fenced.children[0] : null;
+  if (!table || table.type !== 'table' || fenced.open !== '{' || fenced.close || table.rows.length === 0) {
+    return null;
   }
-  return text;
+
+  const trailing = siblings.slice(mfencedIndex + 1).map(sibling => {
+    const child = buildSVGNode(sibling, context);
+    // The comma separates the equation from the condition; keep it ordinary
+    if (child && child.type === 'operator' && child.text === ',') child.texClass = 'ORD';
+    return child;
+  });
+
+  const row = table.rows[Math.min(1, table.rows.length - 1)];
+  const lastCell = row.cells.length - 1;
+  row.cells[lastCell] = mathTree.createRow([row.cells[lastCell], ...trailing]);
+  logger.debug('Moved text after the cases environment into row ' + table.rows.indexOf(row));
+
+  return mathTree.createRow([
+    ...siblings.slice(0, mfencedIndex).map(sibling => buildSVGNode(sibling, context)),
+    fenced
+  ]);
 }
 
-registerHandler('msqrt', (node, logger, nodeProcessor, operators, functions) => {
-  const content = nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
-  logger.progress('Processed square root');
-  return '\\sqrt{' + content.trim() + '}';
+registerHandler('mrow', (node, context) => buildSVGRow(node, context));
+registerHandler('mstyle', (node, context) => buildSVGRow(node, context));
+registerHandler('mpadded', (node, context) => buildSVGRow(node, context));
+
+registerHandler('TeXAtom', (node, context) => {
+  const texClass = node.getAttribute('data-mjx-texclass');
+  const atom = buildSVGRow(node, context);
+
+  // A lone operator keeps the class of its atom, e.g. {,} or the fences of \binom,
+  // and so does a lone identifier, e.g. \mathrm{Var} or \mathop{x}
+  const parts = getSVGParts(node);
+  if (parts.length === 1 && atom && (atom.type === 'operator' || (/^(OP|ORD)$/.test(texClass) && atom.type === 'identifier'))) {
+    atom.texClass = texClass;
+  }
+  return atom;
+});
+
+registerHandler('mi', (node, context) => {
+  const raw = getSVGTokenText(node, context);
+  const normalized = context.mathTree.normalizeMathText(raw);
+  let variant = getTwinAttribute(node, 'mathvariant', context) || normalized.variant;
+
+  // Plain letters keep their style only in the font of the glyph, e.g. \mathcal{L};
+  // MathJax draws identifiers in italic, so a single upright letter was \mathrm
+  if (!variant && /^[A-Za-z]+$/.test(raw)) {
+    const glyph = node.querySelector && node.querySelector('use');
+    const href = glyph ? glyph.getAttribute('xlink:href') || glyph.getAttribute('href') : null;
+    variant = context.nodeProcessor.getFontVariant(href);
+    if (!variant && raw.length === 1) variant = 'normal';
+  }
+
+  const text = normalized.text.trim();
+  return context.mathTree.createNode('identifier', {
+    text,
+    variant,
+    texClass: getTwinAttribute(node, 'data-mjx-texclass', context) ||
+      context.mathTree.getIdentifierClass(text, variant)
+  });
+});
+
+registerHandler('mn', (node, context) => context.mathTree.createNode('number', {
+  text: context.mathTree.normalizeMathText(getSVGTokenText(node, context)).text.trim()
+}));
+
+registerHandler('mo', (node, context) => {
+  let texClass = getTwinAttribute(node, 'data-mjx-texclass', context);
+  const text = getSVGOperatorText(node, context);
+
+  // \left. and \right. draw nothing; mark them so the row still pairs its fences
+  if (!text && !texClass) {
+    const parts = getSVGParts(node.parentElement);
+    if (parts[0] === node) texClass = 'OPEN';
+    if (parts[parts.length - 1] === node) texClass = 'CLOSE';
+  }
+  return context.mathTree.createNode('operator', { text, texClass });
+});
+
+registerHandler('mtext', (node, context) => context.mathTree.createNode('text', {
+  text: getSVGTokenText(node, context)
+}));
+
+registerHandler('mspace', (node, context) => {
+  const twin = context.twins.get(node);
+  if (!twin) {
+    const width = measureSVGBlankWidth(node);
+    if (width === null) context.logger.diagnostic('unknown-node', 'mspace');
+    return context.mathTree.createNode('space', { width });
+  }
+
+  const linebreak = twin.getAttribute('linebreak');
+  const width = (twin.getAttribute('width') || '').match(/^(-?\d*\.?\d+)em$/);
+  return context.mathTree.createNode('space', {
+    linebreak: linebreak === 'newline' || linebreak === 'indentingnewline',
+    width: width ? parseFloat(width[1]) : null
+  });
+});
+
+registerHandler('msqrt', (node, context) => {
+  // The radical sign is a direct mo; the content sits in a wrapper group
+  const body = getSVGParts(node).filter(part => getSVGNodeType(part) !== 'mo');
+  context.logger.progress('Processed square root');
+  return context.mathTree.createNode('sqrt', {
+    body: context.mathTree.createRow(body.map(part => buildSVGNode(part, context)))
+  });
+});
+
+registerHandler('mroot', (node, context) => {
+  // The base sits in a wrapper group; the index and the radical sign are
+  // typed children, drawn before or after the base depending on the version
+  const parts = getSVGParts(node).filter(part => getSVGNodeType(part) !== 'mo');
+  const base = parts.find(part => !getSVGNodeType(part)) || parts[0];
+  const index = parts.find(part => part !== base);
+  context.logger.progress('Processed nth root');
+  return context.mathTree.createNode('root', {
+    body: base ? buildSVGNode(base, context) : null,
+    index: index ? buildSVGNode(index, context) : null
+  });
+});
+
+registerHandler('mfrac', (node, context) => {
+  const [numerator, denominator] = getSVGParts(node);
+  if (!denominator) return buildSVGRow(node, context);
+
+  // \binom and \genfrac{}{}{0pt} draw no fraction bar
+  const hasBar = Array.from(node.children).some(child => child.tagName.toLowerCase() === 'rect');
+  context.logger.progress('Processed fraction');
+  return context.mathTree.createNode('fraction', {
+    numerator: buildSVGNode(numerator, context),
+    denominator: buildSVGNode(denominator, context),
+    lineThickness: getTwinAttribute(node, 'linethickness', context) || (hasBar ? null : '0')
+  });
 });
-    
-registerHandler('mroot', handleMroot);
 
 /**
- * Handle mroot (nth root) node
+ * Build a script node from the base and script children
+ * @param {Array<string>} roles - Role of each child, e.g. ['base', 'sup', 'sub'] for msubsup
  */
-function handleMroot(node, logger, nodeProcessor, operators, functions) {
-  logger.debug('Processing mroot node with', node.children ? node.children.length : 0, 'children');
-  
-  if (node.children && node.children.length >= 2) {
-    const { rootIndex, contentNodes } = extractRootComponents(node, logger, nodeProcessor);
-    
-    // Convert the content
-    const rootContent = contentNodes.map(child =>
-      convertSVGNode(child, logger, nodeProcessor, operators, functions)
-    ).join('').trim();
-    
-    logger.debug('mroot - index:', rootIndex, 'content:', rootContent);
-    
-    if (rootIndex && rootContent) {
-      logger.progress('Processed nth root with index ' + rootIndex);
-      return '\\sqrt[' + rootIndex + ']{' + rootContent + '}';
+function buildSVGScripts(type, roles) {
+  return (node, context) => {
+    const parts = getSVGParts(node);
+    const props = {};
+    roles.forEach((role, index) => {
+      props[role] = parts[index] ? buildSVGNode(parts[index], context) : null;
+    });
+
+    if (type === 'underover') {
+      // Scripts of \sum, \lim or \operatorname*{} are limits
+      const baseType = getSVGNodeType(parts[0]);
+      props.limits = baseType === 'TeXAtom' && parts[0].getAttribute('data-mjx-texclass') === 'OP';
+      props.over = normalizeSVGAccent(props.over);
+      props.under = normalizeSVGAccent(props.under);
     }
-  }
-  
-  // Fallback: treat as regular square root
-  const content = nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
-  logger.progress('Processed root (fallback to square root)');
-  return '\\sqrt{' + content.trim() + '}';
+    return context.mathTree.createNode(type, props);
+  };
 }
 
 /**
- * Extract root index and content nodes from mroot
+ * Overlines and underlines are drawn by stretching an en dash
  */
-function extractRootComponents(node, logger, nodeProcessor) {
-  let rootIndex = null;
-  let contentNodes = [];
-  
-  // Process all children to find index and content
-  for (const child of node.children) {
-    const nodeType = child.getAttribute && child.getAttribute('data-mml-node');
-    logger.debug('mroot child:', nodeType);
-    
-    if (nodeType === 'mn') {
-      const content = nodeProcessor.getNodeContent(child);
-      logger.debug('Found mn in mroot with content:', JSON.stringify(content));
-      // Check if this looks like a root index (small number)
-      const trimmedContent = content ? content.trim() : '';
-      logger.debug('Trimmed content:', JSON.stringify(trimmedContent));
-      if (trimmedContent && trimmedContent.match(/^[2-9]$/)) {
-        rootIndex = trimmedContent;
-        logger.debug('Set root index to:', rootIndex);
-      } else {
-        logger.debug('Content did not match root index pattern:', JSON.stringify(trimmedContent));
-      }
-    } else if (nodeType === 'mo') {
-      // Skip the radical symbol
-      const opContent = nodeProcessor.getNodeContent(child);
-      logger.debug('Found mo in mroot with content:', opContent);
-      if (opContent && (opContent.includes('√') || opContent.includes('221A'))) {
-        continue; // Skip radical symbol
-      }
-    } else if (nodeType !== 'mo') {
-      // This is content (not the radical symbol)
-      contentNodes.push(child);
-    }
-  }
-  
-  // If we didn't find content nodes as direct children, look for a wrapper group
-  if (contentNodes.length === 0) {
-    for (const child of node.children) {
-      if (!child.getAttribute ||
-          (child.getAttribute('data-mml-node') !== 'mn' &&
-           child.getAttribute('data-mml-node') !== 'mo')) {
-        // This might be a wrapper group containing the content
-        contentNodes.push(child);
-      }
-    }
+function normalizeSVGAccent(script) {
+  if (script && script.type === 'operator' && script.text === '–') {
+    script.text = '―';
   }
-  
-  return { rootIndex, contentNodes };
+  return script;
 }
-    
-registerHandler('mfrac', (node, logger, nodeProcessor, operators, functions) => {
-  if (node.children && node.children.length >= 2) {
-    const num = convertSVGNode(node.children[0], logger, nodeProcessor, operators, functions);
-    const den = convertSVGNode(node.children[1], logger, nodeProcessor, operators, functions);
-    logger.progress('Processed fraction');
-    return '\\frac{' + num + '}{' + den + '}';
-  }
-  return nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
+
+registerHandler('msup', buildSVGScripts('scripts', ['base', 'sup']));
+registerHandler('msub', buildSVGScripts('scripts', ['base', 'sub']));
+registerHandler('msubsup', buildSVGScripts('scripts', ['base', 'sup', 'sub']));
+registerHandler('munder', buildSVGScripts('underover', ['base', 'under']));
+registerHandler('mover', buildSVGScripts('underover', ['base', 'over']));
+registerHandler('munderover', (node, context) => {
+  // Inline operators draw their limits as scripts, superscript first
+  const [, first, second] = getSVGParts(node);
+  const roles = getSVGShiftY(first) > getSVGShiftY(second)
+    ? ['base', 'over', 'under']
+    : ['base', 'under', 'over'];
+  return buildSVGScripts('underover', roles)(node, context);
 });
 
-registerHandler('msup', (node, logger, nodeProcessor, operators, functions) =>
-  handleSuperscript(node, logger, nodeProcessor, operators, functions)
-);
+/**
+ * Get the vertical offset of a positioned group (positive is up)
+ */
+function getSVGShiftY(node) {
+  const transform = node && node.getAttribute ? node.getAttribute('transform') || '' : '';
+  const match = transform.match(/translate\(\s*[-\d.e]+\s*[, ]\s*([-\d.e]+)\s*\)/);
+  return match ? parseFloat(match[1]) : 0;
+}
 
-registerHandler('msub', (node, logger, nodeProcessor, operators, functions) => {
-  if (node.children && node.children.length >= 2) {
-    const base = convertSVGNode(node.children[0], logger, nodeProcessor, operators, functions);
-    const sub = convertSVGNode(node.children[1], logger, nodeProcessor, operators, functions);
-    return base + '_{' + sub + '}';
+registerHandler('menclose', (node, context) => {
+  // MathJax's assistive MathML leaves out the default notation
+  const twin = context.twins.get(node);
+  const notation = twin ? twin.getAttribute('notation') || 'longdiv' : getSVGEncloseNotation(node);
+  if (!notation) {
+    context.logger.diagnostic('unknown-node', 'menclose');
+    return buildSVGRow(node, context);
   }
-  return nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  );
+  return context.mathTree.createNode('enclose', { notation, children: [buildSVGRow(node, context)] });
 });
 
-registerHandler('munderover', (node, logger, nodeProcessor, operators, functions) =>
-  handleUnderOver(node, logger, nodeProcessor, operators, functions)
-);
-
-registerHandler('mover', (node, logger, nodeProcessor, operators, functions) =>
-  handleOver(node, logger, nodeProcessor, operators, functions)
-);
-
-registerHandler('mstyle', (node, logger, nodeProcessor, operators, functions) =>
-  nodeProcessor.processChildren(node, (child) =>
-    convertSVGNode(child, logger, nodeProcessor, operators, functions)
-  )
-);
-
-function handleMrow(node, logger, nodeProcessor, operators, functions) {
-  logger.debug('Processing mrow with', node.children ? node.children.length : 0, 'children');
-  
-  // Check for equality
-  if (node.getAttribute && node.getAttribute('data-semantic-role') === "equality") {
-    const children = Array.from(node.children || []);
-    let equalsIndex = children.findIndex(child => 
-      child.getAttribute('data-mml-node') === 'mo' && 
-      nodeProcessor.getNodeContent(child) === '='
-    );
-    
-    if (equalsIndex > 0) {
-      const leftSide = children.slice(0, equalsIndex);
-      const rightSide = children.slice(equalsIndex + 1);
-      
-      const leftLatex = leftSide.map(child => convertSVGNode(child, logger, nodeProcessor, operators, functions)).join('');
-      const rightLatex = rightSide.map(child => convertSVGNode(child, logger, nodeProcessor, operators, functions)).join('');
-      
-      logger.progress('Processed equation with left and right sides');
-      return leftLatex + '=' + rightLatex;
+/**
+ * Read the notation of an menclose from the shapes MathJax draws for it
+ * Lines along an edge and lines through the middle cannot be told apart
+ * without the extent of the content, so only diagonal strikes are read from lines
+ * @return {string|null} - Notations as MathML writes them, or null when a shape is not known
+ */
+function getSVGEncloseNotation(node) {
+  const notations = [];
+  for (const child of Array.from(node.children || [])) {
+    const tagName = child.tagName.toLowerCase();
+    if (tagName === 'g') continue;
+
+    let notation = null;
+    if (tagName === 'rect') {
+      notation = child.getAttribute('rx') ? 'roundedbox' : 'box';
+    } else if (tagName === 'ellipse') {
+      notation = 'circle';
+    } else if (tagName === 'line') {
+      const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(name => parseFloat(child.getAttribute(name)) || 0);
+      const slope = (x2 - x1) * (y2 - y1);
+      if (slope > 0) notation = 'updiagonalstrike';
+      if (slope < 0) notation = 'downdiagonalstrike';
     }
+    if (!notation) return null;
+    notations.push(notation);
   }
-  
-  return nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
+  return notations.length ? notations.sort().join(' ') : null;
 }
 
-function handleMfenced(node, logger, nodeProcessor, operators, functions, appendText = '') {
-  logger.debug('Processing mfenced node with appendText: ' + appendText);
-  
-  // Check if this is a system of equations (cases)
-  // Look for mtable inside mfenced's children
-  const mrowChild = Array.from(node.children || []).find(child =>
-    child.getAttribute && child.getAttribute('data-mml-node') === 'mrow'
-  );
-  
-  let mtable = null;
-  if (mrowChild) {
-    mtable = Array.from(mrowChild.children || []).find(child =>
-      child.getAttribute && child.getAttribute('data-mml-node') === 'mtable'
-    );
+// SVG output draws nothing for a phantom; its content is only in the assistive MathML
+registerHandler('mphantom', (node, context) => {
+  const twin = context.twins.get(node);
+  if (twin && context.buildMathML) return context.buildMathML(twin);
+
+  const width = measureSVGBlankWidth(node);
+  if (width === null) {
+    context.logger.diagnostic('unknown-node', 'mphantom');
+    return null;
   }
-  
-  if (mtable) {
-    // This is likely a cases environment
-    logger.progress('Processing system of equations (cases)');
-    
-    // Process the table and wrap in \begin{cases}...\end{cases}
-    const tableContent = handleMtable(mtable, logger, nodeProcessor, operators, functions, true, appendText);
-    // Don't include newlines, they're not needed for LaTeX
-    return '\\begin{cases}' + tableContent + '\\end{cases}';
+  return context.mathTree.createNode('space', { width });
+});
+
+registerHandler('mfenced', handleMfenced);
+
+/**
+ * Handle mfenced node
+ * MathJax draws the fences as mo children; MathML's default fences are used
+ * when it did not draw any
+ */
+function handleMfenced(node, context) {
+  const { mathTree } = context;
+  let inner = getSVGParts(node).map(child => ({ element: child, tree: buildSVGNode(child, context) }));
+  let open = '(';
+  let close = ')';
+
+  const isFence = (entry) => !!entry && entry.tree && entry.tree.type === 'operator' &&
+    (entry.tree.text === '' || mathTree.isFenceCharacter(entry.tree.text));
+
+  if (isFence(inner[0])) {
+    open = inner[0].tree.text;
+    inner = inner.slice(1);
+
+    const last = inner[inner.length - 1];
+    close = isFence(last) && getSVGNodeType(last.element) === 'mo' ? last.tree.text : '';
+    if (close || (last && last.tree && last.tree.type === 'operator' && last.tree.text === '')) {
+      inner = inner.slice(0, -1);
+    }
   }
-  
-  // Default: process as regular fenced content
-  const content = nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
-  return '\\left\\{' + content + '\\right\\}';
+
+  // Merge wrapper rows so a fenced table is a direct child
+  const content = mathTree.createRow(inner.map(entry => entry.tree));
+  return mathTree.createNode('fenced', {
+    open,
+    close,
+    children: content.type === 'row' ? content.children : [content]
+  });
 }
 
-function handleMtable(node, logger, nodeProcessor, operators, functions, isCasesEnvironment = false, appendToSecondRow = '') {
-  logger.debug('Processing mtable');
-  
-  const rows = Array.from(node.children || []).filter(child =>
-    child.getAttribute && child.getAttribute('data-mml-node') === 'mtr'
-  );
-  
-  if (rows.length === 0) {
-    return nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
-  }
-  
-  const processedRows = rows.map((row, rowIndex) => {
-    const cells = Array.from(row.children || []).filter(child =>
-      child.getAttribute && child.getAttribute('data-mml-node') === 'mtd'
-    );
-    
-    const processedCells = cells.map((cell, cellIndex) => {
-      let content = nodeProcessor.processChildren(cell, (child) =>
-        convertSVGNode(child, logger, nodeProcessor, operators, functions)
-      ).trim();
-      
-      // Remove unwanted spaces in compound expressions
-      // For cells containing numbers with operators like "-1" or "7t"
-      if (cellIndex === 2 && content.includes('- ')) {
-        // Third cell often has negative numbers
-        content = content.replace('- ', '-');
+registerHandler('mtable', handleTable);
+
+/**
+ * Collect the rows of a table and the labels MathJax moves out of labelled rows
+ * Labelled tables wrap their rows in nested svg elements, so search below the
+ * table node without entering rows or nested tables
+ * @return {Object} - { rows, labels }
+ */
+function getTableParts(node) {
+  const rows = [];
+  const labels = [];
+
+  const visit = (parent, inLabels) => {
+    for (const child of Array.from(parent.children || [])) {
+      const type = child.getAttribute ? child.getAttribute('data-mml-node') : null;
+      if (inLabels && type === 'mtd') {
+        labels.push(child);
+      } else if (type === 'mtr' || type === 'mlabeledtr') {
+        rows.push(child);
+      } else if (!type) {
+        visit(child, inLabels || child.getAttribute('data-labels') === 'true');
       }
-      
-      // Check if this cell has a number followed by a variable (like "7 t")
-      if (content.match(/^\d+\s+[a-z]$/i)) {
-        content = content.replace(/\s+/, '');
+    }
+  };
+
+  visit(node, false);
+  return { rows, labels };
+}
+
+/**
+ * Handle mtable node
+ * Display equations draw labels separately; otherwise the first cell of an
+ * mlabeledtr is the label
+ */
+function handleTable(node, context) {
+  const { mathTree } = context;
+  const { rows, labels } = getTableParts(node);
+  let labelIndex = 0;
+
+  const tableRows = rows.map(row => {
+    let cells = getSVGParts(row).filter(child => getSVGNodeType(child) === 'mtd');
+
+    let labelNode = null;
+    if (getSVGNodeType(row) === 'mlabeledtr') {
+      if (labels.length > 0) {
+        labelNode = labels[labelIndex++] || null;
+      } else {
+        labelNode = cells[0] || null;
+        cells = cells.slice(1);
       }
-      
-      return content;
-    });
-    
-    // Join cells with & for alignment - this works generically for all table structures
-    let rowContent = processedCells.join('&');
-    
-    // Special handling for the second row in cases environment
-    if (isCasesEnvironment && rowIndex === 1 && appendToSecondRow) {
-      // Append the comma and text to the second row
-      // Fix spacing: between variable and text should be single backslash, not double
-      let cleanedAppend = appendToSecondRow;
-      
-      // Replace pattern: "\ t \ \text{" should become "\ t\ \text{"
-      cleanedAppend = cleanedAppend.replace(/\\ ([a-z]) \\ \\text\{/gi, '\\ $1\\ \\text{');
-      
-      logger.debug('Appending to second row: ' + cleanedAppend);
-      rowContent += cleanedAppend;
     }
-    
-    return rowContent;
+
+    return {
+      cells: cells.map(cell => buildSVGRow(cell, context)),
+      label: labelNode ? glyphsToText(getSVGGlyphs(labelNode, context.nodeProcessor)) : null
+    };
   });
-  
-  // Join rows with \\ for line breaks (no actual newlines needed in LaTeX)
-  return processedRows.join('\\\\');
-}
 
-function handleMtr(node, logger, nodeProcessor, operators, functions) {
-  logger.debug('Processing mtr (table row)');
-  
-  const cells = Array.from(node.children || []).filter(child =>
-    child.getAttribute && child.getAttribute('data-mml-node') === 'mtd'
-  );
-  
-  const processedCells = cells.map(cell =>
-    nodeProcessor.processChildren(cell, (child) =>
-      convertSVGNode(child, logger, nodeProcessor, operators, functions)
-    ).trim()
-  );
-  
-  return processedCells.join(' & ');
+  // Without assistive MathML the alignment is only in the drawing, and
+  // display style is left to the math node (see applyDisplayStyle)
+  const twin = context.twins.get(node);
+  context.logger.progress('Processed table');
+  return mathTree.createNode('table', {
+    rows: tableRows,
+    columnalign: twin ? twin.getAttribute('columnalign') : getSVGColumnAlign(rows, context),
+    displaystyle: twin ? twin.getAttribute('displaystyle') === 'true' : null
+  });
 }
 
-function handleMi(node, nodeProcessor, functions) {
-  const mi = nodeProcessor.getNodeContent(node);
-  if (functions.isStandardFunction(mi)) {
-    return '\\' + mi;
+// Differences in width (thousandths of an em) below this tell nothing about alignment
+const SVG_ALIGN_TOLERANCE = 100;
+
+/**
+ * Work out the column alignment of a table from where its cells are drawn.
+ * A column is left aligned when its cells start at the same x, right aligned
+ * when they end at the same x and centred otherwise; cells of one width
+ * leave it centred.
+ * @param {Array<Element>} rows - mtr and mlabeledtr nodes
+ * @return {string|null} - columnalign value, or null when it cannot be measured
+ */
+function getSVGColumnAlign(rows, context) {
+  const columns = [];
+  for (const row of rows) {
+    const cells = getSVGParts(row).filter(child => getSVGNodeType(child) === 'mtd');
+    // A label drawn in its row is not a column
+    if (getSVGNodeType(row) === 'mlabeledtr' && !row.closest('[data-labels]')) cells.shift();
+
+    for (const [index, cell] of cells.entries()) {
+      const width = measureSVGWidth(cell, context);
+      if (width === null) return null;
+      const left = readSVGTransform(cell).x;
+      (columns[index] = columns[index] || []).push({ left, width });
+    }
   }
-  return mi;
+
+  const aligns = columns.map(cells => {
+    const widths = cells.map(cell => cell.width);
+    if (Math.max(...widths) - Math.min(...widths) < SVG_ALIGN_TOLERANCE) return 'center';
+
+    const spread = (edge) => {
+      const values = cells.map(edge);
+      return Math.max(...values) - Math.min(...values);
+    };
+    const fits = {
+      left: spread(cell => cell.left),
+      center: spread(cell => cell.left + cell.width / 2),
+      right: spread(cell => cell.left + cell.width)
+    };
+    return Object.keys(fits).reduce((best, align) => fits[align] < fits[best] ? align : best, 'center');
+  });
+
+  return aligns.some(align => align !== 'center') ? aligns.join(' ') : null;
 }
 
-function handleMo(node, nodeProcessor, operators) {
-  const opContent = nodeProcessor.getNodeContent(node);
-  return operators[opContent] !== undefined ? operators[opContent] : opContent;
+/**
+ * Read the translation and scale of an SVG transform attribute
+ * @return {Object} - { x, scale }
+ */
+function readSVGTransform(element) {
+  const transform = element.getAttribute('transform') || '';
+  const translate = transform.match(/translate\(\s*(-?[\d.]+)/);
+  const scale = transform.match(/scale\(\s*(-?[\d.]+)/);
+  return { x: translate ? parseFloat(translate[1]) : 0, scale: scale ? parseFloat(scale[1]) : 1 };
 }
 
-function handleSuperscript(node, logger, nodeProcessor, operators, functions) {
-  if (node.children && node.children.length >= 2) {
-    const base = node.children[0];
-    const exp = node.children[1];
-    
-    let baseText;
-    if (nodeProcessor.isParenthesizedExpression(base)) {
-      const children = Array.from(base.children || []);
-      const innerContent = nodeProcessor.processInnerContent(children.slice(1, -1), (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
-      baseText = '(' + innerContent + ')';
-    } else {
-      baseText = convertSVGNode(base, logger, nodeProcessor, operators, functions);
-    }
-    
-    const expText = convertSVGNode(exp, logger, nodeProcessor, operators, functions);
-    
-    const needsParens = isCompoundElement(base, nodeProcessor) && !nodeProcessor.isParenthesizedExpression(base);
-    
-    if (expText === '2') {
-      return needsParens ? '(' + baseText + ')^2' : baseText + '^2';
-    }
-    return needsParens ? 
-      '(' + baseText + ')^{' + expText + '}' : 
-      baseText + '^{' + expText + '}';
+/**
+ * Measure the width of a part that draws nothing, e.g. a space without its
+ * twin, from where the next part of its row starts
+ * Operators start after their own spacing, so the gap before one is not measured
+ * @return {number|null} - Width in em, or null when it cannot be measured
+ */
+function measureSVGBlankWidth(node) {
+  let part = node;
+  while (SVG_TRANSPARENT_TYPES.includes(getSVGNodeType(part.parentElement)) &&
+    getSVGParts(part.parentElement).length === 1) {
+    part = part.parentElement;
   }
-  return nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
-}
 
-function handleUnderOver(node, logger, nodeProcessor, operators, functions) {
-  if (node.children && node.children.length >= 3) {
-    const baseOp = node.children[0];
-    const underScript = node.children[1];
-    const overScript = node.children[2];
-    
-    const baseOpContent = nodeProcessor.getNodeContent(baseOp);
-    const underLatex = convertSVGNode(underScript, logger, nodeProcessor, operators, functions);
-    const overLatex = convertSVGNode(overScript, logger, nodeProcessor, operators, functions);
-    
-    if (baseOpContent === '∫') {
-      logger.progress('Processed integral');
-      return '\\int_{' + underLatex + '}^{' + overLatex + '}';
-    }
-    
-    return convertSVGNode(baseOp, logger, nodeProcessor, operators, functions) + '_{' + underLatex + '}^{' + overLatex + '}';
+  const parts = part.parentElement ? getSVGParts(part.parentElement) : [];
+  const next = parts[parts.indexOf(part) + 1];
+  if (!next || getSVGNodeType(next) === 'mo') return null;
+
+  // Scripts are drawn scaled down, but their spaces keep the width of the equation's em
+  let scale = 1;
+  for (let group = part.parentElement; group && getSVGNodeType(group) !== 'math'; group = group.parentElement) {
+    scale *= readSVGTransform(group).scale;
   }
-  return nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
+  const width = scale * (readSVGTransform(next).x - readSVGTransform(part).x) / 1000;
+  return width ? Math.round(width * 1000) / 1000 : null;
 }
 
-function handleOver(node, logger, nodeProcessor, operators, functions) {
-  if (node.children && node.children.length >= 2) {
-    const base = node.children[0];
-    const overscript = node.children[1];
-    
-    const overscriptContent = nodeProcessor.getNodeContent(overscript);
-    const overscriptNode = overscript.querySelector && overscript.querySelector('use[data-c="20D7"]');
-    const overlineNode = overscript.querySelector && overscript.querySelector('use[data-c="305"]');
-    
-    if (overscriptContent === '\u20D7' || overscriptNode) {
-      const baseLatex = convertSVGNode(base, logger, nodeProcessor, operators, functions);
-      logger.progress('Processed overrightarrow');
-      return '\\overrightarrow{' + baseLatex + '}';
-    } else if (overscriptContent === '\u0305' || overlineNode || node.getAttribute('data-semantic-type') === 'overscore') {
-      const baseLatex = convertSVGNode(base, logger, nodeProcessor, operators, functions);
-      logger.progress('Processed overline');
-      return '\\overline{' + baseLatex + '}';
+/**
+ * Measure how far the drawing of a node reaches to the right of its origin,
+ * from the outlines of its glyphs and the rules it draws
+ * @return {number|null} - Width, or null when a glyph outline cannot be found
+ */
+function measureSVGWidth(node, context) {
+  let right = 0;
+  const visit = (element, x, scale) => {
+    for (const child of Array.from(element.children || [])) {
+      const tagName = child.tagName.toLowerCase();
+      const transform = readSVGTransform(child);
+      const childX = x + scale * transform.x;
+      const childScale = scale * transform.scale;
+
+      if (tagName === 'use') {
+        const width = getSVGGlyphWidth(child, context);
+        if (width === null) return false;
+        right = Math.max(right, childX + childScale * width);
+      } else if (tagName === 'rect') {
+        const rectX = parseFloat(child.getAttribute('x')) || 0;
+        const width = parseFloat(child.getAttribute('width')) || 0;
+        right = Math.max(right, childX + childScale * (rectX + width));
+      } else if (tagName === 'text') {
+        return false;
+      } else if (tagName === 'g' && !visit(child, childX, childScale)) {
+        return false;
+      }
     }
-    
-    const baseLatex = convertSVGNode(base, logger, nodeProcessor, operators, functions);
-    const overLatex = convertSVGNode(overscript, logger, nodeProcessor, operators, functions);
-    return baseLatex + (overLatex.trim() ? '^{' + overLatex + '}' : '');
+    return true;
+  };
+  return visit(node, 0, 1) ? right : null;
+}
+
+/**
+ * Get the right edge of the outline a <use> element draws. MathJax keeps the
+ * outlines in <defs>, in the equation's own svg or in a cache shared by the page.
+ * @return {number|null}
+ */
+function getSVGGlyphWidth(use, context) {
+  const href = use.getAttribute('xlink:href') || use.getAttribute('href');
+  if (!href || href[0] !== '#') return null;
+
+  if (!context.glyphWidths) context.glyphWidths = new Map();
+  if (!context.glyphWidths.has(href)) {
+    let root = use;
+    while (root.parentNode) root = root.parentNode;
+    const path = root.querySelector(`path[id="${href.slice(1)}"]`);
+    context.glyphWidths.set(href, path ? getSVGPathRight(path.getAttribute('d') || '') : null);
   }
-  return nodeProcessor.processChildren(node, (child) => convertSVGNode(child, logger, nodeProcessor, operators, functions));
+  return context.glyphWidths.get(href);
 }
 
-function isCompoundElement(node, nodeProcessor) {
-  if (!node) return false;
-  
-  if (node.getAttribute && node.getAttribute('data-mml-node') === 'mrow') {
-    const children = Array.from(node.children || []);
-    const hasOpenParen = children.some(c => 
-      c.getAttribute('data-mml-node') === 'mo' && 
-      nodeProcessor.getNodeContent(c) === '(');
-    const hasCloseParen = children.some(c => 
-      c.getAttribute('data-mml-node') === 'mo' && 
-      nodeProcessor.getNodeContent(c) === ')');
-    
-    if (hasOpenParen && hasCloseParen) {
-      return true;
+/**
+ * Get the largest x coordinate of an outline drawn with absolute path commands
+ * @param {string} d - Path data
+ * @return {number|null} - null for relative or arc commands, which MathJax fonts do not use
+ */
+function getSVGPathRight(d) {
+  const tokens = d.match(/[A-Za-z]|-?(?:\d+\.?\d*|\.\d+)/g) || [];
+  let command = null;
+  let index = 0;
+  let right = 0;
+
+  for (const token of tokens) {
+    if (/^[A-Za-z]$/.test(token)) {
+      if (!/^[MLHVCSQTZ]$/.test(token)) return null;
+      command = token;
+      index = 0;
+      continue;
+    }
+    if (command === 'H' || (command !== 'V' && index % 2 === 0)) {
+      right = Math.max(right, parseFloat(token));
     }
+    index++;
   }
-  
-  return false;
+  return right;
 }
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { convertSVGNode };
+  module.exports = { buildSVGTree };
 } else {
-  window.svgConverter = { convertSVGNode };
-}
\ No newline at end of file
+  window.svgConverter = { buildSVGTree };
+}
@@ -0,0 +1,481 @@
+/**
+ * Typst back-end for the intermediate math tree (see math-tree.js)
+ *
+ * Produces Typst math syntax for use between $ ... $, e.g.
+ * "sum_(i=1)^n i = (n(n+1))/2" or "mat(delim: \"[\", 1, 0; 0, 1)".
+ */
+
+// Typst names for symbols; other characters are valid in Typst math as they are
+const TYPST_SYMBOLS = {
+  'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'Γ': 'Gamma', 'δ': 'delta', 'Δ': 'Delta',
+  'ε': 'epsilon', 'ϵ': 'epsilon.alt', 'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'Θ': 'Theta',
+  'ϑ': 'theta.alt', 'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'Λ': 'Lambda', 'μ': 'mu',
+  'ν': 'nu', 'ξ': 'xi', 'Ξ': 'Xi', 'π': 'pi', 'Π': 'Pi', 'ρ': 'rho', 'σ': 'sigma',
+  'ς': 'sigma.alt', 'Σ': 'Sigma', 'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'ϕ': 'phi.alt',
+  'Φ': 'Phi', 'χ': 'chi', 'ψ': 'psi', 'Ψ': 'Psi', 'ω': 'omega', 'Ω': 'Omega',
+  '−': '-', '⋅': 'dot.op', '·': 'dot.op', '×': 'times', '÷': 'div', '±': 'plus.minus',
+  '∓': 'minus.plus', '∗': 'ast', '∘': 'compose', '∑': 'sum', '∏': 'product',
+  '∫': 'integral', '∬': 'integral.double', '∭': 'integral.triple', '∮': 'integral.cont',
+  '∞': 'infinity', '∂': 'partial', '∇': 'nabla', '∅': 'emptyset', '∀': 'forall', '∃': 'exists',
+  '∪': 'union', '∧': 'and', '∨': 'or', '¬': 'not', '∖': 'without', '⊥': 'perp', '∠': 'angle',
+  '≤': '<=', '⩽': '<=', '≥': '>=', '⩾': '>=', '≠': '!=', '≈': 'approx', '≡': 'equiv',
+  '∼': 'tilde.op', '∝': 'prop', '≪': '<<', '≫': '>>',
+  '∈': 'in', '∉': 'in.not', '⊂': 'subset', '⊆': 'subset.eq', '⊃': 'supset', '⊇': 'supset.eq',
+  '→': '->', '⟶': '->', '←': '<-', '⟵': '<-', '↔': '<->', '⇒': '=>', '⟹': '==>',
+  '⇔': '<=>', '⟺': '<==>', '↦': '|->',
+  '…': 'dots.h', '⋯': 'dots.c', '⋮': 'dots.v', '⋱': 'dots.down',
+  '∣': '|', '∥': '‖', '′': "'", '″': "''", '‴': "'''", '~': 'tilde.op'
+};
+
+// Operator names Typst predefines; other names are written with op() or upright()
+const TYPST_OPERATORS = [
+  'arccos', 'arcsin', 'arctan', 'arg', 'cos', 'cosh', 'cot', 'coth', 'csc', 'csch', 'ctg',
+  'deg', 'det', 'dim', 'exp', 'gcd', 'lcm', 'hom', 'id', 'im', 'inf', 'ker', 'lg', 'lim',
+  'liminf', 'limsup', 'ln', 'log', 'max', 'min', 'mod', 'Pr', 'sec', 'sech', 'sin', 'sinc',
+  'sinh', 'sup', 'tan', 'tanh', 'tg'
+];
+
+// Characters that have a meaning in Typst math and need a backslash
+const TYPST_ESCAPED_CHARACTERS = '\\$#_^&"/@';
+
+// Font functions for mathvariant values
+const TYPST_VARIANT_COMMANDS = {
+  'normal': 'upright',
+  'bold': 'bold',
+  'bold-italic': 'bold',
+  'double-struck': 'bb',
+  'script': 'cal',
+  'bold-script': 'cal',
+  'fraktur': 'frak',
+  'bold-fraktur': 'frak',
+  'sans-serif': 'sans',
+  'bold-sans-serif': 'sans',
+  'sans-serif-italic': 'sans',
+  'sans-serif-bold-italic': 'sans',
+  'monospace': 'mono'
+};
+
+// Double-struck letters with a name of their own
+const TYPST_NUMBER_SETS = { 'C': 'CC', 'N': 'NN', 'Q': 'QQ', 'R': 'RR', 'Z': 'ZZ' };
+
+const TYPST_OVER_ACCENTS = {
+  '⃗': 'arrow',
+  '→': 'arrow',
+  '←': 'arrow.l',
+  '↔': 'arrow.l.r',
+  '̅': 'overline',
+  '¯': 'overline',
+  '‾': 'overline',
+  '―': 'overline',
+  '^': 'hat',
+  'ˆ': 'hat',
+  '̂': 'hat',
+  '~': 'tilde',
+  '˜': 'tilde',
+  '̃': 'tilde',
+  '˙': 'dot',
+  '̇': 'dot',
+  '¨': 'dot.double',
+  '̈': 'dot.double',
+  'ˇ': 'caron',
+  '˘': 'breve',
+  '´': 'acute',
+  '`': 'grave',
+  '⏞': 'overbrace'
+};
+
+const TYPST_UNDER_ACCENTS = {
+  '̲': 'underline',
+  '_': 'underline',
+  '¯': 'underline',
+  '―': 'underline',
+  '⏟': 'underbrace'
+};
+
+// Bases Typst already attaches limits to
+const TYPST_LIMIT_BASES = ['∑', '∏', '∐', '⋃', '⋂', '⋁', '⋀', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+// Bases whose scripts are limits in LaTeX but placed to the side in Typst
+const TYPST_SIDE_LIMIT_BASES = ['∫', '∬', '∭', '∮'];
+
+// Fence pairs written as a function of their content
+const TYPST_FENCE_FUNCTIONS = {
+  '||': 'abs',
+  '∣∣': 'abs',
+  '‖‖': 'norm',
+  '∥∥': 'norm',
+  '⌊⌋': 'floor',
+  '⌈⌉': 'ceil'
+};
+
+// mat() delimiters for fences drawn with other characters
+const TYPST_MATRIX_DELIMITERS = { '∣': '|', '‖': '||', '∥': '||' };
+
+// Spacing keywords by width in em
+const TYPST_SPACES = [
+  { width: 0.167, keyword: 'thin' },
+  { width: 0.222, keyword: 'med' },
+  { width: 0.278, keyword: 'thick' },
+  { width: 1, keyword: 'quad' },
+  { width: 2, keyword: 'wide' }
+];
+
+// Operators written with a space on both sides besides relations
+const TYPST_BINARY_OPERATORS = '+-−±∓×÷*⋅·∘∙∩∪∧∨⊕⊖⊗⊘∖⋆∗';
+
+// Invisible operators (function application, invisible times, separator and plus)
+const TYPST_INVISIBLE_OPERATORS = ['⁡', '⁢', '⁣', '⁤'];
+
+/**
+ * Serialize a math tree to Typst math
+ * @param {Object} tree - Tree built by one of the front-ends
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {string} - Typst math, without the surrounding $ signs
+ */
+function serializeTypst(tree, nodeProcessor, mathTree) {
+  const context = { nodeProcessor, mathTree };
+  return tidyTypst(toTypst(tree, context));
+}
+
+function toTypst(node, context) {
+  if (!node) return '';
+
+  const serializer = TYPST_SERIALIZERS[node.type];
+  return serializer ? serializer(node, context) : '';
+}
+
+const TYPST_SERIALIZERS = {
+  math: (node, context) => serializeTypstRow(node.children, context),
+
+  row: (node, context) => serializeTypstRow(node.children, context),
+
+  identifier: serializeTypstIdentifier,
+
+  number: (node) => node.text,
+
+  operator: (node) => {
+    const text = node.text.trim();
+    if (!text || TYPST_INVISIBLE_OPERATORS.includes(text)) return '';
+    if (/^\p{L}{2,}$/u.test(text)) return writeTypstName(text, 'OP');
+
+    // A comma braced into an ordinary atom, e.g. a decimal comma, gets no space after it
+    if (text === ',' && node.texClass === 'ORD') return '","';
+    return mapTypstSymbols(text);
+  },
+
+  text: (node) => {
+    const text = node.text.replace(/[\s ]+/g, ' ');
+    if (!text.trim()) return '';
+    if (Array.from(text.trim()).length === 1 && /\p{L}/u.test(text)) return mapTypstSymbols(text.trim());
+    return quoteTypst(text);
+  },
+
+  space: (node) => {
+    if (node.linebreak) return ' \\ ';
+    if (node.width === null || node.width <= 0) return '';
+    const known = TYPST_SPACES.find(space => Math.abs(space.width - node.width) < 0.02);
+    return ' ' + (known ? known.keyword : '#h(' + node.width + 'em)') + ' ';
+  },
+
+  fraction: (node, context) =>
+    groupTypst(node.numerator, context) + '/' + groupTypst(node.denominator, context),
+
+  sqrt: (node, context) => 'sqrt(' + tidyTypst(toTypst(node.body, context)) + ')',
+
+  root: (node, context) =>
+    'root(' + tidyTypst(toTypst(node.index, context)) + ', ' + tidyTypst(toTypst(node.body, context)) + ')',
+
+  scripts: (node, context) =>
+    attachTypstScripts(serializeTypstBase(node.base, context), node.sub, node.sup, context),
+
+  underover: serializeTypstUnderOver,
+
+  multiscripts: (node, context) => {
+    const args = [serializeTypstBase(node.base, context)];
+    const addPair = (pair, subKey, supKey) => {
+      if (!pair) return;
+      if (!context.mathTree.isEmptyNode(pair.sup)) args.push(supKey + ': ' + tidyTypst(toTypst(pair.sup, context)));
+      if (!context.mathTree.isEmptyNode(pair.sub)) args.push(subKey + ': ' + tidyTypst(toTypst(pair.sub, context)));
+    };
+    addPair(node.pre[0], 'bl', 'tl');
+    addPair(node.post[0], 'br', 'tr');
+    return 'attach(' + args.join(', ') + ')';
+  },
+
+  fenced: serializeTypstFenced,
+
+  table: (node, context) => serializeTypstTable(node, context, '', ''),
+
+  enclose: (node, context) => {
+    const notation = node.notation.trim().split(/\s+/).sort().join(' ');
+    const content = tidyTypst(serializeTypstRow(node.children, context));
+    if (notation === 'updiagonalstrike') return 'cancel(' + content + ')';
+    if (notation === 'downdiagonalstrike') return 'cancel(' + content + ', inverted: #true)';
+    if (notation === 'downdiagonalstrike updiagonalstrike') return 'cancel(' + content + ', cross: #true)';
+    return content;
+  },
+
+  phantom: (node, context) => '#hide($' + tidyTypst(serializeTypstRow(node.children, context)) + '$)'
+};
+
+/**
+ * Serialize the children of a row, spacing infix operators
+ */
+function serializeTypstRow(children, context) {
+  let result = '';
+  let previous = null;
+
+  for (const child of children) {
+    let text = toTypst(child, context);
+    if (!text) continue;
+
+    if (child.type === 'operator' && isTypstInfixOperator(child, context) &&
+        !context.mathTree.isPrefixSign(child, previous)) {
+      text = ' ' + text.trim() + ' ';
+    }
+
+    result = joinTypst(result, text);
+    previous = child;
+  }
+
+  return result;
+}
+
+/**
+ * Join two pieces of Typst, keeping letters apart so that e.g. "x" "y" does
+ * not read as the variable xy, and a script or denominator apart from what follows it
+ */
+function joinTypst(left, right) {
+  if ((/[A-Za-z]$/.test(left) && /^[A-Za-z0-9]/.test(right)) ||
+      (/[0-9]$/.test(left) && /^[A-Za-z]{2}/.test(right)) ||
+      (/[_^/][A-Za-z0-9.]+$/.test(left) && /^[A-Za-z0-9]/.test(right))) {
+    return left + ' ' + right;
+  }
+  return left + right;
+}
+
+/**
+ * Collapse repeated spaces and drop the ones just inside brackets
+ */
+function tidyTypst(text) {
+  return text
+    .replace(/ {2,}/g, ' ')
+    .replace(/\( +/g, '(')
+    .replace(/([^\\]) +\)/g, '$1)')
+    .trim();
+}
+
+function quoteTypst(text) {
+  return '"' + text.replace(/(["\\])/g, '\\$1') + '"';
+}
+
+/**
+ * Escape the commas and semicolons of a function argument that are not
+ * inside brackets, so that a cell of cases() or mat() stays one cell
+ */
+function escapeTypstArgument(text) {
+  let depth = 0;
+  let inString = false;
+  let result = '';
+  for (const char of text) {
+    if (char === '"' && !result.endsWith('\\')) inString = !inString;
+    if (!inString && '([{'.includes(char)) depth++;
+    if (!inString && ')]}'.includes(char)) depth--;
+    result += !inString && depth === 0 && (char === ',' || char === ';') ? '\\' + char : char;
+  }
+  return result;
+}
+
+function mapTypstSymbols(text) {
+  return Array.from(text).reduce((result, char) => {
+    let symbol = TYPST_SYMBOLS[char];
+    if (symbol === undefined) {
+      symbol = TYPST_ESCAPED_CHARACTERS.includes(char) ? '\\' + char : char;
+    }
+    return joinTypst(result, symbol);
+  }, '');
+}
+
+/**
+ * Write a multi-letter name: Typst operators as they are, other names with
+ * operator spacing or upright
+ */
+function writeTypstName(name, texClass) {
+  if (TYPST_OPERATORS.includes(name)) return name;
+  return (texClass === 'OP' ? 'op(' : 'upright(') + quoteTypst(name) + ')';
+}
+
+function serializeTypstIdentifier(node) {
+  const text = node.text;
+  if (!text) return '';
+
+  const multiLetter = Array.from(text).length > 1 && /^[A-Za-z]+$/.test(text);
+  if (multiLetter && (!node.variant || node.variant === 'normal')) {
+    return writeTypstName(text, node.texClass);
+  }
+
+  if (node.variant === 'double-struck' && TYPST_NUMBER_SETS[text]) {
+    return TYPST_NUMBER_SETS[text];
+  }
+
+  // Typst reads a run of letters as one name, so styled words are quoted
+  const symbol = multiLetter ? quoteTypst(text) : mapTypstSymbols(text);
+  if (node.variant === 'normal' && !/^[A-Za-z]$/.test(text)) return symbol;
+  if (node.variant === 'italic') return multiLetter ? 'italic(' + symbol + ')' : symbol;
+
+  const command = TYPST_VARIANT_COMMANDS[node.variant];
+  if (!command) return symbol;
+  if (node.variant === 'bold-italic') return 'bold(italic(' + symbol + '))';
+  return command + '(' + symbol + ')';
+}
+
+function isTypstInfixOperator(node, context) {
+  const text = node.text.trim();
+  if (!text || node.texClass === 'ORD') return false;
+  return TYPST_BINARY_OPERATORS.includes(text) || context.nodeProcessor.isRelationOperator(text);
+}
+
+/**
+ * Check whether a node serializes to a single token that needs no brackets
+ * as a script or fraction part
+ */
+function isTypstToken(node, text) {
+  if (!node || !['identifier', 'number', 'operator'].includes(node.type)) return false;
+  return /^(\d+(\.\d+)?|[A-Za-z]+(\.[a-z]+)*|"[^"]*")$/.test(text);
+}
+
+/**
+ * Serialize a fraction part or script, bracketing it unless it is a single token
+ * Typst drops the brackets of grouped fraction parts and scripts when rendering
+ */
+function groupTypst(node, context) {
+  const text = tidyTypst(toTypst(node, context));
+  return isTypstToken(node, text) ? text : '(' + text + ')';
+}
+
+/**
+ * Serialize a script base, bracketing bases that are more than one token
+ */
+function serializeTypstBase(base, context) {
+  if (context.mathTree.isEmptyNode(base)) return '""';
+  const text = tidyTypst(toTypst(base, context));
+  if (['identifier', 'number', 'operator', 'fenced', 'underover', 'sqrt', 'root'].includes(base.type)) return text;
+  return '(' + text + ')';
+}
+
+function attachTypstScripts(base, sub, sup, context) {
+  let result = base;
+  if (!context.mathTree.isEmptyNode(sub)) result += '_' + groupTypst(sub, context);
+
+  if (!context.mathTree.isEmptyNode(sup)) {
+    // Primes are written as f' rather than f^(')
+    const supText = ['operator', 'identifier'].includes(sup.type) ? sup.text.trim() : null;
+    if (supText && /^[′″‴']$/.test(supText) && context.mathTree.isEmptyNode(sub)) {
+      return result + mapTypstSymbols(supText);
+    }
+    result += '^' + groupTypst(sup, context);
+  }
+  return result;
+}
+
+/**
+ * Get the accent function for an under/over node whose script is a single accent character
+ * @return {string|null}
+ */
+function getTypstAccent(node) {
+  if (node.over && !node.under && node.over.type === 'operator') {
+    return TYPST_OVER_ACCENTS[node.over.text.trim()] || null;
+  }
+  if (node.under && !node.over && node.under.type === 'operator') {
+    return TYPST_UNDER_ACCENTS[node.under.text.trim()] || null;
+  }
+  return null;
+}
+
+function getTypstBaseText(node) {
+  return node && typeof node.text === 'string' ? node.text.trim() : '';
+}
+
+function serializeTypstUnderOver(node, context) {
+  const mathTree = context.mathTree;
+  const accent = getTypstAccent(node);
+  if (accent) {
+    return accent + '(' + tidyTypst(toTypst(node.base, context)) + ')';
+  }
+
+  // A label on a brace is the second argument of overbrace() and underbrace()
+  const braceAccent = node.base && node.base.type === 'underover' ? getTypstAccent(node.base) : null;
+  const label = braceAccent === 'underbrace' ? node.under : braceAccent === 'overbrace' ? node.over : null;
+  if (label && mathTree.isEmptyNode(braceAccent === 'underbrace' ? node.over : node.under)) {
+    return braceAccent + '(' + tidyTypst(toTypst(node.base.base, context)) + ', ' + tidyTypst(toTypst(label, context)) + ')';
+  }
+
+  let base = serializeTypstBase(node.base, context);
+  const baseText = getTypstBaseText(node.base);
+  if (TYPST_SIDE_LIMIT_BASES.includes(baseText) && !node.limits) {
+    return attachTypstScripts(base, node.under, node.over, context);
+  }
+  if (!TYPST_LIMIT_BASES.includes(baseText)) {
+    base = 'limits(' + base + ')';
+  }
+  return attachTypstScripts(base, node.under, node.over, context);
+}
+
+function serializeTypstFenced(node, context) {
+  const mathTree = context.mathTree;
+  const only = mathTree.getOnlyChild({ type: 'row', children: node.children });
+
+  // Fences around a table make a matrix or cases
+  if (only && only.type === 'table') {
+    return serializeTypstTable(only, context, node.open, node.close);
+  }
+
+  // A fraction without a bar in parentheses is a binomial coefficient
+  if (only && only.type === 'fraction' && mathTree.isZeroThickness(only.lineThickness) &&
+      node.open === '(' && node.close === ')') {
+    return 'binom(' + tidyTypst(toTypst(only.numerator, context)) + ', ' +
+      tidyTypst(toTypst(only.denominator, context)) + ')';
+  }
+
+  const inner = tidyTypst(serializeTypstRow(node.children, context));
+  const fenceFunction = TYPST_FENCE_FUNCTIONS[node.open + node.close];
+  if (fenceFunction) return fenceFunction + '(' + inner + ')';
+
+  // Typst only scales matching pairs by itself
+  const open = mapTypstSymbols(node.open);
+  const close = mapTypstSymbols(node.close);
+  if (!node.open || !node.close) return 'lr(' + open + inner + close + ')';
+  return open + inner + close;
+}
+
+/**
+ * Write a table: multi-line equations as rows separated by \ with & alignment
+ * points, cases with cases() and other tables with mat()
+ */
+function serializeTypstTable(table, context, open, close) {
+  const writeRow = (row, separator) =>
+    row.cells.map(cell => escapeTypstArgument(tidyTypst(toTypst(cell, context)))).join(separator);
+
+  if (!open && !close && context.mathTree.getTableAlignment(table, context.nodeProcessor.isRelationOperator)) {
+    return table.rows.map(row => row.cells.map(cell => tidyTypst(toTypst(cell, context))).join(' &')).join(' \\ ');
+  }
+
+  if (open === '{' && !close) {
+    return 'cases(' + table.rows.map(row => writeRow(row, ' & ')).join(', ') + ')';
+  }
+
+  const rows = table.rows.map(row => writeRow(row, ', ')).join('; ');
+  if (open === '(' && close === ')') return 'mat(' + rows + ')';
+
+  const fence = open || close;
+  const delim = !fence ? '#none' : quoteTypst(TYPST_MATRIX_DELIMITERS[fence] || fence);
+  return 'mat(delim: ' + delim + ', ' + rows + ')';
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { serializeTypst };
+} else {
+  window.typstSerializer = { serializeTypst };
+}
@@ -0,0 +1,345 @@
+/**
+ * Unicode text back-end for the intermediate math tree (see math-tree.js)
+ *
+ * Writes readable plain text such as "x² + √(y)" for places that take neither
+ * LaTeX nor an equation editor. Scripts use superscript and subscript
+ * characters when every character has one and fall back to ^(...) and _(...).
+ */
+
+const UNICODE_SUPERSCRIPTS = {
+  '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+  '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+  'a': 'ᵃ', 'b': 'ᵇ', 'c': 'ᶜ', 'd': 'ᵈ', 'e': 'ᵉ', 'f': 'ᶠ', 'g': 'ᵍ', 'h': 'ʰ', 'i': 'ⁱ',
+  'j': 'ʲ', 'k': 'ᵏ', 'l': 'ˡ', 'm': 'ᵐ', 'n': 'ⁿ', 'o': 'ᵒ', 'p': 'ᵖ', 'r': 'ʳ', 's': 'ˢ',
+  't': 'ᵗ', 'u': 'ᵘ', 'v': 'ᵛ', 'w': 'ʷ', 'x': 'ˣ', 'y': 'ʸ', 'z': 'ᶻ',
+  '′': '′', '″': '″', '‴': '‴', '∗': '*', '*': '*', '∘': '°'
+};
+
+const UNICODE_SUBSCRIPTS = {
+  '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+  '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+  'a': 'ₐ', 'e': 'ₑ', 'h': 'ₕ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'l': 'ₗ', 'm': 'ₘ', 'n': 'ₙ',
+  'o': 'ₒ', 'p': 'ₚ', 'r': 'ᵣ', 's': 'ₛ', 't': 'ₜ', 'u': 'ᵤ', 'v': 'ᵥ', 'x': 'ₓ'
+};
+
+// Combining marks for accents drawn over a base; '' keeps the base unmarked
+const UNICODE_OVER_ACCENTS = {
+  '⃗': '⃗',
+  '→': '⃗',
+  '̅': '̅',
+  '¯': '̅',
+  '‾': '̅',
+  '―': '̅',
+  '^': '̂',
+  'ˆ': '̂',
+  '̂': '̂',
+  '~': '̃',
+  '˜': '̃',
+  '̃': '̃',
+  '˙': '̇',
+  '̇': '̇',
+  '¨': '̈',
+  '̈': '̈',
+  'ˇ': '̌',
+  '˘': '̆',
+  '´': '́',
+  '`': '̀',
+  '⏞': ''
+};
+
+// Combining marks for accents drawn under a base
+const UNICODE_UNDER_ACCENTS = {
+  '̲': '̲',
+  '_': '̲',
+  '¯': '̲',
+  '―': '̲',
+  '⏟': ''
+};
+
+// Lines drawn along the whole base rather than over its last character
+const UNICODE_LINE_MARKS = ['̅', '̲'];
+
+// Roots with a character of their own
+const UNICODE_ROOTS = { '2': '√', '3': '∛', '4': '∜' };
+
+// Operators written with a space on both sides besides relations
+const UNICODE_BINARY_OPERATORS = '+-−±∓×÷*⋅·∘∙∩∪∧∨⊕⊖⊗⊘∖⋆∗';
+
+// Invisible operators (function application, invisible times, separator and plus)
+const UNICODE_INVISIBLE_OPERATORS = ['⁡', '⁢', '⁣', '⁤'];
+
+// Large operators whose operand follows after a space, e.g. ∑ᵢ i
+const UNICODE_LARGE_OPERATORS = '∑∏∐∫∬∭∮⋃⋂⋁⋀⨁⨂⨀';
+
+/**
+ * Serialize a math tree to readable Unicode text
+ * @param {Object} tree - Tree built by one of the front-ends
+ * @param {Object} nodeProcessor - node-processor.js exports
+ * @param {Object} mathTree - math-tree.js exports
+ * @return {string} - Unicode text
+ */
+function serializeUnicode(tree, nodeProcessor, mathTree) {
+  const context = { nodeProcessor, mathTree };
+  return tidyUnicode(toUnicode(tree, context));
+}
+
+function toUnicode(node, context) {
+  if (!node) return '';
+
+  const serializer = UNICODE_SERIALIZERS[node.type];
+  return serializer ? serializer(node, context) : '';
+}
+
+const UNICODE_SERIALIZERS = {
+  math: (node, context) => serializeUnicodeRow(node.children, context),
+
+  row: (node, context) => serializeUnicodeRow(node.children, context),
+
+  identifier: (node, context) => {
+    // Italic is the default for math letters and reads better unstyled
+    if (node.variant === 'italic') return node.text;
+    return Array.from(node.text).map(char => context.mathTree.styleMathCharacter(char, node.variant)).join('');
+  },
+
+  number: (node) => node.text,
+
+  operator: (node) => {
+    const text = node.text.trim();
+    return UNICODE_INVISIBLE_OPERATORS.includes(text) ? '' : text;
+  },
+
+  text: (node) => node.text.replace(/[\s ]+/g, ' '),
+
+  space: (node) => {
+    if (node.linebreak) return '\n';
+    return node.width !== null && node.width >= 0.15 ? ' ' : '';
+  },
+
+  fraction: (node, context) =>
+    groupUnicode(node.numerator, context) + '/' + groupUnicode(node.denominator, context),
+
+  sqrt: (node, context) => '√' + wrapUnicodeRadicand(node.body, context),
+
+  root: (node, context) => {
+    const index = tidyUnicode(toUnicode(node.index, context));
+    const sign = UNICODE_ROOTS[index] || toUnicodeScript(index, UNICODE_SUPERSCRIPTS, '^') + '√';
+    return sign + wrapUnicodeRadicand(node.body, context);
+  },
+
+  scripts: (node, context) => attachUnicodeScripts(groupUnicode(node.base, context), node.sub, node.sup, context),
+
+  underover: (node, context) => {
+    const accent = getUnicodeAccent(node);
+    if (accent !== null) return addUnicodeAccent(toUnicode(node.base, context).trim(), accent);
+    return attachUnicodeScripts(groupUnicode(node.base, context), node.under, node.over, context);
+  },
+
+  multiscripts: (node, context) => {
+    const writePairs = (pairs) => pairs.map(pair => attachUnicodeScripts('', pair.sub, pair.sup, context)).join('');
+    return writePairs(node.pre) + groupUnicode(node.base, context) + writePairs(node.post);
+  },
+
+  fenced: (node, context) => {
+    const mathTree = context.mathTree;
+    const only = mathTree.getOnlyChild({ type: 'row', children: node.children });
+
+    if (only && only.type === 'table') {
+      return serializeUnicodeTable(only, context, node.open, node.close);
+    }
+
+    // A fraction without a bar in parentheses is a binomial coefficient
+    if (only && only.type === 'fraction' && mathTree.isZeroThickness(only.lineThickness) &&
+        node.open === '(' && node.close === ')') {
+      return 'C(' + toUnicode(only.numerator, context).trim() + ', ' + toUnicode(only.denominator, context).trim() + ')';
+    }
+
+    return node.open + serializeUnicodeRow(node.children, context).trim() + node.close;
+  },
+
+  table: (node, context) => serializeUnicodeTable(node, context, '', ''),
+
+  enclose: (node, context) => serializeUnicodeRow(node.children, context),
+
+  phantom: () => ''
+};
+
+/**
+ * Serialize the children of a row, spacing infix operators and keeping
+ * function names apart from their arguments
+ */
+function serializeUnicodeRow(children, context) {
+  let result = '';
+  let previous = null;
+
+  for (const child of children) {
+    let text = toUnicode(child, context);
+    if (!text) continue;
+
+    const operator = getUnicodeRowOperator(child);
+    if (operator && isUnicodeInfixOperator(operator, context) &&
+        !context.mathTree.isPrefixSign(operator, previous)) {
+      text = ' ' + text.trim() + ' ';
+    } else if (child.type === 'operator' && /^[,;]$/.test(text) && child.texClass !== 'ORD') {
+      text += ' ';
+    } else if (/^[\p{L}\p{N}]/u.test(text) && /[\p{L}\p{N}]$/u.test(result) &&
+        (isUnicodeWordLike(previous) || isUnicodeWordLike(child))) {
+      text = ' ' + text;
+    } else if (previous && previous.type !== 'identifier' && isUnicodeWordLike(previous) && !operator) {
+      // Limits such as lim_(x→0) are set apart from their operand
+      text = ' ' + text;
+    }
+
+    result += text;
+    previous = child;
+  }
+
+  return result;
+}
+
+/**
+ * Collapse repeated spaces and trim every line
+ */
+function tidyUnicode(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').replace(/([(\[{]) /g, '$1').replace(/ ([)\]}])/g, '$1').trim())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Get the operator a row child stands for: the child itself or the base of
+ * an operator with scripts, such as =^! for \overset{!}{=}
+ */
+function getUnicodeRowOperator(node) {
+  if (node.type === 'operator') return node;
+  if ((node.type === 'scripts' || node.type === 'underover') && node.base && node.base.type === 'operator' &&
+      !UNICODE_LARGE_OPERATORS.includes(node.base.text.trim())) {
+    return node.base;
+  }
+  return null;
+}
+
+function isUnicodeInfixOperator(node, context) {
+  const text = node.text.trim();
+  if (!text || node.texClass === 'ORD') return false;
+  return UNICODE_BINARY_OPERATORS.includes(text) || context.nodeProcessor.isRelationOperator(text);
+}
+
+/**
+ * Check whether a node ends in a word, e.g. sin or lim_(x→0), so that a
+ * following letter needs a space
+ */
+function isUnicodeWordLike(node) {
+  if (!node) return false;
+  if (node.type === 'identifier' || node.type === 'operator') {
+    return /^\p{L}{2,}$/u.test(node.text.trim()) || UNICODE_LARGE_OPERATORS.includes(node.text.trim());
+  }
+  if (node.type === 'scripts' || node.type === 'underover') return isUnicodeWordLike(node.base);
+  return false;
+}
+
+/**
+ * Serialize a node, adding parentheses when it is more than a single token
+ */
+function groupUnicode(node, context) {
+  const text = toUnicode(node, context).trim();
+  if (!node || !text) return text;
+  if (['identifier', 'number', 'fenced'].includes(node.type)) return text;
+  if (node.type === 'operator' || node.type === 'scripts' || node.type === 'underover') {
+    return /\s/.test(text) ? '(' + text + ')' : text;
+  }
+  return '(' + text + ')';
+}
+
+function wrapUnicodeRadicand(body, context) {
+  const text = toUnicode(body, context).trim();
+  if (body && body.type === 'fenced' && body.open === '(' && body.close === ')') return text;
+  return '(' + text + ')';
+}
+
+/**
+ * Write script text with script characters, or with ^ or _ when some
+ * character has no script form
+ * @param {string} text - Serialized script
+ * @param {Object} characters - UNICODE_SUPERSCRIPTS or UNICODE_SUBSCRIPTS
+ * @param {string} marker - '^' or '_'
+ */
+function toUnicodeScript(text, characters, marker) {
+  const compact = text.replace(/\s+/g, '');
+  const chars = Array.from(compact);
+  if (chars.length > 0 && chars.every(char => characters[char] !== undefined)) {
+    return chars.map(char => characters[char]).join('');
+  }
+  return marker + (chars.length > 1 ? '(' + text + ')' : text);
+}
+
+function attachUnicodeScripts(base, sub, sup, context) {
+  let result = base;
+  const subText = context.mathTree.isEmptyNode(sub) ? '' : tidyUnicode(toUnicode(sub, context));
+  const supText = context.mathTree.isEmptyNode(sup) ? '' : tidyUnicode(toUnicode(sup, context));
+
+  if (subText) result += toUnicodeScript(subText, UNICODE_SUBSCRIPTS, '_');
+  if (supText) result += toUnicodeScript(supText, UNICODE_SUPERSCRIPTS, '^');
+  return result;
+}
+
+/**
+ * Get the combining mark for an under/over node whose script is a single accent character
+ * @return {string|null} - The mark, '' for braces that are left out, or null
+ */
+function getUnicodeAccent(node) {
+  const lookup = (script, accents) => {
+    const mark = accents[script.text.trim()];
+    return mark === undefined ? null : mark;
+  };
+  if (node.over && !node.under && node.over.type === 'operator') {
+    return lookup(node.over, UNICODE_OVER_ACCENTS);
+  }
+  if (node.under && !node.over && node.under.type === 'operator') {
+    return lookup(node.under, UNICODE_UNDER_ACCENTS);
+  }
+  return null;
+}
+
+/**
+ * Add a combining mark to a base, under every character for lines
+ */
+function addUnicodeAccent(base, mark) {
+  if (!mark || !base) return base;
+  if (UNICODE_LINE_MARKS.includes(mark)) {
+    return Array.from(base).map(char => char + mark).join('');
+  }
+  return base + mark;
+}
+
+/**
+ * Write a table: multi-line equations one row per line, matrices as
+ * rows separated by semicolons inside their fences
+ */
+function serializeUnicodeTable(table, context, open, close) {
+  const writeCell = (cell) => tidyUnicode(toUnicode(cell, context));
+  const alignment = !open && !close
+    ? context.mathTree.getTableAlignment(table, context.nodeProcessor.isRelationOperator)
+    : null;
+
+  if (alignment) {
+    return table.rows.map(row => {
+      const line = tidyUnicode(row.cells.map(writeCell).join(' '));
+      return row.label ? line + '   ' + row.label.trim() : line;
+    }).join('\n');
+  }
+
+  // Cases read as "condition, value" already; matrix cells need commas
+  const cellSeparator = open === '{' && !close ? ' ' : ', ';
+  const rows = table.rows.map(row => row.cells.map(writeCell).join(cellSeparator)).join('; ');
+  if (!open && !close) return '[' + rows + ']';
+  return open + rows + close;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { serializeUnicode };
+} else {
+  window.unicodeSerializer = { serializeUnicode };
+}
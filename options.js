@@ -0,0 +1,103 @@
+/**
+ * MathJaxToLaTeX - Options page
+ *
+ * Every field names the ExtensionConfig path it edits in data-setting.
+ * Changes are stored as soon as they are made, keeping only the values that
+ * differ from the defaults, and open tabs apply them without a reload.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  const defaults = window.ExtensionConfig;
+  const store = window.settingsStore;
+  const form = document.getElementById('settings-form');
+  const status = document.getElementById('status');
+  const fields = Array.from(form.querySelectorAll('[data-setting]'));
+  let statusTimer = null;
+
+  function getSetting(settings, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), settings);
+  }
+
+  function setSetting(settings, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] = object[key] || {}), settings);
+    parent[last] = value;
+  }
+
+  function isDefault(path, value) {
+    const defaultValue = getSetting(defaults, path);
+    if (Array.isArray(value)) {
+      return Array.isArray(defaultValue) && value.slice().sort().join() === defaultValue.slice().sort().join();
+    }
+    return value === defaultValue;
+  }
+
+  /**
+   * Read a field; checkboxes with a value together make up an array setting.
+   * A number field shows the number that is saved for it, see readNumberSetting.
+   */
+  function readField(field) {
+    const path = field.dataset.setting;
+    if (field.type === 'checkbox' && field.value !== 'on') {
+      return fields
+        .filter(other => other.dataset.setting === path && other.checked)
+        .map(other => other.value);
+    }
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'number') {
+      const value = store.readNumberSetting(field.value, field, getSetting(defaults, path));
+      field.value = String(value);
+      return value;
+    }
+    return field.value;
+  }
+
+  function fillForm(settings) {
+    fields.forEach(field => {
+      const value = getSetting(settings, field.dataset.setting);
+      if (field.type === 'checkbox' && Array.isArray(value)) {
+        field.checked = value.includes(field.value);
+      } else if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else {
+        field.value = String(value);
+      }
+    });
+  }
+
+  function collectChoices() {
+    const choices = {};
+    fields.forEach(field => {
+      const path = field.dataset.setting;
+      const value = readField(field);
+      if (!isDefault(path, value)) {
+        setSetting(choices, path, value);
+      }
+    });
+    return choices;
+  }
+
+  function showStatus(message) {
+    status.textContent = message;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, defaults.feedback.duration);
+  }
+
+  function save(choices) {
+    store.saveSettings(choices)
+      .then(() => showStatus('Saved'))
+      .catch(error => showStatus('Could not save: ' + error.message));
+  }
+
+  form.addEventListener('change', () => save(collectChoices()));
+
+  document.getElementById('reset-settings').addEventListener('click', () => {
+    fillForm(defaults);
+    save({});
+  });
+
+  store.loadSettings(defaults).then(fillForm);
+});
@@ -0,0 +1,93 @@
+/**
+ * MathJaxToLaTeX - Page-world bridge
+ *
+ * Runs in the page's own JavaScript world, where the MathJax object lives,
+ * which content scripts cannot see. content.js dispatches a request event on
+ * an mjx-container and this script answers with the TeX source MathJax v3
+ * keeps for it, or null when the equation was not written in TeX. It also
+ * renders copied LaTeX again with MathJax.tex2mml, so content.js can check
+ * it against the equation (modules/round-trip.js).
+ * Events are dispatched synchronously, so content.js has the answer as soon
+ * as its dispatchEvent call returns.
+ */
+
+(function() {
+  'use strict';
+
+  // Must match SOURCE_REQUEST_EVENT and SOURCE_RESPONSE_EVENT in content.js
+  const REQUEST_EVENT = 'mathjax-to-latex:request-source';
+  const RESPONSE_EVENT = 'mathjax-to-latex:source';
+
+  // Must match TEX2MML_REQUEST_EVENT and TEX2MML_RESPONSE_EVENT in content.js
+  const TEX2MML_REQUEST_EVENT = 'mathjax-to-latex:request-tex2mml';
+  const TEX2MML_RESPONSE_EVENT = 'mathjax-to-latex:tex2mml';
+
+  /**
+   * Find the MathJax v3 math item rendered into a container
+   * @param {Element} container - mjx-container
+   * @return {Object|null} - MathItem with { math, display, inputJax }
+   */
+  function findMathItem(container) {
+    const mathJax = window.MathJax;
+    const mathDocument = mathJax && mathJax.startup && mathJax.startup.document;
+    if (!mathDocument || !mathDocument.math) return null;
+
+    for (const item of mathDocument.math) {
+      if (item.typesetRoot === container) return item;
+    }
+    return null;
+  }
+
+  /**
+   * Get the mjx-container a request was dispatched on; requests from inside a
+   * shadow root reach the document retargeted to its host
+   * @param {Event} event
+   * @return {Element}
+   */
+  function getRequestTarget(event) {
+    return event.composedPath()[0] || event.target;
+  }
+
+  function answer(source) {
+    // Strings cross between the worlds where objects do not
+    document.dispatchEvent(new CustomEvent(RESPONSE_EVENT, {
+      detail: JSON.stringify({ source })
+    }));
+  }
+
+  function answerTex2mml(result) {
+    document.dispatchEvent(new CustomEvent(TEX2MML_RESPONSE_EVENT, {
+      detail: JSON.stringify(result)
+    }));
+  }
+
+  document.addEventListener(REQUEST_EVENT, (event) => {
+    try {
+      const item = findMathItem(getRequestTarget(event));
+      const isTeX = item && item.inputJax && item.inputJax.name === 'TeX';
+      answer(isTeX && typeof item.math === 'string' ? item.math : null);
+    } catch (error) {
+      answer(null);
+    }
+  });
+
+  // The request carries { latex } and is dispatched on the mjx-container,
+  // whose display attribute sets the display mode. The answer is { mathml },
+  // { error } when MathJax rejected the LaTeX, or { mathml: null } without
+  // a MathJax v3 TeX input on the page.
+  document.addEventListener(TEX2MML_REQUEST_EVENT, (event) => {
+    const mathJax = window.MathJax;
+    if (!mathJax || typeof mathJax.tex2mml !== 'function') {
+      answerTex2mml({ mathml: null });
+      return;
+    }
+
+    try {
+      const { latex } = JSON.parse(event.detail);
+      const display = getRequestTarget(event).getAttribute('display') === 'true';
+      answerTex2mml({ mathml: mathJax.tex2mml(latex, { display }) });
+    } catch (error) {
+      answerTex2mml({ error: error.message || String(error) });
+    }
+  });
+})();
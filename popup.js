@@ -1,4 +1,221 @@
+/**
+ * MathJaxToLaTeX - Popup
+ *
+ * Copies all equations of the current tab or exports the whole tab as a
+ * LaTeX document or Markdown, and lists the equations copied on
+ * any page, newest first, to be searched, copied again and exported as a
+ * LaTeX document or Markdown.
+ */
+
 document.addEventListener('DOMContentLoaded', function() {
-  // This popup is primarily informational
-  // Additional functionality could be added here if needed
+  const store = window.historyStore;
+  const { wrapLatex } = window.extensionUtils;
+  const list = document.getElementById('history-list');
+  const search = document.getElementById('history-search');
+  const status = document.getElementById('status');
+  const readyMessage = status.textContent;
+  let entries = [];
+  let statusTimer = null;
+
+  function showStatus(message) {
+    status.textContent = message;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      status.textContent = readyMessage;
+    }, window.ExtensionConfig.feedback.duration);
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  function getShownEntries() {
+    const query = search.value.trim().toLowerCase();
+    if (!query) return entries;
+
+    return entries.filter(entry =>
+      [entry.text, entry.latex, entry.title, entry.url]
+        .some(value => value && value.toLowerCase().includes(query)));
+  }
+
+  function createEntryItem(entry) {
+    const item = document.createElement('li');
+
+    const code = document.createElement('code');
+    code.textContent = entry.text;
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+
+    const source = document.createElement('a');
+    source.href = entry.url;
+    source.target = '_blank';
+    source.textContent = entry.title || entry.url;
+    source.title = entry.url;
+
+    const time = document.createElement('span');
+    time.textContent = formatTime(entry.timestamp);
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', () => {
+      navigator.clipboard.writeText(entry.text)
+        .then(() => showStatus('Copied to clipboard'))
+        .catch(() => showStatus('Could not copy'));
+    });
+
+    meta.append(source, time, copyButton);
+    item.append(code, meta);
+    return item;
+  }
+
+  function render() {
+    const shown = getShownEntries();
+    list.replaceChildren(...shown.map(createEntryItem));
+
+    if (!entries.length) {
+      status.textContent = 'No equations copied yet';
+    } else if (!shown.length) {
+      status.textContent = 'No copied equations match';
+    } else {
+      status.textContent = readyMessage;
+    }
+  }
+
+  // Exports read oldest first, like the pages they came from
+  function buildTexExport(exported) {
+    const delimiters = { inline: 'dollar', display: 'bracket' };
+    const equations = exported.map(entry => [
+      '% ' + (entry.title || '').replace(/\s+/g, ' '),
+      '% ' + entry.url,
+      '% ' + formatTime(entry.timestamp),
+      wrapLatex(entry.latex || entry.text, delimiters, entry.display)
+    ].join('\n'));
+
+    return [
+      '\\documentclass{article}',
+      '\\usepackage{amsmath}',
+      '\\usepackage{amssymb}',
+      '\\begin{document}',
+      '',
+      equations.join('\n\n'),
+      '',
+      '\\end{document}',
+      ''
+    ].join('\n');
+  }
+
+  function buildMarkdownExport(exported) {
+    const delimiters = { inline: 'dollar', display: 'double-dollar' };
+    const lines = ['# Copied equations'];
+    let lastUrl = null;
+
+    exported.forEach(entry => {
+      // One heading per run of equations from the same page
+      if (entry.url !== lastUrl) {
+        const title = (entry.title || entry.url).replace(/\s+/g, ' ').replace(/([[\]])/g, '\\$1');
+        lines.push('', '## [' + title + '](' + entry.url + ')');
+        lastUrl = entry.url;
+      }
+      lines.push('', '*' + formatTime(entry.timestamp) + '*', '', wrapLatex(entry.latex || entry.text, delimiters, entry.display));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  function exportHistory(extension) {
+    const exported = getShownEntries().slice().reverse();
+    if (!exported.length) {
+      showStatus('Nothing to export');
+      return;
+    }
+
+    const content = extension === 'tex' ? buildTexExport(exported) : buildMarkdownExport(exported);
+    downloadFile('equations.' + extension, content);
+  }
+
+  function downloadFile(fileName, content) {
+    const type = fileName.endsWith('.tex') ? 'application/x-tex' : 'text/markdown';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Ask the current tab for all its equations and copy them here, as the
+   * page has no focus to write the clipboard while the popup is open
+   */
+  function copyAllEquations() {
+    const layout = document.getElementById('copy-all-layout').value;
+
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs || !tabs.length) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'collectAllEquations', layout }, { frameId: 0 }, response => {
+        if (chrome.runtime.lastError || !response) {
+          showStatus('This page has no equations to copy');
+        } else if (response.error) {
+          showStatus('Could not copy: ' + response.error);
+        } else if (!response.count) {
+          showStatus('No equations found on this page');
+        } else {
+          navigator.clipboard.writeText(response.text)
+            .then(() => showStatus(`Copied ${response.count} equations`))
+            .catch(() => showStatus('Could not copy'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Ask the current tab for itself as a LaTeX document or Markdown and save it
+   * @param {string} format - 'tex' or 'markdown'
+   */
+  function exportPage(format) {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs || !tabs.length) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'exportPage', format }, { frameId: 0 }, response => {
+        if (chrome.runtime.lastError || !response) {
+          showStatus('This page cannot be exported');
+        } else if (response.error) {
+          showStatus('Could not export: ' + response.error);
+        } else {
+          const name = (response.title || '').trim().replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'page';
+          downloadFile(name + (format === 'tex' ? '.tex' : '.md'), response.text);
+          showStatus(`Exported the page with ${response.count} equations`);
+        }
+      });
+    });
+  }
+
+  document.getElementById('copy-all').addEventListener('click', copyAllEquations);
+  document.getElementById('export-page-tex').addEventListener('click', () => exportPage('tex'));
+  document.getElementById('export-page-md').addEventListener('click', () => exportPage('markdown'));
+  window.settingsStore.loadSettings(window.ExtensionConfig).then(settings => {
+    document.getElementById('copy-all-layout').value = settings.output.copyAllLayout;
+  });
+
+  search.addEventListener('input', render);
+  document.getElementById('export-tex').addEventListener('click', () => exportHistory('tex'));
+  document.getElementById('export-md').addEventListener('click', () => exportHistory('md'));
+  document.getElementById('clear-history').addEventListener('click', () => {
+    if (entries.length && window.confirm('Remove all copied equations from the history?')) {
+      store.requestClearHistory().catch(error => showStatus('Could not clear: ' + error.message));
+    }
+  });
+
+  store.watchHistory(history => {
+    entries = history;
+    render();
+  });
+  store.readHistory().then(history => {
+    entries = history;
+    render();
+  });
 });
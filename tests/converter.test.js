@@ -0,0 +1,256 @@
+/**
+ * Fixture tests for the converters, run in Node without a browser
+ *
+ * Every tests/<name>.html page is parsed with modules/lite-dom.js, its
+ * equations are found the way the extension finds them and converted with
+ * convertMathMLToLatex, and the LaTeX is compared with tests/<name>.tex.
+ * The .tex file holds the LaTeX of each equation in document order,
+ * separated by blank lines; whitespace is ignored in the comparison, as in
+ * extension.test.js. Adding a case is adding the two files.
+ *
+ * The fixtures in tests/generated/ are rendered from TeX by
+ * generate-fixtures.js. When the LaTeX differs from the expected LaTeX as
+ * text, both are rendered with mathjax-full and pass if the MathML has the
+ * same structure, as the extension's round-trip check compares it; without
+ * mathjax-full installed such equations are reported as skipped.
+ *
+ * Usage: node tests/converter.test.js [--verbose] [name ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../modules/lite-dom.js');
+const { findEquations, detectRenderer, convertEquation } = require('../modules/equation-extractor.js');
+const { convertMathMLToLatex } = require('../translate.js');
+const { readMathStructure, compareMathStructures } = require('../modules/round-trip.js');
+const { isMathJaxInstalled, texToMathML } = require('./mathjax-render.js');
+
+const FIXTURES_DIR = __dirname;
+
+// Subdirectories with more fixtures, named by their path, e.g. "generated/cube_root.svg"
+const FIXTURE_SUBDIRS = ['generated'];
+
+// Check if verbose mode is enabled (via --verbose flag or VERBOSE env var)
+const VERBOSE = process.argv.includes('--verbose') || process.env.VERBOSE === 'true';
+
+// ANSI color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+// Renderers read by convertMathMLToLatex itself; the others go through the
+// extractor, which reads their source or MathML first
+const TRANSLATOR_RENDERERS = ['SVG', 'CHTML', 'MathML'];
+
+// Function to normalize strings for comparison by removing all whitespace differences
+function normalizeForComparison(str) {
+  return str.replace(/\s+/g, '').trim();
+}
+
+/**
+ * Find the fixtures, optionally only those named on the command line. A name
+ * also selects the variants of a generated fixture ("generated/cube_root")
+ * and a whole subdirectory ("generated").
+ * @param {Array<string>} names - Fixture names without extension
+ * @return {Array<string>} - Fixture names
+ */
+function listFixtures(names) {
+  const fixtures = ['', ...FIXTURE_SUBDIRS]
+    .filter(dir => fs.existsSync(path.join(FIXTURES_DIR, dir)))
+    .flatMap(dir => fs.readdirSync(path.join(FIXTURES_DIR, dir))
+      .filter(file => file.endsWith('.html'))
+      .map(file => path.posix.join(dir, path.basename(file, '.html'))))
+    .sort();
+  if (!names.length) return fixtures;
+  return fixtures.filter(fixture => names.some(name =>
+    fixture === name || fixture.startsWith(name + '.') || fixture.startsWith(name + '/')));
+}
+
+/**
+ * Read the expected LaTeX of a fixture
+ * @param {string} name - Fixture name
+ * @return {Array<string>|null} - LaTeX of each equation, or null without a .tex file
+ */
+function readExpected(name) {
+  const file = path.join(FIXTURES_DIR, name + '.tex');
+  if (!fs.existsSync(file)) return null;
+  return fs.readFileSync(file, 'utf8').split(/\n\s*\n/).map(latex => latex.trim()).filter(Boolean);
+}
+
+/**
+ * Convert every equation of a fixture page
+ * @param {string} name - Fixture name
+ * @return {Array<string>} - LaTeX of each equation in document order
+ */
+function convertFixture(name) {
+  const doc = parseMarkup(fs.readFileSync(path.join(FIXTURES_DIR, name + '.html'), 'utf8'));
+  return findEquations(doc).map(element => {
+    const latex = TRANSLATOR_RENDERERS.includes(detectRenderer(element))
+      ? convertMathMLToLatex(element)
+      : convertEquation(element, 'latex');
+    return latex.trim();
+  });
+}
+
+/**
+ * Describe where two strings first differ
+ */
+function describeDifference(got, expected) {
+  const minLen = Math.min(got.length, expected.length);
+  for (let i = 0; i < minLen; i++) {
+    if (got[i] !== expected[i]) {
+      return `First difference at position ${i}: got '${got[i]}', expected '${expected[i]}'`;
+    }
+  }
+  return got.length > expected.length
+    ? `Extra characters at end: "${got.substring(expected.length)}"`
+    : `Missing characters at end: "${expected.substring(got.length)}"`;
+}
+
+// Table attributes that tell environments apart (matrix, array{lr}, gathered),
+// which the structure comparison leaves out
+const TABLE_ATTRIBUTES = ['columnalign', 'displaystyle'];
+
+/**
+ * Read the structure of the MathML that mathjax-full renders LaTeX to
+ * @param {string} latex
+ * @return {Promise<Object>} - { error, structure, tables } with the
+ *   TABLE_ATTRIBUTES of each mtable
+ */
+async function renderStructure(latex) {
+  const math = parseMarkup(await texToMathML(latex)).querySelector('math');
+  const merror = math.querySelector('merror');
+  if (merror) {
+    return { error: merror.getAttribute('data-mjx-error') || merror.textContent.trim(), structure: null, tables: [] };
+  }
+  const tables = math.querySelectorAll('mtable').map(table =>
+    TABLE_ATTRIBUTES.map(name => `${name}="${table.getAttribute(name) || ''}"`).join(' '));
+  return { error: null, structure: readMathStructure(math), tables };
+}
+
+/**
+ * Check whether LaTeX that differs from the expected LaTeX as text renders
+ * to the same equation
+ * @param {string} latex - Converted LaTeX
+ * @param {string} expected - Expected LaTeX
+ * @return {Promise<Array<string>|null>} - Mismatches, empty when equivalent,
+ *   or null without mathjax-full
+ */
+async function compareRendered(latex, expected) {
+  if (!isMathJaxInstalled()) return null;
+
+  const [actualRender, expectedRender] = await Promise.all([renderStructure(latex), renderStructure(expected)]);
+  if (expectedRender.error) return [`expected LaTeX does not render: ${expectedRender.error}`];
+  if (actualRender.error) return [`LaTeX does not render: ${actualRender.error}`];
+  const mismatches = compareMathStructures(expectedRender.structure, actualRender.structure);
+  expectedRender.tables.forEach((attributes, index) => {
+    if (attributes !== actualRender.tables[index]) {
+      mismatches.push(`mtable #${index + 1}: expected ${attributes}, got ${actualRender.tables[index] || 'nothing'}`);
+    }
+  });
+  return mismatches;
+}
+
+/**
+ * Run one fixture
+ * @param {string} name - Fixture name
+ * @return {Promise<string>} - 'passed', 'failed' or 'skipped'
+ */
+async function runFixture(name) {
+  const expected = readExpected(name);
+  if (!expected) {
+    console.log(`${colors.red}✗ ${name}: no ${name}.tex with the expected LaTeX${colors.reset}`);
+    return 'failed';
+  }
+
+  let actual;
+  try {
+    actual = convertFixture(name);
+  } catch (error) {
+    console.log(`${colors.red}✗ ${name}: ${error.stack || error.message}${colors.reset}`);
+    return 'failed';
+  }
+
+  if (actual.length !== expected.length) {
+    console.log(`${colors.red}✗ ${name}: found ${actual.length} equations, expected ${expected.length}${colors.reset}`);
+    actual.forEach(latex => console.log('   ', latex));
+    return 'failed';
+  }
+
+  let result = 'passed';
+  for (const [index, latex] of actual.entries()) {
+    const label = expected.length > 1 ? `${name} #${index + 1}` : name;
+    const normalizedActual = normalizeForComparison(latex);
+    const normalizedExpected = normalizeForComparison(expected[index]);
+
+    if (normalizedActual === normalizedExpected) {
+      console.log(`${colors.green}✓ ${label}${colors.reset}`);
+      if (VERBOSE) console.log('   ', latex);
+      continue;
+    }
+
+    // Only generated fixtures expect their TeX source rather than the converter's own LaTeX
+    const generated = name.includes('/');
+    const mismatches = generated ? await compareRendered(latex, expected[index]) : [];
+    if (generated && mismatches && !mismatches.length) {
+      console.log(`${colors.green}≈ ${label} (renders the same)${colors.reset}`);
+      if (VERBOSE) console.log('   ', latex);
+      continue;
+    }
+
+    if (generated && !mismatches) {
+      if (result === 'passed') result = 'skipped';
+      console.log(`${colors.yellow}- ${label} (differs as text; install mathjax-full to compare the rendering)${colors.reset}`);
+      if (VERBOSE) console.log('   ', latex);
+      continue;
+    }
+
+    result = 'failed';
+    console.log(`${colors.red}✗ ${label}${colors.reset}`);
+    console.log(`    Got:      ${latex}`);
+    console.log(`    Expected: ${expected[index]}`);
+    console.log(`    ${describeDifference(normalizedActual, normalizedExpected)}`);
+    mismatches.forEach(mismatch => console.log(`    ${mismatch}`));
+  }
+  return result;
+}
+
+async function main(args) {
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const fixtures = listFixtures(names);
+  if (!fixtures.length) {
+    console.log(`${colors.yellow}No fixtures found${names.length ? ' for ' + names.join(', ') : ''}${colors.reset}`);
+    return 1;
+  }
+
+  const failed = [];
+  const skipped = [];
+  for (const name of fixtures) {
+    const result = await runFixture(name);
+    if (result === 'failed') failed.push(name);
+    if (result === 'skipped') skipped.push(name);
+  }
+
+  const passed = fixtures.length - failed.length - skipped.length;
+  const color = failed.length ? colors.red : colors.green;
+  console.log(`\n${color}${passed}/${fixtures.length} fixtures passed${colors.reset}`);
+  if (skipped.length) {
+    console.log(`${colors.yellow}${skipped.length} skipped without mathjax-full${colors.reset}`);
+  }
+  if (failed.length) {
+    console.log(`${colors.cyan}Failed: ${failed.join(', ')}${colors.reset}`);
+  }
+  return failed.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { normalizeForComparison, listFixtures, readExpected, describeDifference };
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Generate converter test fixtures from TeX
+ *
+ * Usage: node tests/generate-fixtures.js [--out <dir>] [--display] [list.txt ...]
+ *
+ * Each line of a list is "name: TeX"; blank lines and lines starting with #
+ * are skipped. Every TeX string is rendered with mathjax-full into each of
+ * RENDER_VARIANTS in tests/mathjax-render.js (SVG and CHTML output, plain,
+ * with assistive MathML and with semantic enrichment) and saved as
+ * <dir>/<name>.<variant>.html, with the TeX itself as the expected LaTeX in
+ * <dir>/<name>.<variant>.tex. tests/converter.test.js runs them with the
+ * hand-made fixtures; LaTeX that differs from the TeX as text passes when it
+ * renders to the same equation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RENDER_VARIANTS, isMathJaxInstalled, renderTeX } = require('./mathjax-render.js');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, 'generated');
+const DEFAULT_LIST = path.join(DEFAULT_OUT_DIR, 'fixtures.txt');
+
+const USAGE = `Usage: node tests/generate-fixtures.js [options] [list.txt ...]
+
+Renders each "name: TeX" line of the lists with mathjax-full and saves a
+fixture page and its expected LaTeX for every output variant:
+  ${Object.keys(RENDER_VARIANTS).join(', ')}
+
+Options:
+  --out <dir>   Directory for the fixtures (default: tests/generated)
+  --display     Render the equations as display equations
+  -h, --help    Show this help
+
+Without a list, ${path.relative(process.cwd(), DEFAULT_LIST)} is read.`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments without the node and script paths
+ * @return {Object} - { outDir, display, help, lists }
+ */
+function parseArgs(args) {
+  const options = { outDir: DEFAULT_OUT_DIR, display: false, help: false, lists: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out') {
+      if (!args[i + 1]) throw new Error('--out needs a directory');
+      options.outDir = path.resolve(args[++i]);
+    } else if (arg === '--display') {
+      options.display = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.lists.push(path.resolve(arg));
+    }
+  }
+
+  if (!options.lists.length) options.lists.push(DEFAULT_LIST);
+  return options;
+}
+
+/**
+ * Read the "name: TeX" entries of a list
+ * @param {string} file - List file
+ * @return {Array<Object>} - { name, tex }
+ */
+function readList(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').map((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+
+    const match = trimmed.match(/^([\w-]+):\s*(.+)$/);
+    if (!match) {
+      throw new Error(`${path.basename(file)}:${index + 1}: expected "name: TeX"`);
+    }
+    return { name: match[1], tex: match[2] };
+  }).filter(Boolean);
+}
+
+/**
+ * Lay out a fixture page around a rendered equation
+ * @param {string} title
+ * @param {string} container - mjx-container markup
+ * @return {string}
+ */
+function buildFixturePage(title, container) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+</head>
+<body>
+
+    <!--
+      Generated by tests/generate-fixtures.js; the TeX it was rendered from
+      is the expected LaTeX in the .tex file of the same name
+    -->
+    ${container}
+
+</body>
+</html>
+`;
+}
+
+/**
+ * Render one entry into every variant and save the fixtures
+ * @param {Object} entry - { name, tex }
+ * @param {Object} options - Parsed arguments
+ * @return {Promise<Array<string>>} - Names of the saved fixtures
+ */
+async function generateEntry(entry, options) {
+  const saved = [];
+  for (const [variant, renderOptions] of Object.entries(RENDER_VARIANTS)) {
+    const name = `${entry.name}.${variant}`;
+    const container = await renderTeX(entry.tex, { ...renderOptions, display: options.display });
+
+    fs.writeFileSync(path.join(options.outDir, name + '.html'),
+      buildFixturePage(`Generated fixture - ${entry.name} (${variant})`, container));
+    fs.writeFileSync(path.join(options.outDir, name + '.tex'), entry.tex + '\n');
+    saved.push(name);
+  }
+  return saved;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!isMathJaxInstalled()) {
+    console.error('mathjax-full is not installed; run npm install first');
+    return 1;
+  }
+
+  let entries;
+  try {
+    entries = options.lists.flatMap(readList);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    return 1;
+  }
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+  for (const entry of entries) {
+    try {
+      const saved = await generateEntry(entry, options);
+      console.log(`${entry.name}: ${saved.length} fixtures`);
+    } catch (error) {
+      console.error(`[ERROR] ${entry.name}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  console.log(`Saved ${entries.length * Object.keys(RENDER_VARIANTS).length} fixtures in ${path.relative(process.cwd(), options.outDir) || '.'}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, readList, buildFixturePage, main };
@@ -0,0 +1,124 @@
+/**
+ * Rendering TeX with a locally installed mathjax-full, for the fixture
+ * generator and the converter tests
+ *
+ * mathjax-full is a devDependency; without it isMathJaxInstalled() is false
+ * and the tests compare LaTeX as text only.
+ */
+
+// Output variants of a generated fixture, keyed by the suffix of its file name
+const RENDER_VARIANTS = {
+  'svg': { output: 'svg', assistive: false, enrich: false },
+  'svg-assistive': { output: 'svg', assistive: true, enrich: false },
+  'svg-enriched': { output: 'svg', assistive: true, enrich: true },
+  'chtml': { output: 'chtml', assistive: false, enrich: false },
+  'chtml-assistive': { output: 'chtml', assistive: true, enrich: false },
+  'chtml-enriched': { output: 'chtml', assistive: true, enrich: true }
+};
+
+// Fonts of CHTML output, which a browser opening a fixture loads from the CDN
+const CHTML_FONT_URL = 'https://cdn.jsdelivr.net/npm/mathjax@3/es5/output/chtml/fonts/woff-v2';
+
+let mathJaxModules;
+
+/**
+ * Load the mathjax-full modules once
+ * @return {Object|null} - The modules, or null when mathjax-full is not installed
+ */
+function loadMathJax() {
+  if (mathJaxModules !== undefined) return mathJaxModules;
+
+  try {
+    mathJaxModules = {
+      mathjax: require('mathjax-full/js/mathjax.js').mathjax,
+      TeX: require('mathjax-full/js/input/tex.js').TeX,
+      MathML: require('mathjax-full/js/input/mathml.js').MathML,
+      SVG: require('mathjax-full/js/output/svg.js').SVG,
+      CHTML: require('mathjax-full/js/output/chtml.js').CHTML,
+      liteAdaptor: require('mathjax-full/js/adaptors/liteAdaptor.js').liteAdaptor,
+      RegisterHTMLHandler: require('mathjax-full/js/handlers/html.js').RegisterHTMLHandler,
+      AssistiveMmlHandler: require('mathjax-full/js/a11y/assistive-mml.js').AssistiveMmlHandler,
+      EnrichHandler: require('mathjax-full/js/a11y/semantic-enrich.js').EnrichHandler,
+      AllPackages: require('mathjax-full/js/input/tex/AllPackages.js').AllPackages,
+      STATE: require('mathjax-full/js/core/MathItem.js').STATE,
+      SerializedMmlVisitor: require('mathjax-full/js/core/MmlTree/SerializedMmlVisitor.js').SerializedMmlVisitor
+    };
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    mathJaxModules = null;
+  }
+  return mathJaxModules;
+}
+
+function isMathJaxInstalled() {
+  return loadMathJax() !== null;
+}
+
+/**
+ * Run a conversion with its own MathJax document. Each call registers a
+ * fresh HTML handler, as the assistive and enrichment extensions change the
+ * handler they are given, and unregisters it afterwards.
+ * @param {Object} options - { output, assistive, enrich }
+ * @param {Function} convert - Receives (mathDocument, adaptor) and returns the result
+ * @return {Promise<*>}
+ */
+async function withMathJaxDocument(options, convert) {
+  const mj = loadMathJax();
+  if (!mj) throw new Error('mathjax-full is not installed; run npm install');
+
+  const adaptor = mj.liteAdaptor();
+  const handler = mj.RegisterHTMLHandler(adaptor);
+  if (options.enrich) mj.EnrichHandler(handler, new mj.MathML());
+  if (options.assistive) mj.AssistiveMmlHandler(handler);
+
+  try {
+    const mathDocument = mj.mathjax.document('', {
+      InputJax: new mj.TeX({ packages: mj.AllPackages }),
+      OutputJax: options.output === 'chtml'
+        ? new mj.CHTML({ fontURL: CHTML_FONT_URL })
+        : new mj.SVG({ fontCache: 'local' })
+    });
+    // Enrichment loads the speech rule engine, which MathJax retries for
+    return await mj.mathjax.handleRetriesFor(() => convert(mathDocument, adaptor));
+  } finally {
+    mj.mathjax.handlers.unregister(handler);
+  }
+}
+
+/**
+ * Render TeX as a MathJax page would
+ * @param {string} tex
+ * @param {Object} options
+ * @param {string} options.output - 'svg' or 'chtml'
+ * @param {boolean} [options.assistive=false] - Add mjx-assistive-mml
+ * @param {boolean} [options.enrich=false] - Add the data-semantic-* attributes of semantic enrichment
+ * @param {boolean} [options.display=false] - Render as a display equation
+ * @return {Promise<string>} - The mjx-container markup
+ */
+function renderTeX(tex, options) {
+  return withMathJaxDocument(options, (mathDocument, adaptor) => {
+    const node = mathDocument.convert(tex, { display: Boolean(options.display) });
+    return adaptor.outerHTML(node);
+  });
+}
+
+/**
+ * Convert TeX to MathML, as MathJax.tex2mml does in a page
+ * @param {string} tex
+ * @param {boolean} [display=false]
+ * @return {Promise<string>} - A <math> element
+ */
+function texToMathML(tex, display = false) {
+  const mj = loadMathJax();
+  return withMathJaxDocument({ output: 'svg' }, (mathDocument) => {
+    const mml = mathDocument.convert(tex, { display, end: mj.STATE.CONVERT });
+    return new mj.SerializedMmlVisitor().visitTree(mml);
+  });
+}
+
+module.exports = {
+  RENDER_VARIANTS,
+  isMathJaxInstalled,
+  renderTeX,
+  texToMathML
+};
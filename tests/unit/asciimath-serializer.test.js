@@ -0,0 +1,41 @@
+/**
+ * Tests for the AsciiMath serializer (modules/asciimath-serializer.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathMLFromAssistiveMML } = require('../../translate.js');
+
+function toAsciiMath(mathml) {
+  return convertMathMLFromAssistiveMML(parseMarkup(mathml).querySelector('math'), 'asciimath');
+}
+
+describe('serializeAsciiMath', () => {
+  it('writes fractions, roots and scripts', () => {
+    assert.equal(toAsciiMath('<math><mfrac><mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mi>c</mi></mfrac></math>'), '(a + b)/c');
+    assert.equal(toAsciiMath('<math><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><msqrt><mi>y</mi></msqrt></math>'), 'x^2 + sqrt(y)');
+    assert.equal(toAsciiMath('<math><mroot><mi>x</mi><mn>3</mn></mroot></math>'), 'root(3)(x)');
+  });
+
+  it('writes limits of large operators in parentheses', () => {
+    const mathml = '<math><munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><mi>i</mi></math>';
+    assert.equal(toAsciiMath(mathml), 'sum_(i = 1)^n i');
+  });
+
+  it('uses AsciiMath names for symbols and styled letters', () => {
+    assert.equal(toAsciiMath('<math><mi>α</mi><mo>≤</mo><mi>β</mi></math>'), 'alpha <= beta');
+    assert.equal(toAsciiMath('<math><mi mathvariant="double-struck">R</mi></math>'), 'RR');
+  });
+
+  it('writes a matrix as nested brackets', () => {
+    const mathml = '<math><mrow><mo>(</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr>' +
+      '<mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>)</mo></mrow></math>';
+    assert.equal(toAsciiMath(mathml), '((a,b),(c,d))');
+  });
+
+  it('quotes text and names that are no AsciiMath symbol', () => {
+    assert.equal(toAsciiMath('<math><mtext>if&#xA0;</mtext><mi>x</mi></math>'), '"if "x');
+    assert.equal(toAsciiMath('<math><mi>Var</mi><mo>(</mo><mi>X</mi><mo>)</mo></math>'), '"Var"(X)');
+  });
+});
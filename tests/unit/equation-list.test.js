@@ -0,0 +1,74 @@
+/**
+ * Tests for "copy all equations" (modules/equation-list.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { buildEquationList, escapeLatexText, escapeMarkdownText } = require('../../modules/equation-list.js');
+
+/**
+ * Take the rendered equation of a generated fixture
+ * @param {string} name - Fixture name, e.g. "fraction.svg"
+ * @param {boolean} [display] - Mark it as a display equation
+ * @return {string} - mjx-container markup
+ */
+function readContainer(name, display = false) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  const container = html.match(/<mjx-container[\s\S]*<\/mjx-container>/)[0];
+  return display ? container.replace('<mjx-container ', '<mjx-container display="true" ') : container;
+}
+
+const PAGE = parseMarkup(`<html><body>
+  <h1>Roots &amp; fractions</h1>
+  <p>The root is ${readContainer('square_root.svg')} and 50% of it.</p>
+  <p>Then ${readContainer('fraction.chtml', true)}</p>
+  <div>${readContainer('cube_root.svg-assistive')}</div>
+  <script>var x_1 = 1;</script>
+</body></html>`);
+
+describe('buildEquationList', () => {
+  it('numbers the equations in document order', () => {
+    assert.deepEqual(buildEquationList(PAGE), {
+      text: '1. \\sqrt{x^{2} + 1}\n2. \\frac{a + b}{c - d}\n3. \\sqrt[3]{27}',
+      count: 3
+    });
+  });
+
+  it('writes the list in the chosen output format', () => {
+    assert.equal(buildEquationList(PAGE, { format: 'unicode' }).text, '1. √(x² + 1)\n2. (a + b)/(c − d)\n3. ∛(27)');
+  });
+
+  it('writes a LaTeX body with the paragraph text and display math on its own lines', () => {
+    assert.equal(buildEquationList(PAGE, { layout: 'latex' }).text,
+      'The root is $\\sqrt{x^{2} + 1}$ and 50\\% of it.\n\nThen\n\\[\\frac{a + b}{c - d}\\]\n\n$\\sqrt[3]{27}$');
+  });
+
+  it('writes Markdown with $ and $$ math', () => {
+    assert.equal(buildEquationList(PAGE, { layout: 'markdown' }).text,
+      'The root is $\\sqrt{x^{2} + 1}$ and 50% of it.\n\nThen\n$$\\frac{a + b}{c - d}$$\n\n$\\sqrt[3]{27}$');
+  });
+
+  it('prefers the TeX source the page kept and drops trailing periods when asked', () => {
+    const recoverSource = element => (element.getAttribute('display') === 'true' ? '\\frac{a+b}{c-d}.' : null);
+    assert.equal(buildEquationList(PAGE, { recoverSource }).text.split('\n')[1], '2. \\frac{a+b}{c-d}.');
+    assert.equal(buildEquationList(PAGE, { recoverSource, removeTrailingPeriod: true }).text.split('\n')[1], '2. \\frac{a+b}{c-d}');
+  });
+
+  it('returns no text for a page without equations', () => {
+    assert.deepEqual(buildEquationList(parseMarkup('<p>No math here.</p>'), { layout: 'latex' }), { text: '', count: 0 });
+  });
+});
+
+describe('escaping prose', () => {
+  it('escapes the TeX special characters for the LaTeX layout', () => {
+    assert.equal(escapeLatexText('50% of $5 & #1_a {b} ~ ^ \\'),
+      '50\\% of \\$5 \\& \\#1\\_a \\{b\\} \\textasciitilde{} \\textasciicircum{} \\textbackslash{}');
+  });
+
+  it('escapes Markdown markup and dollar signs for the Markdown layout', () => {
+    assert.equal(escapeMarkdownText('*a* _b_ `c` $5 [d] <e> \\'), '\\*a\\* \\_b\\_ \\`c\\` \\$5 \\[d\\] \\<e> \\\\');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for the helpers of the converter fixture runner (tests/converter.test.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeForComparison, listFixtures, readExpected, describeDifference } = require('../converter.test.js');
+
+describe('fixture runner', () => {
+  it('ignores whitespace when comparing LaTeX', () => {
+    assert.equal(normalizeForComparison(' \\frac{a}{b} +\n c '), '\\frac{a}{b}+c');
+  });
+
+  it('lists the hand-made and the generated fixtures', () => {
+    const fixtures = listFixtures([]);
+    assert.ok(fixtures.includes('test_cube_root'));
+    assert.ok(fixtures.includes('generated/cube_root.svg'));
+  });
+
+  it('selects a fixture, the variants of a generated fixture and a whole directory by name', () => {
+    assert.deepEqual(listFixtures(['test_cube_root']), ['test_cube_root']);
+    assert.deepEqual(listFixtures(['generated/cube_root']), [
+      'generated/cube_root.chtml', 'generated/cube_root.chtml-assistive', 'generated/cube_root.chtml-enriched',
+      'generated/cube_root.svg', 'generated/cube_root.svg-assistive', 'generated/cube_root.svg-enriched'
+    ]);
+    assert.ok(listFixtures(['generated']).every(name => name.startsWith('generated/')));
+  });
+
+  it('reads one expected equation per blank-line separated block', () => {
+    const expected = readExpected('test_system_equations');
+    assert.equal(expected.length, 1);
+    assert.ok(expected[0].startsWith('\\begin{cases}'));
+    assert.equal(readExpected('no_such_fixture'), null);
+  });
+
+  it('describes where two strings first differ', () => {
+    assert.equal(describeDifference('ab', 'ac'), "First difference at position 1: got 'b', expected 'c'");
+    assert.equal(describeDifference('abc', 'ab'), 'Extra characters at end: "c"');
+    assert.equal(describeDifference('a', 'ab'), 'Missing characters at end: "b"');
+  });
+});
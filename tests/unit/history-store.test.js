@@ -0,0 +1,173 @@
+/**
+ * Tests for the history of copied equations (modules/history-store.js)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HISTORY_STORAGE_KEY,
+  readHistory,
+  addHistoryEntry,
+  clearHistory,
+  requestAddHistoryEntry,
+  requestClearHistory,
+  handleHistoryMessage,
+  watchHistory
+} = require('../../modules/history-store.js');
+
+/**
+ * Install a chrome.storage.local stand-in that answers asynchronously, as
+ * the real one does
+ * @return {Object} - { items, listeners }
+ */
+function installChromeStorage() {
+  const items = {};
+  const listeners = [];
+  global.chrome = {
+    runtime: { lastError: null },
+    storage: {
+      local: {
+        get: (defaults, callback) => setImmediate(() => callback(JSON.parse(JSON.stringify({ ...defaults, ...items })))),
+        set: (changes, callback) => setImmediate(() => {
+          Object.assign(items, JSON.parse(JSON.stringify(changes)));
+          callback();
+        })
+      },
+      onChanged: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+      }
+    }
+  };
+  return { items, listeners };
+}
+
+function entry(text, url = 'https://example.org/') {
+  return { text, format: 'latex', latex: text, display: false, url, title: 'Example', timestamp: 0 };
+}
+
+let storage;
+
+beforeEach(() => {
+  storage = installChromeStorage();
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+describe('addHistoryEntry', () => {
+  it('keeps the newest entry first', async () => {
+    await addHistoryEntry(entry('a'), 10);
+    await addHistoryEntry(entry('b'), 10);
+    assert.deepEqual((await readHistory()).map(item => item.text), ['b', 'a']);
+  });
+
+  it('keeps every entry added at the same time', async () => {
+    await Promise.all(['a', 'b', 'c', 'd'].map(text => addHistoryEntry(entry(text), 10)));
+    assert.deepEqual(storage.items[HISTORY_STORAGE_KEY].map(item => item.text), ['d', 'c', 'b', 'a']);
+  });
+
+  it('moves a copy of the same equation from the same page to the top', async () => {
+    await addHistoryEntry(entry('a'), 10);
+    await addHistoryEntry(entry('b'), 10);
+    await addHistoryEntry(entry('a', 'https://example.org/other'), 10);
+    await addHistoryEntry(entry('a'), 10);
+    assert.deepEqual((await readHistory()).map(item => [item.text, item.url]), [
+      ['a', 'https://example.org/'],
+      ['a', 'https://example.org/other'],
+      ['b', 'https://example.org/']
+    ]);
+  });
+
+  it('drops the oldest entries beyond the cap', async () => {
+    for (const text of ['a', 'b', 'c']) await addHistoryEntry(entry(text), 2);
+    assert.deepEqual((await readHistory()).map(item => item.text), ['c', 'b']);
+  });
+
+  it('goes on after a write that failed', async () => {
+    const set = global.chrome.storage.local.set;
+    global.chrome.storage.local.set = (changes, callback) => {
+      global.chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+      callback();
+      global.chrome.runtime.lastError = null;
+      global.chrome.storage.local.set = set;
+    };
+    await assert.rejects(addHistoryEntry(entry('a'), 10), /quota exceeded/);
+    await addHistoryEntry(entry('b'), 10);
+    assert.deepEqual((await readHistory()).map(item => item.text), ['b']);
+  });
+});
+
+describe('clearHistory', () => {
+  it('removes every entry, after the entries added before it', async () => {
+    const added = addHistoryEntry(entry('a'), 10);
+    await clearHistory();
+    await added;
+    assert.deepEqual(await readHistory(), []);
+  });
+});
+
+describe('changes sent to the service worker', () => {
+  /**
+   * Deliver chrome.runtime messages to the service worker's listener a turn
+   * later, as Chrome does; without an answer the callback gets nothing
+   */
+  function installServiceWorker() {
+    global.chrome.runtime.sendMessage = (message, callback) => setImmediate(() => {
+      if (!handleHistoryMessage(message, {}, callback)) callback(undefined);
+    });
+  }
+
+  it('adds the entries copied in every frame and tab', async () => {
+    installServiceWorker();
+    const pages = ['https://example.org/a', 'https://example.org/b', 'https://example.net/'];
+    await Promise.all(pages.map((url, index) => requestAddHistoryEntry(entry('x' + index, url), 10)));
+    assert.deepEqual(storage.items[HISTORY_STORAGE_KEY].map(item => item.text), ['x2', 'x1', 'x0']);
+  });
+
+  it('clears the history after the entries sent before it', async () => {
+    installServiceWorker();
+    const added = requestAddHistoryEntry(entry('a'), 10);
+    await requestClearHistory();
+    await added;
+    assert.deepEqual(await readHistory(), []);
+  });
+
+  it('passes on a write that failed', async () => {
+    installServiceWorker();
+    global.chrome.storage.local.set = (changes, callback) => {
+      global.chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+      callback();
+      global.chrome.runtime.lastError = null;
+    };
+    await assert.rejects(requestAddHistoryEntry(entry('a'), 10), /quota exceeded/);
+  });
+
+  it('leaves other messages to the other listeners', async () => {
+    assert.equal(handleHistoryMessage({ action: 'copyEquation' }, {}, () => {}), false);
+
+    global.chrome.runtime.sendMessage = (message, callback) => setImmediate(() => callback(undefined));
+    await assert.rejects(requestClearHistory(), /No answer/);
+  });
+});
+
+describe('watchHistory', () => {
+  it('passes on changes of the local history until stopped', () => {
+    const received = [];
+    const stop = watchHistory(entries => received.push(entries));
+    storage.listeners.forEach(listener => listener({ [HISTORY_STORAGE_KEY]: { newValue: [entry('a')] } }, 'local'));
+    storage.listeners.forEach(listener => listener({ [HISTORY_STORAGE_KEY]: { newValue: [] } }, 'sync'));
+    assert.deepEqual(received, [[entry('a')]]);
+
+    stop();
+    assert.equal(storage.listeners.length, 0);
+  });
+});
+
+describe('outside the extension', () => {
+  it('reads an empty history', async () => {
+    delete global.chrome;
+    assert.deepEqual(await readHistory(), []);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the Node API (index.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mathmlToLatex, mathmlToLatexResult } = require('../../index.js');
+
+describe('mathmlToLatex', () => {
+  it('converts a MathML string', () => {
+    assert.equal(mathmlToLatex('<math><mfrac><mn>1</mn><mn>2</mn></mfrac></math>'), '\\frac{1}{2}');
+  });
+
+  it('wraps bare presentation markup in a math element', () => {
+    assert.equal(mathmlToLatex('<msup><mi>x</mi><mn>2</mn></msup>'), 'x^{2}');
+  });
+
+  it('rejects input that is not a string or has no MathML', () => {
+    assert.throws(() => mathmlToLatex(null), TypeError);
+    assert.throws(() => mathmlToLatex('plain text'), /No MathML element/);
+    assert.throws(() => mathmlToLatex('<p>no <b>math</b></p>'), /No MathML element/);
+    assert.throws(() => mathmlToLatex('<p>x</p><mi>y</mi>'), /No MathML element/);
+  });
+
+  it('applies the mathvariant of an enclosing mstyle to its identifiers', () => {
+    assert.equal(mathmlToLatex('<math><mstyle mathvariant="bold"><mi>x</mi><mrow><mi>y</mi></mrow></mstyle><mi>z</mi></math>'),
+      '\\mathbf{x}\\mathbf{y}z');
+    assert.equal(mathmlToLatex('<math><mstyle mathvariant="bold"><mi mathvariant="normal">d</mi></mstyle></math>'), '\\mathrm{d}');
+  });
+
+  it('decodes the MathML named entities', () => {
+    assert.equal(mathmlToLatex('<math><mi>x</mi><mo>&leq;</mo><mn>1</mn></math>'), 'x \\leq 1');
+    assert.equal(mathmlToLatex('<math><mi>a</mi><mo>&rightarrow;</mo><mi>b</mi></math>'), 'a \\rightarrow b');
+    assert.equal(mathmlToLatex('<math><mi>&Gamma;</mi><mo>+</mo><mi>&varphi;</mi></math>'), '\\Gamma + \\varphi');
+    assert.equal(mathmlToLatex('<math><mo>&Integral;</mo><mi>f</mi></math>'), '\\int f');
+    assert.equal(mathmlToLatex('<math><mo>&lbrace;</mo><mi>x</mi><mo>&rbrace;</mo></math>'), '\\left\\{x\\right\\}');
+  });
+
+  it('decodes hexadecimal references written with an upper-case X', () => {
+    assert.equal(mathmlToLatex('<math><mi>&#X3B1;</mi><mo>+</mo><mi>&#x3B2;</mi><mo>+</mo><mi>&#947;</mi></math>'),
+      '\\alpha + \\beta + \\gamma');
+  });
+
+  it('leaves unknown entities as written', () => {
+    assert.equal(mathmlToLatex('<math><mtext>&nosuchentity;</mtext></math>'), '\\text{\\&nosuchentity;}');
+  });
+
+  it('reads namespace-prefixed MathML', () => {
+    const declared = '<m:math xmlns:m="http://www.w3.org/1998/Math/MathML">' +
+      '<m:mfrac><m:mi>a</m:mi><m:mi>b</m:mi></m:mfrac></m:math>';
+    const result = mathmlToLatexResult(declared);
+    assert.equal(result.latex, '\\frac{a}{b}');
+    assert.deepEqual(result.diagnostics, []);
+
+    assert.equal(mathmlToLatex('<mml:math><mml:msqrt><mml:mn>2</mml:mn></mml:msqrt></mml:math>'), '\\sqrt{2}');
+  });
+
+  it('rewrites parentheses with fixParentheses', () => {
+    const mathml = '<math><mo>(</mo><mi>x</mi><mo>)</mo></math>';
+    assert.equal(mathmlToLatex(mathml, { fixParentheses: true }), '\\left(x\\right)');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for KaTeX output (modules/katex.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathMLFromAssistiveMML } = require('../../translate.js');
+const { findEquations, detectRenderer, convertEquation, getEquationMathML } = require('../../modules/equation-extractor.js');
+const katex = require('../../modules/katex.js');
+const { buildEquationList } = require('../../modules/equation-list.js');
+
+/**
+ * Lay out a KaTeX equation the way KaTeX renders it
+ * @param {string} presentation - MathML inside <semantics>
+ * @param {string|null} tex - TeX annotation, or null for none
+ * @param {boolean} [display]
+ * @return {string}
+ */
+function katexMarkup(presentation, tex, display = false) {
+  const annotation = tex === null ? '' : `<annotation encoding="application/x-tex">${tex}</annotation>`;
+  const equation = `<span class="katex"><span class="katex-mathml">` +
+    `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}>` +
+    `<semantics><mrow>${presentation}</mrow>${annotation}</semantics></math></span>` +
+    `<span class="katex-html" aria-hidden="true"><span class="base"><span class="mord mathnormal">x</span></span></span></span>`;
+  return display ? `<span class="katex-display">${equation}</span>` : equation;
+}
+
+const SQUARE = '<msup><mi>x</mi><mn>2</mn></msup>';
+const FRACTION = '<mfrac><mi>a</mi><mi>b</mi></mfrac>';
+
+const PAGE = parseMarkup(`<body>
+  <p>Inline ${katexMarkup(SQUARE, 'x^2')} and without source ${katexMarkup(FRACTION, null)}</p>
+  ${katexMarkup(FRACTION, '\\dfrac{a}{b}', true)}
+</body>`);
+
+const [inline, withoutSource, display] = PAGE.querySelectorAll('.katex');
+
+describe('finding KaTeX equations', () => {
+  it('finds the equation of a node inside the rendering', () => {
+    assert.equal(katex.findKatexElement(inline.querySelector('.mord')), inline);
+    assert.ok(katex.isKatexElement(inline));
+    assert.ok(!katex.isKatexElement(inline.querySelector('.katex-html')));
+  });
+
+  it('finds each equation once, not its MathML as well', () => {
+    const equations = findEquations(PAGE);
+    assert.deepEqual(equations, [inline, withoutSource, display]);
+    assert.deepEqual(equations.map(detectRenderer), ['KaTeX', 'KaTeX', 'KaTeX']);
+  });
+
+  it('tells display equations from their wrapper', () => {
+    assert.deepEqual([inline, withoutSource, display].map(katex.isKatexDisplay), [false, false, true]);
+  });
+});
+
+describe('convertKatexElement', () => {
+  it('copies the TeX annotation as LaTeX', () => {
+    assert.equal(katex.getKatexSource(display), '\\dfrac{a}{b}');
+    assert.equal(katex.convertKatexElement(display, 'latex', convertMathMLFromAssistiveMML), '\\dfrac{a}{b}');
+  });
+
+  it('converts the MathML without an annotation, for other formats and when asked to', () => {
+    assert.equal(katex.convertKatexElement(withoutSource, 'latex', convertMathMLFromAssistiveMML), '\\frac{a}{b}');
+    assert.equal(katex.convertKatexElement(inline, 'unicode', convertMathMLFromAssistiveMML), 'x²');
+    assert.equal(katex.convertKatexElement(inline, 'latex', convertMathMLFromAssistiveMML, false), 'x^{2}');
+  });
+
+  it('has nothing to convert for HTML-only output', () => {
+    const htmlOnly = parseMarkup('<span class="katex"><span class="katex-html">x</span></span>').querySelector('.katex');
+    assert.equal(katex.convertKatexElement(htmlOnly, 'typst', convertMathMLFromAssistiveMML), null);
+  });
+
+  it('is used by the extractor for every format', () => {
+    assert.equal(convertEquation(inline, 'latex'), 'x^2');
+    assert.equal(convertEquation(inline, 'asciimath'), 'x^2');
+    assert.equal(convertEquation(inline, 'latex', false), 'x^{2}');
+  });
+
+  it('rebuilds the LaTeX of every copied equation when source recovery is off', () => {
+    assert.equal(buildEquationList(PAGE).text, '1. x^2\n2. \\frac{a}{b}\n3. \\dfrac{a}{b}');
+    assert.equal(buildEquationList(PAGE, { recoverSource: () => null }).text, '1. x^{2}\n2. \\frac{a}{b}\n3. \\frac{a}{b}');
+  });
+});
+
+describe('getEquationMathML', () => {
+  it('copies the MathML of the equation without its TeX annotation', () => {
+    assert.equal(getEquationMathML(inline),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><msup><mi>x</mi><mn>2</mn></msup></mrow></math>');
+    assert.equal(getEquationMathML(withoutSource),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><mfrac><mi>a</mi><mi>b</mi></mfrac></mrow></math>');
+  });
+});
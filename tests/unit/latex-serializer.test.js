@@ -0,0 +1,43 @@
+/**
+ * Tests for the LaTeX serializer (modules/latex-serializer.js), fed through
+ * the MathML front-end
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mathmlToLatex } = require('../../index.js');
+
+describe('TeX special characters', () => {
+  for (const [char, latex] of [['%', '\\%'], ['#', '\\#'], ['&amp;', '\\&'], ['_', '\\_'], ['$', '\\$']]) {
+    it(`escapes ${latex}`, () => {
+      assert.equal(mathmlToLatex(`<math><mi>x</mi><mo>${char}</mo><mi>y</mi></math>`), `x${latex}y`);
+    });
+  }
+
+  it('escapes braces that are not a fence', () => {
+    assert.equal(mathmlToLatex('<math><mo>{</mo><mi>x</mi><mo>}</mo><mo>,</mo><mi>y</mi></math>'), '\\{x\\},y');
+  });
+
+  it('writes a backslash as \\backslash', () => {
+    assert.equal(mathmlToLatex('<math><mi>A</mi><mo>\\</mo><mi>B</mi></math>'), 'A\\backslash B');
+  });
+
+  it('keeps other ASCII as it is', () => {
+    assert.equal(mathmlToLatex('<math><mi>a</mi><mo>+</mo><mi>b</mi><mo>!</mo></math>'), 'a + b!');
+  });
+});
+
+describe('operator names', () => {
+  it('writes a multi-letter identifier as \\operatorname, as MathJax renders it', () => {
+    assert.equal(mathmlToLatex('<math><mi>Var</mi><mi>X</mi></math>'), '\\operatorname{Var}X');
+  });
+
+  it('keeps \\mathrm for text MathJax marks as no operator name', () => {
+    const mathml = '<math><mrow data-mjx-texclass="ORD"><mi data-mjx-auto-op="false">Var</mi></mrow></math>';
+    assert.equal(mathmlToLatex(mathml), '\\mathrm{Var}');
+  });
+
+  it('keeps the commands of standard functions', () => {
+    assert.equal(mathmlToLatex('<math><mi>sin</mi><mo>&#x2061;</mo><mi>x</mi></math>'), '\\sin x');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the lightweight DOM (modules/lite-dom.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup, decodeEntities } = require('../../modules/lite-dom.js');
+
+describe('decodeEntities', () => {
+  it('decodes the HTML5 and MathML named references', () => {
+    assert.equal(decodeEntities('&leq;&rightarrow;&Gamma;&varphi;&Integral;&lbrace;'), '≤→Γϕ∫{');
+    assert.equal(decodeEntities('&amp;&lt;&gt;'), '&<>');
+  });
+
+  it('decodes decimal and hexadecimal references in either case', () => {
+    assert.equal(decodeEntities('&#945;&#x3B1;&#X3B1;&#x3b1;'), 'αααα');
+  });
+
+  it('leaves unknown and inherited names alone', () => {
+    assert.equal(decodeEntities('&nosuchentity; &constructor; &toString;'), '&nosuchentity; &constructor; &toString;');
+  });
+});
+
+describe('parseMarkup', () => {
+  it('reads elements in the MathML, SVG and XHTML namespaces by their local name', () => {
+    const doc = parseMarkup('<m:math xmlns:m="http://www.w3.org/1998/Math/MathML"><m:mi>x</m:mi></m:math>' +
+      '<s:svg xmlns:s="http://www.w3.org/2000/svg"><s:g></s:g></s:svg>');
+    assert.equal(doc.querySelector('math mi').textContent, 'x');
+    assert.ok(doc.querySelector('svg > g'));
+  });
+
+  it('takes an undeclared prefix on math and inside it as MathML', () => {
+    const doc = parseMarkup('<m:math><m:mrow><m:mi>y</m:mi></m:mrow></m:math><p>after</p>');
+    assert.equal(doc.querySelector('math > mrow > mi').textContent, 'y');
+    assert.equal(doc.querySelector('p').parentNode, doc);
+  });
+
+  it('keeps prefixes of other namespaces', () => {
+    const doc = parseMarkup('<o:p xmlns:o="urn:schemas-microsoft-com:office:office">text</o:p>');
+    assert.equal(doc.children[0].tagName, 'o:p');
+  });
+});
+
+describe('changing the tree', () => {
+  it('clones elements with their attributes and, when deep, their children', () => {
+    const doc = parseMarkup('<p class="note">a <b>b</b><!--c--></p>');
+    const paragraph = doc.querySelector('p');
+    const clone = paragraph.cloneNode(true);
+
+    assert.equal(clone.outerHTML, paragraph.outerHTML);
+    assert.equal(clone.parentNode, null);
+    assert.equal(paragraph.cloneNode().outerHTML, '<p class="note"></p>');
+
+    clone.setAttribute('class', 'copy');
+    assert.equal(paragraph.className, 'note');
+  });
+
+  it('moves the children of an appended fragment', () => {
+    const doc = parseMarkup('<p>a<b>b</b></p><div>c</div>');
+    const fragment = doc.createDocumentFragment();
+    fragment.appendChild(doc.createTextNode('x'));
+    fragment.appendChild(doc.createElement('i'));
+
+    doc.querySelector('div').appendChild(fragment);
+    assert.equal(doc.querySelector('div').innerHTML, 'cx<i></i>');
+    assert.equal(fragment.childNodes.length, 0);
+  });
+
+  it('replaces and removes nodes', () => {
+    const doc = parseMarkup('<p>a<b>b</b><i>c</i></p>');
+    doc.querySelector('b').replaceWith(doc.createTextNode('B'));
+    doc.querySelector('i').remove();
+
+    assert.equal(doc.querySelector('p').innerHTML, 'aB');
+    assert.equal(doc.querySelector('p').firstChild.getRootNode(), doc);
+  });
+});
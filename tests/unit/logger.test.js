@@ -0,0 +1,132 @@
+/**
+ * Tests for conversion diagnostics (modules/logger.js, translate.js, index.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../modules/logger.js');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathToResult } = require('../../translate.js');
+const { mathmlToLatexResult } = require('../../index.js');
+
+/**
+ * Take the rendered equation of a generated fixture
+ * @param {string} name - Fixture name, e.g. "fraction.svg"
+ * @param {Function} [edit] - Changes the page markup before it is parsed
+ * @return {Element} - The mjx-container
+ */
+function readContainer(name, edit = html => html) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  return parseMarkup(edit(html)).querySelector('mjx-container');
+}
+
+describe('collectDiagnostics', () => {
+  it('returns the output with the diagnostics recorded while it ran', () => {
+    const result = logger.collectDiagnostics(() => {
+      logger.diagnostic('unknown-node', 'mfoo');
+      logger.diagnostic('unmapped-character', 'U+2A1D (⨝)');
+      return 'x';
+    });
+
+    assert.deepEqual(result, {
+      output: 'x',
+      diagnostics: [
+        {
+          code: 'unknown-node',
+          detail: 'mfoo',
+          message: 'No conversion for <mfoo>; only the elements inside it were converted'
+        },
+        {
+          code: 'unmapped-character',
+          detail: 'U+2A1D (⨝)',
+          message: 'No LaTeX command for U+2A1D (⨝); the character was written as is'
+        }
+      ]
+    });
+  });
+
+  it('records each diagnostic once', () => {
+    const { diagnostics } = logger.collectDiagnostics(() => {
+      logger.diagnostic('unknown-node', 'mfoo');
+      logger.diagnostic('unknown-node', 'mfoo');
+      logger.diagnostic('unknown-node', 'mbar');
+    });
+    assert.deepEqual(diagnostics.map(entry => entry.detail), ['mfoo', 'mbar']);
+  });
+
+  it('uses the detail as the message of an unknown code', () => {
+    const { diagnostics } = logger.collectDiagnostics(() => logger.diagnostic('other', 'Something else'));
+    assert.equal(diagnostics[0].message, 'Something else');
+  });
+
+  it('adds the diagnostics of nested collections to the outermost one', () => {
+    let inner;
+    const outer = logger.collectDiagnostics(() => {
+      logger.diagnostic('unknown-node', 'outer');
+      inner = logger.collectDiagnostics(() => logger.diagnostic('unknown-node', 'inner'));
+    });
+
+    assert.equal(inner.diagnostics, outer.diagnostics);
+    assert.deepEqual(outer.diagnostics.map(entry => entry.detail), ['outer', 'inner']);
+  });
+
+  it('stops collecting when the conversion throws', () => {
+    assert.throws(() => logger.collectDiagnostics(() => {
+      throw new Error('failed');
+    }), /failed/);
+    assert.equal(logger.diagnostics, null);
+
+    // Outside a collection diagnostics are only logged
+    logger.diagnostic('unknown-node', 'mfoo');
+    assert.equal(logger.diagnostics, null);
+  });
+});
+
+describe('convertMathToResult', () => {
+  it('reports no diagnostics for an equation it converts fully', () => {
+    assert.deepEqual(convertMathToResult(readContainer('fraction.svg')), {
+      output: '\\frac{a + b}{c - d}',
+      diagnostics: []
+    });
+  });
+
+  it('reports node types of the SVG output it has no conversion for', () => {
+    const container = readContainer('fraction.svg', html =>
+      html.replace('data-mml-node="mfrac"', 'data-mml-node="mfoo"'));
+    const { output, diagnostics } = convertMathToResult(container, 'latex');
+
+    assert.equal(output, 'a + bc - d');
+    assert.deepEqual(diagnostics.map(entry => [entry.code, entry.detail]), [['unknown-node', 'mfoo']]);
+  });
+
+  it('reports an enclosure it cannot read the notation of, instead of guessing one', () => {
+    const chtml = readContainer('enclosures.chtml', html => html.replace('<mjx-ustrike ', '<mjx-arrow '));
+    const svg = readContainer('enclosures.svg', html => html.replace('<line x1="33.5"', '<path x1="33.5"'));
+
+    for (const container of [chtml, svg]) {
+      const { output, diagnostics } = convertMathToResult(container, 'latex');
+      assert.ok(output.startsWith('x + \\bcancel{y}'), output);
+      assert.deepEqual(diagnostics.map(entry => [entry.code, entry.detail]), [['unknown-node', 'menclose']]);
+    }
+  });
+});
+
+describe('mathmlToLatexResult', () => {
+  it('reports unknown elements and characters without a LaTeX command', () => {
+    const { latex, diagnostics } = mathmlToLatexResult(
+      '<math><mfoo><mi>x</mi></mfoo><mo>⨝</mo><mo>⨝</mo><mstyle><mi>y</mi></mstyle></math>');
+
+    assert.equal(latex, 'x⨝⨝y');
+    assert.deepEqual(diagnostics.map(entry => [entry.code, entry.detail]), [
+      ['unknown-node', 'mfoo'],
+      ['unmapped-character', 'U+2A1D (⨝)']
+    ]);
+  });
+
+  it('collects the diagnostics of each conversion apart', () => {
+    mathmlToLatexResult('<math><mfoo><mi>x</mi></mfoo></math>');
+    assert.deepEqual(mathmlToLatexResult('<math><mi>x</mi></math>').diagnostics, []);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for the intermediate math tree (modules/math-tree.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mathTree = require('../../modules/math-tree.js');
+const { isRelationOperator } = require('../../modules/node-processor.js');
+
+const { createNode, applyDisplayStyle, getTableAlignment } = mathTree;
+
+function table(cells, props = {}) {
+  return createNode('table', {
+    rows: cells.map(row => ({ cells: row.map(text => createNode('identifier', { text })), label: null })),
+    ...props
+  });
+}
+
+describe('applyDisplayStyle', () => {
+  it('sets a table that is the whole display equation in display style when the rendering did not say', () => {
+    const gather = table([['a'], ['b']], { displaystyle: null });
+    applyDisplayStyle(createNode('math', { display: true, children: [createNode('row', { children: [gather] })] }));
+    assert.equal(gather.displaystyle, true);
+    assert.equal(getTableAlignment(gather, isRelationOperator), 'gathered');
+  });
+
+  it('keeps the display style MathML gave and leaves inline tables alone', () => {
+    const matrix = table([['a'], ['b']], { displaystyle: false });
+    applyDisplayStyle(createNode('math', { display: true, children: [matrix] }));
+    assert.equal(matrix.displaystyle, false);
+
+    const inline = table([['a'], ['b']], { displaystyle: null });
+    applyDisplayStyle(createNode('math', { display: false, children: [inline] }));
+    assert.equal(inline.displaystyle, false);
+    assert.equal(getTableAlignment(inline, isRelationOperator), null);
+  });
+
+  it('leaves a table beside other content alone', () => {
+    const matrix = table([['a'], ['b']], { displaystyle: null });
+    applyDisplayStyle(createNode('math', {
+      display: true,
+      children: [createNode('identifier', { text: 'A' }), createNode('operator', { text: '=' }), matrix]
+    }));
+    assert.equal(matrix.displaystyle, null);
+  });
+});
+
+describe('getTableAlignment', () => {
+  it('reads right-left display tables as aligned', () => {
+    const aligned = table([['a', 'b'], ['c', 'd']], { columnalign: 'right left', displaystyle: true });
+    assert.equal(getTableAlignment(aligned, isRelationOperator), 'aligned');
+  });
+
+  it('leaves matrices and arrays alone', () => {
+    assert.equal(getTableAlignment(table([['a', 'b']], { columnalign: 'left right' }), isRelationOperator), null);
+  });
+});
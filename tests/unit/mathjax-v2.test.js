@@ -0,0 +1,91 @@
+/**
+ * Tests for MathJax 2 output (modules/mathjax-v2.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathMLFromAssistiveMML } = require('../../translate.js');
+const { findEquations, detectRenderer, getEquationMathML } = require('../../modules/equation-extractor.js');
+const mathjaxV2 = require('../../modules/mathjax-v2.js');
+
+const SQUARE_MATHML = '<math xmlns="http://www.w3.org/1998/Math/MathML"><msup><mi>x</mi><mn>2</mn></msup></math>';
+
+const PAGE = parseMarkup(`<body>
+  <p>Inline
+    <span class="MathJax_Preview">x^2</span>
+    <span class="MathJax_CHTML" id="MathJax-Element-1-Frame" tabindex="0">
+      <span class="mjx-chtml">x2</span>
+      <span class="MJX_Assistive_MathML">${SQUARE_MATHML}</span>
+    </span>
+    <script type="math/tex" id="MathJax-Element-1">x^2</script>
+  </p>
+  <div class="MathJax_Display">
+    <span class="MathJax_SVG" id="MathJax-Element-2-Frame" data-mathml="${SQUARE_MATHML.replace(/"/g, '&quot;')}">
+      <svg></svg>
+    </span>
+  </div>
+  <script type="math/tex; mode=display" id="MathJax-Element-2">x^{2}</script>
+  <span class="MathJax" id="MathJax-Element-3-Frame"><span class="math">a+b</span></span>
+  <script type="math/tex; mode=display" id="MathJax-Element-3">\\frac{a}{b}</script>
+  <span class="MathJax_MathML" id="MathJax-Element-4-Frame">${SQUARE_MATHML}</span>
+  <script type="math/tex" id="MathJax-Element-4">x^2</script>
+</body>`);
+
+const [chtmlFrame, svgFrame, htmlCssFrame, nativeFrame] = ['1', '2', '3', '4']
+  .map(index => PAGE.querySelector(`[id="MathJax-Element-${index}-Frame"]`));
+
+describe('finding MathJax 2 frames', () => {
+  it('finds the frame of a node inside the rendering, but not of the preview', () => {
+    assert.equal(mathjaxV2.findMathJaxV2Frame(chtmlFrame.querySelector('.mjx-chtml')), chtmlFrame);
+    assert.equal(mathjaxV2.findMathJaxV2Frame(PAGE.querySelector('.MathJax_Preview')), null);
+    assert.ok(mathjaxV2.isMathJaxV2Frame(svgFrame));
+    assert.ok(!mathjaxV2.isMathJaxV2Frame(svgFrame.querySelector('svg')));
+  });
+
+  it('finds every frame of a page in document order, the <math> of NativeMML output included', () => {
+    assert.deepEqual(findEquations(PAGE), [chtmlFrame, svgFrame, htmlCssFrame, nativeFrame]);
+  });
+
+  it('names the output each frame was rendered with', () => {
+    assert.deepEqual([chtmlFrame, svgFrame, htmlCssFrame, nativeFrame].map(detectRenderer),
+      ['v2-CHTML', 'v2-SVG', 'v2-HTML-CSS', 'v2-NativeMML']);
+  });
+});
+
+describe('reading MathJax 2 frames', () => {
+  it('reads the TeX source from the script after the frame or its display wrapper', () => {
+    assert.equal(mathjaxV2.getMathJaxV2Source(chtmlFrame), 'x^2');
+    assert.equal(mathjaxV2.getMathJaxV2Source(svgFrame), 'x^{2}');
+  });
+
+  it('takes the assistive MathML, the NativeMML output or the data-mathml attribute', () => {
+    assert.equal(mathjaxV2.getMathJaxV2MathML(chtmlFrame).parentElement.className, 'MJX_Assistive_MathML');
+    assert.equal(mathjaxV2.getMathJaxV2MathML(nativeFrame).parentElement, nativeFrame);
+    assert.equal(mathjaxV2.getMathJaxV2MathML(svgFrame).querySelector('mi').textContent, 'x');
+    assert.equal(mathjaxV2.getMathJaxV2MathML(htmlCssFrame), null);
+  });
+
+  it('tells display frames from their wrapper or script', () => {
+    assert.deepEqual([chtmlFrame, svgFrame, htmlCssFrame].map(mathjaxV2.isMathJaxV2Display), [false, true, true]);
+  });
+});
+
+describe('convertMathJaxV2Frame', () => {
+  it('converts the MathML MathJax kept', () => {
+    assert.equal(mathjaxV2.convertMathJaxV2Frame(chtmlFrame, 'latex', convertMathMLFromAssistiveMML), 'x^{2}');
+    assert.equal(mathjaxV2.convertMathJaxV2Frame(svgFrame, 'unicode', convertMathMLFromAssistiveMML), 'x²');
+  });
+
+  it('gives the TeX source as LaTeX when there is no MathML, and nothing in other formats', () => {
+    assert.equal(mathjaxV2.convertMathJaxV2Frame(htmlCssFrame, 'latex', convertMathMLFromAssistiveMML), '\\frac{a}{b}');
+    assert.equal(mathjaxV2.convertMathJaxV2Frame(htmlCssFrame, 'typst', convertMathMLFromAssistiveMML), null);
+  });
+});
+
+describe('getEquationMathML', () => {
+  it('copies the MathML kept with each kind of frame', () => {
+    [chtmlFrame, svgFrame, nativeFrame].forEach(frame => assert.equal(getEquationMathML(frame), SQUARE_MATHML));
+    assert.equal(getEquationMathML(htmlCssFrame), null);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the mathjax2latex command-line tool (bin/mathjax2latex.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs, extractPage } = require('../../bin/mathjax2latex.js');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'mathjax2latex.js');
+const FIXTURES_DIR = path.join(__dirname, '..');
+const CUBE_ROOT_LATEX = 'f\\left(x\\right) = \\sqrt[3]{x + \\sqrt{4 - 2x}}';
+
+function runCli(args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', input, timeout: 60000 });
+}
+
+describe('parseArgs', () => {
+  it('reads the options and files', () => {
+    assert.deepEqual(parseArgs(['--json', '--format', 'typst', 'a.html', '-']),
+      { json: true, format: 'typst', help: false, files: ['a.html', '-'] });
+    assert.equal(parseArgs(['--format=asciimath', 'a.html']).format, 'asciimath');
+  });
+
+  it('rejects unknown options and formats', () => {
+    assert.throws(() => parseArgs(['--verbose']), /Unknown option: --verbose/);
+    assert.throws(() => parseArgs(['--format', 'rtf']), /Unknown format: rtf/);
+  });
+});
+
+describe('extractPage', () => {
+  it('describes every equation of a page', () => {
+    const html = '<p><math><mi>x</mi></math> and <math display="block"><mn>2</mn></math></p>';
+    const equations = extractPage('page.html', html);
+    assert.deepEqual(equations.map(equation => [equation.file, equation.index, equation.renderer, equation.latex]), [
+      ['page.html', 0, 'MathML', 'x'],
+      ['page.html', 1, 'MathML', '2']
+    ]);
+  });
+
+  it('writes the requested format', () => {
+    const [equation] = extractPage('page.html', '<math><msup><mi>x</mi><mn>2</mn></msup></math>', 'typst');
+    assert.equal(equation.typst, 'x^2');
+  });
+});
+
+describe('mathjax2latex', () => {
+  it('prints one line per equation', () => {
+    const result = runCli([path.join(FIXTURES_DIR, 'test_cube_root.html')]);
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.trim(), CUBE_ROOT_LATEX);
+  });
+
+  it('reads standard input and prints JSON', () => {
+    const result = runCli(['--json', '-'], '<math><mfrac><mn>1</mn><mn>2</mn></mfrac></math>');
+    assert.equal(result.status, 0);
+    const [equation] = JSON.parse(result.stdout);
+    assert.equal(equation.file, '-');
+    assert.equal(equation.latex, '\\frac{1}{2}');
+    assert.deepEqual(equation.diagnostics, []);
+  });
+
+  it('reports unconverted parts on standard error and fails after printing the equation', () => {
+    const result = runCli(['-'], '<math><mi>R</mi><mo>⨝</mo><mi>S</mi></math>');
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, 'R⨝S\n');
+    assert.match(result.stderr, /\[WARNING\] - #0: .*U\+2A1D/);
+
+    const json = runCli(['--json', '-'], '<math><mi>R</mi><mo>⨝</mo><mi>S</mi></math>');
+    assert.equal(json.status, 1);
+    assert.equal(JSON.parse(json.stdout)[0].diagnostics[0].code, 'unmapped-character');
+    assert.match(json.stderr, /\[WARNING\] - #0: .*U\+2A1D/);
+  });
+
+  it('converts the remaining files after one that cannot be read, and fails at the end', () => {
+    const result = runCli([
+      path.join(FIXTURES_DIR, 'no_such_page.html'),
+      path.join(FIXTURES_DIR, 'test_cube_root.html')
+    ]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /\[ERROR\] .*no_such_page\.html/);
+    assert.equal(result.stdout.trim(), CUBE_ROOT_LATEX);
+  });
+
+  it('prints the usage for bad arguments', () => {
+    const result = runCli([]);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /^Usage: mathjax2latex/);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the MathML output (modules/mathml-serializer.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { findEquations, getEquationMathML } = require('../../modules/equation-extractor.js');
+const { cleanMathML } = require('../../modules/mathml-serializer.js');
+const { convertMathToMathML } = require('../../translate.js');
+
+function readFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  return findEquations(parseMarkup(html))[0];
+}
+
+const FRACTION_MATHML = '<math xmlns="http://www.w3.org/1998/Math/MathML"><mfrac>' +
+  '<mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mrow><mi>c</mi><mo>−</mo><mi>d</mi></mrow></mfrac></math>';
+
+describe('cleanMathML', () => {
+  it('keeps presentation attributes and drops MathJax data attributes', () => {
+    const math = parseMarkup('<math display="block" data-latex="x"><mi data-mjx-auto-op="false" mathvariant="normal">Var</mi></math>')
+      .querySelector('math');
+    assert.equal(cleanMathML(math),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mi mathvariant="normal">Var</mi></math>');
+  });
+
+  it('replaces semantics by its presentation child and escapes token text', () => {
+    const math = parseMarkup('<math><semantics><mrow><mi>x</mi><mo>&lt;</mo><mn>1</mn></mrow>' +
+      '<annotation encoding="application/x-tex">x &lt; 1</annotation></semantics></math>').querySelector('math');
+    assert.equal(cleanMathML(math),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><mi>x</mi><mo>&lt;</mo><mn>1</mn></mrow></math>');
+  });
+});
+
+describe('convertMathToMathML', () => {
+  it('copies assistive MathML when the page has it', () => {
+    assert.equal(convertMathToMathML(readFixture('fraction.svg-assistive')), FRACTION_MATHML);
+  });
+
+  it('rebuilds the MathML from SVG and CHTML output without it', () => {
+    assert.equal(convertMathToMathML(readFixture('fraction.svg')), FRACTION_MATHML);
+    assert.equal(convertMathToMathML(readFixture('fraction.chtml')), FRACTION_MATHML);
+  });
+
+  it('writes fences around a matrix as stretchy operators', () => {
+    assert.equal(convertMathToMathML(readFixture('matrix.svg')),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><mo fence="true" stretchy="true">(</mo>' +
+      '<mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr><mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable>' +
+      '<mo fence="true" stretchy="true">)</mo></mrow></math>');
+  });
+});
+
+describe('getEquationMathML', () => {
+  it('builds the MathML of MathJax 3 SVG and CHTML output', () => {
+    assert.equal(getEquationMathML(readFixture('fraction.svg')), FRACTION_MATHML);
+    assert.equal(getEquationMathML(readFixture('fraction.chtml')), FRACTION_MATHML);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for MathML the browser renders itself (modules/native-mathml.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathMLFromAssistiveMML } = require('../../translate.js');
+const { findEquations, detectRenderer, convertEquation, getEquationMathML } = require('../../modules/equation-extractor.js');
+const nativeMathML = require('../../modules/native-mathml.js');
+
+const PAGE = parseMarkup(`<body>
+  <p>Inline <math><msup><mi>x</mi><mn>2</mn></msup></math> and</p>
+  <math display="block">
+    <semantics>
+      <mrow><mfrac><mi>a</mi><mi>b</mi></mfrac><mo>+</mo><mo>(</mo><mi>c</mi><mo>)</mo></mrow>
+      <annotation encoding="application/x-tex">\\frac{a}{b} + (c)</annotation>
+    </semantics>
+  </math>
+  <mjx-container class="MathJax" jax="SVG"><svg></svg>
+    <mjx-assistive-mml><math><mi>y</mi></math></mjx-assistive-mml>
+  </mjx-container>
+  <span class="katex"><span class="katex-mathml"><math><mi>z</mi></math></span></span>
+</body>`);
+
+const [inline, display, assistive, katexMathML] = PAGE.querySelectorAll('math');
+
+describe('finding native MathML', () => {
+  it('finds the <math> of a node inside it', () => {
+    assert.equal(nativeMathML.findNativeMathElement(display.querySelector('mfrac')), display);
+    assert.ok(nativeMathML.isNativeMathElement(inline));
+    assert.ok(!nativeMathML.isNativeMathElement(inline.querySelector('msup')));
+  });
+
+  it('leaves the MathML of MathJax and KaTeX output to them', () => {
+    assert.equal(nativeMathML.findNativeMathElement(assistive), null);
+    assert.equal(nativeMathML.findNativeMathElement(katexMathML), null);
+  });
+
+  it('is found by the extractor next to the other renderers', () => {
+    const equations = findEquations(PAGE);
+    assert.deepEqual(equations.slice(0, 2), [inline, display]);
+    assert.deepEqual(equations.map(detectRenderer), ['MathML', 'MathML', 'SVG', 'KaTeX']);
+  });
+
+  it('tells display equations from the display attribute', () => {
+    assert.deepEqual([inline, display].map(nativeMathML.isNativeMathDisplay), [false, true]);
+  });
+});
+
+describe('convertNativeMathElement', () => {
+  it('copies the TeX annotation as LaTeX', () => {
+    assert.equal(nativeMathML.getNativeMathSource(display), '\\frac{a}{b} + (c)');
+    assert.equal(nativeMathML.convertNativeMathElement(display, 'latex', convertMathMLFromAssistiveMML), '\\frac{a}{b} + (c)');
+    assert.equal(convertEquation(display, 'latex'), '\\frac{a}{b} + (c)');
+  });
+
+  it('converts the MathML without an annotation, for other formats and when asked to', () => {
+    assert.equal(nativeMathML.getNativeMathSource(inline), null);
+    assert.equal(nativeMathML.convertNativeMathElement(inline, 'latex', convertMathMLFromAssistiveMML), 'x^{2}');
+    assert.equal(nativeMathML.convertNativeMathElement(display, 'typst', convertMathMLFromAssistiveMML), 'a/b + (c)');
+    assert.equal(nativeMathML.convertNativeMathElement(display, 'latex', convertMathMLFromAssistiveMML, false),
+      '\\frac{a}{b} + \\left(c\\right)');
+  });
+});
+
+describe('getEquationMathML', () => {
+  it('copies the page\'s MathML without its TeX annotation', () => {
+    assert.equal(getEquationMathML(inline),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><msup><mi>x</mi><mn>2</mn></msup></math>');
+    assert.equal(getEquationMathML(display),
+      '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mfrac><mi>a</mi><mi>b</mi></mfrac>' +
+      '<mo>+</mo><mo>(</mo><mi>c</mi><mo>)</mo></mrow></math>');
+  });
+});
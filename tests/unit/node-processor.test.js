@@ -0,0 +1,30 @@
+/**
+ * Tests for the LaTeX post-processing in modules/node-processor.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fixParentheses } = require('../../modules/node-processor.js');
+
+describe('fixParentheses', () => {
+  it('sizes pairs of parentheses', () => {
+    assert.equal(fixParentheses('f(x) = (a + (b))'), 'f\\left(x\\right) = \\left(a + \\left(b\\right)\\right)');
+  });
+
+  it('leaves parentheses without a partner, as in a half-open interval', () => {
+    assert.equal(fixParentheses('[0, 1) \\cup (2, 3]'), '[0, 1) \\cup (2, 3]');
+    assert.equal(fixParentheses('(a)[0, 1)'), '\\left(a\\right)[0, 1)');
+  });
+
+  it('leaves sized and escaped parentheses and text alone', () => {
+    assert.equal(fixParentheses('\\left( x \\right)'), '\\left( x \\right)');
+    assert.equal(fixParentheses('\\bigl(x\\bigr)'), '\\bigl(x\\bigr)');
+    assert.equal(fixParentheses('x \\text{(see (1))}'), 'x \\text{(see (1))}');
+    assert.equal(fixParentheses('\\\\(a)'), '\\\\\\left(a\\right)');
+  });
+
+  it('returns an empty string for no input', () => {
+    assert.equal(fixParentheses(''), '');
+    assert.equal(fixParentheses(null), '');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the whole-page export (modules/page-exporter.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { exportPage } = require('../../modules/page-exporter.js');
+
+/**
+ * Take the rendered equation of a generated fixture
+ * @param {string} name - Fixture name, e.g. "fraction.svg"
+ * @param {boolean} [display] - Mark it as a display equation
+ * @return {string} - mjx-container markup
+ */
+function readContainer(name, display = false) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  const container = html.match(/<mjx-container[\s\S]*<\/mjx-container>/)[0];
+  return display ? container.replace('<mjx-container ', '<mjx-container display="true" ') : container;
+}
+
+const PAGE = parseMarkup(`<html><head><title>Roots &amp; Co</title></head><body>
+  <nav>Menu</nav>
+  <h1>Roots</h1>
+  <h2>Square roots</h2>
+  <p>The <em>root</em> is ${readContainer('square_root.svg')} and <strong>50%</strong> of it,
+    see <a href="https://example.org/">this</a>.</p>
+  <p>${readContainer('fraction.chtml', true)}</p>
+  <ul><li>one ${readContainer('cube_root.svg-assistive')}</li><li>two</li></ul>
+  <div class="mathjax-copy-feedback">Copied!</div>
+  <script>var x_1 = 1;</script>
+  <img src="plot.png" alt="Plot">
+</body></html>`);
+
+describe('exportPage', () => {
+  it('writes a LaTeX document with the prose and the equations in place', () => {
+    assert.deepEqual(exportPage(PAGE), {
+      text: [
+        '% Roots & Co',
+        '\\documentclass{article}',
+        '\\usepackage[T1]{fontenc}',
+        '\\usepackage{amsmath}',
+        '\\usepackage{amssymb}',
+        '\\usepackage[hidelinks]{hyperref}',
+        '\\begin{document}',
+        '',
+        '\\section*{Roots}',
+        '',
+        '\\subsection*{Square roots}',
+        '',
+        'The \\emph{root} is $\\sqrt{x^{2} + 1}$ and \\textbf{50\\%} of it, see \\href{https://example.org/}{this}.',
+        '',
+        '\\[\\frac{a + b}{c - d}\\]',
+        '',
+        '\\begin{itemize}',
+        '\\item one $\\sqrt[3]{27}$',
+        '\\item two',
+        '\\end{itemize}',
+        '',
+        '\\end{document}',
+        ''
+      ].join('\n'),
+      count: 3
+    });
+  });
+
+  it('writes Markdown with $ and $$ math', () => {
+    assert.deepEqual(exportPage(PAGE, { format: 'markdown' }), {
+      text: [
+        '# Roots',
+        '',
+        '## Square roots',
+        '',
+        'The *root* is $\\sqrt{x^{2} + 1}$ and **50%** of it, see [this](https://example.org/).',
+        '',
+        '$$\\frac{a + b}{c - d}$$',
+        '',
+        '- one $\\sqrt[3]{27}$',
+        '- two',
+        ''
+      ].join('\n'),
+      count: 3
+    });
+  });
+
+  it('resolves relative links against the page address and notes it in the document', () => {
+    const doc = parseMarkup('<html><body><p>See <a href="/notes">notes</a> and <a href="#top">top</a>.</p></body></html>');
+    assert.equal(exportPage(doc, { format: 'markdown', url: 'https://example.org/course/page' }).text,
+      'See [notes](https://example.org/notes) and top.\n');
+    assert.equal(exportPage(doc, { format: 'markdown' }).text, 'See notes and top.\n');
+    assert.match(exportPage(doc, { url: 'https://example.org/course/page' }).text, /^% https:\/\/example\.org\/course\/page\n\\documentclass/);
+  });
+
+  it('writes code and tables', () => {
+    const doc = parseMarkup('<html><body><p><code>a_b</code></p>' +
+      '<table><tr><th>x</th><th>y</th></tr><tr><td>1</td><td>2</td></tr></table></body></html>');
+    assert.equal(exportPage(doc, { format: 'markdown' }).text, '`a_b`\n\n| x | y |\n| --- | --- |\n| 1 | 2 |\n');
+    assert.match(exportPage(doc).text, /\\texttt\{a\\_b\}\n\n\\begin\{tabular\}\{ll\}\nx & y \\\\\n1 & 2 \\\\\n\\end\{tabular\}/);
+  });
+
+  it('writes an SVG equation drawn without its mjx-container', () => {
+    const svg = readContainer('fraction.svg').match(/<svg[\s\S]*<\/svg>/)[0];
+    const doc = parseMarkup(`<html><body><p>Before ${svg} after</p><p><svg><text>Plot</text></svg></p></body></html>`);
+    assert.deepEqual(exportPage(doc, { format: 'markdown' }), {
+      text: 'Before $\\frac{a + b}{c - d}$ after\n',
+      count: 1
+    });
+  });
+
+  it('falls back to the LaTeX document for an unknown format', () => {
+    assert.match(exportPage(PAGE, { format: 'html' }).text, /^% Roots & Co\n\\documentclass\{article\}/);
+  });
+});
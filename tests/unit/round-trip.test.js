@@ -0,0 +1,195 @@
+/**
+ * Tests for the round-trip check of copied LaTeX (modules/round-trip.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { isMathJaxInstalled, renderTeX, texToMathML } = require('../mathjax-render.js');
+const {
+  findRenderedMath,
+  readMathStructure,
+  compareMathStructures,
+  compareRenderedMath
+} = require('../../modules/round-trip.js');
+
+const WITHOUT_MATHJAX = !isMathJaxInstalled() && 'mathjax-full is not installed';
+
+/**
+ * Find the math node of the rendered equation of a generated fixture
+ * @param {string} name - Fixture name, e.g. "fraction.svg"
+ * @return {Element}
+ */
+function readRendered(name) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  return findRenderedMath(parseMarkup(html).querySelector('mjx-container'));
+}
+
+/**
+ * Render TeX with mathjax-full and find the math node
+ * @param {string} tex
+ * @param {string} output - 'svg' or 'chtml'
+ * @param {boolean} [display=false]
+ * @return {Promise<Element>}
+ */
+async function renderEquation(tex, output, display = false) {
+  const container = parseMarkup(await renderTeX(tex, { output, display })).querySelector('mjx-container');
+  return findRenderedMath(container);
+}
+
+/**
+ * Render LaTeX to MathML as the page's MathJax.tex2mml would
+ * @param {string} latex
+ * @return {Promise<Element>} - The <math> element
+ */
+async function renderLatex(latex) {
+  return parseMarkup(await texToMathML(latex)).querySelector('math');
+}
+
+function readMathML(mathml) {
+  return readMathStructure(parseMarkup(mathml).querySelector('math'));
+}
+
+const mi = text => ({ type: 'mi', text });
+const mo = text => ({ type: 'mo', text });
+
+describe('findRenderedMath', () => {
+  it('finds the math node of SVG and CHTML output, and takes a <math> element as it is', () => {
+    assert.equal(readRendered('fraction.svg').getAttribute('data-mml-node'), 'math');
+    assert.equal(readRendered('fraction.chtml').tagName, 'mjx-math');
+
+    const math = parseMarkup('<math><mi>x</mi></math>').querySelector('math');
+    assert.equal(findRenderedMath(math), math);
+    assert.equal(findRenderedMath(null), null);
+  });
+});
+
+describe('readMathStructure', () => {
+  it('reads SVG and CHTML output as the same structure', () => {
+    const expected = {
+      type: 'math',
+      children: [{
+        type: 'mfrac',
+        children: [
+          { type: 'mrow', children: [mi('a'), mo('+'), mi('b')] },
+          { type: 'mrow', children: [mi('c'), mo('−'), mi('d')] }
+        ]
+      }]
+    };
+    assert.deepEqual(readMathStructure(readRendered('fraction.svg')), expected);
+    assert.deepEqual(readMathStructure(readRendered('fraction.chtml')), expected);
+  });
+
+  it('flattens groups, except as the arguments of a fraction or script', () => {
+    assert.deepEqual(readMathML('<math><mrow><mi>x</mi><mrow><mo>+</mo><mi>y</mi></mrow></mrow>' +
+      '<msup><mrow><mi>z</mi></mrow><mrow><mn>2</mn><mi>k</mi></mrow></msup></math>'), {
+      type: 'math',
+      children: [
+        mi('x'), mo('+'), mi('y'),
+        { type: 'msup', children: [mi('z'), { type: 'mrow', children: [{ type: 'mn', text: '2' }, mi('k')] }] }
+      ]
+    });
+  });
+
+  it('leaves out spacing, invisible operators and the radical sign', () => {
+    assert.deepEqual(readMathML('<math><mi>f</mi><mo>&#x2061;</mo><mspace width="1em"></mspace>' +
+      '<mtext> </mtext><msqrt><mo>&#x221A;</mo><mi>x</mi></msqrt></math>'), {
+      type: 'math',
+      children: [mi('f'), { type: 'msqrt', children: [mi('x')] }]
+    });
+  });
+
+  it('reads the italic letters of the rendering as plain letters', () => {
+    assert.deepEqual(readMathML('<math><mi>&#x1D465;</mi></math>'), { type: 'math', children: [mi('x')] });
+  });
+});
+
+describe('compareMathStructures', () => {
+  it('finds nothing to report for the same structure', () => {
+    const structure = readMathML('<math><mfrac><mi>a</mi><mi>b</mi></mfrac></math>');
+    assert.deepEqual(compareMathStructures(structure, structure), []);
+  });
+
+  it('tells identifiers, numbers and text apart only by their text', () => {
+    assert.deepEqual(compareMathStructures(readMathML('<math><mi>2</mi></math>'),
+      readMathML('<math><mn>2</mn></math>')), []);
+    assert.deepEqual(compareMathStructures(readMathML('<math><mi>x</mi></math>'),
+      readMathML('<math><mo>x</mo></math>')), ['math > mi: expected <mi>x</mi>, got <mo>x</mo>']);
+  });
+
+  it('reports the first differing child of a node with fewer or more children', () => {
+    assert.deepEqual(compareMathStructures(readMathML('<math><mi>a</mi><mo>+</mo><mi>b</mi></math>'),
+      readMathML('<math><mi>a</mi><mi>b</mi></math>')), ['math > mo #2: expected <mo>+</mo>, got <mi>b</mi>']);
+    assert.deepEqual(compareMathStructures(readMathML('<math><mi>a</mi></math>'),
+      readMathML('<math><mi>a</mi><mi>b</mi></math>')), ['math > mi: expected nothing, got <mi>b</mi>']);
+  });
+
+  it('lists at most five mismatches', () => {
+    const letters = 'abcdefg'.split('');
+    const expected = { type: 'math', children: letters.map(mi) };
+    const actual = { type: 'math', children: letters.map(letter => mi(letter.toUpperCase())) };
+
+    const mismatches = compareMathStructures(expected, actual);
+    assert.equal(mismatches.length, 5);
+    assert.equal(mismatches[0], 'math > mi #1: expected <mi>a</mi>, got <mi>A</mi>');
+  });
+});
+
+describe('compareRenderedMath', () => {
+  it('accepts LaTeX that renders to the equation on the page', { skip: WITHOUT_MATHJAX }, async () => {
+    assert.deepEqual(compareRenderedMath(readRendered('fraction.svg'), await renderLatex('\\frac{a+b}{c-d}')),
+      { error: null, mismatches: [] });
+    assert.deepEqual(compareRenderedMath(readRendered('cube_root.chtml'), await renderLatex('\\sqrt[3]{27}')),
+      { error: null, mismatches: [] });
+    assert.deepEqual(compareRenderedMath(readRendered('parentheses.svg'), await renderLatex('\\left(a+b\\right)^2')),
+      { error: null, mismatches: [] });
+  });
+
+  it('reports where the rendered LaTeX differs', { skip: WITHOUT_MATHJAX }, async () => {
+    assert.deepEqual(compareRenderedMath(readRendered('fraction.svg'), await renderLatex('\\frac{a+b}{c+d}')), {
+      error: null,
+      mismatches: ['math > mfrac > mrow #2 > mo #2: expected <mo>−</mo>, got <mo>+</mo>']
+    });
+    assert.deepEqual(compareRenderedMath(readRendered('parentheses.svg'), await renderLatex('(a+b)^2')), {
+      error: null,
+      mismatches: ['math > msup: expected <msup>, got <mo>(</mo>']
+    });
+  });
+
+  it('reads limits and scripts in MathML order', { skip: WITHOUT_MATHJAX }, async () => {
+    for (const tex of ['\\sum_{i=1}^n i', '\\int_0^1 f\\,dx', 'x_a^b', '\\lim_{x \\to 0} x']) {
+      for (const output of ['svg', 'chtml']) {
+        for (const display of [false, true]) {
+          assert.deepEqual(compareRenderedMath(await renderEquation(tex, output, display), await renderLatex(tex)),
+            { error: null, mismatches: [] }, `${tex} in ${output}${display ? ' display' : ''}`);
+        }
+      }
+    }
+  });
+
+  it('reads accents and braces over their base', { skip: WITHOUT_MATHJAX }, async () => {
+    for (const tex of ['\\hat{x}', '\\vec{v}', '\\overline{x}', '\\overbrace{a+b}^{n}', '\\underbrace{a+b}_{n}']) {
+      for (const output of ['svg', 'chtml']) {
+        assert.deepEqual(compareRenderedMath(await renderEquation(tex, output), await renderLatex(tex)),
+          { error: null, mismatches: [] }, `${tex} in ${output}`);
+      }
+    }
+  });
+
+  it('reports swapped limits and a swapped root index and base', { skip: WITHOUT_MATHJAX }, async () => {
+    assert.deepEqual(compareRenderedMath(readRendered('sum.svg'), await renderLatex('\\sum_{n}^{i=1} i^2')).mismatches,
+      ['math > munderover #1 > mrow #2: expected <mrow>, got <mi>n</mi>',
+        'math > munderover #1 > mi #3: expected <mi>n</mi>, got <mrow>']);
+    assert.deepEqual(compareRenderedMath(readRendered('cube_root.chtml'), await renderLatex('\\sqrt[27]{3}')).mismatches,
+      ['math > mroot > mn #1: expected <mn>27</mn>, got <mn>3</mn>', 'math > mroot > mn #2: expected <mn>3</mn>, got <mn>27</mn>']);
+    assert.deepEqual(compareRenderedMath(readRendered('cube_root.svg'), await renderLatex('\\sqrt[27]{3}')).mismatches,
+      ['math > mroot > mn #1: expected <mn>27</mn>, got <mn>3</mn>', 'math > mroot > mn #2: expected <mn>3</mn>, got <mn>27</mn>']);
+  });
+
+  it('reports LaTeX MathJax cannot render', { skip: WITHOUT_MATHJAX }, async () => {
+    assert.deepEqual(compareRenderedMath(readRendered('fraction.svg'), await renderLatex('\\frac{a+b}{c')),
+      { error: 'Missing close brace', mismatches: [] });
+  });
+});
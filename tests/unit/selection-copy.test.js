@@ -0,0 +1,111 @@
+/**
+ * Tests for copying a selection of prose and math (modules/selection-copy.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { buildSelectionCopy } = require('../../modules/selection-copy.js');
+
+/**
+ * Take the rendered equation of a generated fixture
+ * @param {string} name - Fixture name, e.g. "fraction.svg"
+ * @param {boolean} [display] - Mark it as a display equation
+ * @return {string} - mjx-container markup
+ */
+function readContainer(name, display = false) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'generated', name + '.html'), 'utf8');
+  const container = html.match(/<mjx-container[\s\S]*<\/mjx-container>/)[0];
+  return display ? container.replace('<mjx-container ', '<mjx-container display="true" ') : container;
+}
+
+/**
+ * A Range over whole sibling nodes, from first to last, or over the content
+ * of a single node when only that node is given; the part of a Range the
+ * selection copy uses
+ * @param {Node} first - First selected node
+ * @param {Node} [last] - Last selected node, a sibling of first
+ * @return {Object}
+ */
+function selectNodes(first, last) {
+  if (!last) {
+    return {
+      commonAncestorContainer: first,
+      intersectsNode: node => node.contains(first) || first.contains(node),
+      cloneContents: () => selectNodes(first.firstChild, first.lastChild).cloneContents()
+    };
+  }
+
+  const parent = first.parentNode;
+  const siblings = parent.childNodes;
+  const nodes = siblings.slice(siblings.indexOf(first), siblings.indexOf(last) + 1);
+  return {
+    commonAncestorContainer: parent,
+    intersectsNode: node => nodes.some(selected => selected.contains(node) || node.contains(selected)),
+    cloneContents: () => {
+      const fragment = parent.getRootNode().createDocumentFragment();
+      nodes.forEach(node => fragment.appendChild(node.cloneNode(true)));
+      return fragment;
+    }
+  };
+}
+
+const PAGE = parseMarkup(`<html><body><main>
+  <h2>Roots</h2>
+  <p>The root ${readContainer('square_root.svg')} grows.</p>
+  <p>A fraction:</p>
+  ${readContainer('fraction.chtml', true)}
+  <p>Cost: 5 &lt; 6 <span class="mathjax-sr-only">copied</span></p>
+  <script>var x = 1;</script>
+  <p>No math here.</p>
+</main></body></html>`);
+
+const main = PAGE.querySelector('main');
+const [heading, rootParagraph, , , costParagraph, , plainParagraph] = main.children;
+
+describe('buildSelectionCopy', () => {
+  it('replaces each equation with its LaTeX in a line for each block', () => {
+    const copied = buildSelectionCopy(selectNodes(heading, costParagraph));
+
+    assert.equal(copied.count, 2);
+    assert.equal(copied.text, [
+      'Roots',
+      '',
+      'The root $\\sqrt{x^{2} + 1}$ grows.',
+      '',
+      'A fraction:',
+      '$$\\frac{a + b}{c - d}$$',
+      'Cost: 5 < 6'
+    ].join('\n'));
+  });
+
+  it('copies HTML with the equations as escaped text and without the extension\'s own elements', () => {
+    const { html } = buildSelectionCopy(selectNodes(rootParagraph, costParagraph));
+
+    assert.ok(html.startsWith('<p>The root $\\sqrt{x^{2} + 1}$ grows.</p>'));
+    assert.ok(html.includes('$$\\frac{a + b}{c - d}$$'));
+    assert.ok(html.includes('5 &lt; 6'));
+    assert.ok(!html.includes('mjx-container'));
+    assert.ok(!html.includes('mathjax-sr-only'));
+  });
+
+  it('leaves a selection without equations to the browser', () => {
+    assert.equal(buildSelectionCopy(selectNodes(costParagraph, plainParagraph)), null);
+    assert.equal(buildSelectionCopy(selectNodes(plainParagraph)), null);
+  });
+
+  it('copies the whole equation for a selection inside it', () => {
+    const equation = rootParagraph.querySelector('mjx-container');
+    const copied = buildSelectionCopy(selectNodes(equation.querySelector('g')));
+
+    assert.deepEqual(copied, { text: '$\\sqrt{x^{2} + 1}$', html: '$\\sqrt{x^{2} + 1}$', count: 1 });
+  });
+
+  it('leaves the page as it was', () => {
+    const before = PAGE.documentElement.outerHTML;
+    buildSelectionCopy(selectNodes(heading, plainParagraph));
+    assert.equal(PAGE.documentElement.outerHTML, before);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for merging and storing user settings (modules/settings-store.js)
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExtensionConfig = require('../../config/settings.js');
+const settingsStore = require('../../modules/settings-store.js');
+
+const { SETTINGS_STORAGE_KEY, mergeSettings, readNumberSetting, loadSettings, saveSettings, watchSettings } = settingsStore;
+
+/**
+ * Install a chrome.storage.sync stand-in kept in memory
+ * @param {Object} [stored] - Items already stored
+ * @return {Object} - { items, listeners }
+ */
+function installChromeStorage(stored = {}) {
+  const items = { ...stored };
+  const listeners = [];
+  global.chrome = {
+    runtime: { lastError: null },
+    storage: {
+      sync: {
+        get: (defaults, callback) => callback({ ...defaults, ...items }),
+        set: (changes, callback) => {
+          Object.assign(items, changes);
+          callback();
+        }
+      },
+      onChanged: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+      }
+    }
+  };
+  return { items, listeners };
+}
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+describe('mergeSettings', () => {
+  it('merges stored choices over the defaults, nested objects included', () => {
+    const config = mergeSettings(ExtensionConfig, {
+      feedback: { duration: 500 },
+      output: { format: 'typst', delimiters: { inline: 'dollar' } }
+    });
+    assert.equal(config.feedback.duration, 500);
+    assert.equal(config.feedback.animationName, ExtensionConfig.feedback.animationName);
+    assert.equal(config.output.format, 'typst');
+    assert.equal(config.output.delimiters.inline, 'dollar');
+    assert.equal(config.output.delimiters.display, ExtensionConfig.output.delimiters.display);
+    assert.equal(config.domains.kampus.features.disableMenuPanels, true);
+  });
+
+  it('ignores unknown keys and values of another type', () => {
+    const config = mergeSettings(ExtensionConfig, {
+      feedback: { duration: '500', unknown: true },
+      logging: { levels: 'error', enabled: 1 },
+      math: { supportedRootIndices: 'x' },
+      removed: { setting: true }
+    });
+    assert.equal(config.feedback.duration, ExtensionConfig.feedback.duration);
+    assert.equal('unknown' in config.feedback, false);
+    assert.deepEqual(config.logging.levels, ExtensionConfig.logging.levels);
+    assert.equal(config.logging.enabled, ExtensionConfig.logging.enabled);
+    assert.equal(config.math.supportedRootIndices, ExtensionConfig.math.supportedRootIndices);
+    assert.equal('removed' in config, false);
+  });
+
+  it('replaces arrays as a whole', () => {
+    const config = mergeSettings(ExtensionConfig, { logging: { levels: ['error'] } });
+    assert.deepEqual(config.logging.levels, ['error']);
+  });
+
+  it('returns a frozen configuration and leaves the defaults alone', () => {
+    const config = mergeSettings(ExtensionConfig, { feedback: { duration: 500 } });
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.feedback));
+    assert.equal(ExtensionConfig.feedback.duration, 2000);
+  });
+
+  it('keeps the defaults when nothing usable is stored', () => {
+    assert.deepEqual(mergeSettings(ExtensionConfig, null), ExtensionConfig);
+    assert.deepEqual(mergeSettings(ExtensionConfig, []), ExtensionConfig);
+  });
+});
+
+describe('readNumberSetting', () => {
+  const bounds = { min: '1', max: '500' };
+
+  it('reads the number of a field', () => {
+    assert.equal(readNumberSetting('20', bounds, 50), 20);
+    assert.equal(readNumberSetting(' 1.5e2 ', { min: '', max: '' }, 50), 150);
+  });
+
+  it('gives the default for an empty or unreadable field', () => {
+    assert.equal(readNumberSetting('', bounds, 50), 50);
+    assert.equal(readNumberSetting('  ', bounds, 50), 50);
+    assert.equal(readNumberSetting('ten', bounds, 50), 50);
+  });
+
+  it('brings a number outside the bounds of the field back within them', () => {
+    assert.equal(readNumberSetting('0', bounds, 50), 1);
+    assert.equal(readNumberSetting('-3', bounds, 50), 1);
+    assert.equal(readNumberSetting('9000', bounds, 50), 500);
+  });
+});
+
+describe('settings storage', () => {
+  it('loads the defaults outside the extension', async () => {
+    assert.deepEqual(await loadSettings(ExtensionConfig), ExtensionConfig);
+  });
+
+  it('saves choices and loads them merged over the defaults', async () => {
+    const { items } = installChromeStorage();
+    await saveSettings({ output: { format: 'unicode' } });
+    assert.deepEqual(items[SETTINGS_STORAGE_KEY], { output: { format: 'unicode' } });
+
+    const config = await loadSettings(ExtensionConfig);
+    assert.equal(config.output.format, 'unicode');
+    assert.equal(config.feedback.duration, ExtensionConfig.feedback.duration);
+  });
+
+  it('rejects a save the storage refuses', async () => {
+    installChromeStorage();
+    global.chrome.storage.sync.set = (changes, callback) => {
+      global.chrome.runtime.lastError = { message: 'QUOTA_BYTES_PER_ITEM quota exceeded' };
+      callback();
+    };
+    await assert.rejects(saveSettings({}), /quota exceeded/);
+  });
+
+  it('passes changed sync settings on, merged, until stopped', () => {
+    const { listeners } = installChromeStorage();
+    const received = [];
+    const stop = watchSettings(ExtensionConfig, config => received.push(config));
+
+    listeners.forEach(listener => listener({ [SETTINGS_STORAGE_KEY]: { newValue: { feedback: { duration: 100 } } } }, 'sync'));
+    listeners.forEach(listener => listener({ [SETTINGS_STORAGE_KEY]: { newValue: {} } }, 'local'));
+    listeners.forEach(listener => listener({ other: { newValue: {} } }, 'sync'));
+    assert.equal(received.length, 1);
+    assert.equal(received[0].feedback.duration, 100);
+
+    stop();
+    assert.equal(listeners.length, 0);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for the Typst serializer (modules/typst-serializer.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { convertMathMLFromAssistiveMML } = require('../../translate.js');
+
+function toTypst(mathml) {
+  return convertMathMLFromAssistiveMML(parseMarkup(mathml).querySelector('math'), 'typst');
+}
+
+describe('serializeTypst', () => {
+  it('writes fractions, roots and scripts', () => {
+    assert.equal(toTypst('<math><mfrac><mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mi>c</mi></mfrac></math>'), '(a + b)/c');
+    assert.equal(toTypst('<math><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></math>'), 'x_i^2');
+    assert.equal(toTypst('<math><mroot><mi>x</mi><mn>3</mn></mroot></math>'), 'root(3, x)');
+  });
+
+  it('writes a matrix with mat()', () => {
+    const mathml = '<math><mrow><mo>(</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr>' +
+      '<mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>)</mo></mrow></math>';
+    assert.equal(toTypst(mathml), 'mat(a, b; c, d)');
+  });
+
+  it('uses Typst names for symbols and styled letters', () => {
+    assert.equal(toTypst('<math><mi>α</mi><mo>≤</mo><mi>β</mi></math>'), 'alpha <= beta');
+    assert.equal(toTypst('<math><mi mathvariant="double-struck">R</mi></math>'), 'RR');
+  });
+
+  it('writes operator names with op() and upright names with upright()', () => {
+    assert.equal(toTypst('<math><mi>Var</mi><mo>(</mo><mi>X</mi><mo>)</mo></math>'), 'op("Var")(X)');
+    const mathml = '<math><mrow data-mjx-texclass="ORD"><mi data-mjx-auto-op="false">Var</mi></mrow></math>';
+    assert.equal(toTypst(mathml), 'upright("Var")');
+  });
+
+  it('quotes text', () => {
+    assert.equal(toTypst('<math><mtext>if&#xA0;</mtext><mi>x</mi></math>'), '"if "x');
+  });
+});
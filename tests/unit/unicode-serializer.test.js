@@ -0,0 +1,46 @@
+/**
+ * Tests for the Unicode text serializer (modules/unicode-serializer.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { findEquations } = require('../../modules/equation-extractor.js');
+const { convertMathMLFromAssistiveMML, convertMathToFormat } = require('../../translate.js');
+
+function toUnicode(mathml) {
+  return convertMathMLFromAssistiveMML(parseMarkup(mathml).querySelector('math'), 'unicode');
+}
+
+describe('serializeUnicode', () => {
+  it('writes scripts with superscript and subscript characters', () => {
+    assert.equal(toUnicode('<math><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><msqrt><mi>y</mi></msqrt></math>'), 'x² + √(y)');
+    assert.equal(toUnicode('<math><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></math>'), 'xᵢ²');
+  });
+
+  it('writes roots with the root signs', () => {
+    assert.equal(toUnicode('<math><mroot><mi>x</mi><mn>3</mn></mroot></math>'), '∛(x)');
+  });
+
+  it('keeps symbols and styled letters as characters', () => {
+    assert.equal(toUnicode('<math><mi>α</mi><mo>≤</mo><mi>β</mi></math>'), 'α ≤ β');
+    assert.equal(toUnicode('<math><mi mathvariant="double-struck">R</mi></math>'), 'ℝ');
+  });
+
+  it('writes a matrix row by row', () => {
+    const mathml = '<math><mrow><mo>(</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr>' +
+      '<mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>)</mo></mrow></math>';
+    assert.equal(toUnicode(mathml), '(a, b; c, d)');
+  });
+
+  it('reads every renderer the same way', () => {
+    const outputs = ['svg', 'svg-assistive', 'chtml', 'chtml-assistive'].map(variant => {
+      const file = path.join(__dirname, '..', 'generated', `fraction.${variant}.html`);
+      const [equation] = findEquations(parseMarkup(fs.readFileSync(file, 'utf8')));
+      return convertMathToFormat(equation, 'unicode');
+    });
+    assert.deepEqual(outputs, Array(4).fill('(a + b)/(c − d)'));
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for the clipboard text helpers in utils.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkup } = require('../../modules/lite-dom.js');
+const { prepareClipboardText, removeTrailingPeriod } = require('../../utils.js');
+
+const doc = parseMarkup('<mjx-container display="true"><svg></svg></mjx-container><mjx-container><svg></svg></mjx-container>');
+const [displayEquation, inlineEquation] = doc.querySelectorAll('svg');
+
+describe('removeTrailingPeriod', () => {
+  it('drops a single trailing period and keeps .. and \\ldots', () => {
+    assert.equal(removeTrailingPeriod('x = 1.'), 'x = 1');
+    assert.equal(removeTrailingPeriod('1, 2, ..'), '1, 2, ..');
+    assert.equal(removeTrailingPeriod('1, 2, \\ldots'), '1, 2, \\ldots');
+  });
+});
+
+describe('prepareClipboardText', () => {
+  const delimiters = { inline: 'dollar', display: 'bracket' };
+
+  it('drops the trailing period and adds the delimiters of the display mode', () => {
+    assert.equal(prepareClipboardText('x^2.', displayEquation, { delimiters }), '\\[x^2\\]');
+    assert.equal(prepareClipboardText('x^2.', inlineEquation, { delimiters }), '$x^2$');
+  });
+
+  it('keeps the text as it is when told to', () => {
+    assert.equal(prepareClipboardText('x^2.', inlineEquation, { removeTrailingPeriod: false }), 'x^2.');
+    assert.equal(prepareClipboardText('x^2', inlineEquation), 'x^2');
+  });
+});
@@ -9,7 +9,9 @@
   // Check if we're in a browser or Node.js environment
   const isBrowser = typeof window !== 'undefined';
   
-  let logger, nodeProcessor, OPERATOR_MAPPINGS, functions, svgConverter, chtmlConverter;
+  let logger, nodeProcessor, OPERATOR_MAPPINGS, functions, mathTree;
+  let svgConverter, chtmlConverter, mathmlConverter;
+  let latexSerializer, asciimathSerializer, typstSerializer, unicodeSerializer, mathmlSerializer;
   
   if (isBrowser) {
     // Browser context - wait for dependencies to be available
@@ -18,15 +20,29 @@
           typeof window.nodeProcessor !== 'undefined' &&
           typeof window.OPERATOR_MAPPINGS !== 'undefined' &&
           typeof window.isStandardFunction !== 'undefined' &&
+          typeof window.mathTree !== 'undefined' &&
           typeof window.svgConverter !== 'undefined' &&
-          typeof window.chtmlConverter !== 'undefined') {
+          typeof window.chtmlConverter !== 'undefined' &&
+          typeof window.mathmlConverter !== 'undefined' &&
+          typeof window.latexSerializer !== 'undefined' &&
+          typeof window.asciimathSerializer !== 'undefined' &&
+          typeof window.typstSerializer !== 'undefined' &&
+          typeof window.unicodeSerializer !== 'undefined' &&
+          typeof window.mathmlSerializer !== 'undefined') {
         
         logger = window.conversionLogger;
         nodeProcessor = window.nodeProcessor;
         OPERATOR_MAPPINGS = window.OPERATOR_MAPPINGS;
         functions = { isStandardFunction: window.isStandardFunction };
+        mathTree = window.mathTree;
         svgConverter = window.svgConverter;
         chtmlConverter = window.chtmlConverter;
+        mathmlConverter = window.mathmlConverter;
+        latexSerializer = window.latexSerializer;
+        asciimathSerializer = window.asciimathSerializer;
+        typstSerializer = window.typstSerializer;
+        unicodeSerializer = window.unicodeSerializer;
+        mathmlSerializer = window.mathmlSerializer;
         
         // Now define the main functions
         defineMainFunctions();
@@ -43,90 +59,153 @@
     nodeProcessor = require('./modules/node-processor.js');
     OPERATOR_MAPPINGS = require('./config/operators.js').OPERATOR_MAPPINGS;
     functions = { isStandardFunction: require('./config/functions.js').isStandardFunction };
+    mathTree = require('./modules/math-tree.js');
     svgConverter = require('./modules/svg-converter.js');
     chtmlConverter = require('./modules/chtml-converter.js');
+    mathmlConverter = require('./modules/mathml-converter.js');
+    latexSerializer = require('./modules/latex-serializer.js');
+    asciimathSerializer = require('./modules/asciimath-serializer.js');
+    typstSerializer = require('./modules/typst-serializer.js');
+    unicodeSerializer = require('./modules/unicode-serializer.js');
+    mathmlSerializer = require('./modules/mathml-serializer.js');
     
     defineMainFunctions();
   }
   
   function defineMainFunctions() {
+    // Serializers for the output formats, keyed by format name
+    const OUTPUT_SERIALIZERS = {
+      latex: (tree) => latexSerializer.serializeLatex(tree, nodeProcessor, mathTree, OPERATOR_MAPPINGS, functions),
+      asciimath: (tree) => asciimathSerializer.serializeAsciiMath(tree, nodeProcessor, mathTree),
+      typst: (tree) => typstSerializer.serializeTypst(tree, nodeProcessor, mathTree),
+      unicode: (tree) => unicodeSerializer.serializeUnicode(tree, nodeProcessor, mathTree)
+    };
+
+    /**
+     * Get the serializer for an output format
+     * @param {string} format - 'latex', 'asciimath', 'typst' or 'unicode'
+     * @return {Function} - Serializer taking a math tree
+     */
+    function getSerializer(format) {
+      const serializer = OUTPUT_SERIALIZERS[format];
+      if (!serializer) {
+        throw new Error(`Unknown output format: ${format}`);
+      }
+      return serializer;
+    }
+
+    /**
+     * Serialize a math tree in one of the output formats
+     * @param {Object} tree - Math tree from buildMathTree
+     * @param {string} [format='latex'] - 'latex', 'asciimath', 'typst' or 'unicode'
+     * @return {string}
+     */
+    function serializeMathTree(tree, format = 'latex') {
+      return getSerializer(format)(tree);
+    }
+
+    /**
+     * Finish the output of a whole equation. Every renderer path ends here, so
+     * an equation copies the same whether it was read from SVG, CHTML or MathML.
+     * @param {string} output - Serialized equation
+     * @param {string} format - Output format
+     * @return {string}
+     */
+    function finishOutput(output, format) {
+      // Only LaTeX has \left( and \right) to size parentheses with
+      return format === 'latex' ? nodeProcessor.fixParentheses(output) : output;
+    }
+
+    /**
+     * Build the intermediate math tree for a rendered equation
+     * CHTML output with assistive MathML is read from the MathML, which keeps
+     * more of the original structure than the CHTML layout
+     * @param {Element} node - The MathJax container, CHTML element, SVG math node or MathML <math> element
+     * @return {Object|null} - Math tree (see modules/math-tree.js)
+     */
+    function buildMathTree(node) {
+      if (!node || node.nodeType !== 1) return null;
+
+      if (node.tagName.toLowerCase() === 'math') {
+        return mathmlConverter.buildMathMLTree(node, logger, nodeProcessor, mathTree);
+      }
+
+      if (isCHTMLFormat(node)) {
+        const assistiveMML = node.querySelector && node.querySelector('mjx-assistive-mml math');
+        if (assistiveMML) {
+          return mathmlConverter.buildMathMLTree(assistiveMML, logger, nodeProcessor, mathTree);
+        }
+        return chtmlConverter.buildCHTMLTree(node, logger, nodeProcessor, mathTree);
+      }
+
+      // Start from the math node when given the whole SVG container
+      const mathNode = node.getAttribute('data-mml-node') || !node.querySelector
+        ? node
+        : node.querySelector('[data-mml-node="math"]') || node;
+      return svgConverter.buildSVGTree(mathNode, logger, nodeProcessor, mathTree,
+        mathmlNode => mathmlConverter.buildMathMLTree(mathmlNode, logger, nodeProcessor, mathTree));
+    }
+
     /**
      * Main conversion function
      * @param {Element} node - The MathML/MathJax node to convert
      * @return {string} - LaTeX representation
      */
     function convertMathMLToLatex(node) {
-      // Check if this is CHTML format
-      if (isCHTMLFormat(node)) {
-        const isTopLevel = !logger.conversionInProgress;
-        
-        if (isTopLevel) {
-          logger.startConversion('CHTML');
-          tryLogAriaLabel(node);
-        }
-        
-        // Process CHTML format
-        const result = chtmlConverter.convertCHTMLNode(node, logger, nodeProcessor, OPERATOR_MAPPINGS, functions);
-        
-        if (isTopLevel) {
-          logger.endConversion('CHTML');
-          return nodeProcessor.fixParentheses(result);
-        }
-        
-        return result;
-      }
-      
-      // Handle SVG format
-      const nodeType = node.getAttribute ? node.getAttribute('data-mml-node') : 'none';
+      return convertMathToFormat(node, 'latex');
+    }
+
+    /**
+     * Convert a rendered equation to one of the output formats
+     * @param {Element} node - The MathJax container, CHTML element or SVG math node
+     * @param {string} [format='latex'] - 'latex', 'asciimath', 'typst' or 'unicode'
+     * @return {string} - The equation in the requested format
+     */
+    function convertMathToFormat(node, format = 'latex') {
+      const serialize = getSerializer(format);
+      const renderer = isCHTMLFormat(node) ? 'CHTML' : 'SVG';
       const isTopLevel = !logger.conversionInProgress;
-      
+
       if (isTopLevel) {
-        logger.startConversion('SVG');
+        logger.startConversion(renderer);
         tryLogAriaLabel(node);
-        
-        if (typeof debugPrintSVGElement === 'function') {
+
+        if (renderer === 'SVG' && typeof debugPrintSVGElement === 'function') {
           debugPrintSVGElement(node, 0);
         }
       }
-      
-      // Skip certain nodes
-      if (!node || node.nodeType !== 1) {
-        if (isTopLevel) logger.conversionInProgress = false;
-        return node && node.nodeType === 3 ? node.textContent.trim() : '';
-      }
-      
-      // Skip non-content elements
-      if (node.tagName && ['use', 'rect'].includes(node.tagName.toLowerCase())) {
-        if (isTopLevel) logger.conversionInProgress = false;
-        return '';
-      }
-      
-      // Process the node
-      let result = '';
-      
-      if (!nodeType) {
-        result = nodeProcessor.processChildren(node, convertMathMLToLatex);
-      } else if (nodeType === 'math') {
-        result = nodeProcessor.processChildren(node, convertMathMLToLatex);
+
+      try {
+        const result = serialize(buildMathTree(node));
+        return isTopLevel ? finishOutput(result, format) : result;
+      } finally {
         if (isTopLevel) {
-          logger.endConversion('MathJax');
-          logger.conversionInProgress = false;
-          return nodeProcessor.fixParentheses(result);
+          logger.endConversion(renderer);
         }
-        return result;
-      } else {
-        // Use SVG converter for all other node types
-        result = svgConverter.convertSVGNode(node, logger, nodeProcessor, OPERATOR_MAPPINGS, functions);
       }
-      
-      if (isTopLevel) {
-        logger.conversionInProgress = false;
-        return nodeProcessor.fixParentheses(result);
-      }
-      
-      return result;
     }
-    
+
+    /**
+     * Run conversions and collect what they could not handle: element types
+     * with no conversion, characters with no LaTeX command, and conversions
+     * that failed part way
+     * @param {Function} convert - Runs the conversions and returns their output
+     * @return {Object} - { output, diagnostics } with diagnostics as [{ code, detail, message }]
+     */
+    function collectConversionDiagnostics(convert) {
+      return logger.collectDiagnostics(convert);
+    }
+
+    /**
+     * Convert a rendered equation and report what the conversion could not handle
+     * @param {Element} node - The MathJax container, CHTML element or SVG math node
+     * @param {string} [format='latex'] - 'latex', 'asciimath', 'typst' or 'unicode'
+     * @return {Object} - { output, diagnostics }, see collectConversionDiagnostics
+     */
+    function convertMathToResult(node, format = 'latex') {
+      return collectConversionDiagnostics(() => convertMathToFormat(node, format));
+    }
+
     /**
      * Detects if the provided node is part of CHTML format MathJax
      */
@@ -222,12 +301,38 @@
     }
     
     /**
-     * Wrapper for assistive MathML conversion (for backwards compatibility)
+     * Convert a MathML element, such as the <math> of assistive MathML, to LaTeX
+     * or another output format
+     * @param {Element} mathmlNode - MathML element
+     * @param {string} [format='latex'] - 'latex', 'asciimath', 'typst' or 'unicode'
+     * @return {string}
      */
-    function convertMathMLFromAssistiveMML(mathmlNode) {
-      // This function is called from content.js, so we maintain it for compatibility
-      // It delegates to the CHTML converter's assistive MathML handler
-      return chtmlConverter.convertCHTMLNode(mathmlNode, logger, nodeProcessor, OPERATOR_MAPPINGS, functions);
+    function convertMathMLFromAssistiveMML(mathmlNode, format = 'latex') {
+      const serialize = getSerializer(format);
+      return finishOutput(serialize(mathmlConverter.buildMathMLTree(mathmlNode, logger, nodeProcessor, mathTree)), format);
+    }
+    
+    /**
+     * Get clean presentation MathML for a rendered equation, for pasting into
+     * office suites. Assistive MathML is copied when present; otherwise the
+     * MathML is rebuilt from the SVG data-mml-node tree or the CHTML layout.
+     * @param {Element} node - The MathJax container, CHTML element, SVG math node or MathML <math> element
+     * @return {string} - A <math> element
+     */
+    function convertMathToMathML(node) {
+      if (!node || node.nodeType !== 1) return '';
+
+      if (node.tagName.toLowerCase() === 'math') {
+        return mathmlSerializer.cleanMathML(node);
+      }
+
+      const container = node.closest ? node.closest('mjx-container') || node : node;
+      const assistiveMML = container.querySelector && container.querySelector('mjx-assistive-mml math');
+      if (assistiveMML) {
+        return mathmlSerializer.cleanMathML(assistiveMML);
+      }
+
+      return mathmlSerializer.serializeMathML(buildMathTree(node), nodeProcessor, mathTree);
     }
     
     // Export functions
@@ -235,6 +340,12 @@
       // Make functions available globally for browser context
       window.convertMathMLToLatex = convertMathMLToLatex;
       window.convertMathMLFromAssistiveMML = convertMathMLFromAssistiveMML;
+      window.convertMathToFormat = convertMathToFormat;
+      window.convertMathToMathML = convertMathToMathML;
+      window.convertMathToResult = convertMathToResult;
+      window.collectConversionDiagnostics = collectConversionDiagnostics;
+      window.buildMathTree = buildMathTree;
+      window.serializeMathTree = serializeMathTree;
       window.isCHTMLFormat = isCHTMLFormat;
       window.debugPrintSVGElement = debugPrintSVGElement;
       window.getAllMMLNodes = getAllMMLNodes;
@@ -249,6 +360,12 @@
       module.exports = {
         convertMathMLToLatex,
         convertMathMLFromAssistiveMML,
+        convertMathToFormat,
+        convertMathToMathML,
+        convertMathToResult,
+        collectConversionDiagnostics,
+        buildMathTree,
+        serializeMathTree,
         isCHTMLFormat,
         debugPrintSVGElement,
         getAllMMLNodes
@@ -11,6 +11,32 @@
   // Configuration constants
   const FEEDBACK_DURATION = 2000;
 
+  // Chrome only accepts MIME types outside its short list with the "web " prefix
+  const MATHML_CLIPBOARD_TYPE = 'web application/mathml+xml';
+
+  // Math delimiters for copied LaTeX, keyed by wrapping mode
+  const LATEX_DELIMITERS = {
+    'none': ['', ''],
+    'dollar': ['$', '$'],
+    'double-dollar': ['$$', '$$'],
+    'paren': ['\\(', '\\)'],
+    'bracket': ['\\[', '\\]'],
+    'equation*': ['\\begin{equation*}\n', '\n\\end{equation*}']
+  };
+
+  // Copied text longer than this is announced by the success message alone
+  const ANNOUNCEMENT_MAX_LENGTH = 300;
+
+  // Feedback listing conversion warnings shows at least this long, and at most this many of them
+  const WARNING_FEEDBACK_DURATION = 5000;
+  const WARNING_FEEDBACK_MAX_ITEMS = 3;
+
+  // Wrappers put around display equations by MathJax 2 (HTML-CSS, CommonHTML and SVG output) and KaTeX
+  const DISPLAY_EQUATION_WRAPPERS = '.MathJax_Display, .MJXc-display, .MathJax_SVG_Display, .katex-display';
+
+  // Environments such as align* are display math already and are never wrapped
+  const DISPLAY_MATH_ENVIRONMENT = /^\\begin\{(?:align|alignat|flalign|gather|multline|equation)\*?\}/;
+
   /**
    * Safely parse HTML string using DOMParser with sanitization
    * @param {string} htmlString - The HTML string to parse
@@ -41,28 +67,107 @@
   }
 }
 
+/**
+ * Remove a trailing single "." picked up from the sentence around an equation
+ * @param {string} text - Converted equation
+ * @returns {string} - The text without the period; ".." and \ldots are kept
+ */
+function removeTrailingPeriod(text) {
+  if (text.endsWith('.') && !text.endsWith('..') && !text.endsWith('\\ldots')) {
+    return text.slice(0, -1);
+  }
+  return text;
+}
+
+/**
+ * Check whether an equation is displayed on its own line, as MathJax 3 marks
+ * with display="true" on the mjx-container, MathJax 2 and KaTeX with a wrapper
+ * and native MathML with display="block"
+ * @param {HTMLElement} element - The equation or an element inside its container
+ * @returns {boolean}
+ */
+function isDisplayEquation(element) {
+  if (!element || !element.closest) return false;
+
+  const container = element.closest('mjx-container');
+  if (container) return container.getAttribute('display') === 'true';
+  if (element.closest(DISPLAY_EQUATION_WRAPPERS)) return true;
+
+  const math = element.closest('math');
+  return Boolean(math) && math.getAttribute('display') === 'block';
+}
+
+/**
+ * Wrap LaTeX in math delimiters
+ * @param {string} latex - LaTeX without delimiters
+ * @param {Object} delimiters - Wrapping modes { inline, display }, see LATEX_DELIMITERS
+ * @param {boolean} display - Whether the equation is a display equation
+ * @returns {string} - The wrapped LaTeX
+ */
+function wrapLatex(latex, delimiters, display) {
+  const pair = LATEX_DELIMITERS[display ? delimiters.display : delimiters.inline];
+  if (!pair || !latex || DISPLAY_MATH_ENVIRONMENT.test(latex)) return latex;
+  return pair[0] + latex + pair[1];
+}
+
+/**
+ * Prepare converted text the way copyToClipboardWithFeedback copies it
+ * @param {string} text - Converted equation
+ * @param {HTMLElement} element - The equation, whose display mode picks the delimiters
+ * @param {Object} [options] - Options of copyToClipboardWithFeedback; delimiters and
+ *   removeTrailingPeriod are used
+ * @returns {string} - The clipboard text
+ */
+function prepareClipboardText(text, element, options = {}) {
+  const cleanedText = options.removeTrailingPeriod === false ? text : removeTrailingPeriod(text);
+  return options.delimiters
+    ? wrapLatex(cleanedText, options.delimiters, isDisplayEquation(element))
+    : cleanedText;
+}
+
 /**
  * Copy text to clipboard with feedback
  * @param {string} text - Text to copy
  * @param {HTMLElement} element - Element to show feedback near
  * @param {string} successMessage - Success log message
+ * @param {Object} [options]
+ * @param {string|null} [options.mathml] - MathML written alongside the text, so office suites paste an equation
+ * @param {Object|null} [options.delimiters] - Wrapping modes { inline, display } for LaTeX; the
+ *   display attribute of the element's mjx-container picks one
+ * @param {boolean} [options.removeTrailingPeriod=true] - Drop a trailing sentence period
+ * @param {number} [options.feedbackDuration] - How long the "Copied!" feedback shows, in ms
+ * @param {Array<Object>} [options.diagnostics] - What the conversion could not handle, as
+ *   { code, detail, message }; the feedback then shows a warning
+ * @param {boolean} [options.verified] - The LaTeX was rendered again and gave the same equation
  * @returns {Promise<boolean>} - True if successful, false otherwise
  */
-async function copyToClipboardWithFeedback(text, element, successMessage = 'Copied to clipboard') {
+async function copyToClipboardWithFeedback(text, element, successMessage = 'Copied to clipboard', options = {}) {
   try {
-    // Remove trailing single "." if it exists
-    let cleanedText = text;
-    if (cleanedText.endsWith('.') && !cleanedText.endsWith('..') && !cleanedText.endsWith('\\ldots')) {
-      cleanedText = cleanedText.slice(0, -1);
-    }
+    const cleanedText = prepareClipboardText(text, element, options);
     
-    await navigator.clipboard.writeText(cleanedText);
-    showCopiedFeedback(element);
+    const mathml = options.mathml;
+    if (mathml) {
+      await writeClipboardWithMathML(cleanedText, mathml);
+    } else {
+      await navigator.clipboard.writeText(cleanedText);
+    }
+    const diagnostics = options.diagnostics || [];
+    showCopiedFeedback(element, options.feedbackDuration, { diagnostics, verified: options.verified });
+    const message = options.verified ? `${successMessage}, verified` : successMessage;
+    const announcement = cleanedText.length > ANNOUNCEMENT_MAX_LENGTH
+      ? message
+      : `${message}: ${cleanedText}`;
+    announceToScreenReader(diagnostics.length
+      ? `${announcement}. ${describeCopyWarnings(diagnostics)}`
+      : announcement);
     
     // Use configured logger if available
     if (window.conversionLogger && window.conversionLogger.success) {
       window.conversionLogger.success(successMessage, cleanedText);
     }
+    if (window.conversionLogger && window.conversionLogger.warning) {
+      diagnostics.forEach(diagnostic => window.conversionLogger.warning(diagnostic.message));
+    }
     
     return true;
   } catch (err) {
@@ -73,30 +178,124 @@ async function copyToClipboardWithFeedback(text, element, successMessage = 'Copi
   }
 }
 
+/**
+ * Write text and MathML flavours in one clipboard item
+ *
+ * Word and LibreOffice read the MathML from text/html; the custom
+ * application/mathml+xml flavour is left out where the browser rejects it,
+ * and the text alone is written where ClipboardItem is missing.
+ * @param {string} text - Plain-text flavour
+ * @param {string} mathml - A <math> element
+ */
+async function writeClipboardWithMathML(text, mathml) {
+  if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const flavours = {
+    'text/plain': new Blob([text], { type: 'text/plain' }),
+    'text/html': new Blob([mathml], { type: 'text/html' })
+  };
+
+  try {
+    await navigator.clipboard.write([new ClipboardItem({
+      ...flavours,
+      [MATHML_CLIPBOARD_TYPE]: new Blob([mathml], { type: 'application/mathml+xml' })
+    })]);
+  } catch (error) {
+    await navigator.clipboard.write([new ClipboardItem(flavours)]);
+  }
+}
+
+/**
+ * Sum up the diagnostics of a copy in one sentence
+ * @param {Array<Object>} diagnostics - { code, detail, message }
+ * @returns {string}
+ */
+function describeCopyWarnings(diagnostics) {
+  const count = diagnostics.length === 1 ? '1 warning' : `${diagnostics.length} warnings`;
+  return `${count}: ${diagnostics.map(diagnostic => diagnostic.message).join('; ')}`;
+}
+
 /**
  * Shows feedback when content is copied
  * @param {HTMLElement} element - The element that was clicked to copy
+ * @param {number} [duration] - How long the feedback shows, in ms
+ * @param {Object} [status]
+ * @param {Array<Object>} [status.diagnostics] - What the conversion could not handle; the
+ *   feedback then reads "Copied with warnings" and lists them
+ * @param {boolean} [status.verified] - The copied LaTeX was checked; the feedback says so
  */
-function showCopiedFeedback(element) {
+function showCopiedFeedback(element, duration = FEEDBACK_DURATION, { diagnostics = [], verified = false } = {}) {
   if (!element) return;
   
+  const warned = diagnostics.length > 0;
   const feedback = document.createElement('div');
-  feedback.textContent = 'Copied!';
-  feedback.className = 'mathjax-copy-feedback';
+  feedback.className = warned ? 'mathjax-copy-feedback mathjax-copy-feedback-warning' : 'mathjax-copy-feedback';
+  if (warned) {
+    // The copy may be incomplete, so the warnings stay up longer
+    duration = Math.max(duration, WARNING_FEEDBACK_DURATION);
+    const heading = document.createElement('strong');
+    heading.textContent = 'Copied with warnings';
+    feedback.appendChild(heading);
+    diagnostics.slice(0, WARNING_FEEDBACK_MAX_ITEMS).forEach(diagnostic => {
+      const line = document.createElement('div');
+      line.textContent = diagnostic.message;
+      feedback.appendChild(line);
+    });
+    if (diagnostics.length > WARNING_FEEDBACK_MAX_ITEMS) {
+      const more = document.createElement('div');
+      more.textContent = `and ${diagnostics.length - WARNING_FEEDBACK_MAX_ITEMS} more`;
+      feedback.appendChild(more);
+    }
+  } else {
+    feedback.textContent = verified ? 'Copied and verified!' : 'Copied!';
+  }
   
   // Position near the element
   const rect = element.getBoundingClientRect();
+  displayFeedback(feedback, {
+    top: rect.top + window.scrollY - (warned ? 30 + 18 * feedback.children.length : 30),
+    left: rect.left + window.scrollX
+  }, duration, warned);
+}
+
+/**
+ * Show a short message at a point of the page, e.g. where a right click
+ * found nothing to copy
+ * @param {string} message - Text to show
+ * @param {number} pageX - Horizontal page coordinate
+ * @param {number} pageY - Vertical page coordinate
+ * @param {number} [duration] - How long the message shows, in ms
+ */
+function showFeedbackAt(message, pageX, pageY, duration = FEEDBACK_DURATION) {
+  const feedback = document.createElement('div');
+  feedback.className = 'mathjax-copy-feedback mathjax-copy-feedback-warning';
+  feedback.textContent = message;
+  displayFeedback(feedback, { top: pageY - 30, left: pageX }, duration, true);
+}
+
+/**
+ * Place a feedback element on the page and remove it once it has faded out
+ * @param {HTMLElement} feedback - Feedback element with its content
+ * @param {Object} position - { top, left } in page coordinates
+ * @param {number} duration - How long the feedback shows, in ms
+ * @param {boolean} warned - Use the warning colours
+ */
+function displayFeedback(feedback, position, duration, warned) {
   feedback.style.cssText = `
     position: absolute;
-    top: ${rect.top + window.scrollY - 30}px;
-    left: ${rect.left + window.scrollX}px;
-    background-color: rgba(0, 0, 0, 0.7);
+    top: ${position.top}px;
+    left: ${position.left}px;
+    background-color: ${warned ? 'rgba(138, 84, 0, 0.92)' : 'rgba(0, 0, 0, 0.7)'};
     color: white;
+    max-width: 420px;
     padding: 5px 10px;
     border-radius: 4px;
     pointer-events: none;
     z-index: 10000;
-    animation: fade-out ${FEEDBACK_DURATION}ms forwards;
+    animation: fade-out ${duration}ms forwards;
     font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
     font-size: 14px;
     font-weight: 500;
@@ -121,7 +320,34 @@ function showCopiedFeedback(element) {
   // Remove after animation
   setTimeout(() => {
     feedback.remove();
-  }, FEEDBACK_DURATION);
+  }, duration);
+}
+
+/**
+ * Read a message out through a visually hidden live region, for screen
+ * reader users who cannot see the "Copied!" feedback
+ * @param {string} message - Text to announce
+ */
+function announceToScreenReader(message) {
+  if (!document.body) return;
+
+  let region = document.getElementById('mathjax-copy-announcer');
+  const created = !region;
+  if (created) {
+    region = document.createElement('div');
+    region.id = 'mathjax-copy-announcer';
+    region.className = 'mathjax-sr-only';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    document.body.appendChild(region);
+  }
+
+  // Screen readers skip text set in the same task the region was added in,
+  // and only read a repeated message after the region was emptied
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, created ? 100 : 0);
 }
 
 /**
@@ -158,6 +384,57 @@ function attachEventWithCleanup(element, eventType, handler, cleanupFunctions, u
   }
 }
 
+/**
+ * Visit the elements below a root in document order, going into each open
+ * shadow root where its host stands
+ * @param {Document|Element|ShadowRoot} root - Node to walk
+ * @param {Function} visit - Called with each element, and with each shadow root as (shadowRoot, true)
+ */
+function walkComposedTree(root, visit) {
+  const enterShadowRoot = (element) => {
+    if (!element.shadowRoot) return;
+    visit(element.shadowRoot, true);
+    walk(element.shadowRoot);
+  };
+  const walk = (scope) => {
+    const walker = (scope.ownerDocument || scope).createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      visit(node, false);
+      enterShadowRoot(node);
+    }
+  };
+
+  if (root.nodeType === Node.ELEMENT_NODE) enterShadowRoot(root);
+  walk(root);
+}
+
+/**
+ * querySelectorAll that also searches open shadow roots, such as those of web components
+ * @param {Document|Element|ShadowRoot} root - Node to search below
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} - Matching elements in document order
+ */
+function querySelectorAllDeep(root, selector) {
+  const found = [];
+  walkComposedTree(root, (node, isShadowRoot) => {
+    if (!isShadowRoot && node.matches(selector)) found.push(node);
+  });
+  return found;
+}
+
+/**
+ * Find the open shadow roots below a node, nested ones included
+ * @param {Document|Element|ShadowRoot} root - Node to search below
+ * @returns {Array<ShadowRoot>}
+ */
+function getOpenShadowRoots(root) {
+  const shadowRoots = [];
+  walkComposedTree(root, (node, isShadowRoot) => {
+    if (isShadowRoot) shadowRoots.push(node);
+  });
+  return shadowRoots;
+}
+
 /**
  * Create a MutationObserver with automatic cleanup
  * @param {Function} callback - Observer callback
@@ -232,9 +509,17 @@ function throttle(func, limit) {
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
       safeParseHTML,
+      removeTrailingPeriod,
+      isDisplayEquation,
+      wrapLatex,
+      prepareClipboardText,
       copyToClipboardWithFeedback,
       showCopiedFeedback,
+      showFeedbackAt,
+      announceToScreenReader,
       attachEventWithCleanup,
+      querySelectorAllDeep,
+      getOpenShadowRoots,
       createObserverWithCleanup,
       setIntervalWithCleanup,
       debounce,
@@ -243,9 +528,17 @@ function throttle(func, limit) {
   } else if (typeof window !== 'undefined') {
     window.extensionUtils = {
       safeParseHTML,
+      removeTrailingPeriod,
+      isDisplayEquation,
+      wrapLatex,
+      prepareClipboardText,
       copyToClipboardWithFeedback,
       showCopiedFeedback,
+      showFeedbackAt,
+      announceToScreenReader,
       attachEventWithCleanup,
+      querySelectorAllDeep,
+      getOpenShadowRoots,
       createObserverWithCleanup,
       setIntervalWithCleanup,
       debounce,